@@ -9,6 +9,8 @@ export default async function handler(req, res) {
         signature TEXT UNIQUE NOT NULL,
         amount NUMERIC NOT NULL,
         sol_spent NUMERIC DEFAULT 0,
+        burn_mode TEXT DEFAULT 'incinerator',
+        buyback_venue TEXT DEFAULT 'bonding-curve',
         timestamp TIMESTAMPTZ DEFAULT NOW(),
         status TEXT DEFAULT 'confirmed'
       );
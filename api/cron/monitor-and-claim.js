@@ -1,3 +1,15 @@
+// Vercel serverless functions stop at maxDuration (vercel.json), so each
+// invocation runs at most one claim flow step and leaves the rest to the
+// next cron tick. Progress is kept in the flow_runs table by the backend.
+// A transaction still unconfirmed when the budget runs out is left 'sent'
+// and settled on the next tick.
+const TIME_BUDGET_MS = Number(process.env.CRON_TIME_BUDGET_MS || 45000);
+
+// Vercel Postgres exposes POSTGRES_URL; the backend reads DATABASE_URL
+process.env.DATABASE_URL ??= process.env.POSTGRES_URL;
+
+let schemaReady;
+
 export default async function handler(req, res) {
   // Verify request is from Vercel Cron
   const authHeader = req.headers.authorization;
@@ -5,19 +17,29 @@ export default async function handler(req, res) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 
+  const deadline = Date.now() + TIME_BUDGET_MS;
+
   try {
-    // For now, just return success
-    // The actual claim logic will be implemented later
-    res.status(200).json({ 
-      success: true, 
-      message: 'Cron job executed (claim logic not yet implemented)',
-      timestamp: new Date().toISOString()
+    // Compiled backend (see buildCommand in vercel.json)
+    const { initializeDatabase } = await import('../../backend/dist/db/schema.js');
+    const { runMonitoringStep } = await import('../../backend/dist/scheduler.js');
+
+    // Schema migrations only need to run once per cold start
+    schemaReady ??= initializeDatabase();
+    await schemaReady;
+
+    const report = await runMonitoringStep(deadline);
+
+    res.status(report.success ? 200 : 500).json({
+      ...report,
+      timestamp: new Date(report.timestamp).toISOString(),
     });
   } catch (error) {
+    schemaReady = undefined;
     console.error('[CRON] Error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
+    res.status(500).json({
+      success: false,
+      error: error.message
     });
   }
-}
\ No newline at end of file
+}
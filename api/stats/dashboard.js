@@ -59,6 +59,8 @@ export default async function handler(req, res) {
           signature: burn.signature,
           amount: parseFloat(burn.amount),
           sol_spent: parseFloat(burn.sol_spent || 0),
+          burn_mode: burn.burn_mode || 'incinerator',
+          buyback_venue: burn.buyback_venue || 'bonding-curve',
           timestamp: burn.timestamp,
           status: burn.status || 'confirmed'
         })),
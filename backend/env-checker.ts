@@ -160,10 +160,10 @@ console.log('\nSPLIT CONFIGURATION\n');
 checkOptional('TREASURY_PERCENT', '50', validateNumber);
 checkOptional('BUYBACK_PERCENT', '50', validateNumber);
 
-// Validate percentages add up
+// Validate percentages add up (only used when SPLIT_POLICY is unset)
 const treasuryPercent = parseInt(process.env.TREASURY_PERCENT || '50');
 const buybackPercent = parseInt(process.env.BUYBACK_PERCENT || '50');
-if (treasuryPercent + buybackPercent !== 100) {
+if (!process.env.SPLIT_POLICY && treasuryPercent + buybackPercent !== 100) {
   results.push({
     variable: 'TREASURY_PERCENT + BUYBACK_PERCENT',
     status: 'INVALID',
@@ -0,0 +1,89 @@
+/**
+ * On-chain reconciliation - backfills claims, treasury transfers, buybacks
+ * and burns missing from the database (e.g. after reset-database-complete.js)
+ * and flags recorded rows that disagree with the chain
+ *
+ * Run: npm run build && node reconcile.js [--limit 500] [--before SIG] [--until SIG] [--dry-run]
+ */
+
+require('dotenv').config();
+
+function parseArgs(argv) {
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--limit':
+        options.limit = parseInt(argv[++i]);
+        break;
+      case '--before':
+        options.before = argv[++i];
+        break;
+      case '--until':
+        options.until = argv[++i];
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  return options;
+}
+
+async function main() {
+  console.log('\n╔════════════════════════════════════════════════════════════╗');
+  console.log('║          ON-CHAIN RECONCILIATION                           ║');
+  console.log('╚════════════════════════════════════════════════════════════╝\n');
+
+  const options = parseArgs(process.argv.slice(2));
+
+  // Compiled backend: the schema must be current before rows are written
+  const { initializeDatabase, closeDatabase } = require('./dist/db/schema');
+  const { reconcileWithChain } = require('./dist/services/reconciliation');
+
+  try {
+    await initializeDatabase();
+
+    const report = await reconcileWithChain(options);
+
+    console.log('  Scanned:    ', report.scanned, options.dryRun ? '(dry run, nothing written)' : '');
+    console.log('  Claims:     ', report.classified.claim);
+    console.log('  Treasury:   ', report.classified.treasury);
+    console.log('  Buybacks:   ', report.classified.buyback);
+    console.log('  Burns:      ', report.classified.burn);
+    console.log('  Other:      ', report.classified.unknown);
+    console.log('');
+    console.log('  Inserted:   ', report.inserted);
+    console.log('  Flagged:    ', report.flagged);
+    console.log('');
+
+    for (const finding of report.findings) {
+      const detail = finding.action === 'flagged'
+        ? `${finding.issue}: recorded ${finding.recorded}, on-chain ${finding.onChain}`
+        : `#${finding.recordId ?? '-'}`;
+      console.log(`  ${finding.action.padEnd(8)} ${finding.recordType.padEnd(14)} ${finding.signature} ${detail}`);
+    }
+
+    if (report.oldestSignature) {
+      console.log(`\n  Continue further back with: --before ${report.oldestSignature}\n`);
+    }
+
+    if (!report.success) {
+      console.error('\n❌ Error:', report.error);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('\n❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closeDatabase();
+  }
+}
+
+main().catch((error) => {
+  console.error('\n❌ Error:', error.message);
+  process.exit(1);
+});
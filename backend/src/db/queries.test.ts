@@ -0,0 +1,36 @@
+import { describe, expect, it, jest } from '@jest/globals';
+import { getSystemStats } from './queries';
+import pool from './schema';
+
+jest.mock('../env', () => ({
+  splitPolicy: [
+    { name: 'treasury', bps: 2000, destination: 'Treasury111' },
+    { name: 'marketing', bps: 500, destination: 'Marketing111' },
+    { name: 'buyback', bps: 7500 },
+  ],
+}));
+jest.mock('../lib/logger', () => ({ log: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() } }));
+jest.mock('./schema', () => ({ __esModule: true, default: { query: jest.fn() } }));
+
+describe('getSystemStats', () => {
+  it('lists configured legs first, then legs since removed from the policy', async () => {
+    jest
+      .mocked(pool.query)
+      .mockResolvedValueOnce({ rows: [{}] } as never)
+      .mockResolvedValueOnce({
+        rows: [
+          { leg: 'dev', total_transferred: '250000000', total_transfers: '2' },
+          { leg: 'treasury', total_transferred: '1500000000', total_transfers: '3' },
+        ],
+      } as never)
+      .mockResolvedValueOnce({ rows: [{ is_paused: false }] } as never);
+
+    const { splitTransfers } = await getSystemStats();
+
+    expect(splitTransfers).toEqual([
+      { leg: 'treasury', bps: 2000, totalTransferred: 1.5, transfers: 3 },
+      { leg: 'marketing', bps: 500, totalTransferred: 0, transfers: 0 },
+      { leg: 'dev', bps: 0, totalTransferred: 0.25, transfers: 2 },
+    ]);
+  });
+});
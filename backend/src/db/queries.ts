@@ -1,13 +1,38 @@
 import pool from './schema';
 import { log } from '../lib/logger';
 import {
+  AdminAuditEntry,
   ClaimRecord,
   BuybackRecord,
   BurnRecord,
+  BurnMode,
+  BuybackVenue,
+  CircuitBreakerRecord,
+  CircuitState,
+  FeeAccrualHistory,
+  BuybackPlanRecord,
+  BuybackCarryover,
+  BuybackPlanStatus,
+  BuybackTrancheRecord,
+  BuybackTrancheStatus,
+  FlowRunRecord,
+  FlowRunStatus,
+  FlowStep,
+  FlowStepState,
   MonitorCheck,
+  NotificationChannelType,
+  NotificationDeliveryStatus,
+  NotificationEvent,
+  NotificationOutboxRecord,
+  ReconciledRecordType,
+  ReconciliationFlag,
+  ReconciliationIssue,
+  SplitLegAmount,
+  SplitTransferRecord,
   SystemStats,
   TransactionHistoryItem,
 } from '../types';
+import { splitPolicy } from '../env';
 
 // ========================================
 // CLAIM OPERATIONS
@@ -17,11 +42,12 @@ export async function insertClaim(
   signature: string,
   claimedAmount: number,
   treasuryAmount: number,
-  buybackAmount: number
+  buybackAmount: number,
+  networkFee?: number
 ): Promise<number> {
   const query = `
-    INSERT INTO claims (signature, claimed_amount, treasury_amount, buyback_amount, status)
-    VALUES ($1, $2, $3, $4, 'pending')
+    INSERT INTO claims (signature, claimed_amount, treasury_amount, buyback_amount, network_fee, status)
+    VALUES ($1, $2, $3, $4, $5, 'pending')
     RETURNING id
   `;
 
@@ -30,6 +56,7 @@ export async function insertClaim(
     claimedAmount,
     treasuryAmount,
     buybackAmount,
+    networkFee ?? null,
   ]);
 
   const claimId = result.rows[0].id;
@@ -61,6 +88,13 @@ export async function getClaimById(id: number): Promise<ClaimRecord | null> {
   return result.rows[0] || null;
 }
 
+export async function getClaimBySignature(signature: string): Promise<ClaimRecord | null> {
+  const query = 'SELECT * FROM claims WHERE signature = $1';
+  const result = await pool.query(query, [signature]);
+  
+  return result.rows[0] || null;
+}
+
 export async function getRecentClaims(limit: number = 10): Promise<ClaimRecord[]> {
   const query = `
     SELECT * FROM claims 
@@ -72,19 +106,78 @@ export async function getRecentClaims(limit: number = 10): Promise<ClaimRecord[]
   return result.rows;
 }
 
+// ========================================
+// SPLIT TRANSFER OPERATIONS
+// ========================================
+
+export async function insertSplitTransfers(
+  claimId: number | null,
+  signature: string,
+  legs: SplitLegAmount[]
+): Promise<void> {
+  const query = `
+    INSERT INTO split_transfers (claim_id, leg, destination, bps, amount, signature, status)
+    VALUES ($1, $2, $3, $4, $5, $6, 'pending')
+    ON CONFLICT (signature, leg) DO NOTHING
+  `;
+
+  for (const leg of legs) {
+    await pool.query(query, [
+      claimId,
+      leg.name,
+      leg.destination,
+      leg.bps,
+      Math.floor(leg.amount * 1e9),
+      signature,
+    ]);
+  }
+
+  log.debug('Split transfer records inserted', { claimId, signature, legs: legs.length });
+}
+
+export async function updateSplitTransferStatus(
+  signature: string,
+  status: 'confirmed' | 'failed',
+  errorMessage?: string
+): Promise<void> {
+  const query = `
+    UPDATE split_transfers 
+    SET status = $1, error_message = $2
+    WHERE signature = $3
+  `;
+
+  await pool.query(query, [status, errorMessage, signature]);
+  log.debug('Split transfer status updated', { signature, status });
+}
+
+export async function getSplitTransfersByClaim(claimId: number): Promise<SplitTransferRecord[]> {
+  const query = `
+    SELECT * FROM split_transfers 
+    WHERE claim_id = $1
+    ORDER BY id ASC
+  `;
+
+  const result = await pool.query(query, [claimId]);
+  return result.rows;
+}
+
 // ========================================
 // BUYBACK OPERATIONS
 // ========================================
 
 export async function insertBuyback(
-  claimId: number,
+  claimId: number | null,
   signature: string,
   tokensPurchased: string,
-  solSpent: number
+  solSpent: number,
+  venue: BuybackVenue,
+  quote?: { quotedTokens: string; priceImpactBps: number },
+  networkFee?: number,
+  unspentAmount?: number // in lamports, left unbought by the price impact limit
 ): Promise<number> {
   const query = `
-    INSERT INTO buybacks (claim_id, signature, tokens_purchased, sol_spent, status)
-    VALUES ($1, $2, $3, $4, 'pending')
+    INSERT INTO buybacks (claim_id, signature, tokens_purchased, sol_spent, venue, quoted_tokens, price_impact_bps, network_fee, unspent_amount, status)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'pending')
     RETURNING id
   `;
 
@@ -93,10 +186,15 @@ export async function insertBuyback(
     signature,
     tokensPurchased,
     solSpent,
+    venue,
+    quote?.quotedTokens ?? null,
+    quote?.priceImpactBps ?? null,
+    networkFee ?? null,
+    unspentAmount || null,
   ]);
 
   const buybackId = result.rows[0].id;
-  log.debug('Buyback record inserted', { buybackId, claimId, signature });
+  log.debug('Buyback record inserted', { buybackId, claimId, signature, venue });
   
   return buybackId;
 }
@@ -104,15 +202,16 @@ export async function insertBuyback(
 export async function updateBuybackStatus(
   id: number,
   status: 'confirmed' | 'failed',
-  errorMessage?: string
+  errorMessage?: string,
+  blockNumber?: number
 ): Promise<void> {
   const query = `
     UPDATE buybacks 
-    SET status = $1, error_message = $2
+    SET status = $1, error_message = $2, block_number = COALESCE($4, block_number)
     WHERE id = $3
   `;
 
-  await pool.query(query, [status, errorMessage, id]);
+  await pool.query(query, [status, errorMessage, id, blockNumber]);
   log.debug('Buyback status updated', { id, status });
 }
 
@@ -123,25 +222,93 @@ export async function getBuybackById(id: number): Promise<BuybackRecord | null>
   return result.rows[0] || null;
 }
 
+export async function getBuybackBySignature(signature: string): Promise<BuybackRecord | null> {
+  const query = 'SELECT * FROM buybacks WHERE signature = $1';
+  const result = await pool.query(query, [signature]);
+  
+  return result.rows[0] || null;
+}
+
+/**
+ * SOL still to be bought that no buy is scheduled for: unspent amounts of
+ * confirmed shrunk buys and the remaining budget of failed tranche plans,
+ * not yet carried into a later buy
+ */
+export async function getBuybackCarryover(): Promise<BuybackCarryover> {
+  const buybacks = await pool.query(`
+    SELECT id, unspent_amount FROM buybacks
+    WHERE status = 'confirmed' AND unspent_amount > 0 AND carried_into IS NULL
+    ORDER BY id ASC
+  `);
+  const plans = await pool.query(`
+    SELECT id, remaining_amount FROM buyback_plans
+    WHERE status = 'failed' AND remaining_amount > 0 AND carried_into IS NULL
+    ORDER BY id ASC
+  `);
+
+  return {
+    buybackIds: buybacks.rows.map((row) => row.id),
+    planIds: plans.rows.map((row) => row.id),
+    amount:
+      buybacks.rows.reduce((sum, row) => sum + Number(row.unspent_amount), 0) +
+      plans.rows.reduce((sum, row) => sum + Number(row.remaining_amount), 0),
+  };
+}
+
+/**
+ * Mark carried-over amounts as spent by `buybackId`
+ */
+export async function markBuybackCarryoverSpent(
+  carryover: BuybackCarryover,
+  buybackId: number
+): Promise<void> {
+  if (carryover.buybackIds.length > 0) {
+    await pool.query(
+      'UPDATE buybacks SET carried_into = $1 WHERE id = ANY($2::int[]) AND carried_into IS NULL',
+      [buybackId, carryover.buybackIds]
+    );
+  }
+
+  if (carryover.planIds.length > 0) {
+    await pool.query(
+      'UPDATE buyback_plans SET carried_into = $1 WHERE id = ANY($2::int[]) AND carried_into IS NULL',
+      [buybackId, carryover.planIds]
+    );
+  }
+}
+
+export async function getConfirmedBuybackByClaim(claimId: number): Promise<BuybackRecord | null> {
+  const query = `
+    SELECT * FROM buybacks
+    WHERE claim_id = $1 AND status = 'confirmed'
+    ORDER BY id ASC
+    LIMIT 1
+  `;
+  const result = await pool.query(query, [claimId]);
+
+  return result.rows[0] || null;
+}
+
 // ========================================
 // BURN OPERATIONS
 // ========================================
 
 export async function insertBurn(
-  buybackId: number,
+  buybackId: number | null,
   signature: string,
-  tokensBurned: string
+  tokensBurned: string,
+  burnMode: BurnMode
 ): Promise<number> {
   const query = `
-    INSERT INTO burns (buyback_id, signature, tokens_burned, status)
-    VALUES ($1, $2, $3, 'pending')
+    INSERT INTO burns (buyback_id, signature, tokens_burned, burn_mode, status)
+    VALUES ($1, $2, $3, $4, 'pending')
     RETURNING id
   `;
 
-  const result = await pool.query(query, [buybackId, signature, tokensBurned]);
+  const result = await pool.query(query, [buybackId, signature, tokensBurned, burnMode]);
 
   const burnId = result.rows[0].id;
-  log.debug('Burn record inserted', { burnId, buybackId, signature });
+  log.debug('Burn record inserted', { burnId, buybackId, signature, burnMode });
   
   return burnId;
 }
@@ -149,44 +316,512 @@ export async function insertBurn(
 export async function updateBurnStatus(
   id: number,
   status: 'confirmed' | 'failed',
-  errorMessage?: string
+  errorMessage?: string,
+  blockNumber?: number
 ): Promise<void> {
   const query = `
     UPDATE burns 
-    SET status = $1, error_message = $2
+    SET status = $1, error_message = $2, block_number = COALESCE($4, block_number)
     WHERE id = $3
   `;
 
-  await pool.query(query, [status, errorMessage, id]);
+  await pool.query(query, [status, errorMessage, id, blockNumber]);
   log.debug('Burn status updated', { id, status });
 }
 
+export async function getBurnBySignature(signature: string): Promise<BurnRecord | null> {
+  const query = 'SELECT * FROM burns WHERE signature = $1';
+  const result = await pool.query(query, [signature]);
+  
+  return result.rows[0] || null;
+}
+
+export async function getConfirmedBurnByBuyback(buybackId: number): Promise<BurnRecord | null> {
+  const query = `
+    SELECT * FROM burns
+    WHERE buyback_id = $1 AND status = 'confirmed'
+    ORDER BY id ASC
+    LIMIT 1
+  `;
+  const result = await pool.query(query, [buybackId]);
+
+  return result.rows[0] || null;
+}
+
+// ========================================
+// FLOW RUN OPERATIONS
+// ========================================
+
+function mapFlowRun(row: any): FlowRunRecord {
+  return {
+    id: row.id,
+    status: row.status,
+    forced: row.forced,
+    estimatedAmount: Number(row.estimated_amount) / 1e9,
+    steps: row.steps,
+    claimId: row.claim_id ?? undefined,
+    buybackId: row.buyback_id ?? undefined,
+    burnId: row.burn_id ?? undefined,
+    errorMessage: row.error_message ?? undefined,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    completedAt: row.completed_at ?? undefined,
+  };
+}
+
+export async function createFlowRun(
+  forced: boolean,
+  estimatedAmount: number, // in lamports
+  steps: Record<FlowStep, FlowStepState>
+): Promise<FlowRunRecord> {
+  const query = `
+    INSERT INTO flow_runs (forced, estimated_amount, steps, status)
+    VALUES ($1, $2, $3, 'running')
+    RETURNING *
+  `;
+
+  const result = await pool.query(query, [forced, estimatedAmount, JSON.stringify(steps)]);
+
+  const run = mapFlowRun(result.rows[0]);
+  log.debug('Flow run created', { runId: run.id, forced });
+
+  return run;
+}
+
+export async function getFlowRunById(id: number): Promise<FlowRunRecord | null> {
+  const query = 'SELECT * FROM flow_runs WHERE id = $1';
+  const result = await pool.query(query, [id]);
+
+  return result.rows[0] ? mapFlowRun(result.rows[0]) : null;
+}
+
+/**
+ * Oldest run that never reached a terminal status (e.g. the process died mid-flow)
+ */
+export async function getUnfinishedFlowRun(): Promise<FlowRunRecord | null> {
+  const query = `
+    SELECT * FROM flow_runs
+    WHERE status = 'running'
+    ORDER BY created_at ASC
+    LIMIT 1
+  `;
+
+  const result = await pool.query(query);
+  return result.rows[0] ? mapFlowRun(result.rows[0]) : null;
+}
+
+/**
+ * Whether a running run already covers a claim (by ID, or by the claim
+ * signature of a run that crashed before the claim was recorded)
+ */
+export async function hasRunningFlowRunForClaim(claimId: number, signature: string): Promise<boolean> {
+  const query = `
+    SELECT 1 FROM flow_runs
+    WHERE status = 'running' AND (claim_id = $1 OR steps->'claim'->>'signature' = $2)
+    LIMIT 1
+  `;
+
+  const result = await pool.query(query, [claimId, signature]);
+  return result.rows.length > 0;
+}
+
+/**
+ * Most recent run that recorded a claim (or a buyback, see below)
+ */
+export async function getLatestFlowRunForClaim(claimId: number): Promise<FlowRunRecord | null> {
+  const query = `
+    SELECT * FROM flow_runs
+    WHERE claim_id = $1
+    ORDER BY created_at DESC
+    LIMIT 1
+  `;
+
+  const result = await pool.query(query, [claimId]);
+  return result.rows[0] ? mapFlowRun(result.rows[0]) : null;
+}
+
+export async function getLatestFlowRunForBuyback(buybackId: number): Promise<FlowRunRecord | null> {
+  const query = `
+    SELECT * FROM flow_runs
+    WHERE buyback_id = $1
+    ORDER BY created_at DESC
+    LIMIT 1
+  `;
+
+  const result = await pool.query(query, [buybackId]);
+  return result.rows[0] ? mapFlowRun(result.rows[0]) : null;
+}
+
+/**
+ * Put a failed run back to 'running' so the next executeClaimFlow resumes it
+ */
+export async function reopenFlowRun(id: number): Promise<void> {
+  const query = `
+    UPDATE flow_runs
+    SET status = 'running', error_message = NULL, completed_at = NULL, updated_at = NOW()
+    WHERE id = $1 AND status = 'failed'
+  `;
+
+  await pool.query(query, [id]);
+  log.debug('Flow run reopened', { id });
+}
+
+export async function getRecentFlowRuns(limit: number = 20): Promise<FlowRunRecord[]> {
+  const query = `
+    SELECT * FROM flow_runs
+    ORDER BY created_at DESC
+    LIMIT $1
+  `;
+
+  const result = await pool.query(query, [limit]);
+  return result.rows.map(mapFlowRun);
+}
+
+export async function updateFlowRunStep(
+  id: number,
+  step: FlowStep,
+  state: FlowStepState
+): Promise<void> {
+  const query = `
+    UPDATE flow_runs
+    SET steps = jsonb_set(steps, ARRAY[$2::text], $3::jsonb), updated_at = NOW()
+    WHERE id = $1
+  `;
+
+  await pool.query(query, [id, step, JSON.stringify(state)]);
+  log.debug('Flow run step updated', { id, step, status: state.status });
+}
+
+export async function updateFlowRun(
+  id: number,
+  updates: {
+    status?: FlowRunStatus;
+    claimId?: number;
+    buybackId?: number;
+    burnId?: number;
+    errorMessage?: string;
+  }
+): Promise<void> {
+  const fields = [];
+  const values: any[] = [];
+  let paramCount = 1;
+
+  if (updates.status !== undefined) {
+    fields.push(`status = $${paramCount++}`);
+    values.push(updates.status);
+    if (updates.status !== 'running') {
+      fields.push('completed_at = NOW()');
+    }
+  }
+  if (updates.claimId !== undefined) {
+    fields.push(`claim_id = $${paramCount++}`);
+    values.push(updates.claimId);
+  }
+  if (updates.buybackId !== undefined) {
+    fields.push(`buyback_id = $${paramCount++}`);
+    values.push(updates.buybackId);
+  }
+  if (updates.burnId !== undefined) {
+    fields.push(`burn_id = $${paramCount++}`);
+    values.push(updates.burnId);
+  }
+  if (updates.errorMessage !== undefined) {
+    fields.push(`error_message = $${paramCount++}`);
+    values.push(updates.errorMessage);
+  }
+
+  fields.push('updated_at = NOW()');
+  values.push(id);
+
+  const query = `
+    UPDATE flow_runs
+    SET ${fields.join(', ')}
+    WHERE id = $${paramCount}
+  `;
+
+  await pool.query(query, values);
+  log.debug('Flow run updated', { id, ...updates });
+}
+
+// ========================================
+// BUYBACK PLAN OPERATIONS
+// ========================================
+
+function mapBuybackPlan(row: any): BuybackPlanRecord {
+  return {
+    id: row.id,
+    claimId: row.claim_id,
+    totalAmount: Number(row.total_amount) / 1e9,
+    remainingAmount: Number(row.remaining_amount) / 1e9,
+    trancheCount: row.tranche_count,
+    windowEndsAt: row.window_ends_at,
+    status: row.status,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    completedAt: row.completed_at ?? undefined,
+    carriedInto: row.carried_into ?? undefined,
+  };
+}
+
+function mapBuybackTranche(row: any): BuybackTrancheRecord {
+  return {
+    id: row.id,
+    planId: row.plan_id,
+    claimId: row.claim_id,
+    trancheIndex: row.tranche_index,
+    scheduledAt: row.scheduled_at,
+    amount: row.amount !== null ? Number(row.amount) / 1e9 : undefined,
+    status: row.status,
+    attempts: row.attempts,
+    buySignature: row.buy_signature ?? undefined,
+    buybackId: row.buyback_id ?? undefined,
+    burnSignature: row.burn_signature ?? undefined,
+    burnId: row.burn_id ?? undefined,
+    buyPriorityFee: row.buy_priority_fee !== null ? Number(row.buy_priority_fee) : undefined,
+    burnPriorityFee: row.burn_priority_fee !== null ? Number(row.burn_priority_fee) : undefined,
+    lastValidBlockHeight: row.last_valid_block_height !== null
+      ? Number(row.last_valid_block_height)
+      : undefined,
+    errorMessage: row.error_message ?? undefined,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Create a buyback plan and all of its tranches in one transaction
+ */
+export async function createBuybackPlan(
+  claimId: number,
+  totalAmount: number, // in lamports
+  scheduledTimes: Date[]
+): Promise<BuybackPlanRecord> {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const planResult = await client.query(
+      `
+        INSERT INTO buyback_plans (claim_id, total_amount, remaining_amount, tranche_count, window_ends_at, status)
+        VALUES ($1, $2, $2, $3, $4, 'active')
+        RETURNING *
+      `,
+      [claimId, totalAmount, scheduledTimes.length, scheduledTimes[scheduledTimes.length - 1]]
+    );
+    const plan = mapBuybackPlan(planResult.rows[0]);
+
+    for (const [index, scheduledAt] of scheduledTimes.entries()) {
+      await client.query(
+        `
+          INSERT INTO buyback_tranches (plan_id, claim_id, tranche_index, scheduled_at, status)
+          VALUES ($1, $2, $3, $4, 'scheduled')
+        `,
+        [plan.id, claimId, index, scheduledAt]
+      );
+    }
+
+    await client.query('COMMIT');
+    log.debug('Buyback plan created', { planId: plan.id, claimId, tranches: scheduledTimes.length });
+
+    return plan;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+export async function getBuybackPlanById(id: number): Promise<BuybackPlanRecord | null> {
+  const query = 'SELECT * FROM buyback_plans WHERE id = $1';
+  const result = await pool.query(query, [id]);
+
+  return result.rows[0] ? mapBuybackPlan(result.rows[0]) : null;
+}
+
+export async function getBuybackPlanByClaim(claimId: number): Promise<BuybackPlanRecord | null> {
+  const query = 'SELECT * FROM buyback_plans WHERE claim_id = $1 ORDER BY id ASC LIMIT 1';
+  const result = await pool.query(query, [claimId]);
+
+  return result.rows[0] ? mapBuybackPlan(result.rows[0]) : null;
+}
+
+export async function getBuybackTranches(planId: number): Promise<BuybackTrancheRecord[]> {
+  const query = `
+    SELECT * FROM buyback_tranches
+    WHERE plan_id = $1
+    ORDER BY tranche_index ASC
+  `;
+
+  const result = await pool.query(query, [planId]);
+  return result.rows.map(mapBuybackTranche);
+}
+
+/**
+ * Next unsettled tranche of every active plan, if it is due. Tranches of a
+ * plan run strictly in order, so a plan never has two buys in flight.
+ */
+export async function getDueBuybackTranches(): Promise<BuybackTrancheRecord[]> {
+  const query = `
+    SELECT * FROM (
+      SELECT DISTINCT ON (t.plan_id) t.*
+      FROM buyback_tranches t
+      JOIN buyback_plans p ON p.id = t.plan_id
+      WHERE p.status = 'active'
+        AND t.status NOT IN ('confirmed', 'failed')
+      ORDER BY t.plan_id, t.tranche_index
+    ) next_tranches
+    WHERE scheduled_at <= NOW()
+    ORDER BY scheduled_at ASC
+  `;
+
+  const result = await pool.query(query);
+  return result.rows.map(mapBuybackTranche);
+}
+
+export async function updateBuybackTranche(
+  id: number,
+  updates: {
+    status?: BuybackTrancheStatus;
+    amount?: number; // in lamports
+    attempts?: number;
+    buySignature?: string;
+    buybackId?: number;
+    burnSignature?: string;
+    burnId?: number;
+    buyPriorityFee?: number; // in lamports
+    burnPriorityFee?: number; // in lamports
+    lastValidBlockHeight?: number;
+    errorMessage?: string | null;
+  }
+): Promise<void> {
+  const fields = [];
+  const values: any[] = [];
+  let paramCount = 1;
+
+  if (updates.status !== undefined) {
+    fields.push(`status = $${paramCount++}`);
+    values.push(updates.status);
+  }
+  if (updates.amount !== undefined) {
+    fields.push(`amount = $${paramCount++}`);
+    values.push(updates.amount);
+  }
+  if (updates.attempts !== undefined) {
+    fields.push(`attempts = $${paramCount++}`);
+    values.push(updates.attempts);
+  }
+  if (updates.buySignature !== undefined) {
+    fields.push(`buy_signature = $${paramCount++}`);
+    values.push(updates.buySignature);
+  }
+  if (updates.buybackId !== undefined) {
+    fields.push(`buyback_id = $${paramCount++}`);
+    values.push(updates.buybackId);
+  }
+  if (updates.burnSignature !== undefined) {
+    fields.push(`burn_signature = $${paramCount++}`);
+    values.push(updates.burnSignature);
+  }
+  if (updates.burnId !== undefined) {
+    fields.push(`burn_id = $${paramCount++}`);
+    values.push(updates.burnId);
+  }
+  if (updates.buyPriorityFee !== undefined) {
+    fields.push(`buy_priority_fee = $${paramCount++}`);
+    values.push(updates.buyPriorityFee);
+  }
+  if (updates.burnPriorityFee !== undefined) {
+    fields.push(`burn_priority_fee = $${paramCount++}`);
+    values.push(updates.burnPriorityFee);
+  }
+  if (updates.lastValidBlockHeight !== undefined) {
+    fields.push(`last_valid_block_height = $${paramCount++}`);
+    values.push(updates.lastValidBlockHeight);
+  }
+  if (updates.errorMessage !== undefined) {
+    fields.push(`error_message = $${paramCount++}`);
+    values.push(updates.errorMessage);
+  }
+
+  fields.push('updated_at = NOW()');
+  values.push(id);
+
+  const query = `
+    UPDATE buyback_tranches
+    SET ${fields.join(', ')}
+    WHERE id = $${paramCount}
+  `;
+
+  await pool.query(query, values);
+  log.debug('Buyback tranche updated', { id, ...updates });
+}
+
+/**
+ * Take a spent tranche amount off the plan's remaining budget
+ */
+export async function spendBuybackPlanBudget(
+  planId: number,
+  amount: number // in lamports
+): Promise<void> {
+  const query = `
+    UPDATE buyback_plans
+    SET remaining_amount = GREATEST(remaining_amount - $1, 0), updated_at = NOW()
+    WHERE id = $2
+  `;
+
+  await pool.query(query, [amount, planId]);
+}
+
+export async function updateBuybackPlanStatus(
+  planId: number,
+  status: BuybackPlanStatus
+): Promise<void> {
+  const query = `
+    UPDATE buyback_plans
+    SET status = $1, updated_at = NOW(), completed_at = CASE WHEN $1 = 'active' THEN NULL ELSE NOW() END
+    WHERE id = $2
+  `;
+
+  await pool.query(query, [status, planId]);
+  log.debug('Buyback plan status updated', { planId, status });
+}
+
 // ========================================
 // MONITOR OPERATIONS
 // ========================================
 
+/**
+ * Save a fee check, sampled: skipped when another check was saved in the
+ * last `sampleMinutes`, unless it met the threshold (0 saves every check).
+ * Sampling is decided in the database, so it holds across instances.
+ *
+ * Never throws: a failed write must not fail the fee check.
+ *
+ * @returns Whether the check was saved
+ */
 export async function insertMonitorCheck(
   claimableFees: number,
   threshold: number,
-  thresholdMet: boolean
-): Promise<void> {
-  // Disabled for quick launch - just log instead
-  log.info('Monitor check (not saved to DB)', { 
-    claimableFees, 
-    threshold, 
-    thresholdMet 
-  });
-  return;
-  
-  // Original code commented out:
-  // try {
-  //   await pool.query(
-  //     `INSERT INTO monitor_checks (claimable_fees, threshold, threshold_met) VALUES ($1, $2, $3)`,
-  //     [claimableFees, threshold, thresholdMet]
-  //   );
-  // } catch (error) {
-  //   log.error('Failed to insert monitor check', error);
-  // }
+  triggered: boolean,
+  sampleMinutes: number = 0
+): Promise<boolean> {
+  const query = `
+    INSERT INTO monitor_checks (claimable_fees, threshold, triggered)
+    SELECT $1::bigint, $2::bigint, $3::boolean
+    WHERE $3::boolean OR NOT EXISTS (
+      SELECT 1 FROM monitor_checks
+      WHERE timestamp > NOW() - make_interval(mins => $4)
+    )
+  `;
+
+  try {
+    const result = await pool.query(query, [claimableFees, threshold, triggered, sampleMinutes]);
+    return (result.rowCount || 0) > 0;
+  } catch (error) {
+    log.error('Failed to insert monitor check', error);
+    return false;
+  }
 }
 
 export async function getRecentMonitorChecks(limit: number = 100): Promise<MonitorCheck[]> {
@@ -218,6 +853,9 @@ export async function updateSystemStatus(updates: {
   totalClaims?: number;
   errorCount?: number;
   lastError?: string;
+  pauseReason?: string | null;
+  pausedBy?: 'admin' | 'circuit_breaker' | null;
+  lowBalanceSince?: Date | null;
 }): Promise<void> {
   const fields = [];
   const values = [];
@@ -226,6 +864,15 @@ export async function updateSystemStatus(updates: {
   if (updates.isPaused !== undefined) {
     fields.push(`is_paused = $${paramCount++}`);
     values.push(updates.isPaused);
+    fields.push(updates.isPaused ? 'paused_at = NOW()' : 'paused_at = NULL');
+  }
+  if (updates.pauseReason !== undefined) {
+    fields.push(`pause_reason = $${paramCount++}`);
+    values.push(updates.pauseReason);
+  }
+  if (updates.pausedBy !== undefined) {
+    fields.push(`paused_by = $${paramCount++}`);
+    values.push(updates.pausedBy);
   }
   if (updates.lastCheckTimestamp !== undefined) {
     fields.push(`last_check_timestamp = $${paramCount++}`);
@@ -247,6 +894,10 @@ export async function updateSystemStatus(updates: {
     fields.push(`last_error = $${paramCount++}`, `last_error_timestamp = NOW()`);
     values.push(updates.lastError);
   }
+  if (updates.lowBalanceSince !== undefined) {
+    fields.push(`low_balance_since = $${paramCount++}`);
+    values.push(updates.lowBalanceSince);
+  }
 
   fields.push('updated_at = NOW()');
 
@@ -259,16 +910,580 @@ export async function updateSystemStatus(updates: {
   await pool.query(query, values);
 }
 
-export async function pauseSystem(): Promise<void> {
-  await updateSystemStatus({ isPaused: true });
-  log.info('System paused via database');
+export async function pauseSystem(
+  reason?: string,
+  pausedBy: 'admin' | 'circuit_breaker' = 'admin'
+): Promise<void> {
+  await updateSystemStatus({ isPaused: true, pauseReason: reason ?? null, pausedBy });
+  log.info('System paused via database', { reason, pausedBy });
 }
 
 export async function resumeSystem(): Promise<void> {
-  await updateSystemStatus({ isPaused: false });
+  await updateSystemStatus({ isPaused: false, pauseReason: null, pausedBy: null });
   log.info('System resumed via database');
 }
 
+// ========================================
+// CLAIM LOCK OPERATIONS
+// ========================================
+
+/**
+ * Take the claim lease if it is free or expired. The conditional UPDATE
+ * serializes on the row, so of two concurrent callers only one gets it.
+ */
+export async function acquireClaimLease(
+  leaseId: string,
+  holder: string,
+  operation: string,
+  ttlSeconds: number
+): Promise<boolean> {
+  const result = await pool.query(
+    `UPDATE claim_lock
+     SET lease_id = $1, holder = $2, operation = $3,
+         acquired_at = NOW(), expires_at = NOW() + make_interval(secs => $4)
+     WHERE id = 1 AND (lease_id IS NULL OR expires_at <= NOW())`,
+    [leaseId, holder, operation, ttlSeconds]
+  );
+
+  return result.rowCount === 1;
+}
+
+/**
+ * Extend a held lease. Returns false if it expired and was taken over.
+ */
+export async function renewClaimLease(leaseId: string, ttlSeconds: number): Promise<boolean> {
+  const result = await pool.query(
+    `UPDATE claim_lock
+     SET expires_at = NOW() + make_interval(secs => $2)
+     WHERE id = 1 AND lease_id = $1`,
+    [leaseId, ttlSeconds]
+  );
+
+  return result.rowCount === 1;
+}
+
+export async function releaseClaimLease(leaseId: string): Promise<void> {
+  await pool.query(
+    `UPDATE claim_lock
+     SET lease_id = NULL, holder = NULL, operation = NULL,
+         acquired_at = NULL, expires_at = NULL
+     WHERE id = 1 AND lease_id = $1`,
+    [leaseId]
+  );
+}
+
+export async function getClaimLease() {
+  const result = await pool.query(
+    `SELECT *, (lease_id IS NOT NULL AND expires_at > NOW()) AS active
+     FROM claim_lock WHERE id = 1`
+  );
+  return result.rows[0];
+}
+
+// ========================================
+// CIRCUIT BREAKER OPERATIONS
+// ========================================
+
+function mapCircuitBreaker(row: any): CircuitBreakerRecord {
+  return {
+    step: row.step,
+    state: row.state,
+    consecutiveFailures: row.consecutive_failures,
+    lastError: row.last_error ?? undefined,
+    lastFailureAt: row.last_failure_at ?? undefined,
+    openedAt: row.opened_at ?? undefined,
+    updatedAt: row.updated_at,
+  };
+}
+
+export async function getCircuitBreakers(): Promise<CircuitBreakerRecord[]> {
+  const result = await pool.query('SELECT * FROM circuit_breakers ORDER BY step');
+  return result.rows.map(mapCircuitBreaker);
+}
+
+/**
+ * Count one more consecutive failure of a step
+ */
+export async function incrementCircuitFailures(
+  step: FlowStep,
+  error: string
+): Promise<CircuitBreakerRecord> {
+  const result = await pool.query(
+    `UPDATE circuit_breakers
+     SET consecutive_failures = consecutive_failures + 1, last_error = $2,
+         last_failure_at = NOW(), updated_at = NOW()
+     WHERE step = $1
+     RETURNING *`,
+    [step, error]
+  );
+
+  return mapCircuitBreaker(result.rows[0]);
+}
+
+/**
+ * Clear a step's failure count and close its breaker. Returns the state it
+ * had before, or null if it was already closed with no failures.
+ */
+export async function resetCircuitStep(step: FlowStep): Promise<CircuitState | null> {
+  const result = await pool.query(
+    `UPDATE circuit_breakers AS cb
+     SET state = 'closed', consecutive_failures = 0, opened_at = NULL, updated_at = NOW()
+     FROM (SELECT state FROM circuit_breakers WHERE step = $1) AS before
+     WHERE cb.step = $1 AND (cb.consecutive_failures > 0 OR cb.state <> 'closed')
+     RETURNING before.state`,
+    [step]
+  );
+
+  return result.rows[0]?.state ?? null;
+}
+
+export async function setCircuitState(steps: FlowStep[], state: CircuitState): Promise<void> {
+  await pool.query(
+    `UPDATE circuit_breakers
+     SET state = $2,
+         opened_at = CASE WHEN $2 = 'open' THEN NOW() ELSE opened_at END,
+         updated_at = NOW()
+     WHERE step = ANY($1)`,
+    [steps, state]
+  );
+}
+
+export async function resetAllCircuits(): Promise<void> {
+  await pool.query(
+    `UPDATE circuit_breakers
+     SET state = 'closed', consecutive_failures = 0, opened_at = NULL, updated_at = NOW()`
+  );
+}
+
+// ========================================
+// NOTIFICATION OUTBOX
+// ========================================
+
+function mapOutboxRecord(row: any): NotificationOutboxRecord {
+  return {
+    id: row.id,
+    event: row.event,
+    channel: row.channel,
+    payload: row.payload,
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    lastError: row.last_error ?? undefined,
+    createdAt: row.created_at,
+    deliveredAt: row.delivered_at ?? undefined,
+  };
+}
+
+/**
+ * Queue an event for each channel, leased for `leaseSeconds` so the caller
+ * can deliver it right away without the retry job picking it up too
+ */
+export async function insertOutboxNotifications(
+  event: NotificationEvent,
+  channels: NotificationChannelType[],
+  leaseSeconds: number
+): Promise<NotificationOutboxRecord[]> {
+  const query = `
+    INSERT INTO notification_outbox (event, channel, payload, next_attempt_at)
+    SELECT $1, channel, $3, NOW() + make_interval(secs => $4)
+    FROM UNNEST($2::varchar[]) AS channel
+    RETURNING *
+  `;
+
+  const result = await pool.query(query, [event.event, channels, JSON.stringify(event), leaseSeconds]);
+  return result.rows.map(mapOutboxRecord);
+}
+
+/**
+ * Take up to `limit` pending notifications that are due, pushing their next
+ * attempt `leaseSeconds` ahead so other instances skip them meanwhile
+ */
+export async function leaseDueNotifications(
+  limit: number,
+  leaseSeconds: number
+): Promise<NotificationOutboxRecord[]> {
+  const query = `
+    UPDATE notification_outbox
+    SET next_attempt_at = NOW() + make_interval(secs => $2), updated_at = NOW()
+    WHERE id IN (
+      SELECT id FROM notification_outbox
+      WHERE status = 'pending' AND next_attempt_at <= NOW()
+      ORDER BY next_attempt_at ASC
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `;
+
+  const result = await pool.query(query, [limit, leaseSeconds]);
+  return result.rows.map(mapOutboxRecord);
+}
+
+export async function markNotificationDelivered(id: number): Promise<void> {
+  const query = `
+    UPDATE notification_outbox
+    SET status = 'delivered', attempts = attempts + 1, last_error = NULL,
+        delivered_at = NOW(), updated_at = NOW()
+    WHERE id = $1
+  `;
+
+  await pool.query(query, [id]);
+}
+
+/**
+ * Record a failed attempt: retried at `nextAttemptAt`, or dead-lettered when null
+ */
+export async function markNotificationFailed(
+  id: number,
+  error: string,
+  nextAttemptAt: Date | null
+): Promise<void> {
+  const query = `
+    UPDATE notification_outbox
+    SET status = CASE WHEN $3::timestamp IS NULL THEN 'dead' ELSE 'pending' END,
+        attempts = attempts + 1,
+        last_error = $2,
+        next_attempt_at = COALESCE($3, next_attempt_at),
+        updated_at = NOW()
+    WHERE id = $1
+  `;
+
+  await pool.query(query, [id, error, nextAttemptAt]);
+}
+
+export async function getOutboxNotifications(
+  status: NotificationDeliveryStatus | undefined,
+  limit: number,
+  offset: number = 0
+): Promise<NotificationOutboxRecord[]> {
+  const query = `
+    SELECT * FROM notification_outbox
+    WHERE ($1::varchar IS NULL OR status = $1)
+    ORDER BY created_at DESC, id DESC
+    LIMIT $2 OFFSET $3
+  `;
+
+  const result = await pool.query(query, [status ?? null, limit, offset]);
+  return result.rows.map(mapOutboxRecord);
+}
+
+export async function getOutboxNotificationById(id: number): Promise<NotificationOutboxRecord | null> {
+  const query = 'SELECT * FROM notification_outbox WHERE id = $1';
+  const result = await pool.query(query, [id]);
+
+  return result.rows[0] ? mapOutboxRecord(result.rows[0]) : null;
+}
+
+/**
+ * Give a dead notification a fresh set of attempts, leased to the caller
+ *
+ * @returns The notification, or null if it is not dead (any more)
+ */
+export async function requeueDeadNotification(
+  id: number,
+  leaseSeconds: number
+): Promise<NotificationOutboxRecord | null> {
+  const query = `
+    UPDATE notification_outbox
+    SET status = 'pending', attempts = 0,
+        next_attempt_at = NOW() + make_interval(secs => $2), updated_at = NOW()
+    WHERE id = $1 AND status = 'dead'
+    RETURNING *
+  `;
+
+  const result = await pool.query(query, [id, leaseSeconds]);
+  return result.rows[0] ? mapOutboxRecord(result.rows[0]) : null;
+}
+
+// ========================================
+// ADMIN AUDIT
+// ========================================
+
+function mapAdminAuditEntry(row: any): AdminAuditEntry {
+  return {
+    id: row.id,
+    keyId: row.key_id ?? undefined,
+    action: row.action,
+    params: row.params,
+    ip: row.ip ?? undefined,
+    statusCode: row.status_code,
+    result: row.result,
+    error: row.error ?? undefined,
+    createdAt: row.created_at,
+  };
+}
+
+export async function insertAdminAudit(
+  entry: Omit<AdminAuditEntry, 'id' | 'createdAt'>
+): Promise<void> {
+  const query = `
+    INSERT INTO admin_audit (key_id, action, params, ip, status_code, result, error)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+  `;
+
+  await pool.query(query, [
+    entry.keyId ?? null,
+    entry.action,
+    JSON.stringify(entry.params),
+    entry.ip ?? null,
+    entry.statusCode,
+    entry.result,
+    entry.error ?? null,
+  ]);
+}
+
+/**
+ * Audit entries, newest first, optionally for one action and/or admin key
+ */
+export async function getAdminAudit(
+  filters: { action?: string; keyId?: string },
+  limit: number,
+  offset: number = 0
+): Promise<AdminAuditEntry[]> {
+  const query = `
+    SELECT * FROM admin_audit
+    WHERE ($1::varchar IS NULL OR action = $1)
+      AND ($2::varchar IS NULL OR key_id = $2)
+    ORDER BY created_at DESC, id DESC
+    LIMIT $3 OFFSET $4
+  `;
+
+  const result = await pool.query(query, [
+    filters.action ?? null,
+    filters.keyId ?? null,
+    limit,
+    offset,
+  ]);
+  return result.rows.map(mapAdminAuditEntry);
+}
+
+// ========================================
+// PENDING TRANSACTION RECOVERY
+// ========================================
+
+export interface PendingRecord {
+  recordType: ReconciledRecordType;
+  id: number;
+  signature: string;
+  claimId?: number; // claim the row belongs to (via its buyback for burns)
+  timestamp: Date;
+}
+
+/**
+ * Rows still 'pending' after `minAgeSeconds`, oldest first
+ */
+export async function getPendingRecords(minAgeSeconds: number): Promise<PendingRecord[]> {
+  const query = `
+    SELECT 'claim' AS record_type, id, signature, id AS claim_id, timestamp
+    FROM claims WHERE status = 'pending' AND timestamp < NOW() - make_interval(secs => $1)
+    UNION ALL
+    SELECT 'split_transfer', MIN(id), signature, MIN(claim_id), MIN(timestamp)
+    FROM split_transfers WHERE status = 'pending' AND timestamp < NOW() - make_interval(secs => $1)
+    GROUP BY signature
+    UNION ALL
+    SELECT 'buyback', id, signature, claim_id, timestamp
+    FROM buybacks WHERE status = 'pending' AND timestamp < NOW() - make_interval(secs => $1)
+    UNION ALL
+    SELECT 'burn', b.id, b.signature, bb.claim_id, b.timestamp
+    FROM burns b LEFT JOIN buybacks bb ON b.buyback_id = bb.id
+    WHERE b.status = 'pending' AND b.timestamp < NOW() - make_interval(secs => $1)
+    ORDER BY timestamp ASC
+  `;
+
+  const result = await pool.query(query, [minAgeSeconds]);
+
+  return result.rows.map((row) => ({
+    recordType: row.record_type,
+    id: row.id,
+    signature: row.signature,
+    claimId: row.claim_id ?? undefined,
+    timestamp: row.timestamp,
+  }));
+}
+
+// ========================================
+// STRANDED TOKEN SWEEP
+// ========================================
+
+/**
+ * Confirmed buybacks whose tokens were never burned: neither their own burn
+ * nor a sweep burn is confirmed, oldest first
+ */
+export async function getStrandedBuybacks(): Promise<BuybackRecord[]> {
+  const query = `
+    SELECT bb.* FROM buybacks bb
+    WHERE bb.status = 'confirmed'
+      AND NOT EXISTS (
+        SELECT 1 FROM burns b
+        WHERE b.status = 'confirmed' AND (b.buyback_id = bb.id OR b.id = bb.sweep_burn_id)
+      )
+    ORDER BY bb.id ASC
+  `;
+  const result = await pool.query(query);
+
+  return result.rows;
+}
+
+/**
+ * Whether a flow run or tranche may still be between its buy and its burn,
+ * i.e. the creator wallet may hold tokens it is about to burn itself
+ */
+export async function hasBurnInFlight(): Promise<boolean> {
+  const query = `
+    SELECT
+      EXISTS (SELECT 1 FROM flow_runs WHERE status = 'running')
+      OR EXISTS (
+        SELECT 1 FROM buyback_tranches WHERE status IN ('buy_sent', 'bought', 'burn_sent')
+      ) AS in_flight
+  `;
+  const result = await pool.query(query);
+
+  return result.rows[0].in_flight;
+}
+
+export async function linkSweepBurn(burnId: number, buybackIds: number[]): Promise<void> {
+  const query = 'UPDATE buybacks SET sweep_burn_id = $1 WHERE id = ANY($2)';
+  await pool.query(query, [burnId, buybackIds]);
+}
+
+// ========================================
+// RECONCILIATION OPERATIONS
+// ========================================
+
+const RECORD_TABLES: Record<ReconciledRecordType, string> = {
+  claim: 'claims',
+  split_transfer: 'split_transfers',
+  buyback: 'buybacks',
+  burn: 'burns',
+};
+
+export async function getSplitTransfersBySignature(signature: string): Promise<SplitTransferRecord[]> {
+  const query = 'SELECT * FROM split_transfers WHERE signature = $1 ORDER BY id ASC';
+  const result = await pool.query(query, [signature]);
+
+  return result.rows;
+}
+
+/**
+ * Latest confirmed claim (or buyback) at or before a time, used to link
+ * backfilled rows to the claim (or buy) they came from
+ */
+export async function getLatestClaimIdBefore(timestamp: Date): Promise<number | null> {
+  const result = await pool.query(
+    `SELECT id FROM claims WHERE status = 'confirmed' AND timestamp <= $1
+     ORDER BY timestamp DESC LIMIT 1`,
+    [timestamp]
+  );
+
+  return result.rows[0]?.id ?? null;
+}
+
+export async function getLatestBuybackIdBefore(timestamp: Date): Promise<number | null> {
+  const result = await pool.query(
+    `SELECT id FROM buybacks WHERE status = 'confirmed' AND timestamp <= $1
+     ORDER BY timestamp DESC LIMIT 1`,
+    [timestamp]
+  );
+
+  return result.rows[0]?.id ?? null;
+}
+
+/**
+ * Set the timestamp of backfilled rows to the transaction's block time
+ */
+export async function setRecordTimestamp(
+  recordType: ReconciledRecordType,
+  signature: string,
+  timestamp: Date
+): Promise<void> {
+  await pool.query(
+    `UPDATE ${RECORD_TABLES[recordType]} SET timestamp = $2 WHERE signature = $1`,
+    [signature, timestamp]
+  );
+}
+
+/**
+ * Signatures of every confirmed row recorded within a time range
+ */
+export async function getConfirmedRecordsBetween(
+  from: Date,
+  to: Date
+): Promise<{ recordType: ReconciledRecordType; id: number; signature: string }[]> {
+  const selects = Object.entries(RECORD_TABLES).map(
+    ([recordType, table]) =>
+      `SELECT '${recordType}' AS record_type, id, signature FROM ${table}
+       WHERE status = 'confirmed' AND timestamp BETWEEN $1 AND $2`
+  );
+
+  const result = await pool.query(selects.join(' UNION ALL '), [from, to]);
+
+  return result.rows.map((row) => ({
+    recordType: row.record_type,
+    id: row.id,
+    signature: row.signature,
+  }));
+}
+
+export async function upsertReconciliationFlag(flag: {
+  recordType: ReconciledRecordType;
+  recordId?: number;
+  signature: string;
+  issue: ReconciliationIssue;
+  recordedValue?: string;
+  onChainValue?: string;
+}): Promise<void> {
+  await pool.query(
+    `INSERT INTO reconciliation_flags (record_type, record_id, signature, issue, recorded_value, on_chain_value)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (record_type, signature, issue) DO UPDATE
+     SET record_id = EXCLUDED.record_id, recorded_value = EXCLUDED.recorded_value,
+         on_chain_value = EXCLUDED.on_chain_value, detected_at = NOW(), resolved_at = NULL`,
+    [
+      flag.recordType,
+      flag.recordId ?? null,
+      flag.signature,
+      flag.issue,
+      flag.recordedValue ?? null,
+      flag.onChainValue ?? null,
+    ]
+  );
+}
+
+/**
+ * Resolve the open flags of a row except the issues still present
+ */
+export async function resolveReconciliationFlags(
+  recordType: ReconciledRecordType,
+  signature: string,
+  openIssues: ReconciliationIssue[]
+): Promise<void> {
+  await pool.query(
+    `UPDATE reconciliation_flags SET resolved_at = NOW()
+     WHERE record_type = $1 AND signature = $2 AND resolved_at IS NULL
+       AND NOT (issue = ANY($3))`,
+    [recordType, signature, openIssues]
+  );
+}
+
+export async function getOpenReconciliationFlags(limit: number = 100): Promise<ReconciliationFlag[]> {
+  const result = await pool.query(
+    `SELECT * FROM reconciliation_flags WHERE resolved_at IS NULL
+     ORDER BY detected_at DESC LIMIT $1`,
+    [limit]
+  );
+
+  return result.rows.map((row) => ({
+    id: row.id,
+    recordType: row.record_type,
+    recordId: row.record_id ?? undefined,
+    signature: row.signature,
+    issue: row.issue,
+    recordedValue: row.recorded_value ?? undefined,
+    onChainValue: row.on_chain_value ?? undefined,
+    detectedAt: row.detected_at,
+  }));
+}
+
 // ========================================
 // ANALYTICS & STATS
 // ========================================
@@ -283,12 +1498,25 @@ export async function getSystemStats(): Promise<SystemStats> {
       (SELECT total_claims FROM stats_total) as total_claims,
       (SELECT total_buybacks FROM stats_buybacks) as total_buybacks,
       (SELECT total_burns FROM stats_burns) as total_burns,
+      (SELECT incinerator_burns FROM stats_burns) as incinerator_burns,
+      (SELECT spl_burns FROM stats_burns) as spl_burns,
+      (SELECT COALESCE(SUM(remaining_amount), 0) FROM buyback_plans WHERE status = 'active') as pending_buyback_budget,
       (SELECT (EXTRACT(EPOCH FROM MAX(timestamp)) * 1000)::bigint FROM claims WHERE status = 'confirmed') as last_claim_timestamp
   `;
 
   const result = await pool.query(statsQuery);
   const row = result.rows[0];
 
+  const splitResult = await pool.query('SELECT * FROM stats_split_transfers');
+  const splitTotals = new Map<string, any>(splitResult.rows.map((r) => [r.leg, r]));
+
+  // Configured legs first (even before their first transfer), then any
+  // legs that have since been removed from the policy
+  const splitLegs = [
+    ...splitPolicy.filter((leg) => leg.destination).map((leg) => leg.name),
+    ...splitResult.rows.map((r) => r.leg),
+  ].filter((leg, index, all) => all.indexOf(leg) === index);
+
   const systemStatus = await getSystemStatus();
 
   return {
@@ -296,9 +1524,21 @@ export async function getSystemStats(): Promise<SystemStats> {
     totalTreasuryTransferred: Number(row.total_treasury_transferred || 0) / 1e9,
     totalBuybackSpent: Number(row.total_buyback_spent || 0) / 1e9,
     totalTokensBurned: row.total_tokens_burned || '0',
+    tokenDecimals: systemStatus?.token_decimals ?? undefined,
     totalClaims: Number(row.total_claims || 0),
     totalBuybacks: Number(row.total_buybacks || 0),
     totalBurns: Number(row.total_burns || 0),
+    pendingBuybackBudget: Number(row.pending_buyback_budget || 0) / 1e9,
+    splitTransfers: splitLegs.map((leg) => ({
+      leg,
+      bps: splitPolicy.find((configured) => configured.name === leg)?.bps ?? 0,
+      totalTransferred: Number(splitTotals.get(leg)?.total_transferred || 0) / 1e9,
+      transfers: Number(splitTotals.get(leg)?.total_transfers || 0),
+    })),
+    burnsByMode: {
+      incinerator: Number(row.incinerator_burns || 0),
+      'spl-burn': Number(row.spl_burns || 0),
+    },
     lastClaimTimestamp: row.last_claim_timestamp || undefined,
     nextCheckTimestamp: 0,
     currentClaimableFees: 0,
@@ -315,7 +1555,9 @@ export async function getTransactionHistory(limit: number = 50): Promise<Transac
       b.tokens_burned as amount,
       (EXTRACT(EPOCH FROM b.timestamp) * 1000)::bigint as timestamp,
       b.status,
-      bb.sol_spent
+      b.burn_mode,
+      bb.sol_spent,
+      bb.venue as buyback_venue
     FROM burns b
     LEFT JOIN buybacks bb ON b.buyback_id = bb.id
     WHERE b.status = 'confirmed'
@@ -332,10 +1574,72 @@ export async function getTransactionHistory(limit: number = 50): Promise<Transac
     timestamp: Number(row.timestamp),  // ✅ Convert to number!
     status: row.status,
     sol_spent: row.sol_spent ? Number(row.sol_spent) / 1e9 : 0,
+    burn_mode: row.burn_mode,
+    buyback_venue: row.buyback_venue,
     explorerUrl: `https://solscan.io/tx/${row.signature}`,
   }));
 }
 
+/**
+ * Saved fee checks of the last `hours`, grouped into buckets
+ *
+ * Accrual is the sum of fee increases between consecutive checks, so the
+ * drop a claim causes doesn't cancel out what accrued before it.
+ */
+export async function getFeeAccrualHistory(
+  hours: number,
+  bucketMinutes: number
+): Promise<FeeAccrualHistory> {
+  const query = `
+    WITH checks AS (
+      SELECT
+        timestamp,
+        claimable_fees,
+        claimable_fees - LAG(claimable_fees) OVER (ORDER BY timestamp) AS delta
+      FROM monitor_checks
+      WHERE timestamp >= NOW() - make_interval(hours => $1)
+    )
+    SELECT
+      (FLOOR(EXTRACT(EPOCH FROM timestamp) / $2) * $2 * 1000)::bigint AS bucket,
+      COUNT(*) AS checks,
+      (ARRAY_AGG(claimable_fees ORDER BY timestamp DESC))[1] AS last_fees,
+      MIN(claimable_fees) AS min_fees,
+      MAX(claimable_fees) AS max_fees,
+      COALESCE(SUM(GREATEST(delta, 0)), 0) AS accrued,
+      (EXTRACT(EPOCH FROM MIN(timestamp)) * 1000)::bigint AS first_at,
+      (EXTRACT(EPOCH FROM MAX(timestamp)) * 1000)::bigint AS last_at
+    FROM checks
+    GROUP BY bucket
+    ORDER BY bucket
+  `;
+
+  const result = await pool.query(query, [hours, bucketMinutes * 60]);
+  const rows = result.rows;
+
+  const buckets = rows.map((row) => ({
+    timestamp: Number(row.bucket),
+    checks: Number(row.checks),
+    claimableFees: Number(row.last_fees) / 1e9,
+    minClaimableFees: Number(row.min_fees) / 1e9,
+    maxClaimableFees: Number(row.max_fees) / 1e9,
+    accrued: Number(row.accrued) / 1e9,
+  }));
+
+  const accrued = buckets.reduce((sum, bucket) => sum + bucket.accrued, 0);
+  const spanHours = rows.length
+    ? (Number(rows[rows.length - 1].last_at) - Number(rows[0].first_at)) / 3_600_000
+    : 0;
+
+  return {
+    hours,
+    bucketMinutes,
+    buckets,
+    accrued,
+    spanHours,
+    accrualRatePerHour: spanHours > 0 ? accrued / spanHours : 0,
+  };
+}
+
 // ========================================
 // CLEANUP & MAINTENANCE
 // ========================================
@@ -343,12 +1647,14 @@ export async function getTransactionHistory(limit: number = 50): Promise<Transac
 export async function cleanupOldMonitorChecks(daysToKeep: number = 30): Promise<number> {
   const query = `
     DELETE FROM monitor_checks
-    WHERE timestamp < NOW() - INTERVAL '${daysToKeep} days'
+    WHERE timestamp < NOW() - make_interval(days => $1)
   `;
 
-  const result = await pool.query(query);
+  const result = await pool.query(query, [daysToKeep]);
   const deleted = result.rowCount || 0;
-  
-  log.info('Old monitor checks cleaned up', { deleted, daysToKeep });
+
+  if (deleted > 0) {
+    log.info('Old monitor checks cleaned up', { deleted, daysToKeep });
+  }
   return deleted;
 }
\ No newline at end of file
@@ -0,0 +1,45 @@
+import { beforeEach, describe, expect, it, jest } from '@jest/globals';
+import { migrateTokenDecimals } from './schema';
+import { getMintDecimals } from '../lib/solana';
+
+const mockQuery = jest.fn<(sql: string, params?: unknown[]) => Promise<{ rows: any[] }>>();
+
+// The pool and its clients share one query mock; the pool is created on import
+jest.mock('pg', () => ({
+  Pool: jest.fn(() => ({
+    on: jest.fn(),
+    query: (sql: string, params?: unknown[]) => mockQuery(sql, params),
+    connect: async () => ({ query: mockQuery, release: jest.fn() }),
+  })),
+}));
+jest.mock('../env', () => ({ databaseUrl: 'postgres://test', tokenMint: '11111111111111111111111111111111' }));
+jest.mock('../lib/logger', () => ({ log: { info: jest.fn(), error: jest.fn(), debug: jest.fn() } }));
+jest.mock('../lib/solana', () => ({ getMintDecimals: jest.fn() }));
+
+describe('migrateTokenDecimals', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.mocked(getMintDecimals).mockResolvedValue(9);
+  });
+
+  it('scales earlier token amounts by the mint decimals once and records them', async () => {
+    mockQuery.mockResolvedValue({ rows: [{ token_decimals: null }] });
+
+    await migrateTokenDecimals();
+
+    const statements = mockQuery.mock.calls.map(([sql, params]) => [sql.replace(/\s+/g, ' ').trim(), params]);
+    expect(statements).toContainEqual(['UPDATE burns SET tokens_burned = tokens_burned * $1', ['1000000000']]);
+    expect(statements.filter(([sql]) => String(sql).startsWith('UPDATE flow_runs'))).toHaveLength(3);
+    expect(statements).toContainEqual(['UPDATE system_status SET token_decimals = $1 WHERE id = 1', [9]]);
+    expect(statements[statements.length - 1][0]).toBe('COMMIT');
+  });
+
+  it('reads nothing from chain once the decimals are recorded', async () => {
+    mockQuery.mockResolvedValue({ rows: [{ token_decimals: 6 }] });
+
+    await migrateTokenDecimals();
+
+    expect(getMintDecimals).not.toHaveBeenCalled();
+    expect(mockQuery).toHaveBeenCalledTimes(1);
+  });
+});
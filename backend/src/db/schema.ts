@@ -1,6 +1,8 @@
 import { Pool } from 'pg';
-import { databaseUrl } from '../env';
+import { PublicKey } from '@solana/web3.js';
+import { databaseUrl, tokenMint } from '../env';
 import { log } from '../lib/logger';
+import { getMintDecimals } from '../lib/solana';
 
 // Create PostgreSQL connection pool
 export const pool = new Pool({
@@ -28,6 +30,7 @@ CREATE TABLE IF NOT EXISTS claims (
   claimed_amount BIGINT NOT NULL, -- in lamports
   treasury_amount BIGINT NOT NULL, -- in lamports
   buyback_amount BIGINT NOT NULL, -- in lamports
+  network_fee BIGINT, -- in lamports, paid on top of the claimed amount
   timestamp TIMESTAMP NOT NULL DEFAULT NOW(),
   block_number BIGINT,
   status VARCHAR(20) NOT NULL DEFAULT 'pending',
@@ -35,31 +38,102 @@ CREATE TABLE IF NOT EXISTS claims (
   CONSTRAINT claims_status_check CHECK (status IN ('pending', 'confirmed', 'failed'))
 );
 
+-- Migration: network fee kept apart from the claimed amount
+ALTER TABLE claims ADD COLUMN IF NOT EXISTS network_fee BIGINT;
+
 -- Buybacks table: Records all token buyback transactions
 CREATE TABLE IF NOT EXISTS buybacks (
   id SERIAL PRIMARY KEY,
   claim_id INTEGER REFERENCES claims(id) ON DELETE CASCADE,
   signature VARCHAR(88) UNIQUE NOT NULL,
-  tokens_purchased NUMERIC(30, 0) NOT NULL, -- store as numeric to avoid precision loss
+  tokens_purchased NUMERIC(30, 0) NOT NULL, -- raw token units (see system_status.token_decimals)
   sol_spent BIGINT NOT NULL, -- in lamports
+  network_fee BIGINT, -- in lamports, not included in sol_spent
+  venue VARCHAR(20) NOT NULL DEFAULT 'bonding-curve', -- bonding-curve | pump-amm | raydium
+  quoted_tokens NUMERIC(30, 0), -- quote before the buy, raw token units, to compare with tokens_purchased
+  price_impact_bps INTEGER,
+  unspent_amount BIGINT, -- in lamports, left unbought by the price impact limit
+  carried_into INTEGER REFERENCES buybacks(id), -- later buyback that spent unspent_amount
   timestamp TIMESTAMP NOT NULL DEFAULT NOW(),
+  block_number BIGINT,
   status VARCHAR(20) NOT NULL DEFAULT 'pending',
   error_message TEXT,
   CONSTRAINT buybacks_status_check CHECK (status IN ('pending', 'confirmed', 'failed'))
 );
 
+-- Migration: buyback venue for databases created before it existed
+ALTER TABLE buybacks ADD COLUMN IF NOT EXISTS venue VARCHAR(20) NOT NULL DEFAULT 'bonding-curve';
+
+-- Migration: quote taken before each buy (NULL when no curve quote was available)
+ALTER TABLE buybacks ADD COLUMN IF NOT EXISTS quoted_tokens NUMERIC(30, 0);
+ALTER TABLE buybacks ADD COLUMN IF NOT EXISTS price_impact_bps INTEGER;
+
+-- Migration: slot of buy transactions, set when a pending row is recovered
+ALTER TABLE buybacks ADD COLUMN IF NOT EXISTS block_number BIGINT;
+
+-- Migration: network fee kept apart from sol_spent
+ALTER TABLE buybacks ADD COLUMN IF NOT EXISTS network_fee BIGINT;
+
+-- Migration: SOL a shrunk buy left unbought, carried into the next buyback
+ALTER TABLE buybacks ADD COLUMN IF NOT EXISTS unspent_amount BIGINT;
+ALTER TABLE buybacks ADD COLUMN IF NOT EXISTS carried_into INTEGER REFERENCES buybacks(id);
+
 -- Burns table: Records all token burn transactions to incinerator
 CREATE TABLE IF NOT EXISTS burns (
   id SERIAL PRIMARY KEY,
   buyback_id INTEGER REFERENCES buybacks(id) ON DELETE CASCADE,
   signature VARCHAR(88) UNIQUE NOT NULL,
-  tokens_burned NUMERIC(30, 0) NOT NULL,
+  tokens_burned NUMERIC(30, 0) NOT NULL, -- raw token units
+  burn_mode VARCHAR(20) NOT NULL DEFAULT 'incinerator', -- incinerator | spl-burn
   timestamp TIMESTAMP NOT NULL DEFAULT NOW(),
+  block_number BIGINT,
   status VARCHAR(20) NOT NULL DEFAULT 'pending',
   error_message TEXT,
   CONSTRAINT burns_status_check CHECK (status IN ('pending', 'confirmed', 'failed'))
 );
 
+-- Migration: burn mode for databases created before it existed
+ALTER TABLE burns ADD COLUMN IF NOT EXISTS burn_mode VARCHAR(20) NOT NULL DEFAULT 'incinerator';
+
+-- Migration: slot of burn transactions, set when a pending row is recovered
+ALTER TABLE burns ADD COLUMN IF NOT EXISTS block_number BIGINT;
+
+-- Migration: sweep burn that destroyed a buyback's tokens after its own
+-- burn failed (one sweep covers every buyback stranded so far)
+ALTER TABLE buybacks ADD COLUMN IF NOT EXISTS sweep_burn_id INTEGER REFERENCES burns(id) ON DELETE SET NULL;
+
+-- Split transfers table: One row per split policy leg paid out of a claim
+-- (legs sent together share a signature; the buyback leg is in buybacks)
+CREATE TABLE IF NOT EXISTS split_transfers (
+  id SERIAL PRIMARY KEY,
+  claim_id INTEGER REFERENCES claims(id) ON DELETE CASCADE,
+  leg VARCHAR(32) NOT NULL,
+  destination VARCHAR(44) NOT NULL,
+  bps INTEGER NOT NULL,
+  amount BIGINT NOT NULL, -- in lamports
+  signature VARCHAR(88) NOT NULL,
+  timestamp TIMESTAMP NOT NULL DEFAULT NOW(),
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  error_message TEXT,
+  CONSTRAINT split_transfers_status_check CHECK (status IN ('pending', 'confirmed', 'failed')),
+  CONSTRAINT split_transfers_leg_unique UNIQUE (signature, leg)
+);
+
+-- Reconciliation flags: recorded rows that disagree with the chain, found
+-- by the reconciliation job. Re-running it resolves flags that no longer apply
+CREATE TABLE IF NOT EXISTS reconciliation_flags (
+  id SERIAL PRIMARY KEY,
+  record_type VARCHAR(20) NOT NULL, -- claim | split_transfer | buyback | burn
+  record_id INTEGER,
+  signature VARCHAR(88) NOT NULL,
+  issue VARCHAR(20) NOT NULL, -- status | amount | missing_on_chain | unknown_outflow | not_found
+  recorded_value TEXT,
+  on_chain_value TEXT,
+  detected_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  resolved_at TIMESTAMP,
+  CONSTRAINT reconciliation_flags_unique UNIQUE (record_type, signature, issue)
+);
+
 -- Monitor checks table: Logs all fee monitoring checks
 CREATE TABLE IF NOT EXISTS monitor_checks (
   id SERIAL PRIMARY KEY,
@@ -70,16 +144,90 @@ CREATE TABLE IF NOT EXISTS monitor_checks (
   notes TEXT
 );
 
+-- Flow runs table: Persists each claim-treasury-buyback-burn run so an
+-- interrupted run can resume from its last confirmed step
+CREATE TABLE IF NOT EXISTS flow_runs (
+  id SERIAL PRIMARY KEY,
+  status VARCHAR(20) NOT NULL DEFAULT 'running',
+  forced BOOLEAN NOT NULL DEFAULT false,
+  estimated_amount BIGINT NOT NULL DEFAULT 0, -- in lamports
+  steps JSONB NOT NULL DEFAULT '{}', -- per-step state keyed by step name
+  claim_id INTEGER REFERENCES claims(id) ON DELETE SET NULL,
+  buyback_id INTEGER REFERENCES buybacks(id) ON DELETE SET NULL,
+  burn_id INTEGER REFERENCES burns(id) ON DELETE SET NULL,
+  error_message TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMP,
+  CONSTRAINT flow_runs_status_check CHECK (status IN ('running', 'completed', 'failed'))
+);
+
+-- Buyback plans table: Tranche (DCA) buyback budget funded by one claim
+CREATE TABLE IF NOT EXISTS buyback_plans (
+  id SERIAL PRIMARY KEY,
+  claim_id INTEGER REFERENCES claims(id) ON DELETE CASCADE,
+  total_amount BIGINT NOT NULL, -- in lamports
+  remaining_amount BIGINT NOT NULL, -- unspent budget, in lamports
+  tranche_count INTEGER NOT NULL,
+  window_ends_at TIMESTAMP NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'active',
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMP,
+  carried_into INTEGER REFERENCES buybacks(id), -- buyback that spent a failed plan's remaining_amount
+  CONSTRAINT buyback_plans_status_check CHECK (status IN ('active', 'completed', 'failed'))
+);
+
+-- Migration: failed plans' remaining budget, carried into the next buyback
+ALTER TABLE buyback_plans ADD COLUMN IF NOT EXISTS carried_into INTEGER REFERENCES buybacks(id);
+
+-- Buyback tranches table: One scheduled buy (and its burn) of a plan
+CREATE TABLE IF NOT EXISTS buyback_tranches (
+  id SERIAL PRIMARY KEY,
+  plan_id INTEGER REFERENCES buyback_plans(id) ON DELETE CASCADE,
+  claim_id INTEGER REFERENCES claims(id) ON DELETE CASCADE,
+  tranche_index INTEGER NOT NULL,
+  scheduled_at TIMESTAMP NOT NULL,
+  amount BIGINT, -- in lamports, set when the tranche is executed
+  status VARCHAR(20) NOT NULL DEFAULT 'scheduled',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  buy_signature VARCHAR(88),
+  buyback_id INTEGER REFERENCES buybacks(id) ON DELETE SET NULL,
+  burn_signature VARCHAR(88),
+  burn_id INTEGER REFERENCES burns(id) ON DELETE SET NULL,
+  buy_priority_fee BIGINT, -- lamports paid above the base fee
+  burn_priority_fee BIGINT,
+  last_valid_block_height BIGINT, -- blockhash expiry of the buy or burn in flight
+  error_message TEXT,
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CONSTRAINT buyback_tranches_status_check CHECK (
+    status IN ('scheduled', 'buy_sent', 'bought', 'burn_sent', 'confirmed', 'failed')
+  ),
+  CONSTRAINT buyback_tranches_index_unique UNIQUE (plan_id, tranche_index)
+);
+
+-- Migration: priority fee paid per tranche transaction
+ALTER TABLE buyback_tranches ADD COLUMN IF NOT EXISTS buy_priority_fee BIGINT;
+ALTER TABLE buyback_tranches ADD COLUMN IF NOT EXISTS burn_priority_fee BIGINT;
+
+-- Migration: blockhash expiry of the tranche transaction in flight
+ALTER TABLE buyback_tranches ADD COLUMN IF NOT EXISTS last_valid_block_height BIGINT;
+
 -- System status table: Stores current system state
 CREATE TABLE IF NOT EXISTS system_status (
   id INTEGER PRIMARY KEY DEFAULT 1,
   is_paused BOOLEAN NOT NULL DEFAULT false,
+  pause_reason TEXT,
+  paused_by VARCHAR(20), -- admin or circuit_breaker
+  paused_at TIMESTAMP,
   last_check_timestamp TIMESTAMP,
   total_checks INTEGER NOT NULL DEFAULT 0,
   total_claims INTEGER NOT NULL DEFAULT 0,
   error_count INTEGER NOT NULL DEFAULT 0,
   last_error TEXT,
   last_error_timestamp TIMESTAMP,
+  token_decimals SMALLINT, -- decimals of the token mint, token amounts are stored raw
+  low_balance_since TIMESTAMP, -- creator wallet below LOW_BALANCE_ALERT_SOL, alert sent
   updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
   CONSTRAINT single_row CHECK (id = 1)
 );
@@ -87,6 +235,81 @@ CREATE TABLE IF NOT EXISTS system_status (
 -- Insert initial system status row
 INSERT INTO system_status (id) VALUES (1) ON CONFLICT (id) DO NOTHING;
 
+-- Migration: who paused the system and why
+ALTER TABLE system_status ADD COLUMN IF NOT EXISTS pause_reason TEXT;
+ALTER TABLE system_status ADD COLUMN IF NOT EXISTS paused_by VARCHAR(20);
+ALTER TABLE system_status ADD COLUMN IF NOT EXISTS paused_at TIMESTAMP;
+
+-- Migration: low balance alert state, so each drop is notified once
+ALTER TABLE system_status ADD COLUMN IF NOT EXISTS low_balance_since TIMESTAMP;
+
+-- Migration: token amounts in raw base units. Rows recorded before held
+-- display amounts (rounded to whole tokens); migrateTokenDecimals scales
+-- them once by the mint's decimals, read on chain, and records those here
+ALTER TABLE system_status ADD COLUMN IF NOT EXISTS token_decimals SMALLINT;
+
+-- Circuit breaker: consecutive failures per flow step. A step that keeps
+-- failing opens its breaker and pauses the system
+CREATE TABLE IF NOT EXISTS circuit_breakers (
+  step VARCHAR(20) PRIMARY KEY,
+  state VARCHAR(20) NOT NULL DEFAULT 'closed',
+  consecutive_failures INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  last_failure_at TIMESTAMP,
+  opened_at TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CONSTRAINT circuit_breakers_state_check CHECK (state IN ('closed', 'open', 'half_open'))
+);
+
+INSERT INTO circuit_breakers (step)
+VALUES ('claim'), ('treasury'), ('buyback'), ('burn')
+ON CONFLICT (step) DO NOTHING;
+
+-- Claim lock: single lease row shared by every instance, so only one
+-- process moves creator wallet SOL at a time
+CREATE TABLE IF NOT EXISTS claim_lock (
+  id INTEGER PRIMARY KEY DEFAULT 1,
+  lease_id TEXT,
+  holder TEXT,
+  operation TEXT,
+  acquired_at TIMESTAMP,
+  expires_at TIMESTAMP,
+  CONSTRAINT claim_lock_single_row CHECK (id = 1)
+);
+
+INSERT INTO claim_lock (id) VALUES (1) ON CONFLICT (id) DO NOTHING;
+
+-- Notification outbox: one row per event and channel, delivered with
+-- exponential backoff until it succeeds or runs out of attempts ('dead')
+CREATE TABLE IF NOT EXISTS notification_outbox (
+  id SERIAL PRIMARY KEY,
+  event VARCHAR(30) NOT NULL,
+  channel VARCHAR(20) NOT NULL, -- webhook, discord, slack or telegram
+  payload JSONB NOT NULL, -- the event; rendered for the channel at delivery
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  last_error TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  delivered_at TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CONSTRAINT notification_outbox_status_check CHECK (status IN ('pending', 'delivered', 'dead'))
+);
+
+-- Admin audit log: every request to an admin route, rejected ones included
+CREATE TABLE IF NOT EXISTS admin_audit (
+  id SERIAL PRIMARY KEY,
+  key_id VARCHAR(16), -- fingerprint of the admin key used; NULL when it was missing or wrong
+  action VARCHAR(100) NOT NULL, -- method and route, e.g. 'POST /api/claim'
+  params JSONB NOT NULL DEFAULT '{}', -- route params, query and body, key removed
+  ip VARCHAR(64),
+  status_code INTEGER NOT NULL,
+  result VARCHAR(20) NOT NULL,
+  error TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CONSTRAINT admin_audit_result_check CHECK (result IN ('success', 'rejected', 'unauthorized', 'failed'))
+);
+
 -- Indexes for performance
 CREATE INDEX IF NOT EXISTS idx_claims_timestamp ON claims(timestamp DESC);
 CREATE INDEX IF NOT EXISTS idx_claims_status ON claims(status);
@@ -96,6 +319,17 @@ CREATE INDEX IF NOT EXISTS idx_burns_buyback_id ON burns(buyback_id);
 CREATE INDEX IF NOT EXISTS idx_burns_timestamp ON burns(timestamp DESC);
 CREATE INDEX IF NOT EXISTS idx_monitor_checks_timestamp ON monitor_checks(timestamp DESC);
 CREATE INDEX IF NOT EXISTS idx_monitor_checks_triggered ON monitor_checks(triggered);
+CREATE INDEX IF NOT EXISTS idx_flow_runs_status ON flow_runs(status);
+CREATE INDEX IF NOT EXISTS idx_split_transfers_claim_id ON split_transfers(claim_id);
+CREATE INDEX IF NOT EXISTS idx_split_transfers_leg ON split_transfers(leg);
+CREATE INDEX IF NOT EXISTS idx_buyback_plans_status ON buyback_plans(status);
+CREATE INDEX IF NOT EXISTS idx_buyback_plans_claim_id ON buyback_plans(claim_id);
+CREATE INDEX IF NOT EXISTS idx_buyback_tranches_plan_id ON buyback_tranches(plan_id);
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_due ON notification_outbox(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_status ON notification_outbox(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_created_at ON admin_audit(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_action ON admin_audit(action, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_reconciliation_flags_open ON reconciliation_flags(detected_at DESC) WHERE resolved_at IS NULL;
 
 -- Views for analytics
 
@@ -126,9 +360,21 @@ SELECT
   COALESCE(SUM(tokens_burned::NUMERIC), 0) as total_tokens_burned,
   COUNT(*) as total_burns,
   COUNT(*) FILTER (WHERE status = 'confirmed') as successful_burns,
-  COUNT(*) FILTER (WHERE status = 'failed') as failed_burns
+  COUNT(*) FILTER (WHERE status = 'failed') as failed_burns,
+  COUNT(*) FILTER (WHERE burn_mode = 'incinerator') as incinerator_burns,
+  COUNT(*) FILTER (WHERE burn_mode = 'spl-burn') as spl_burns
 FROM burns;
 
+-- Split transfer stats view (per leg)
+CREATE OR REPLACE VIEW stats_split_transfers AS
+SELECT 
+  leg,
+  COALESCE(SUM(amount), 0) as total_transferred,
+  COUNT(*) as total_transfers
+FROM split_transfers
+WHERE status = 'confirmed'
+GROUP BY leg;
+
 -- Recent activity view (last 100 transactions)
 CREATE OR REPLACE VIEW recent_activity AS
 SELECT 
@@ -164,6 +410,7 @@ export async function initializeDatabase(): Promise<void> {
     log.info('Initializing database schema...');
     
     await pool.query(SCHEMA_SQL);
+    await migrateTokenDecimals();
     
     log.info('Database schema initialized successfully');
   } catch (error) {
@@ -172,6 +419,64 @@ export async function initializeDatabase(): Promise<void> {
   }
 }
 
+// Token amounts recorded as display amounts, scaled to raw units by
+// migrateTokenDecimals ($1 is 10^decimals)
+const RAW_TOKEN_AMOUNT_MIGRATIONS = [
+  'UPDATE buybacks SET tokens_purchased = tokens_purchased * $1, quoted_tokens = quoted_tokens * $1',
+  'UPDATE burns SET tokens_burned = tokens_burned * $1',
+  ...[
+    ['buyback', 'tokensPurchased'],
+    ['buyback', 'quotedTokens'],
+    ['burn', 'tokensBurned'],
+  ].map(([step, field]) => `
+    UPDATE flow_runs SET steps = jsonb_set(
+      steps, '{${step},amounts,${field}}',
+      to_jsonb(TRUNC((steps #>> '{${step},amounts,${field}}')::NUMERIC * $1)::TEXT)
+    )
+    WHERE steps #>> '{${step},amounts,${field}}' IS NOT NULL
+  `),
+];
+
+/**
+ * Record the token mint's decimals, read from the mint account, in
+ * system_status.token_decimals. The first time, token amounts recorded
+ * before they were stored raw are scaled by them in the same transaction.
+ * Nothing is read from chain once the decimals are recorded.
+ */
+export async function migrateTokenDecimals(): Promise<void> {
+  const status = await pool.query('SELECT token_decimals FROM system_status WHERE id = 1');
+  if (status.rows[0]?.token_decimals !== null) {
+    return;
+  }
+
+  const decimals = await getMintDecimals(new PublicKey(tokenMint));
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Row lock: of two instances starting together only one scales the rows
+    const locked = await client.query('SELECT token_decimals FROM system_status WHERE id = 1 FOR UPDATE');
+
+    if (locked.rows[0].token_decimals === null) {
+      const scale = (10n ** BigInt(decimals)).toString();
+
+      for (const sql of RAW_TOKEN_AMOUNT_MIGRATIONS) {
+        await client.query(sql, [scale]);
+      }
+      await client.query('UPDATE system_status SET token_decimals = $1 WHERE id = 1', [decimals]);
+      log.info('Token decimals recorded, earlier token amounts scaled to raw units', { decimals });
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
 // Health check
 export async function checkDatabaseConnection(): Promise<boolean> {
   try {
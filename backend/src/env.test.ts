@@ -0,0 +1,89 @@
+import { afterEach, describe, expect, it, jest } from '@jest/globals';
+import { Keypair } from '@solana/web3.js';
+import bs58 from 'bs58';
+import type * as Env from './env';
+
+// Only the variables set here, never a local .env file
+jest.mock('dotenv', () => ({ config: jest.fn() }));
+
+const treasury = Keypair.generate();
+const marketing = Keypair.generate().publicKey.toBase58();
+
+const baseEnv = {
+  CREATOR_WALLET_SECRET: bs58.encode(Keypair.generate().secretKey),
+  TREASURY_WALLET_SECRET: bs58.encode(treasury.secretKey),
+  TOKEN_MINT: Keypair.generate().publicKey.toBase58(),
+  ADMIN_API_KEY: 'admin-key',
+};
+
+const originalEnv = process.env;
+
+function loadEnv(vars: Record<string, string>): typeof Env {
+  process.env = { ...baseEnv, ...vars };
+  let env!: typeof Env;
+  jest.isolateModules(() => {
+    env = require('./env');
+  });
+  return env;
+}
+
+describe('SPLIT_POLICY', () => {
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  it('parses named legs with their bps and destinations', () => {
+    const { splitPolicy } = loadEnv({ SPLIT_POLICY: `treasury:2000,marketing:500:${marketing},buyback:7500` });
+
+    expect(splitPolicy).toEqual([
+      { name: 'treasury', bps: 2000, destination: treasury.publicKey.toBase58() },
+      { name: 'marketing', bps: 500, destination: marketing },
+      { name: 'buyback', bps: 7500 },
+    ]);
+  });
+
+  it('allows 0 and 10000 bps legs', () => {
+    const { splitPolicy } = loadEnv({ SPLIT_POLICY: 'treasury:0,buyback:10000' });
+
+    expect(splitPolicy.map((leg) => leg.bps)).toEqual([0, 10000]);
+  });
+
+  it('requires the bps to add up to 10000', () => {
+    expect(() => loadEnv({ SPLIT_POLICY: 'treasury:2000,buyback:7000' })).toThrow(
+      'SPLIT_POLICY bps must add up to 10000, got 9000'
+    );
+  });
+
+  it('requires an address for legs other than treasury and buyback', () => {
+    expect(() => loadEnv({ SPLIT_POLICY: 'marketing:5000,buyback:5000' })).toThrow(
+      "SPLIT_POLICY leg 'marketing' needs a destination address"
+    );
+    expect(() => loadEnv({ SPLIT_POLICY: `treasury:5000,buyback:5000:${marketing}` })).toThrow(
+      'SPLIT_POLICY buyback leg cannot have a destination address'
+    );
+  });
+
+  it('rejects invalid destinations, bps and duplicate legs', () => {
+    expect(() => loadEnv({ SPLIT_POLICY: 'dev:5000:not-an-address,buyback:5000' })).toThrow(
+      "Invalid SPLIT_POLICY destination for 'dev'"
+    );
+    expect(() => loadEnv({ SPLIT_POLICY: 'treasury:50.5,buyback:9949.5' })).toThrow('integer bps');
+    expect(() => loadEnv({ SPLIT_POLICY: 'buyback:5000,buyback:5000' })).toThrow('leg names must be unique');
+  });
+
+  it('falls back to TREASURY_PERCENT and BUYBACK_PERCENT', () => {
+    const { splitPolicy } = loadEnv({ TREASURY_PERCENT: '30', BUYBACK_PERCENT: '70' });
+
+    expect(splitPolicy).toEqual([
+      { name: 'treasury', bps: 3000, destination: treasury.publicKey.toBase58() },
+      { name: 'buyback', bps: 7000 },
+    ]);
+  });
+
+  it('validates the legacy percentages only without SPLIT_POLICY', () => {
+    expect(() => loadEnv({ TREASURY_PERCENT: '30', BUYBACK_PERCENT: '60' })).toThrow('must equal 100');
+    expect(() =>
+      loadEnv({ TREASURY_PERCENT: '30', BUYBACK_PERCENT: '60', SPLIT_POLICY: 'treasury:3000,buyback:7000' })
+    ).not.toThrow();
+  });
+});
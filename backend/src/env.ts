@@ -1,12 +1,31 @@
 import dotenv from 'dotenv';
-import { PublicKey } from '@solana/web3.js';
+import os from 'os';
+import { Keypair, PublicKey } from '@solana/web3.js';
 import bs58 from 'bs58';
+import { NOTIFICATION_EVENTS, NotificationChannelType, NotificationEventType } from './types';
 
 dotenv.config();
 
+export interface SplitLegConfig {
+  name: string; // e.g. treasury, marketing, dev, lp, buyback
+  bps: number; // share of each claim in basis points (10000 = 100%)
+  destination?: string; // recipient wallet; unset for the buyback leg
+}
+
+export interface NotificationChannelConfig {
+  type: NotificationChannelType;
+  url: string; // webhook URL, or the Bot API URL of the Telegram bot
+  chatId?: string; // Telegram chat the bot posts to
+  events: NotificationEventType[]; // events routed to this channel
+}
+
 interface EnvConfig {
   // Network
   rpcEndpoint: string;
+  rpcEndpoints: string[]; // pool, in order of preference; rpcEndpoint first
+  rpcMultiSend: boolean;
+  rpcMaxSlotLag: number;
+  rpcHealthCheckSeconds: number;
   pumpApiBase: string;
 
   // Wallets
@@ -21,19 +40,39 @@ interface EnvConfig {
   // Claim Settings
   checkIntervalMinutes: number;
   claimThresholdSol: number;
+  claimThresholdMode: 'fixed' | 'gas-aware';
+  claimCostMultiple: number;
   autoClaimEnabled: boolean;
 
   // Split Configuration
   treasuryPercent: number;
   buybackPercent: number;
+  splitPolicy: SplitLegConfig[];
 
   // Incinerator
   burnAddress: string;
+  burnMode: 'incinerator' | 'spl-burn';
+  tokenHoldAmount?: string; // tokens kept in the creator wallet; unset disables the sweep
+
+  // Buyback
+  graduatedPool: 'pump-amm' | 'raydium';
+  buybackTranches: number;
+  buybackWindowMinutes: number;
+  buybackJitterPercent: number;
+  pumpFeeBps: number;
+  maxPriceImpactBps: number;
+  priceImpactAction: 'shrink' | 'refuse';
 
   // Advanced
   slippageBps: number;
   maxRetries: number;
   confirmationCommitment: 'processed' | 'confirmed' | 'finalized';
+  instanceId: string;
+  claimLockTtlSeconds: number;
+  priorityFeePercentile: number;
+  priorityFeeMaxMicroLamports: number;
+  circuitBreakerThreshold: number;
+  circuitBreakerCooldownMinutes: number;
 
   // Admin
   adminApiKey: string;
@@ -41,7 +80,12 @@ interface EnvConfig {
 
   // Monitoring
   logLevel: 'debug' | 'info' | 'warn' | 'error';
-  webhookUrl?: string;
+  notificationChannels: NotificationChannelConfig[];
+  webhookSecret?: string; // HMAC-SHA256 key signing every notification request
+  lowBalanceAlertSol: number; // creator wallet balance that triggers low_balance; 0 disables
+  monitorCheckSampleMinutes: number; // save at most one fee check per window; 0 saves all
+  monitorCheckRetentionDays: number;
+  metricsToken?: string; // bearer token required by /metrics; open when unset
   publicStatsEnabled: boolean;
 
   // Database
@@ -94,19 +138,93 @@ function validateEnv(): EnvConfig {
     }
   };
 
-  // Validate percentages add up to 100
+  // RPC pool: RPC_ENDPOINT plus any extra endpoints, without duplicates
+  const rpcEndpoint = optional('RPC_ENDPOINT', 'https://api.mainnet-beta.solana.com');
+  const rpcEndpoints = [
+    ...new Set([
+      rpcEndpoint,
+      ...optional('RPC_ENDPOINTS', '').split(',').map((url) => url.trim()).filter(Boolean),
+    ]),
+  ];
+
+  for (const url of rpcEndpoints) {
+    if (!/^https?:\/\//.test(url)) {
+      throw new Error(`RPC endpoints must be http(s) URLs, got '${url}'`);
+    }
+  }
+
+  // Legacy split percentages, only validated when SPLIT_POLICY is unset
   const treasuryPercent = parseInt(optional('TREASURY_PERCENT', '50'));
   const buybackPercent = parseInt(optional('BUYBACK_PERCENT', '50'));
-  
-  if (treasuryPercent + buybackPercent !== 100) {
-    throw new Error(
-      `TREASURY_PERCENT (${treasuryPercent}) + BUYBACK_PERCENT (${buybackPercent}) must equal 100`
-    );
-  }
 
-  if (treasuryPercent < 0 || treasuryPercent > 100) {
-    throw new Error('TREASURY_PERCENT must be between 0 and 100');
-  }
+  // Parse split policy: "name:bps[:address],..." with bps summing to 10000.
+  // The buyback leg stays in the creator wallet; treasury defaults to the
+  // treasury wallet. Falls back to TREASURY_PERCENT / BUYBACK_PERCENT.
+  const parseSplitPolicy = (): SplitLegConfig[] => {
+    const treasuryDestination = () =>
+      Keypair.fromSecretKey(bs58.decode(required('TREASURY_WALLET_SECRET').trim()))
+        .publicKey.toBase58();
+
+    const raw = process.env.SPLIT_POLICY;
+    if (!raw) {
+      if (treasuryPercent + buybackPercent !== 100) {
+        throw new Error(
+          `TREASURY_PERCENT (${treasuryPercent}) + BUYBACK_PERCENT (${buybackPercent}) must equal 100`
+        );
+      }
+
+      if (treasuryPercent < 0 || treasuryPercent > 100) {
+        throw new Error('TREASURY_PERCENT must be between 0 and 100');
+      }
+
+      return [
+        { name: 'treasury', bps: treasuryPercent * 100, destination: treasuryDestination() },
+        { name: 'buyback', bps: buybackPercent * 100 },
+      ];
+    }
+
+    const legs = raw.split(',').map((entry) => {
+      const [name, bpsValue, destination] = entry.trim().split(':');
+      const bps = Number(bpsValue);
+
+      if (!name || !/^[a-z][a-z0-9_-]*$/.test(name)) {
+        throw new Error(`Invalid SPLIT_POLICY leg name '${name}' (use lowercase letters, digits, - or _)`);
+      }
+      if (!Number.isInteger(bps) || bps < 0 || bps > 10000) {
+        throw new Error(`SPLIT_POLICY leg '${name}' must have integer bps between 0 and 10000`);
+      }
+
+      if (name === 'buyback') {
+        if (destination) {
+          throw new Error('SPLIT_POLICY buyback leg cannot have a destination address');
+        }
+        return { name, bps };
+      }
+
+      if (!destination && name !== 'treasury') {
+        throw new Error(`SPLIT_POLICY leg '${name}' needs a destination address (${name}:${bps}:<address>)`);
+      }
+      try {
+        return { name, bps, destination: new PublicKey(destination || treasuryDestination()).toBase58() };
+      } catch (error) {
+        throw new Error(`Invalid SPLIT_POLICY destination for '${name}': ${error}`);
+      }
+    });
+
+    const names = legs.map((leg) => leg.name);
+    if (new Set(names).size !== names.length) {
+      throw new Error(`SPLIT_POLICY leg names must be unique: ${names.join(', ')}`);
+    }
+
+    const totalBps = legs.reduce((sum, leg) => sum + leg.bps, 0);
+    if (totalBps !== 10000) {
+      throw new Error(`SPLIT_POLICY bps must add up to 10000, got ${totalBps}`);
+    }
+
+    return legs;
+  };
+
+  const splitPolicy = parseSplitPolicy();
 
   // Validate burn address
   const burnAddress = optional(
@@ -119,9 +237,81 @@ function validateEnv(): EnvConfig {
     throw new Error(`Invalid BURN_ADDRESS: ${error}`);
   }
 
+  // Validate burn mode
+  const burnMode = optional('BURN_MODE', 'incinerator');
+  if (burnMode !== 'incinerator' && burnMode !== 'spl-burn') {
+    throw new Error(`BURN_MODE must be 'incinerator' or 'spl-burn', got '${burnMode}'`);
+  }
+
+  // Validate post-graduation pool
+  const graduatedPool = optional('GRADUATED_POOL', 'pump-amm');
+  if (graduatedPool !== 'pump-amm' && graduatedPool !== 'raydium') {
+    throw new Error(`GRADUATED_POOL must be 'pump-amm' or 'raydium', got '${graduatedPool}'`);
+  }
+
+  // Validate claim threshold mode
+  const claimThresholdMode = optional('CLAIM_THRESHOLD_MODE', 'fixed');
+  if (claimThresholdMode !== 'fixed' && claimThresholdMode !== 'gas-aware') {
+    throw new Error(`CLAIM_THRESHOLD_MODE must be 'fixed' or 'gas-aware', got '${claimThresholdMode}'`);
+  }
+
+  // Validate price impact action
+  const priceImpactAction = optional('PRICE_IMPACT_ACTION', 'shrink');
+  if (priceImpactAction !== 'shrink' && priceImpactAction !== 'refuse') {
+    throw new Error(`PRICE_IMPACT_ACTION must be 'shrink' or 'refuse', got '${priceImpactAction}'`);
+  }
+
+  // Notification channels, each sent the events listed in its *_EVENTS
+  // variable (every event by default)
+  const parseEvents = (key: string): NotificationEventType[] => {
+    const raw = process.env[key];
+    if (!raw) {
+      return [...NOTIFICATION_EVENTS];
+    }
+
+    return raw.split(',').map((name) => name.trim()).filter(Boolean).map((name) => {
+      if (!(NOTIFICATION_EVENTS as readonly string[]).includes(name)) {
+        throw new Error(`Unknown event '${name}' in ${key}, expected one of ${NOTIFICATION_EVENTS.join(', ')}`);
+      }
+      return name as NotificationEventType;
+    });
+  };
+
+  const webhookChannels: [NotificationChannelType, string, string][] = [
+    ['webhook', 'WEBHOOK_URL', 'WEBHOOK_EVENTS'],
+    ['discord', 'DISCORD_WEBHOOK_URL', 'DISCORD_EVENTS'],
+    ['slack', 'SLACK_WEBHOOK_URL', 'SLACK_EVENTS'],
+  ];
+
+  const notificationChannels: NotificationChannelConfig[] = [];
+
+  for (const [type, urlKey, eventsKey] of webhookChannels) {
+    const url = process.env[urlKey];
+    if (!url) {
+      continue;
+    }
+    if (!/^https?:\/\//.test(url)) {
+      throw new Error(`${urlKey} must be an http(s) URL`);
+    }
+    notificationChannels.push({ type, url, events: parseEvents(eventsKey) });
+  }
+
+  if (process.env.TELEGRAM_BOT_TOKEN) {
+    notificationChannels.push({
+      type: 'telegram',
+      url: `https://api.telegram.org/bot${process.env.TELEGRAM_BOT_TOKEN.trim()}`,
+      chatId: required('TELEGRAM_CHAT_ID'),
+      events: parseEvents('TELEGRAM_EVENTS'),
+    });
+  }
+
   const config: EnvConfig = {
     // Network
-    rpcEndpoint: optional('RPC_ENDPOINT', 'https://api.mainnet-beta.solana.com'),
+    rpcEndpoint,
+    rpcEndpoints,
+    rpcMultiSend: optional('RPC_MULTI_SEND', 'false') === 'true',
+    rpcMaxSlotLag: parseInt(optional('RPC_MAX_SLOT_LAG', '50')),
+    rpcHealthCheckSeconds: parseInt(optional('RPC_HEALTH_CHECK_SECONDS', '30')),
     pumpApiBase: optional('PUMP_API_BASE', 'https://pumpportal.fun/api'),
 
     // Wallets
@@ -136,19 +326,39 @@ function validateEnv(): EnvConfig {
     // Claim Settings
     checkIntervalMinutes: parseInt(optional('CHECK_INTERVAL_MINUTES', '5')),
     claimThresholdSol: parseFloat(optional('CLAIM_THRESHOLD_SOL', '0.05')),
+    claimThresholdMode,
+    claimCostMultiple: parseFloat(optional('CLAIM_COST_MULTIPLE', '10')),
     autoClaimEnabled: optional('AUTO_CLAIM_ENABLED', 'true') === 'true',
 
     // Split Configuration
     treasuryPercent,
     buybackPercent,
+    splitPolicy,
 
     // Incinerator
     burnAddress,
+    burnMode,
+    tokenHoldAmount: process.env.TOKEN_HOLD_AMOUNT,
+
+    // Buyback
+    graduatedPool,
+    buybackTranches: parseInt(optional('BUYBACK_TRANCHES', '1')),
+    buybackWindowMinutes: parseInt(optional('BUYBACK_WINDOW_MINUTES', '60')),
+    buybackJitterPercent: parseInt(optional('BUYBACK_JITTER_PERCENT', '20')),
+    pumpFeeBps: parseInt(optional('PUMP_FEE_BPS', '100')),
+    maxPriceImpactBps: parseInt(optional('MAX_PRICE_IMPACT_BPS', '0')),
+    priceImpactAction,
 
     // Advanced
     slippageBps: parseInt(optional('SLIPPAGE_BPS', '100')),
     maxRetries: parseInt(optional('MAX_RETRIES', '3')),
     confirmationCommitment: optional('CONFIRMATION_COMMITMENT', 'confirmed') as any,
+    instanceId: optional('INSTANCE_ID', `${os.hostname()}:${process.pid}`),
+    claimLockTtlSeconds: parseInt(optional('CLAIM_LOCK_TTL_SECONDS', '120')),
+    priorityFeePercentile: parseInt(optional('PRIORITY_FEE_PERCENTILE', '75')),
+    priorityFeeMaxMicroLamports: parseInt(optional('PRIORITY_FEE_MAX_MICROLAMPORTS', '1000000')),
+    circuitBreakerThreshold: parseInt(optional('CIRCUIT_BREAKER_THRESHOLD', '3')),
+    circuitBreakerCooldownMinutes: parseInt(optional('CIRCUIT_BREAKER_COOLDOWN_MINUTES', '30')),
 
     // Admin
     adminApiKey: required('ADMIN_API_KEY'),
@@ -156,7 +366,12 @@ function validateEnv(): EnvConfig {
 
     // Monitoring
     logLevel: optional('LOG_LEVEL', 'info') as any,
-    webhookUrl: process.env.WEBHOOK_URL,
+    notificationChannels,
+    webhookSecret: process.env.WEBHOOK_SECRET,
+    lowBalanceAlertSol: parseFloat(optional('LOW_BALANCE_ALERT_SOL', '0.05')),
+    monitorCheckSampleMinutes: parseInt(optional('MONITOR_CHECK_SAMPLE_MINUTES', '15')),
+    monitorCheckRetentionDays: parseInt(optional('MONITOR_CHECK_RETENTION_DAYS', '30')),
+    metricsToken: process.env.METRICS_TOKEN,
     publicStatsEnabled: optional('PUBLIC_STATS_ENABLED', 'true') === 'true',
 
     // Database
@@ -167,18 +382,86 @@ function validateEnv(): EnvConfig {
   };
 
   // Validate numeric ranges
+  if (!(config.rpcMaxSlotLag >= 0)) {
+    throw new Error('RPC_MAX_SLOT_LAG must be 0 or more');
+  }
+
+  if (!(config.rpcHealthCheckSeconds >= 5)) {
+    throw new Error('RPC_HEALTH_CHECK_SECONDS must be at least 5');
+  }
+
   if (config.checkIntervalMinutes < 1) {
     throw new Error('CHECK_INTERVAL_MINUTES must be at least 1');
   }
 
+  if (!(config.monitorCheckSampleMinutes >= 0)) {
+    throw new Error('MONITOR_CHECK_SAMPLE_MINUTES must be 0 or more');
+  }
+
+  if (!(config.monitorCheckRetentionDays >= 1)) {
+    throw new Error('MONITOR_CHECK_RETENTION_DAYS must be at least 1');
+  }
+
   if (config.claimThresholdSol <= 0) {
     throw new Error('CLAIM_THRESHOLD_SOL must be greater than 0');
   }
 
+  if (!(config.claimCostMultiple >= 1)) {
+    throw new Error('CLAIM_COST_MULTIPLE must be at least 1');
+  }
+
   if (config.slippageBps < 0 || config.slippageBps > 10000) {
     throw new Error('SLIPPAGE_BPS must be between 0 and 10000 (0-100%)');
   }
 
+  if (!(config.priorityFeePercentile >= 0 && config.priorityFeePercentile <= 100)) {
+    throw new Error('PRIORITY_FEE_PERCENTILE must be between 0 and 100');
+  }
+
+  if (!(config.priorityFeeMaxMicroLamports >= 0)) {
+    throw new Error('PRIORITY_FEE_MAX_MICROLAMPORTS must be 0 or more');
+  }
+
+  if (!(config.circuitBreakerThreshold >= 0)) {
+    throw new Error('CIRCUIT_BREAKER_THRESHOLD must be 0 (disabled) or more');
+  }
+
+  if (!(config.circuitBreakerCooldownMinutes >= 1)) {
+    throw new Error('CIRCUIT_BREAKER_COOLDOWN_MINUTES must be at least 1');
+  }
+
+  if (!(config.claimLockTtlSeconds >= 30)) {
+    throw new Error('CLAIM_LOCK_TTL_SECONDS must be at least 30');
+  }
+
+  if (!Number.isInteger(config.buybackTranches) || config.buybackTranches < 1) {
+    throw new Error('BUYBACK_TRANCHES must be at least 1');
+  }
+
+  if (!(config.buybackWindowMinutes > 0)) {
+    throw new Error('BUYBACK_WINDOW_MINUTES must be greater than 0');
+  }
+
+  if (!(config.buybackJitterPercent >= 0 && config.buybackJitterPercent <= 100)) {
+    throw new Error('BUYBACK_JITTER_PERCENT must be between 0 and 100');
+  }
+
+  if (!(config.pumpFeeBps >= 0 && config.pumpFeeBps <= 10000)) {
+    throw new Error('PUMP_FEE_BPS must be between 0 and 10000');
+  }
+
+  if (!(config.maxPriceImpactBps >= 0 && config.maxPriceImpactBps <= 10000)) {
+    throw new Error('MAX_PRICE_IMPACT_BPS must be between 0 and 10000 (0 disables the guard)');
+  }
+
+  if (config.tokenHoldAmount !== undefined && !/^\d+(\.\d+)?$/.test(config.tokenHoldAmount)) {
+    throw new Error(`TOKEN_HOLD_AMOUNT must be a token amount like 1000 or 0.5, got '${config.tokenHoldAmount}'`);
+  }
+
+  if (!(config.lowBalanceAlertSol >= 0)) {
+    throw new Error('LOW_BALANCE_ALERT_SOL must be 0 (disabled) or more');
+  }
+
   return config;
 }
 
@@ -187,6 +470,10 @@ export const env = validateEnv();
 // Export individual values for convenience
 export const {
   rpcEndpoint,
+  rpcEndpoints,
+  rpcMultiSend,
+  rpcMaxSlotLag,
+  rpcHealthCheckSeconds,
   pumpApiBase,
   creatorWalletSecret,
   treasuryWalletSecret,
@@ -195,17 +482,40 @@ export const {
   tokenName,
   checkIntervalMinutes,
   claimThresholdSol,
+  claimThresholdMode,
+  claimCostMultiple,
   autoClaimEnabled,
   treasuryPercent,
   buybackPercent,
+  splitPolicy,
   burnAddress,
+  burnMode,
+  tokenHoldAmount,
+  graduatedPool,
+  buybackTranches,
+  buybackWindowMinutes,
+  buybackJitterPercent,
+  pumpFeeBps,
+  maxPriceImpactBps,
+  priceImpactAction,
   slippageBps,
   maxRetries,
   confirmationCommitment,
+  instanceId,
+  claimLockTtlSeconds,
+  priorityFeePercentile,
+  priorityFeeMaxMicroLamports,
+  circuitBreakerThreshold,
+  circuitBreakerCooldownMinutes,
   adminApiKey,
   enableManualClaim,
   logLevel,
-  webhookUrl,
+  notificationChannels,
+  webhookSecret,
+  lowBalanceAlertSol,
+  monitorCheckSampleMinutes,
+  monitorCheckRetentionDays,
+  metricsToken,
   publicStatsEnabled,
   databaseUrl,
   port,
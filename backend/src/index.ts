@@ -4,7 +4,7 @@ import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import { port, tokenMint, tokenSymbol } from './env';
 import { log } from './lib/logger';
-import { initializeDatabase, checkDatabaseConnection, closeDatabase } from './db/schema';
+import { initializeDatabase, checkDatabaseConnection, closeDatabase, migrateTokenDecimals } from './db/schema';
 import { startScheduler, stopScheduler } from './scheduler';
 import { checkConnection } from './lib/solana';
 import { verifyBurnAddress } from './services/burn';
@@ -13,6 +13,7 @@ import { verifyBurnAddress } from './services/burn';
 import statsRoutes from './routes/stats';
 import claimRoutes from './routes/claim';
 import adminRoutes from './routes/admin';
+import metricsRoutes from './routes/metrics';
 
 const app = express();
 
@@ -88,6 +89,8 @@ app.get('/', (req, res) => {
       dashboard: '/api/stats/dashboard',
       claims: '/api/stats/claims',
       burns: '/api/stats/burns',
+      fees: '/api/stats/fees',
+      metrics: '/metrics',
     }
   });
 });
@@ -123,6 +126,7 @@ app.get('/health', async (req, res) => {
 app.use('/api/stats', statsRoutes);
 app.use('/api/claim', claimRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/metrics', metricsRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -182,6 +186,8 @@ async function startServer() {
         log.warn('⚠ Database connection check failed - will retry on first request');
       } else {
         log.info('✓ Database connected');
+        // Token amounts are stored raw: record the mint's decimals
+        await migrateTokenDecimals();
       }
     } catch (error) {
       log.warn('⚠ Database initialization skipped', error);
@@ -0,0 +1,241 @@
+// backend/src/lib/metrics.ts
+//
+// Prometheus metrics in the text exposition format (version 0.0.4). Values
+// live in this process; the long-running totals kept in system_status are
+// read at scrape time instead, so they survive restarts.
+
+type Labels = Record<string, string>;
+
+interface Metric {
+  name: string;
+  help: string;
+  type: 'counter' | 'gauge' | 'histogram';
+  render(): string[];
+}
+
+const registry: Metric[] = [];
+
+// Values read at scrape time, e.g. from the database
+const collectors: Array<() => Promise<void>> = [];
+
+function labelKey(labels: Labels): string {
+  return JSON.stringify(Object.keys(labels).sort().map((key) => [key, labels[key]]));
+}
+
+function formatLabels(labels: Labels, extra?: Labels): string {
+  const entries = Object.entries({ ...labels, ...extra });
+  if (entries.length === 0) {
+    return '';
+  }
+
+  const escaped = entries.map(
+    ([key, value]) => `${key}="${value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`
+  );
+  return `{${escaped.join(',')}}`;
+}
+
+function formatValue(value: number): string {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+export class Counter implements Metric {
+  readonly type = 'counter';
+  private values = new Map<string, { labels: Labels; value: number }>();
+
+  constructor(readonly name: string, readonly help: string) {
+    registry.push(this);
+  }
+
+  inc(labels: Labels = {}, amount: number = 1): void {
+    const key = labelKey(labels);
+    const entry = this.values.get(key) ?? { labels, value: 0 };
+    entry.value += amount;
+    this.values.set(key, entry);
+  }
+
+  // For totals kept elsewhere (system_status), set by a collector
+  set(value: number, labels: Labels = {}): void {
+    this.values.set(labelKey(labels), { labels, value });
+  }
+
+  render(): string[] {
+    return [...this.values.values()].map(
+      (entry) => `${this.name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`
+    );
+  }
+}
+
+export class Gauge implements Metric {
+  readonly type = 'gauge';
+  private values = new Map<string, { labels: Labels; value: number }>();
+
+  constructor(readonly name: string, readonly help: string) {
+    registry.push(this);
+  }
+
+  set(value: number, labels: Labels = {}): void {
+    this.values.set(labelKey(labels), { labels, value });
+  }
+
+  render(): string[] {
+    return [...this.values.values()].map(
+      (entry) => `${this.name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`
+    );
+  }
+}
+
+export class Histogram implements Metric {
+  readonly type = 'histogram';
+  private values = new Map<string, { labels: Labels; counts: number[]; sum: number; count: number }>();
+
+  constructor(readonly name: string, readonly help: string, private readonly buckets: number[]) {
+    registry.push(this);
+  }
+
+  observe(value: number, labels: Labels = {}): void {
+    const key = labelKey(labels);
+    const entry = this.values.get(key) ?? {
+      labels,
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    };
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        entry.counts[index]++;
+      }
+    });
+    entry.sum += value;
+    entry.count++;
+    this.values.set(key, entry);
+  }
+
+  /**
+   * Start a timer; calling the returned function observes the seconds elapsed
+   */
+  startTimer(labels: Labels = {}): (extraLabels?: Labels) => void {
+    const startTime = Date.now();
+    return (extraLabels = {}) => this.observe((Date.now() - startTime) / 1000, { ...labels, ...extraLabels });
+  }
+
+  render(): string[] {
+    const lines: string[] = [];
+
+    for (const entry of this.values.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels(entry.labels, { le: formatValue(bound) })} ${entry.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(entry.labels, { le: '+Inf' })} ${entry.count}`);
+      lines.push(`${this.name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+      lines.push(`${this.name}_count${formatLabels(entry.labels)} ${entry.count}`);
+    }
+
+    return lines;
+  }
+}
+
+/**
+ * Register a callback that refreshes metrics right before each scrape
+ */
+export function addCollector(collect: () => Promise<void>): void {
+  collectors.push(collect);
+}
+
+/**
+ * Every metric in the Prometheus text format. A failing collector leaves
+ * its metrics at their previous values.
+ */
+export async function renderMetrics(): Promise<string> {
+  await Promise.all(collectors.map((collect) => collect().catch(() => undefined)));
+
+  const lines: string[] = [];
+  for (const metric of registry) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.render());
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// ========================================
+// METRICS
+// ========================================
+
+const DURATION_BUCKETS = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+const RPC_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Scheduler
+export const monitorChecks = new Counter(
+  'autopump_monitor_checks_total',
+  'Fee monitoring checks performed (system_status.total_checks)'
+);
+export const claimsCompleted = new Counter(
+  'autopump_claims_total',
+  'Claim flows completed by the scheduler (system_status.total_claims)'
+);
+export const claimsTriggered = new Counter(
+  'autopump_claims_triggered_total',
+  'Claim flows started by the scheduler because the fee threshold was met'
+);
+export const monitorCheckDuration = new Histogram(
+  'autopump_monitor_check_duration_seconds',
+  'Duration of one monitoring check, claim flow included',
+  DURATION_BUCKETS
+);
+export const systemPaused = new Gauge(
+  'autopump_system_paused',
+  '1 while the system is paused, by an admin or the circuit breaker'
+);
+
+// Orchestrator
+export const flowRuns = new Counter(
+  'autopump_flow_runs_total',
+  'Claim flow executions by result (completed, failed, pending, incomplete)'
+);
+export const flowStepDuration = new Histogram(
+  'autopump_flow_step_duration_seconds',
+  'Duration of a claim flow step, by step and result',
+  DURATION_BUCKETS
+);
+export const flowStepFailures = new Counter(
+  'autopump_flow_step_failures_total',
+  'Failed claim flow steps, by step and error code'
+);
+
+// Send path
+export const transactionsSent = new Counter(
+  'autopump_transactions_total',
+  'Transactions submitted, by outcome (confirmed, failed, expired, rejected, unknown)'
+);
+export const transactionConfirmDuration = new Histogram(
+  'autopump_transaction_confirmation_seconds',
+  'Time from the first send of a transaction attempt to its confirmation',
+  DURATION_BUCKETS
+);
+export const feesPaid = new Counter(
+  'autopump_fees_paid_lamports_total',
+  'Network fees (base and priority) paid by confirmed flow and tranche transactions, by step'
+);
+export const rpcRequestDuration = new Histogram(
+  'autopump_rpc_request_duration_seconds',
+  'RPC request latency, by endpoint and method',
+  RPC_BUCKETS
+);
+export const rpcErrors = new Counter(
+  'autopump_rpc_errors_total',
+  'RPC requests that failed (network error or non-2xx), by endpoint and method'
+);
+
+// Wallet and fees
+export const claimableFeesSol = new Gauge(
+  'autopump_claimable_fees_sol',
+  'Claimable creator fees at the last check, in SOL'
+);
+export const creatorBalanceSol = new Gauge(
+  'autopump_creator_balance_sol',
+  'Creator wallet SOL balance at the last check'
+);
@@ -0,0 +1,81 @@
+import { describe, expect, it, jest } from '@jest/globals';
+import { calculateBuyQuote, calculateMaxBuyForImpact } from './pumpfun';
+import { PumpFunError } from '../types';
+
+// The quote math only needs the trade fee; the rest of the environment is
+// validated at load time and not needed here
+jest.mock('../env', () => ({ pumpFeeBps: 100, rpcEndpoints: [] }));
+
+// Reserves of a freshly launched Pump.fun token
+const curve = {
+  virtualSolReserves: 30_000_000_000, // 30 SOL
+  virtualTokenReserves: 1_073_000_000_000_000,
+  realSolReserves: 0,
+  realTokenReserves: 793_100_000_000_000,
+  tokenTotalSupply: 1_000_000_000_000_000,
+  complete: false,
+};
+
+describe('calculateBuyQuote', () => {
+  it('takes the trade fee out of the amount before the swap', () => {
+    const quote = calculateBuyQuote(curve, 1, 100);
+
+    // 1 SOL / 1.01 = 990099009 lamports into the curve
+    expect(quote.amountSol).toBe(1);
+    expect(quote.feeSol).toBeCloseTo(0.009900991, 9);
+    expect(quote.rawTokensOut).toBe('34281150129545');
+    expect(quote.tokensOut).toBe('34281150.129545');
+  });
+
+  it('uses the configured fee by default', () => {
+    expect(calculateBuyQuote(curve, 1)).toEqual(calculateBuyQuote(curve, 1, 100));
+  });
+
+  it('quotes price impact as SOL into the curve over the virtual SOL reserves', () => {
+    expect(calculateBuyQuote(curve, 1, 100).priceImpactBps).toBe(330);
+    expect(calculateBuyQuote(curve, 1, 0).priceImpactBps).toBe(333);
+  });
+
+  it('prices above spot once the fee and impact are included', () => {
+    const quote = calculateBuyQuote(curve, 1, 100);
+
+    expect(quote.spotPrice).toBeCloseTo(30 / 1_073_000_000, 15);
+    expect(quote.effectivePrice).toBeGreaterThan(quote.spotPrice);
+  });
+
+  it('caps the output at the real token reserves left on the curve', () => {
+    const quote = calculateBuyQuote(curve, 1000, 100);
+
+    expect(quote.rawTokensOut).toBe(String(curve.realTokenReserves));
+  });
+
+  it('rejects a curve without virtual reserves', () => {
+    expect(() => calculateBuyQuote({ ...curve, virtualSolReserves: 0 }, 1)).toThrow(PumpFunError);
+  });
+});
+
+describe('calculateMaxBuyForImpact', () => {
+  it('adds the trade fee on top of the SOL the limit lets into the curve', () => {
+    // 3% of 30 SOL = 0.9 SOL into the curve, plus the 1% fee
+    expect(calculateMaxBuyForImpact(curve, 300, 100)).toBeCloseTo(0.909, 9);
+    expect(calculateMaxBuyForImpact(curve, 300, 0)).toBeCloseTo(0.9, 9);
+  });
+
+  it('returns an amount whose quote stays within the limit', () => {
+    for (const maxImpactBps of [1, 50, 300, 1000]) {
+      const amount = calculateMaxBuyForImpact(curve, maxImpactBps, 100);
+
+      expect(calculateBuyQuote(curve, amount, 100).priceImpactBps).toBeLessThanOrEqual(maxImpactBps);
+    }
+  });
+
+  it('is the largest such amount', () => {
+    const amount = calculateMaxBuyForImpact(curve, 300, 100);
+
+    expect(calculateBuyQuote(curve, amount + 0.01, 100).priceImpactBps).toBeGreaterThan(300);
+  });
+
+  it('allows nothing with a zero limit', () => {
+    expect(calculateMaxBuyForImpact(curve, 0, 100)).toBe(0);
+  });
+});
@@ -11,18 +11,158 @@
  */
 
 import { PublicKey, Keypair, VersionedTransaction } from '@solana/web3.js';
-import { slippageBps, creatorWalletSecret } from '../env';
+import { slippageBps, creatorWalletSecret, pumpFeeBps } from '../env';
 import { log } from './logger';
-import { connection } from './solana';
+import {
+  getConnection,
+  lamportsToSol,
+  solToLamports,
+  sendWithRebroadcast,
+  getPriorityFee,
+} from './solana';
 import { keypairFromSecret } from './solana';
 import {
   PumpFunError,
+  TransactionExpiredError,
+  TransactionPendingError,
   ClaimableFeesResponse,
+  SignatureCallback,
+  PumpFunBondingCurve,
+  AmmPool,
+  BuybackVenue,
+  BuyQuote,
 } from '../types';
 
 // Pump.fun Program ID (constant across all Pump.fun tokens)
 const PUMP_PROGRAM_ID = new PublicKey('6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P');
 
+// Programs of the pools a graduated token can trade on
+const AMM_PROGRAM_IDS: Record<AmmPool, string> = {
+  'pump-amm': 'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA', // PumpSwap
+  raydium: '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8', // Raydium AMM v4
+};
+
+// PumpPortal `pool` parameter for each buyback venue
+const PUMPPORTAL_POOLS: Record<BuybackVenue, string> = {
+  'bonding-curve': 'pump',
+  'pump-amm': 'pump-amm',
+  raydium: 'raydium',
+};
+
+// Anchor account discriminator preceding the bonding curve fields
+const BONDING_CURVE_DISCRIMINATOR_SIZE = 8;
+
+// Every Pump.fun token mint uses 6 decimals
+const PUMP_TOKEN_DECIMALS = 6;
+
+// ========================================
+// BONDING CURVE QUOTES
+// ========================================
+
+/**
+ * Quote a bonding curve buy of `amountSol` (fee included)
+ * 
+ * Pump.fun prices buys as a constant-product swap on the virtual reserves:
+ *   tokensOut = virtualTokenReserves * solIn / (virtualSolReserves + solIn)
+ * where solIn is what is left after the trade fee. Output is capped at the
+ * real token reserves still on the curve.
+ * 
+ * Price impact is the execution price over the spot price (fee excluded),
+ * which for a constant-product curve is solIn / virtualSolReserves.
+ * 
+ * @param curve - Decoded bonding curve state
+ * @param amountSol - SOL to spend, including the trade fee
+ * @param feeBps - Trade fee in basis points
+ */
+export function calculateBuyQuote(
+  curve: PumpFunBondingCurve,
+  amountSol: number,
+  feeBps: number = pumpFeeBps
+): BuyQuote {
+  const virtualSol = BigInt(curve.virtualSolReserves);
+  const virtualTokens = BigInt(curve.virtualTokenReserves);
+
+  if (virtualSol === 0n || virtualTokens === 0n) {
+    throw new PumpFunError('Invalid bonding curve: zero virtual reserves');
+  }
+
+  const grossLamports = BigInt(solToLamports(amountSol));
+  const solIn = (grossLamports * 10000n) / (10000n + BigInt(feeBps));
+
+  let tokensOut = (virtualTokens * solIn) / (virtualSol + solIn);
+  if (tokensOut > BigInt(curve.realTokenReserves)) {
+    tokensOut = BigInt(curve.realTokenReserves);
+  }
+
+  const tokenUnit = 10 ** PUMP_TOKEN_DECIMALS;
+  const tokens = Number(tokensOut) / tokenUnit;
+  const spotPrice = lamportsToSol(Number(virtualSol)) / (Number(virtualTokens) / tokenUnit);
+
+  return {
+    amountSol,
+    feeSol: lamportsToSol(Number(grossLamports - solIn)),
+    rawTokensOut: tokensOut.toString(),
+    tokensOut: tokens.toString(),
+    spotPrice,
+    effectivePrice: tokens > 0 ? amountSol / tokens : 0,
+    priceImpactBps: Number((solIn * 10000n) / virtualSol),
+  };
+}
+
+/**
+ * Largest buy (fee included) whose price impact stays within `maxImpactBps`
+ * 
+ * @param curve - Decoded bonding curve state
+ * @param maxImpactBps - Price impact limit in basis points
+ * @param feeBps - Trade fee in basis points
+ * @returns SOL amount
+ */
+export function calculateMaxBuyForImpact(
+  curve: PumpFunBondingCurve,
+  maxImpactBps: number,
+  feeBps: number = pumpFeeBps
+): number {
+  const maxSolIn = (BigInt(curve.virtualSolReserves) * BigInt(maxImpactBps)) / 10000n;
+  const maxGross = (maxSolIn * (10000n + BigInt(feeBps))) / 10000n;
+
+  return lamportsToSol(Number(maxGross));
+}
+
+/**
+ * Display form of a raw token amount, exact to the last base unit
+ * 
+ * @param rawAmount - Raw token units (BigInt string)
+ * @example formatTokenAmount('194000123456') === '194000.123456'
+ */
+export function formatTokenAmount(
+  rawAmount: string | bigint,
+  decimals: number = PUMP_TOKEN_DECIMALS
+): string {
+  const raw = BigInt(rawAmount);
+  const unit = 10n ** BigInt(decimals);
+  const sign = raw < 0n ? '-' : '';
+  const whole = (raw < 0n ? -raw : raw) / unit;
+  const fraction = ((raw < 0n ? -raw : raw) % unit)
+    .toString()
+    .padStart(decimals, '0')
+    .replace(/0+$/, '');
+
+  return `${sign}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+/**
+ * Raw units of a display token amount ('1000', '0.5'), exact to the last
+ * base unit; digits past the mint's decimals are dropped
+ */
+export function parseTokenAmount(
+  displayAmount: string,
+  decimals: number = PUMP_TOKEN_DECIMALS
+): bigint {
+  const [whole, fraction = ''] = displayAmount.split('.');
+
+  return BigInt(whole + fraction.slice(0, decimals).padEnd(decimals, '0'));
+}
+
 // PumpPortal API endpoint
 const PUMPPORTAL_API = 'https://pumpportal.fun/api/trade-local';
 
@@ -42,6 +182,86 @@ class PumpFunAPI {
     return bondingCurve;
   }
 
+  /**
+   * Read and decode the bonding curve account for a token
+   * 
+   * Layout (after the 8-byte Anchor discriminator):
+   * - virtual_token_reserves (u64)
+   * - virtual_sol_reserves (u64)
+   * - real_token_reserves (u64)
+   * - real_sol_reserves (u64)
+   * - token_total_supply (u64)
+   * - complete (bool) - set once the curve is full and the token has migrated
+   * 
+   * @param mint - Token mint address
+   * @returns Decoded bonding curve state (reserves in raw units / lamports)
+   */
+  async getBondingCurveState(mint: string): Promise<PumpFunBondingCurve> {
+    const bondingCurve = await this.getBondingCurvePDA(new PublicKey(mint));
+    const accountInfo = await getConnection().getAccountInfo(bondingCurve);
+
+    if (!accountInfo) {
+      throw new PumpFunError('Bonding curve not found', {
+        mint,
+        bondingCurve: bondingCurve.toBase58(),
+      });
+    }
+
+    const data = accountInfo.data;
+    const offset = BONDING_CURVE_DISCRIMINATOR_SIZE;
+
+    return {
+      virtualTokenReserves: Number(data.readBigUInt64LE(offset)),
+      virtualSolReserves: Number(data.readBigUInt64LE(offset + 8)),
+      realTokenReserves: Number(data.readBigUInt64LE(offset + 16)),
+      realSolReserves: Number(data.readBigUInt64LE(offset + 24)),
+      tokenTotalSupply: Number(data.readBigUInt64LE(offset + 32)),
+      complete: data.readUInt8(offset + 40) === 1,
+    };
+  }
+
+  /**
+   * Quote a buy against the current bonding curve state
+   * 
+   * @param mint - Token mint address
+   * @param amountSol - SOL to spend, including the trade fee
+   */
+  async quoteBuy(mint: string, amountSol: number): Promise<BuyQuote> {
+    const curve = await this.getBondingCurveState(mint);
+
+    if (curve.complete) {
+      throw new PumpFunError('Bonding curve is complete; buys go to the AMM pool', { mint });
+    }
+
+    const quote = calculateBuyQuote(curve, amountSol);
+
+    log.debug('Bonding curve buy quoted', { mint, ...quote });
+
+    return quote;
+  }
+
+  /**
+   * Pick where a buy should be executed
+   * 
+   * Tokens still on the bonding curve are bought from it; once the curve's
+   * `complete` flag is set the token only trades on its post-graduation pool.
+   * 
+   * @param mint - Token mint address
+   * @param graduatedPool - Pool to use after graduation
+   */
+  async resolveBuyVenue(mint: string, graduatedPool: AmmPool): Promise<BuybackVenue> {
+    const curve = await this.getBondingCurveState(mint);
+    const venue: BuybackVenue = curve.complete ? graduatedPool : 'bonding-curve';
+
+    log.buyback('Buy venue resolved', {
+      mint,
+      complete: curve.complete,
+      venue,
+    });
+
+    return venue;
+  }
+
   /**
    * Derive Creator Vault PDA
    * This is where claimable creator fees are stored (not in bonding curve!)
@@ -49,7 +269,7 @@ class PumpFunAPI {
    * @param creatorPubkey - Creator wallet public key
    * @returns Creator Vault PDA address
    */
-  private async getCreatorVaultPDA(creatorPubkey: PublicKey): Promise<PublicKey> {
+  async getCreatorVaultPDA(creatorPubkey: PublicKey): Promise<PublicKey> {
     const [creatorVault] = await PublicKey.findProgramAddress(
       [Buffer.from('creator-vault'), creatorPubkey.toBuffer()],
       PUMP_PROGRAM_ID
@@ -91,7 +311,7 @@ class PumpFunAPI {
       });
 
       // Read Creator Vault account
-      const accountInfo = await connection.getAccountInfo(creatorVault);
+      const accountInfo = await getConnection().getAccountInfo(creatorVault);
 
       if (!accountInfo) {
         // Creator Vault doesn't exist yet (no fees accumulated)
@@ -131,6 +351,79 @@ class PumpFunAPI {
     }
   }
 
+  /**
+   * Build an unsigned creator fee claim transaction using PumpPortal trade-local API
+   * 
+   * Shared by the real claim and dry-run simulation so both use the exact
+   * same transaction. The priority fee follows recent fees on the creator
+   * vault.
+   * 
+   * @param mint - Token mint address (not used by API but kept for logging)
+   * @param creatorPubkey - Creator wallet that will receive the fees
+   * @returns Unsigned versioned transaction
+   */
+  async buildClaimTransaction(
+    mint: string,
+    creatorPubkey: PublicKey
+  ): Promise<VersionedTransaction> {
+    const priorityFee = await getPriorityFee('claim', [
+      await this.getCreatorVaultPDA(creatorPubkey),
+      creatorPubkey,
+    ]);
+
+    // Call PumpPortal trade-local API to build claim transaction
+    const response = await fetch(PUMPPORTAL_API, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        publicKey: creatorPubkey.toBase58(),
+        action: 'collectCreatorFee',
+        priorityFee: lamportsToSol(priorityFee.lamports),
+      })
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      
+      // ✅ BETTER ERROR HANDLING: Detect "no fees" responses
+      if (errorText.toLowerCase().includes('no fees') || 
+          errorText.toLowerCase().includes('nothing to claim') ||
+          errorText.toLowerCase().includes('insufficient') ||
+          errorText.toLowerCase().includes('zero') ||
+          errorText.toLowerCase().includes('0 sol')) {
+        log.warn('PumpPortal confirmed no claimable fees', { 
+          mint,
+          apiResponse: errorText,
+          note: 'No actual fees available to claim at this time'
+        });
+        throw new PumpFunError(
+          'No creator fees available to claim (confirmed by PumpPortal)',
+          { mint, apiResponse: errorText }
+        );
+      }
+      
+      throw new PumpFunError(
+        `PumpPortal API error: ${response.status} ${errorText}`
+      );
+    }
+
+    // Get unsigned transaction as binary data
+    const transactionBytes = await response.arrayBuffer();
+    const transaction = VersionedTransaction.deserialize(
+      new Uint8Array(transactionBytes)
+    );
+    
+    log.claim('Received unsigned transaction from PumpPortal', {
+      mint,
+      priorityFeeLamports: priorityFee.lamports,
+      transactionSize: transactionBytes.byteLength,
+    });
+
+    return transaction;
+  }
+
   /**
    * Claim creator fees using PumpPortal trade-local API
    * 
@@ -143,12 +436,16 @@ class PumpFunAPI {
    * @param mint - Token mint address (not used by API but kept for logging)
    * @param creatorKeypair - Creator wallet keypair that will receive the fees
    * @param amount - Optional specific amount (API ignores this, claims all fees)
+   * @param onSent - Called with the signature before the transaction is broadcast
+   * @param deadline - Stop waiting for confirmation at this time (left pending)
    * @returns Transaction signature
    */
   async claimFees(
     mint: string,
     creatorKeypair: Keypair,
-    amount?: number
+    amount?: number,
+    onSent?: SignatureCallback,
+    deadline?: number
   ): Promise<string> {
     try {
       log.claim('Initiating fee claim via PumpPortal', { 
@@ -157,68 +454,13 @@ class PumpFunAPI {
         estimatedAmount: amount,
       });
 
-      // Call PumpPortal trade-local API to build claim transaction
-      const response = await fetch(PUMPPORTAL_API, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          publicKey: creatorKeypair.publicKey.toBase58(),
-          action: 'collectCreatorFee',
-          priorityFee: 0.000001,
-        })
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        
-        // ✅ BETTER ERROR HANDLING: Detect "no fees" responses
-        if (errorText.toLowerCase().includes('no fees') || 
-            errorText.toLowerCase().includes('nothing to claim') ||
-            errorText.toLowerCase().includes('insufficient') ||
-            errorText.toLowerCase().includes('zero') ||
-            errorText.toLowerCase().includes('0 sol')) {
-          log.warn('PumpPortal confirmed no claimable fees', { 
-            mint,
-            apiResponse: errorText,
-            note: 'No actual fees available to claim at this time'
-          });
-          throw new PumpFunError(
-            'No creator fees available to claim (confirmed by PumpPortal)',
-            { mint, apiResponse: errorText }
-          );
-        }
-        
-        throw new PumpFunError(
-          `PumpPortal API error: ${response.status} ${errorText}`
-        );
-      }
-
-      // Get unsigned transaction as binary data
-      const transactionBytes = await response.arrayBuffer();
-      const transaction = VersionedTransaction.deserialize(
-        new Uint8Array(transactionBytes)
+      // Build the claim transaction via PumpPortal (re-requested if the
+      // first one expires), then sign, send and confirm it
+      const signature = await sendWithRebroadcast(
+        () => this.buildClaimTransaction(mint, creatorKeypair.publicKey),
+        [creatorKeypair],
+        { preflightCommitment: 'confirmed', onSent, deadline }
       );
-      
-      log.claim('Received unsigned transaction from PumpPortal', {
-        mint,
-        transactionSize: transactionBytes.byteLength,
-      });
-
-      // Sign transaction with creator keypair
-      transaction.sign([creatorKeypair]);
-
-      // Send to Solana network
-      const signature = await connection.sendTransaction(transaction, {
-        skipPreflight: false,
-        preflightCommitment: 'confirmed',
-      });
-
-      log.claim('Fee claim transaction sent', { signature, mint });
-
-      // Wait for confirmation
-      await connection.confirmTransaction(signature, 'confirmed');
 
       log.claim('Fee claim confirmed', { signature, mint });
 
@@ -226,8 +468,12 @@ class PumpFunAPI {
     } catch (error) {
       log.error('Fee claim failed', error, { mint });
       
-      // Re-throw PumpFunErrors as-is
-      if (error instanceof PumpFunError) {
+      // Re-throw PumpFunErrors, expiry and unknown outcomes as-is
+      if (
+        error instanceof PumpFunError ||
+        error instanceof TransactionExpiredError ||
+        error instanceof TransactionPendingError
+      ) {
         throw error;
       }
       
@@ -238,17 +484,89 @@ class PumpFunAPI {
     }
   }
 
+  /**
+   * Build an unsigned buy transaction using PumpPortal trade-local API
+   * 
+   * @param mint - Token mint address to buy
+   * @param amountSol - Amount of SOL to spend (EXACT amount)
+   * @param buyerPubkey - Wallet that will receive the tokens
+   * @param slippage - Slippage tolerance in basis points (100 = 1%)
+   * @param priorityFee - Priority fee in SOL (default: from recent fees on the bonding curve)
+   * @param venue - Bonding curve, or the AMM pool of a graduated token
+   * @returns Unsigned versioned transaction
+   */
+  async buildBuyTransaction(
+    mint: string,
+    amountSol: number,
+    buyerPubkey: PublicKey,
+    slippage: number = slippageBps,
+    priorityFee?: number,
+    venue: BuybackVenue = 'bonding-curve'
+  ): Promise<VersionedTransaction> {
+    if (priorityFee === undefined) {
+      const writableAccounts = venue === 'bonding-curve'
+        ? [await this.getBondingCurvePDA(new PublicKey(mint)), buyerPubkey]
+        : [buyerPubkey];
+      priorityFee = lamportsToSol((await getPriorityFee('buyback', writableAccounts)).lamports);
+    }
+
+    // Call PumpPortal trade-local API to build buy transaction
+    const response = await fetch(PUMPPORTAL_API, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        publicKey: buyerPubkey.toBase58(),
+        action: 'buy',
+        mint,
+        denominatedInSol: 'true',
+        amount: amountSol, // EXACT amount to spend
+        slippage,
+        priorityFee,
+        pool: PUMPPORTAL_POOLS[venue],
+      })
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new PumpFunError(
+        `PumpPortal buy API error: ${response.status} ${errorText}`,
+        { mint, venue }
+      );
+    }
+
+    // Get unsigned transaction as binary data
+    const transactionBytes = await response.arrayBuffer();
+    const transaction = VersionedTransaction.deserialize(
+      new Uint8Array(transactionBytes)
+    );
+    
+    log.buyback('Received unsigned buy transaction from PumpPortal', {
+      mint,
+      venue,
+      priorityFee,
+      transactionSize: transactionBytes.byteLength,
+    });
+
+    return transaction;
+  }
+
   /**
    * Buy tokens using PumpPortal trade-local API
    * 
-   * Purchases tokens from the Pump.fun bonding curve.
-   * The API builds a swap transaction that we sign and send.
+   * Purchases tokens from the Pump.fun bonding curve, or from the AMM pool
+   * when the token has graduated. The API builds a swap transaction that we
+   * sign and send.
    * 
    * @param mint - Token mint address to buy
    * @param amountSol - Amount of SOL to spend (EXACT amount)
    * @param buyerKeypair - Wallet that will receive the tokens
    * @param slippage - Slippage tolerance in basis points (100 = 1%)
-   * @param priorityFee - Priority fee in SOL (default 0.0001, can be lowered to 0.00001)
+   * @param priorityFee - Priority fee in SOL (default: from recent network fees, re-read per attempt)
+   * @param onSent - Called with the signature before the transaction is broadcast
+   * @param venue - Bonding curve, or the AMM pool of a graduated token
+   * @param deadline - Stop waiting for confirmation at this time (left pending)
    * @returns Object with transaction signature and tokens purchased
    */
   async buyToken(
@@ -256,7 +574,10 @@ class PumpFunAPI {
     amountSol: number,
     buyerKeypair: Keypair,
     slippage: number = slippageBps,
-    priorityFee: number = 0.0001
+    priorityFee?: number,
+    onSent?: SignatureCallback,
+    venue: BuybackVenue = 'bonding-curve',
+    deadline?: number
   ): Promise<{ signature: string; tokensPurchased: string }> {
     try {
       log.buyback('Initiating token purchase via PumpPortal', {
@@ -264,125 +585,141 @@ class PumpFunAPI {
         amountSol,
         slippage,
         priorityFee,
+        venue,
         buyer: buyerKeypair.publicKey.toBase58(),
       });
 
-      // Call PumpPortal trade-local API to build buy transaction
-      const response = await fetch(PUMPPORTAL_API, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          publicKey: buyerKeypair.publicKey.toBase58(),
-          action: 'buy',
+      // Build the buy transaction via PumpPortal (re-requested if the first
+      // one expires), then sign, send and confirm it
+      const signature = await sendWithRebroadcast(
+        () => this.buildBuyTransaction(
           mint,
-          denominatedInSol: 'true',
-          amount: amountSol, // EXACT amount to spend
+          amountSol,
+          buyerKeypair.publicKey,
           slippage,
           priorityFee,
-        })
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new PumpFunError(
-          `PumpPortal buy API error: ${response.status} ${errorText}`
-        );
-      }
-
-      // Get unsigned transaction as binary data
-      const transactionBytes = await response.arrayBuffer();
-      const transaction = VersionedTransaction.deserialize(
-        new Uint8Array(transactionBytes)
+          venue
+        ),
+        [buyerKeypair],
+        { onSent, deadline }
       );
-      
-      log.buyback('Received unsigned buy transaction from PumpPortal', {
-        mint,
-        transactionSize: transactionBytes.byteLength,
-      });
-
-      // Sign transaction with buyer keypair
-      transaction.sign([buyerKeypair]);
-
-      // Send to Solana network
-      const signature = await connection.sendTransaction(transaction, {
-        skipPreflight: false,
-        maxRetries: 3,
-      });
-
-      log.buyback('Buy transaction sent', { signature, mint });
-
-      // Wait for confirmation
-      await connection.confirmTransaction(signature, 'confirmed');
 
       log.buyback('Buy transaction confirmed', { signature, mint });
 
-      // Extract tokens purchased from transaction logs
-      const txDetails = await connection.getTransaction(signature, {
-        maxSupportedTransactionVersion: 0,
-      });
-
-      const tokensPurchased = this.extractTokensPurchased(txDetails);
+      const tokensPurchased = await this.getTokensPurchased(signature, mint, buyerKeypair.publicKey);
 
       log.buyback('Token purchase complete', {
         signature,
         tokensPurchased,
         mint,
+        venue,
         solSpent: amountSol,
       });
 
       return { signature, tokensPurchased };
     } catch (error) {
-      log.error('Token purchase failed', error, { mint, amountSol });
+      log.error('Token purchase failed', error, { mint, amountSol, venue });
+
+      if (error instanceof TransactionExpiredError || error instanceof TransactionPendingError) {
+        throw error;
+      }
+
       throw new PumpFunError(
         `Failed to buy tokens: ${error}`,
-        { mint, amountSol, error }
+        { mint, amountSol, venue, error }
       );
     }
   }
 
+  /**
+   * Look up a confirmed buy transaction and return the tokens it purchased
+   * 
+   * @param signature - Buy transaction signature
+   * @param mint - Token mint that was bought
+   * @param buyer - Wallet that received the tokens
+   * @returns Raw token units purchased, as a BigInt string
+   */
+  async getTokensPurchased(signature: string, mint: string, buyer: PublicKey): Promise<string> {
+    // Extract tokens purchased from transaction logs
+    const txDetails = await getConnection().getTransaction(signature, {
+      maxSupportedTransactionVersion: 0,
+    });
+
+    return this.extractTokensPurchased(txDetails, mint, buyer.toBase58());
+  }
+
+  /**
+   * Work out where a confirmed buy transaction was executed from the
+   * programs it touched (used when recovering unrecorded buys)
+   * 
+   * @param signature - Buy transaction signature
+   */
+  async getBuyVenueFromTransaction(signature: string): Promise<BuybackVenue> {
+    const txDetails = await getConnection().getTransaction(signature, {
+      maxSupportedTransactionVersion: 0,
+    });
+
+    if (!txDetails) {
+      throw new PumpFunError('Buy transaction not found', { signature });
+    }
+
+    const accountKeys = txDetails.transaction.message
+      .getAccountKeys({ accountKeysFromLookups: txDetails.meta?.loadedAddresses })
+      .keySegments()
+      .flat()
+      .map((key) => key.toBase58());
+
+    for (const [pool, programId] of Object.entries(AMM_PROGRAM_IDS)) {
+      if (accountKeys.includes(programId)) {
+        return pool as AmmPool;
+      }
+    }
+
+    return 'bonding-curve';
+  }
+
   /**
    * Extract number of tokens purchased from transaction details
    * 
-   * Analyzes the transaction's token balance changes to determine
-   * how many tokens were received in the swap.
+   * Sums the buyer's token balance changes of the bought mint, the same way
+   * reconciliation reads them: pool and fee accounts of the swap (or of other
+   * mints routed through it) also change and must not be counted. Balances
+   * are read from the raw `amount` strings, never the float `uiAmount`.
    * 
    * @param txDetails - Transaction details from getTransaction
-   * @returns String representation of tokens purchased (for precision)
+   * @param mint - Token mint that was bought
+   * @param owner - Wallet that received the tokens
+   * @returns Raw token units purchased, as a BigInt string
    */
-  private extractTokensPurchased(txDetails: any): string {
+  private extractTokensPurchased(txDetails: any, mint: string, owner: string): string {
     try {
       if (!txDetails?.meta?.postTokenBalances) {
         log.warn('No token balances found in transaction');
         return '0';
       }
 
-      const preBalances = txDetails.meta.preTokenBalances || [];
-      const postBalances = txDetails.meta.postTokenBalances || [];
+      const isBuyerBalance = (balance: any) => balance.mint === mint && balance.owner === owner;
+      const sumAmounts = (balances: any[]) =>
+        balances
+          .filter(isBuyerBalance)
+          .reduce((sum, balance) => sum + BigInt(balance.uiTokenAmount?.amount ?? '0'), 0n);
 
-      // Find the account with token balance increase
-      for (const postBalance of postBalances) {
-        const preBalance = preBalances.find(
-          (pre: any) => pre.accountIndex === postBalance.accountIndex
-        );
+      const preAmount = sumAmounts(txDetails.meta.preTokenBalances || []);
+      const postAmount = sumAmounts(txDetails.meta.postTokenBalances);
+      const change = postAmount - preAmount;
 
-        const preAmount = preBalance?.uiTokenAmount?.uiAmount || 0;
-        const postAmount = postBalance.uiTokenAmount?.uiAmount || 0;
-        const change = postAmount - preAmount;
-
-        if (change > 0) {
-          log.debug('Token balance change detected', {
-            accountIndex: postBalance.accountIndex,
-            preAmount,
-            postAmount,
-            change,
-          });
-          return change.toString();
-        }
+      if (change > 0n) {
+        log.debug('Token balance change detected', {
+          mint,
+          owner,
+          preAmount: preAmount.toString(),
+          postAmount: postAmount.toString(),
+          change: change.toString(),
+        });
+        return change.toString();
       }
 
-      log.warn('No positive token balance change found');
+      log.warn('No positive token balance change found for buyer', { mint, owner });
       return '0';
     } catch (error) {
       log.error('Failed to extract tokens purchased', error);
@@ -403,22 +740,8 @@ class PumpFunAPI {
    */
   async getTokenPrice(mint: string): Promise<number> {
     try {
-      const mintPubkey = new PublicKey(mint);
-      const bondingCurve = await this.getBondingCurvePDA(mintPubkey);
-
-      const accountInfo = await connection.getAccountInfo(bondingCurve);
-      
-      if (!accountInfo) {
-        throw new PumpFunError('Bonding curve not found');
-      }
-
-      const data = accountInfo.data;
-      
-      // Read reserves from bonding curve
-      // Offset 0: virtual_token_reserves (u64)
-      // Offset 8: virtual_sol_reserves (u64)
-      const virtualTokenReserves = Number(data.readBigUInt64LE(0));
-      const virtualSolReserves = Number(data.readBigUInt64LE(8));
+      const { virtualTokenReserves, virtualSolReserves } =
+        await this.getBondingCurveState(mint);
       
       if (virtualTokenReserves === 0) {
         throw new PumpFunError('Invalid bonding curve: zero token reserves');
@@ -456,7 +779,7 @@ class PumpFunAPI {
     try {
       const mintPubkey = new PublicKey(mint);
       const bondingCurve = await this.getBondingCurvePDA(mintPubkey);
-      const accountInfo = await connection.getAccountInfo(bondingCurve);
+      const accountInfo = await getConnection().getAccountInfo(bondingCurve);
 
       if (!accountInfo) {
         throw new PumpFunError('Bonding curve not found');
@@ -0,0 +1,90 @@
+import { beforeEach, describe, expect, it, jest } from '@jest/globals';
+
+let mockMultiSend = false;
+
+jest.mock('../env', () => ({
+  rpcEndpoints: ['https://rpc-a.example', 'https://rpc-b.example'],
+  get rpcMultiSend() {
+    return mockMultiSend;
+  },
+  rpcMaxSlotLag: 50,
+  rpcHealthCheckSeconds: Infinity, // no background slot checks
+  confirmationCommitment: 'confirmed',
+}));
+jest.mock('./logger', () => ({
+  log: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+jest.mock('./metrics', () => ({
+  rpcErrors: { inc: jest.fn() },
+  rpcRequestDuration: { observe: jest.fn() },
+}));
+
+type Reply = { result: unknown } | { error: { code: number; message: string } } | 'down';
+
+// Answer JSON-RPC requests per endpoint origin
+function serve(replies: Record<string, Reply>) {
+  return jest.spyOn(global, 'fetch').mockImplementation(async (input, init) => {
+    const reply = replies[new URL(String(input)).origin];
+    if (reply === 'down') {
+      throw new TypeError('fetch failed');
+    }
+
+    const { id } = JSON.parse(String(init?.body));
+    return new Response(JSON.stringify({ jsonrpc: '2.0', id, ...reply }), { status: 200 });
+  });
+}
+
+const preflightFailure = {
+  error: { code: -32002, message: 'Transaction simulation failed: Error processing Instruction 0' },
+};
+
+describe('rpcPool', () => {
+  let pool: typeof import('./rpcPool');
+  let SendTransactionError: typeof import('@solana/web3.js').SendTransactionError;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.resetModules();
+    mockMultiSend = false;
+    pool = require('./rpcPool');
+    ({ SendTransactionError } = require('@solana/web3.js'));
+  });
+
+  it('retries a read on the next endpoint after a transport error', async () => {
+    const fetchMock = serve({ 'https://rpc-a.example': 'down', 'https://rpc-b.example': { result: 1234 } });
+
+    await expect(pool.getConnection().getSlot()).resolves.toBe(1234);
+    expect(fetchMock.mock.calls.map(([url]) => String(url))).toEqual([
+      'https://rpc-a.example',
+      'https://rpc-b.example',
+    ]);
+  });
+
+  it('fails over a send after a transport error', async () => {
+    serve({ 'https://rpc-a.example': 'down', 'https://rpc-b.example': { result: 'Sig111' } });
+
+    await expect(pool.broadcastTransaction(Buffer.from([1, 2, 3]), {})).resolves.toBe('Sig111');
+  });
+
+  it('does not fail over a preflight rejection', async () => {
+    const fetchMock = serve({ 'https://rpc-a.example': preflightFailure, 'https://rpc-b.example': { result: 'Sig111' } });
+
+    await expect(pool.broadcastTransaction(Buffer.from([1, 2, 3]), {})).rejects.toBeInstanceOf(SendTransactionError);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('multi-sends to every endpoint and succeeds when any accepts', async () => {
+    mockMultiSend = true;
+    const fetchMock = serve({ 'https://rpc-a.example': 'down', 'https://rpc-b.example': { result: 'Sig111' } });
+
+    await expect(pool.broadcastTransaction(Buffer.from([1, 2, 3]), {})).resolves.toBe('Sig111');
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('multi-send throws the preflight rejection when no endpoint accepts', async () => {
+    mockMultiSend = true;
+    serve({ 'https://rpc-a.example': 'down', 'https://rpc-b.example': preflightFailure });
+
+    await expect(pool.broadcastTransaction(Buffer.from([1, 2, 3]), {})).rejects.toBeInstanceOf(SendTransactionError);
+  });
+});
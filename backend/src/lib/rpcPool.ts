@@ -0,0 +1,293 @@
+import { Connection, FetchFn, SendOptions, SendTransactionError } from '@solana/web3.js';
+import {
+  rpcEndpoints,
+  rpcMultiSend,
+  rpcMaxSlotLag,
+  rpcHealthCheckSeconds,
+  confirmationCommitment,
+} from '../env';
+import { log } from './logger';
+import { rpcErrors, rpcRequestDuration } from './metrics';
+import { RpcEndpointHealth } from '../types';
+
+// Weight of the newest request in the rolling latency and error rate
+const EWMA_WEIGHT = 0.2;
+
+// Score penalties, in milliseconds of latency: a 10% error rate costs as
+// much as 500ms, each slot behind (~400ms of chain time) costs 20ms
+const ERROR_RATE_PENALTY_MS = 5000;
+const SLOT_LAG_PENALTY_MS = 20;
+
+// Error rate above which an endpoint is unhealthy
+const MAX_ERROR_RATE = 0.5;
+
+interface PoolEndpoint {
+  url: string;
+  connection: Connection; // fails over to the other endpoints
+  direct: Connection; // this endpoint only: health checks and multi-send
+  fetch: FetchFn;
+  latencyMs: number;
+  errorRate: number;
+  requests: number;
+  errors: number;
+  slot?: number;
+  slotLag: number;
+  lastError?: string;
+  lastCheckedAt?: number;
+}
+
+const endpoints: PoolEndpoint[] = rpcEndpoints.map(createEndpoint);
+
+let lastHealthCheck = 0;
+let healthCheck: Promise<void> | null = null;
+
+function createEndpoint(url: string): PoolEndpoint {
+  const endpoint = {
+    url,
+    latencyMs: 0,
+    errorRate: 0,
+    requests: 0,
+    errors: 0,
+    slotLag: 0,
+  } as PoolEndpoint;
+
+  endpoint.fetch = trackedFetch(endpoint);
+  endpoint.connection = new Connection(url, {
+    commitment: confirmationCommitment,
+    confirmTransactionInitialTimeout: 60000,
+    fetch: failoverFetch(endpoint),
+  });
+  endpoint.direct = new Connection(url, {
+    commitment: confirmationCommitment,
+    confirmTransactionInitialTimeout: 60000,
+    fetch: endpoint.fetch,
+  });
+
+  return endpoint;
+}
+
+// Send a request the endpoint could not serve (network error, non-2xx) to
+// the other healthy endpoints, best first, until one answers. JSON-RPC
+// errors, such as a failed preflight, come back as a 2xx and are returned.
+function failoverFetch(endpoint: PoolEndpoint): FetchFn {
+  return async (input, init) => {
+    const targets = [endpoint, ...rankEndpoints().filter((other) => other !== endpoint && isHealthy(other))];
+    let failure: { response?: Response; error?: unknown } = {};
+
+    for (const [index, target] of targets.entries()) {
+      if (index > 0) {
+        log.warn('RPC request failed, retrying on the next endpoint', {
+          failed: displayUrl(targets[index - 1].url),
+          next: displayUrl(target.url),
+          method: rpcMethod(init?.body),
+          error: failure.response ? `HTTP ${failure.response.status}` : errorMessage(failure.error),
+        });
+      }
+
+      try {
+        const response = await target.fetch(index === 0 ? input : target.url, init);
+        if (response.ok) {
+          return response;
+        }
+        failure = { response };
+      } catch (error) {
+        failure = { error };
+      }
+    }
+
+    if (failure.response) {
+      return failure.response;
+    }
+    throw failure.error;
+  };
+}
+
+// Time every RPC request and count failures (network errors, non-2xx)
+function trackedFetch(endpoint: PoolEndpoint): FetchFn {
+  return async (input, init) => {
+    const startTime = Date.now();
+    const labels = { endpoint: displayUrl(endpoint.url), method: rpcMethod(init?.body) };
+
+    try {
+      const response = await fetch(input, init);
+      recordRequest(endpoint, labels, Date.now() - startTime, response.ok ? undefined : `HTTP ${response.status}`);
+      return response;
+    } catch (error) {
+      recordRequest(endpoint, labels, Date.now() - startTime, errorMessage(error));
+      throw error;
+    }
+  };
+}
+
+// JSON-RPC method of a request body, for metrics
+function rpcMethod(body: unknown): string {
+  try {
+    const request = typeof body === 'string' ? JSON.parse(body) : undefined;
+    return Array.isArray(request) ? 'batch' : String(request?.method ?? 'unknown');
+  } catch {
+    return 'unknown';
+  }
+}
+
+function recordRequest(
+  endpoint: PoolEndpoint,
+  labels: { endpoint: string; method: string },
+  latencyMs: number,
+  error?: string
+): void {
+  const first = endpoint.requests === 0;
+
+  rpcRequestDuration.observe(latencyMs / 1000, labels);
+  if (error) {
+    rpcErrors.inc(labels);
+  }
+
+  endpoint.requests++;
+  endpoint.latencyMs = first ? latencyMs : endpoint.latencyMs + EWMA_WEIGHT * (latencyMs - endpoint.latencyMs);
+  endpoint.errorRate += EWMA_WEIGHT * ((error ? 1 : 0) - endpoint.errorRate);
+
+  if (error) {
+    endpoint.errors++;
+    endpoint.lastError = error;
+  }
+}
+
+function score(endpoint: PoolEndpoint): number {
+  return (
+    endpoint.latencyMs +
+    endpoint.errorRate * ERROR_RATE_PENALTY_MS +
+    endpoint.slotLag * SLOT_LAG_PENALTY_MS
+  );
+}
+
+function isHealthy(endpoint: PoolEndpoint): boolean {
+  return endpoint.errorRate <= MAX_ERROR_RATE && endpoint.slotLag <= rpcMaxSlotLag;
+}
+
+// Healthy endpoints first, then by score; ties keep the configured order
+function rankEndpoints(): PoolEndpoint[] {
+  return [...endpoints].sort(
+    (a, b) => Number(isHealthy(b)) - Number(isHealthy(a)) || score(a) - score(b)
+  );
+}
+
+/**
+ * Connection to the healthiest RPC endpoint
+ *
+ * Endpoints are ranked on the rolling latency and error rate of the
+ * requests they served, plus how far their slot trails the best endpoint.
+ * Slots are re-read in the background every RPC_HEALTH_CHECK_SECONDS.
+ * A request the endpoint fails to serve is retried on the next healthy one.
+ */
+export function getConnection(): Connection {
+  if (endpoints.length > 1 && !healthCheck && Date.now() - lastHealthCheck > rpcHealthCheckSeconds * 1000) {
+    healthCheck = refreshRpcHealth()
+      .catch((error) => log.error('RPC health check failed', error))
+      .finally(() => {
+        healthCheck = null;
+      });
+  }
+
+  return rankEndpoints()[0].connection;
+}
+
+/**
+ * Read every endpoint's slot and work out how far each one lags
+ */
+export async function refreshRpcHealth(): Promise<void> {
+  lastHealthCheck = Date.now();
+
+  await Promise.all(
+    endpoints.map(async (endpoint) => {
+      try {
+        endpoint.slot = await endpoint.direct.getSlot(confirmationCommitment);
+      } catch (error) {
+        endpoint.lastError = errorMessage(error);
+      }
+      endpoint.lastCheckedAt = Date.now();
+    })
+  );
+
+  const bestSlot = Math.max(0, ...endpoints.map((endpoint) => endpoint.slot ?? 0));
+
+  for (const endpoint of endpoints) {
+    // An endpoint that never answered counts as fully lagging
+    endpoint.slotLag = endpoint.slot !== undefined ? bestSlot - endpoint.slot : rpcMaxSlotLag + 1;
+  }
+
+  const active = rankEndpoints()[0];
+  log.debug('RPC health refreshed', {
+    active: displayUrl(active.url),
+    bestSlot,
+    lagging: endpoints.filter((endpoint) => !isHealthy(endpoint)).map((endpoint) => displayUrl(endpoint.url)),
+  });
+}
+
+/**
+ * Send a signed transaction through the healthiest endpoint, failing over
+ * to the next healthy one on a transport error. With RPC_MULTI_SEND it goes
+ * to every endpoint at once and succeeds as soon as one accepts it.
+ *
+ * When every endpoint refused it, a preflight rejection is thrown ahead of
+ * transport errors, so callers can tell a transaction that can never land.
+ *
+ * @returns Transaction signature
+ */
+export async function broadcastTransaction(
+  rawTransaction: Buffer | Uint8Array,
+  options: SendOptions
+): Promise<string> {
+  const ranked = rankEndpoints();
+
+  if (!rpcMultiSend || ranked.length === 1) {
+    return ranked[0].connection.sendRawTransaction(rawTransaction, options);
+  }
+
+  const sends = ranked.map((endpoint) =>
+    endpoint.direct.sendRawTransaction(rawTransaction, options).catch((error) => {
+      log.debug('RPC send failed', { endpoint: displayUrl(endpoint.url), error: errorMessage(error) });
+      throw error;
+    })
+  );
+
+  try {
+    return await Promise.any(sends);
+  } catch (error) {
+    // Rejections are in rank order: the healthiest endpoint's comes first
+    const errors = error instanceof AggregateError ? error.errors : [error];
+    throw errors.find((reason) => reason instanceof SendTransactionError) ?? errors[0];
+  }
+}
+
+/**
+ * Per-endpoint health, best first
+ */
+export function getRpcHealth(): RpcEndpointHealth[] {
+  return rankEndpoints().map((endpoint, index) => ({
+    endpoint: displayUrl(endpoint.url),
+    active: index === 0,
+    healthy: isHealthy(endpoint),
+    score: Math.round(score(endpoint)),
+    latencyMs: Math.round(endpoint.latencyMs),
+    errorRate: Number(endpoint.errorRate.toFixed(3)),
+    requests: endpoint.requests,
+    errors: endpoint.errors,
+    slot: endpoint.slot,
+    slotLag: endpoint.slotLag,
+    lastError: endpoint.lastError,
+    lastCheckedAt: endpoint.lastCheckedAt,
+  }));
+}
+
+function errorMessage(error: unknown): string {
+  return error instanceof Error ? error.message : String(error);
+}
+
+// Provider API keys often sit in the path or query; only show the origin
+function displayUrl(url: string): string {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return 'invalid-url';
+  }
+}
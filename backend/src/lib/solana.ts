@@ -1,9 +1,12 @@
 import {
-  Connection,
   Keypair,
   PublicKey,
   Transaction,
-  sendAndConfirmTransaction,
+  VersionedTransaction,
+  TransactionError as SolanaTransactionError,
+  SignatureStatus,
+  SendTransactionError,
+  TransactionConfirmationStatus,
   LAMPORTS_PER_SOL,
   SystemProgram,
   TransactionInstruction,
@@ -12,26 +15,73 @@ import {
 import {
   getAssociatedTokenAddress,
   createTransferInstruction,
+  createBurnInstruction,
   createAssociatedTokenAccountInstruction,
   getAccount,
+  unpackMint,
   TOKEN_PROGRAM_ID,
   ASSOCIATED_TOKEN_PROGRAM_ID,
 } from '@solana/spl-token';
 import bs58 from 'bs58';
 import { 
-  rpcEndpoint, 
   confirmationCommitment, 
   maxRetries,
+  priorityFeePercentile,
+  priorityFeeMaxMicroLamports,
   burnAddress as BURN_ADDRESS 
 } from '../env';
 import { log } from './logger';
-import { WalletKeypair, SendTransactionOptions, TransactionError } from '../types';
+import { getConnection, broadcastTransaction } from './rpcPool';
+import { transactionConfirmDuration, transactionsSent } from './metrics';
+import {
+  WalletKeypair,
+  FlowStep,
+  PriorityFeeEstimate,
+  SendTransactionOptions,
+  SignatureCallback,
+  TransactionError,
+  TransactionExpiredError,
+  TransactionPendingError,
+} from '../types';
+
+// How often an unconfirmed transaction is re-sent and its status polled
+const REBROADCAST_INTERVAL_MS = 2000;
+
+// Signature statuses that count as final at CONFIRMATION_COMMITMENT
+const ACCEPTED_STATUSES: TransactionConfirmationStatus[] = confirmationCommitment === 'finalized'
+  ? ['finalized']
+  : confirmationCommitment === 'confirmed'
+    ? ['confirmed', 'finalized']
+    : ['processed', 'confirmed', 'finalized'];
+
+// Give up on a sent transaction whose status or block height couldn't be
+// read for this long (about a blockhash lifetime); it is then left pending
+const STATUS_UNREADABLE_TIMEOUT_MS = 90_000;
+
+// Base fee charged per transaction signature
+export const LAMPORTS_PER_SIGNATURE = 5000;
 
-// Create Solana connection with retry logic
-export const connection = new Connection(rpcEndpoint, {
-  commitment: confirmationCommitment,
-  confirmTransactionInitialTimeout: 60000,
-});
+// Compute units budgeted per transaction type. Our own transfers and burns
+// set this as their limit; PumpPortal sets its own, so for claims and buys it
+// only converts the unit price into the SOL fee PumpPortal expects.
+export const COMPUTE_UNIT_LIMITS: Record<FlowStep, number> = {
+  claim: 100_000,
+  treasury: 10_000,
+  buyback: 200_000,
+  burn: 80_000, // includes creating the incinerator token account
+};
+
+// Unit prices used when fee data can't be read (the claim and buy prices
+// match the fixed fees sent before fees followed the network)
+const FALLBACK_MICROLAMPORTS: Record<FlowStep, number> = {
+  claim: 10_000,
+  treasury: 0,
+  buyback: 500_000,
+  burn: 0,
+};
+
+// Reads go to the healthiest endpoint of the RPC pool
+export { getConnection };
 
 // Convert base58 private key to Keypair
 export function keypairFromSecret(secretKey: string): Keypair {
@@ -57,17 +107,24 @@ export function lamportsToSol(lamports: number): number {
   return lamports / LAMPORTS_PER_SOL;
 }
 
-// Convert SOL to lamports
+// Convert SOL to lamports. Rounds: amounts converted from lamports don't
+// always convert back exactly (0.3 SOL * 1e9 = 299999999.99999994)
 export function solToLamports(sol: number): number {
-  return Math.floor(sol * LAMPORTS_PER_SOL);
+  return Math.round(sol * LAMPORTS_PER_SOL);
 }
 
 // Get SOL balance for a wallet
 export async function getBalance(publicKey: PublicKey): Promise<number> {
-  const balance = await connection.getBalance(publicKey);
+  const balance = await getConnection().getBalance(publicKey);
   return lamportsToSol(balance);
 }
 
+// Decimals of a token mint, owned by either token program
+export async function getMintDecimals(mint: PublicKey): Promise<number> {
+  const account = await getConnection().getAccountInfo(mint);
+  return unpackMint(mint, account, account?.owner).decimals;
+}
+
 // Get token balance for a wallet
 export async function getTokenBalance(
   walletPubkey: PublicKey,
@@ -75,7 +132,7 @@ export async function getTokenBalance(
 ): Promise<string> {
   try {
     const ata = await getAssociatedTokenAddress(mintPubkey, walletPubkey);
-    const account = await getAccount(connection, ata);
+    const account = await getAccount(getConnection(), ata);
     return account.amount.toString();
   } catch (error) {
     log.debug('Token account not found or error', { 
@@ -87,83 +144,283 @@ export async function getTokenBalance(
   }
 }
 
-// Send transaction with retry logic
+// Send a prebuilt transaction; every attempt re-stamps it with a fresh blockhash
 export async function sendTransaction(
   transaction: Transaction,
   signers: Keypair[],
   options: SendTransactionOptions = {}
+): Promise<string> {
+  return sendWithRebroadcast(async () => transaction, signers, options);
+}
+
+/**
+ * Shared sender for every transaction the system submits
+ *
+ * Each attempt builds the transaction (PumpPortal transactions are
+ * re-requested), stamps it with a fresh blockhash and signs it, reports the
+ * signature through `onSent`, then re-sends it every couple of seconds until
+ * it confirms, fails on-chain, or the blockhash passes its last valid block
+ * height. An expired attempt can no longer land, so the next one is safe to
+ * send under a new signature; `onSent` is called again for it.
+ *
+ * RPC errors while polling don't end the wait: a transaction already sent
+ * may still land, so reporting it as failed could send it twice. With a
+ * `deadline`, waiting stops there and the transaction is left pending.
+ *
+ * @param build - Returns the unsigned transaction for one attempt
+ * @throws TransactionExpiredError when every attempt expired unconfirmed
+ * @throws TransactionError when the transaction is rejected or fails on-chain
+ * @throws TransactionPendingError when the outcome of a sent transaction
+ *         could not be read
+ */
+export async function sendWithRebroadcast(
+  build: () => Promise<Transaction | VersionedTransaction>,
+  signers: Keypair[],
+  options: SendTransactionOptions = {}
 ): Promise<string> {
   const {
-    maxRetries: retries = maxRetries,
+    maxRetries: attempts = maxRetries,
     skipPreflight = false,
     preflightCommitment = confirmationCommitment,
+    onSent,
+    deadline,
   } = options;
 
-  let lastError: Error | null = null;
+  let expired: { signature: string; lastValidBlockHeight: number } | undefined;
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    const transaction = await build();
+    const { blockhash, lastValidBlockHeight } = await getConnection().getLatestBlockhash(confirmationCommitment);
+
+    let signature: string;
+    if (transaction instanceof VersionedTransaction) {
+      transaction.message.recentBlockhash = blockhash;
+      transaction.sign(signers);
+      signature = bs58.encode(transaction.signatures[0]);
+    } else {
+      transaction.recentBlockhash = blockhash;
+      transaction.lastValidBlockHeight = lastValidBlockHeight;
+      transaction.feePayer = transaction.feePayer || signers[0].publicKey;
+      transaction.sign(...signers);
+      signature = bs58.encode(transaction.signature!);
+    }
+
+    if (onSent) {
+      await onSent(signature, lastValidBlockHeight);
+    }
+
+    const rawTransaction = transaction.serialize();
 
-  for (let attempt = 1; attempt <= retries; attempt++) {
     try {
-      log.debug(`Transaction attempt ${attempt}/${retries}`);
-
-      const signature = await sendAndConfirmTransaction(
-        connection,
-        transaction,
-        signers,
-        {
-          skipPreflight,
-          preflightCommitment,
-          commitment: confirmationCommitment,
-        }
-      );
+      await broadcastTransaction(rawTransaction, {
+        skipPreflight,
+        preflightCommitment,
+        maxRetries: 0,
+      });
+    } catch (error) {
+      // Only a node that simulated the transaction and refused it tells us
+      // it can never land. A timeout, reset or 5xx may hide a send that got
+      // through: keep re-sending it below until its blockhash expires
+      if (isSendRejection(error)) {
+        transactionsSent.inc({ outcome: 'rejected' });
+        throw new TransactionError(
+          `Transaction rejected: ${error instanceof Error ? error.message : error}`,
+          signature,
+          { error }
+        );
+      }
+
+      log.warn('Transaction send failed, re-sending until its blockhash expires', {
+        signature,
+        error: error instanceof Error ? error.message : error,
+      });
+    }
+
+    log.transaction(`Transaction sent (attempt ${attempt}/${attempts})`, {
+      signature,
+      lastValidBlockHeight,
+    });
+
+    const endTimer = transactionConfirmDuration.startTimer();
+    const outcome = await confirmUntilExpired(signature, rawTransaction, lastValidBlockHeight, deadline);
+    transactionsSent.inc({ outcome: outcome.status });
 
-      log.transaction('Transaction confirmed', signature);
+    if (outcome.status === 'confirmed') {
+      endTimer();
+      log.transaction('Transaction confirmed', { signature, attempt });
       return signature;
+    }
+
+    if (outcome.status === 'unknown') {
+      log.warn('Transaction outcome unknown, leaving it pending', { signature, attempt });
+      throw new TransactionPendingError(signature, outcome.reason!);
+    }
+
+    if (outcome.status === 'failed') {
+      throw new TransactionError(
+        `Transaction failed on-chain: ${JSON.stringify(outcome.err)}`,
+        signature,
+        { err: outcome.err }
+      );
+    }
+
+    expired = { signature, lastValidBlockHeight };
+    log.warn('Transaction blockhash expired before confirmation', {
+      signature,
+      attempt,
+      lastValidBlockHeight,
+      willRebuild: attempt < attempts,
+    });
+  }
+
+  throw new TransactionExpiredError(expired!.signature, attempts, expired!.lastValidBlockHeight);
+}
+
+// The RPC node refused the transaction itself (failed preflight simulation
+// or signature check), so it was never forwarded to a leader
+function isSendRejection(error: unknown): boolean {
+  return (
+    error instanceof SendTransactionError &&
+    /simulation failed|signature verification failure/i.test(error.message)
+  );
+}
+
+/**
+ * Whether a signature status has reached CONFIRMATION_COMMITMENT. Below it
+ * (e.g. 'processed' while waiting for 'confirmed') the transaction could
+ * still be on a fork that gets dropped.
+ */
+export function meetsConfirmationCommitment(status: SignatureStatus): boolean {
+  return status.confirmationStatus !== undefined && ACCEPTED_STATUSES.includes(status.confirmationStatus);
+}
+
+// Re-send a signed transaction until it confirms, fails, or its blockhash
+// expires; 'unknown' when RPC errors kept its status from being read or the
+// deadline came first
+async function confirmUntilExpired(
+  signature: string,
+  rawTransaction: Buffer | Uint8Array,
+  lastValidBlockHeight: number,
+  deadline?: number
+): Promise<{
+  status: 'confirmed' | 'failed' | 'expired' | 'unknown';
+  err?: SolanaTransactionError;
+  reason?: string;
+}> {
+  let lastReadAt = Date.now();
+
+  while (true) {
+    if (deadline !== undefined && Date.now() + REBROADCAST_INTERVAL_MS >= deadline) {
+      return { status: 'unknown', reason: 'time budget used up before confirmation' };
+    }
+
+    await new Promise(resolve => setTimeout(resolve, REBROADCAST_INTERVAL_MS));
+
+    let status: SignatureStatus | null;
+    let blockHeight: number;
+
+    try {
+      ({ value: status } = await getConnection().getSignatureStatus(signature));
+
+      if (status?.err) {
+        return { status: 'failed', err: status.err };
+      }
+
+      if (status && meetsConfirmationCommitment(status)) {
+        return { status: 'confirmed' };
+      }
+
+      blockHeight = await getConnection().getBlockHeight(confirmationCommitment);
     } catch (error) {
-      lastError = error as Error;
-      log.warn(`Transaction attempt ${attempt} failed`, { error: lastError.message });
+      const reason = error instanceof Error ? error.message : String(error);
+      log.debug('Transaction status poll failed', { signature, error: reason });
+
+      if (Date.now() - lastReadAt > STATUS_UNREADABLE_TIMEOUT_MS) {
+        return { status: 'unknown', reason: `status unreadable: ${reason}` };
+      }
+      continue;
+    }
+
+    lastReadAt = Date.now();
 
-      if (attempt < retries) {
-        // Wait before retry (exponential backoff)
-        const delay = Math.min(1000 * Math.pow(2, attempt - 1), 10000);
-        await new Promise(resolve => setTimeout(resolve, delay));
+    if (blockHeight > lastValidBlockHeight) {
+      // It may have landed between the two reads
+      let finalStatus: SignatureStatus | null;
+      try {
+        ({ value: finalStatus } = await getConnection().getSignatureStatus(signature, {
+          searchTransactionHistory: true,
+        }));
+      } catch (error) {
+        return {
+          status: 'unknown',
+          reason: `blockhash expired, final status unreadable: ${error instanceof Error ? error.message : error}`,
+        };
       }
+
+      if (finalStatus?.err) {
+        return { status: 'failed', err: finalStatus.err };
+      }
+
+      // Landed but not yet at the target commitment: keep waiting, it can't expire now
+      if (finalStatus) {
+        continue;
+      }
+
+      return { status: 'expired' };
+    }
+
+    // Not seen yet at this commitment: send the same bytes again
+    if (!status) {
+      await broadcastTransaction(rawTransaction, { skipPreflight: true, maxRetries: 0 })
+        .catch((error) => log.debug('Rebroadcast failed', { signature, error: error.message }));
     }
   }
+}
 
-  throw new TransactionError(
-    `Transaction failed after ${retries} attempts: ${lastError?.message}`,
-    undefined,
-    { lastError }
+// Build (but don't sign) one transaction paying several recipients at once
+export async function buildMultiTransferTransaction(
+  from: PublicKey,
+  transfers: Array<{ to: PublicKey; amountSol: number }>
+): Promise<Transaction> {
+  const priorityFee = await getPriorityFee('treasury', [from]);
+  const transaction = addPriorityFee(
+    new Transaction(),
+    priorityFee.microLamports,
+    priorityFee.computeUnits
   );
+
+  for (const { to, amountSol } of transfers) {
+    transaction.add(
+      SystemProgram.transfer({
+        fromPubkey: from,
+        toPubkey: to,
+        lamports: solToLamports(amountSol),
+      })
+    );
+  }
+
+  const { blockhash } = await getConnection().getLatestBlockhash();
+  transaction.recentBlockhash = blockhash;
+  transaction.feePayer = from;
+
+  return transaction;
 }
 
-// Transfer SOL between wallets
-export async function transferSol(
+// Transfer SOL to several wallets atomically (all transfers land or none do)
+export async function transferSolMulti(
   from: Keypair,
-  to: PublicKey,
-  amountSol: number
+  transfers: Array<{ to: PublicKey; amountSol: number }>,
+  onSent?: SignatureCallback,
+  deadline?: number
 ): Promise<string> {
-  const lamports = solToLamports(amountSol);
-
-  log.debug('Preparing SOL transfer', {
+  log.debug('Preparing multi-recipient SOL transfer', {
     from: from.publicKey.toBase58(),
-    to: to.toBase58(),
-    amount: amountSol,
+    transfers: transfers.map(({ to, amountSol }) => ({ to: to.toBase58(), amount: amountSol })),
   });
 
-  const transaction = new Transaction().add(
-    SystemProgram.transfer({
-      fromPubkey: from.publicKey,
-      toPubkey: to,
-      lamports,
-    })
-  );
+  const transaction = await buildMultiTransferTransaction(from.publicKey, transfers);
 
-  const { blockhash } = await connection.getLatestBlockhash();
-  transaction.recentBlockhash = blockhash;
-  transaction.feePayer = from.publicKey;
-
-  return sendTransaction(transaction, [from]);
+  return sendTransaction(transaction, [from], { onSent, deadline });
 }
 
 // Transfer tokens between wallets
@@ -194,7 +451,7 @@ export async function transferTokens(
     )
   );
 
-  const { blockhash } = await connection.getLatestBlockhash();
+  const { blockhash } = await getConnection().getLatestBlockhash();
   transaction.recentBlockhash = blockhash;
   transaction.feePayer = from.publicKey;
 
@@ -202,108 +459,152 @@ export async function transferTokens(
 }
 
 /**
- * Burn tokens by sending to incinerator
+ * Build an unsigned burn transaction that sends tokens to the incinerator
  * 
  * CRITICAL FIX: The incinerator address needs an Associated Token Account (ATA)
  * for each token type. This function:
  * 1. Checks if the incinerator's ATA exists
- * 2. Creates it if needed (one-time ~0.002 SOL cost)
+ * 2. Adds an instruction to create it if needed (one-time ~0.002 SOL cost)
  * 3. Transfers tokens to permanently lock them
  */
-export async function burnTokens(
-  from: Keypair,
+export async function buildIncineratorBurnTransaction(
+  from: PublicKey,
   mint: PublicKey,
   amount: bigint
-): Promise<string> {
+): Promise<Transaction> {
   const incineratorPubkey = new PublicKey(BURN_ADDRESS);
+
+  // Get source ATA (our wallet's token account)
+  const fromAta = await getAssociatedTokenAddress(mint, from);
   
-  log.burn('Initiating token burn', {
-    from: from.publicKey.toBase58(),
-    amount: amount.toString(),
-    incinerator: incineratorPubkey.toBase58(),
-    mint: mint.toBase58(),
+  // Get destination ATA (incinerator's token account)
+  // allowOwnerOffCurve = true because incinerator is not a normal wallet
+  const toAta = await getAssociatedTokenAddress(
+    mint,
+    incineratorPubkey,
+    true // allowOwnerOffCurve
+  );
+
+  log.burn('Token accounts derived', {
+    fromAta: fromAta.toBase58(),
+    toAta: toAta.toBase58(),
   });
 
+  // Check if incinerator's ATA exists
+  let needsAta = false;
   try {
-    // Get source ATA (our wallet's token account)
-    const fromAta = await getAssociatedTokenAddress(mint, from.publicKey);
-    
-    // Get destination ATA (incinerator's token account)
-    // allowOwnerOffCurve = true because incinerator is not a normal wallet
-    const toAta = await getAssociatedTokenAddress(
-      mint,
-      incineratorPubkey,
-      true // allowOwnerOffCurve
+    const accountInfo = await getConnection().getAccountInfo(toAta);
+    if (!accountInfo) {
+      needsAta = true;
+      log.burn('Incinerator ATA does not exist, will create it');
+    } else {
+      log.burn('Incinerator ATA already exists');
+    }
+  } catch (error) {
+    needsAta = true;
+    log.burn('Error checking incinerator ATA, will create it', { error });
+  }
+
+  // Build transaction
+  const priorityFee = await getPriorityFee('burn', [fromAta, toAta]);
+  const transaction = addPriorityFee(
+    new Transaction(),
+    priorityFee.microLamports,
+    priorityFee.computeUnits
+  );
+
+  // Add instruction to create ATA if needed (one-time cost)
+  if (needsAta) {
+    const createAtaIx = createAssociatedTokenAccountInstruction(
+      from,                  // payer (pays for the account creation)
+      toAta,                 // ata (the account to create)
+      incineratorPubkey,     // owner (incinerator owns the account)
+      mint,                  // mint (token type)
+      TOKEN_PROGRAM_ID,
+      ASSOCIATED_TOKEN_PROGRAM_ID
     );
+    transaction.add(createAtaIx);
+    log.burn('Added create ATA instruction (one-time ~0.002 SOL cost)');
+  }
 
-    log.burn('Token accounts derived', {
-      fromAta: fromAta.toBase58(),
-      toAta: toAta.toBase58(),
-    });
+  // Add instruction to transfer tokens to incinerator
+  const transferIx = createTransferInstruction(
+    fromAta,               // source
+    toAta,                 // destination
+    from,                  // owner
+    amount,                // amount
+    [],                    // multisigners
+    TOKEN_PROGRAM_ID
+  );
+  transaction.add(transferIx);
 
-    // Check if incinerator's ATA exists
-    let needsAta = false;
-    try {
-      const accountInfo = await connection.getAccountInfo(toAta);
-      if (!accountInfo) {
-        needsAta = true;
-        log.burn('Incinerator ATA does not exist, will create it');
-      } else {
-        log.burn('Incinerator ATA already exists');
-      }
-    } catch (error) {
-      needsAta = true;
-      log.burn('Error checking incinerator ATA, will create it', { error });
-    }
+  // Set transaction properties
+  const { blockhash } = await getConnection().getLatestBlockhash();
+  transaction.recentBlockhash = blockhash;
+  transaction.feePayer = from;
 
-    // Build transaction
-    const transaction = new Transaction();
-
-    // Add instruction to create ATA if needed (one-time cost)
-    if (needsAta) {
-      const createAtaIx = createAssociatedTokenAccountInstruction(
-        from.publicKey,        // payer (pays for the account creation)
-        toAta,                 // ata (the account to create)
-        incineratorPubkey,     // owner (incinerator owns the account)
-        mint,                  // mint (token type)
-        TOKEN_PROGRAM_ID,
-        ASSOCIATED_TOKEN_PROGRAM_ID
-      );
-      transaction.add(createAtaIx);
-      log.burn('Added create ATA instruction (one-time ~0.002 SOL cost)');
-    }
+  return transaction;
+}
+
+/**
+ * Build an unsigned SPL Token `burn` transaction
+ * 
+ * Unlike the incinerator transfer, this actually reduces the mint's total
+ * supply and needs no destination account, so there is no ATA rent to pay.
+ */
+export async function buildSplBurnTransaction(
+  from: PublicKey,
+  mint: PublicKey,
+  amount: bigint
+): Promise<Transaction> {
+  const fromAta = await getAssociatedTokenAddress(mint, from);
+  const priorityFee = await getPriorityFee('burn', [fromAta, mint]);
 
-    // Add instruction to transfer tokens to incinerator
-    const transferIx = createTransferInstruction(
-      fromAta,               // source
-      toAta,                 // destination
-      from.publicKey,        // owner
+  const transaction = addPriorityFee(
+    new Transaction(),
+    priorityFee.microLamports,
+    priorityFee.computeUnits
+  ).add(
+    createBurnInstruction(
+      fromAta,               // account to burn from
+      mint,                  // mint (supply is reduced)
+      from,                  // owner
       amount,                // amount
       [],                    // multisigners
       TOKEN_PROGRAM_ID
-    );
-    transaction.add(transferIx);
+    )
+  );
 
-    // Set transaction properties
-    const { blockhash } = await connection.getLatestBlockhash();
-    transaction.recentBlockhash = blockhash;
-    transaction.feePayer = from.publicKey;
+  // Set transaction properties
+  const { blockhash } = await getConnection().getLatestBlockhash();
+  transaction.recentBlockhash = blockhash;
+  transaction.feePayer = from;
 
-    // Sign and send
-    transaction.sign(from);
-    
-    const signature = await connection.sendRawTransaction(
-      transaction.serialize(),
-      {
-        skipPreflight: false,
-        maxRetries: 3,
-      }
-    );
+  return transaction;
+}
 
-    log.burn('Burn transaction sent', { signature });
+/**
+ * Burn tokens by sending to incinerator
+ */
+export async function burnTokens(
+  from: Keypair,
+  mint: PublicKey,
+  amount: bigint,
+  onSent?: SignatureCallback,
+  deadline?: number
+): Promise<string> {
+  const incineratorPubkey = new PublicKey(BURN_ADDRESS);
+  
+  log.burn('Initiating token burn', {
+    from: from.publicKey.toBase58(),
+    amount: amount.toString(),
+    incinerator: incineratorPubkey.toBase58(),
+    mint: mint.toBase58(),
+  });
 
-    // Wait for confirmation
-    await connection.confirmTransaction(signature, 'confirmed');
+  try {
+    const transaction = await buildIncineratorBurnTransaction(from.publicKey, mint, amount);
+    const signature = await signAndSendBurn(transaction, from, onSent, deadline);
 
     log.burn('Burn transaction confirmed - tokens permanently locked!', {
       signature,
@@ -322,11 +623,66 @@ export async function burnTokens(
   }
 }
 
-// Add priority fee to transaction
+/**
+ * Burn tokens with the SPL Token `burn` instruction (reduces mint supply)
+ */
+export async function splBurnTokens(
+  from: Keypair,
+  mint: PublicKey,
+  amount: bigint,
+  onSent?: SignatureCallback,
+  deadline?: number
+): Promise<string> {
+  log.burn('Initiating SPL token burn', {
+    from: from.publicKey.toBase58(),
+    amount: amount.toString(),
+    mint: mint.toBase58(),
+  });
+
+  try {
+    const transaction = await buildSplBurnTransaction(from.publicKey, mint, amount);
+    const signature = await signAndSendBurn(transaction, from, onSent, deadline);
+
+    log.burn('SPL burn transaction confirmed - supply reduced!', {
+      signature,
+      amount: amount.toString(),
+      explorerUrl: getExplorerUrl(signature),
+    });
+
+    return signature;
+  } catch (error) {
+    log.error('SPL token burn failed', error, {
+      mint: mint.toBase58(),
+      amount: amount.toString(),
+    });
+    throw error;
+  }
+}
+
+// Sign, send and confirm a burn transaction
+async function signAndSendBurn(
+  transaction: Transaction,
+  from: Keypair,
+  onSent?: SignatureCallback,
+  deadline?: number
+): Promise<string> {
+  const signature = await sendTransaction(transaction, [from], { onSent, deadline });
+
+  log.burn('Burn transaction sent', { signature });
+
+  return signature;
+}
+
+// Add priority fee (and optionally a compute unit limit) to transaction
 export function addPriorityFee(
   transaction: Transaction,
-  priorityFee: number
+  priorityFee: number,
+  computeUnits?: number
 ): Transaction {
+  if (computeUnits !== undefined) {
+    transaction.add(ComputeBudgetProgram.setComputeUnitLimit({ units: computeUnits }));
+  }
+
   const instruction = ComputeBudgetProgram.setComputeUnitPrice({
     microLamports: priorityFee,
   });
@@ -335,10 +691,160 @@ export function addPriorityFee(
   return transaction;
 }
 
-// Get transaction confirmation status
+/**
+ * Priority fee for a transaction type from recent network fees
+ *
+ * Reads `getRecentPrioritizationFees` for the accounts the transaction
+ * writes (fees for those accounts are what competes with it), takes the
+ * configured percentile of the recent compute unit prices and caps it at
+ * PRIORITY_FEE_MAX_MICROLAMPORTS.
+ *
+ * @param step - Transaction type, which sets the compute unit budget
+ * @param writableAccounts - Accounts the transaction locks for writing
+ */
+export async function getPriorityFee(
+  step: FlowStep,
+  writableAccounts: PublicKey[]
+): Promise<PriorityFeeEstimate> {
+  const computeUnits = COMPUTE_UNIT_LIMITS[step];
+  let microLamports = FALLBACK_MICROLAMPORTS[step];
+  let sampleSize = 0;
+  let capped = false;
+  let fallback = true;
+
+  try {
+    const recent = await getConnection().getRecentPrioritizationFees({
+      lockedWritableAccounts: writableAccounts,
+    });
+
+    if (recent.length > 0) {
+      const fees = recent.map((entry) => entry.prioritizationFee).sort((a, b) => a - b);
+      const rank = Math.ceil((priorityFeePercentile / 100) * fees.length);
+
+      microLamports = fees[Math.max(rank - 1, 0)];
+      sampleSize = fees.length;
+      fallback = false;
+    }
+  } catch (error) {
+    log.warn('Could not read recent prioritization fees, using fallback', {
+      step,
+      error: error instanceof Error ? error.message : error,
+    });
+  }
+
+  if (microLamports > priorityFeeMaxMicroLamports) {
+    microLamports = priorityFeeMaxMicroLamports;
+    capped = true;
+  }
+
+  const estimate: PriorityFeeEstimate = {
+    microLamports,
+    computeUnits,
+    lamports: Math.ceil((microLamports * computeUnits) / 1_000_000),
+    sampleSize,
+    capped,
+    fallback,
+  };
+
+  log.debug('Priority fee estimated', { step, ...estimate });
+
+  return estimate;
+}
+
+// Fees a confirmed transaction paid, in lamports: the total, and the
+// priority fee (total less the base fee per signature); undefined if the
+// transaction can't be read
+export async function getTransactionFeePaid(
+  signature: string
+): Promise<{ fee: number; priorityFee: number } | undefined> {
+  try {
+    const tx = await getConnection().getTransaction(signature, {
+      maxSupportedTransactionVersion: 0,
+    });
+
+    if (!tx?.meta) {
+      return undefined;
+    }
+
+    return {
+      fee: tx.meta.fee,
+      priorityFee: tx.meta.fee - LAMPORTS_PER_SIGNATURE * tx.transaction.signatures.length,
+    };
+  } catch (error) {
+    log.warn('Could not read transaction fee', {
+      signature,
+      error: error instanceof Error ? error.message : error,
+    });
+    return undefined;
+  }
+}
+
+// Fallback expiry for sends recorded without their lastValidBlockHeight
+// (before it was stored): a transaction the cluster still hasn't seen after
+// this long has outlived its blockhash
+const SENT_TRANSACTION_EXPIRY_MS = 2 * 60 * 1000;
+
+/**
+ * Status of a transaction recorded as sent by an earlier run
+ *
+ * Unseen, it stays 'pending' until the chain passes the block height its
+ * blockhash is valid until, and only then is 'expired' (safe to send
+ * again). Pending too while the block height can't be read.
+ *
+ * @param sentAt - When the send was recorded, for sends without a block height
+ */
+export async function getSentTransactionStatus(
+  signature: string,
+  lastValidBlockHeight: number | undefined,
+  sentAt: number
+): Promise<'confirmed' | 'failed' | 'pending' | 'expired'> {
+  const status = await getTransactionStatus(signature);
+
+  if (status !== 'pending') {
+    return status;
+  }
+
+  if (lastValidBlockHeight === undefined) {
+    return Date.now() - sentAt < SENT_TRANSACTION_EXPIRY_MS ? 'pending' : 'expired';
+  }
+
+  try {
+    const blockHeight = await getConnection().getBlockHeight(confirmationCommitment);
+
+    if (blockHeight <= lastValidBlockHeight) {
+      return 'pending';
+    }
+
+    // It may have landed between the two reads
+    const { value: finalStatus } = await getConnection().getSignatureStatus(signature, {
+      searchTransactionHistory: true,
+    });
+
+    if (finalStatus?.err) {
+      return 'failed';
+    }
+
+    // Landed but below the target commitment: it can no longer expire
+    if (finalStatus) {
+      return meetsConfirmationCommitment(finalStatus) ? 'confirmed' : 'pending';
+    }
+
+    return 'expired';
+  } catch (error) {
+    log.warn('Could not check blockhash expiry of sent transaction', {
+      signature,
+      error: error instanceof Error ? error.message : error,
+    });
+    return 'pending';
+  }
+}
+
+// Get transaction confirmation status; 'confirmed' only at CONFIRMATION_COMMITMENT
 export async function getTransactionStatus(signature: string): Promise<'confirmed' | 'failed' | 'pending'> {
   try {
-    const status = await connection.getSignatureStatus(signature);
+    const status = await getConnection().getSignatureStatus(signature, {
+      searchTransactionHistory: true,
+    });
     
     if (status.value === null) {
       return 'pending';
@@ -348,13 +854,156 @@ export async function getTransactionStatus(signature: string): Promise<'confirme
       return 'failed';
     }
     
-    return 'confirmed';
+    return meetsConfirmationCommitment(status.value) ? 'confirmed' : 'pending';
   } catch (error) {
     log.error('Error checking transaction status', error, { signature });
     return 'pending';
   }
 }
 
+export interface BalanceChanges {
+  slot: number;
+  fee: number; // network fee (base + priority) charged to the fee payer, in lamports
+  feePayer: string;
+  // Per requested account (base58) that the transaction touched: lamport
+  // change, fee included for the fee payer, and balance after it
+  changes: Record<string, number>;
+  postBalances: Record<string, number>;
+}
+
+// How long a just-confirmed transaction may take to be served by getTransaction
+const TRANSACTION_LOOKUP_ATTEMPTS = 5;
+
+/**
+ * Exact lamport changes of accounts in a confirmed transaction, read from
+ * its meta.preBalances/postBalances, with the network fee reported apart
+ *
+ * Right after confirmation some RPC nodes don't serve the transaction yet,
+ * so the lookup is retried for a few seconds. Accounts the transaction
+ * doesn't reference are left out of the result.
+ *
+ * @throws TransactionError if the transaction can't be read
+ */
+export async function getBalanceChanges(
+  signature: string,
+  accounts: PublicKey[]
+): Promise<BalanceChanges> {
+  let tx = null;
+
+  for (let attempt = 1; attempt <= TRANSACTION_LOOKUP_ATTEMPTS && !tx?.meta; attempt++) {
+    if (attempt > 1) {
+      await new Promise((resolve) => setTimeout(resolve, REBROADCAST_INTERVAL_MS));
+    }
+
+    tx = await getConnection().getTransaction(signature, {
+      maxSupportedTransactionVersion: 0,
+    });
+  }
+
+  if (!tx?.meta) {
+    throw new TransactionError('Transaction not found or missing metadata', signature);
+  }
+
+  const accountKeys = tx.transaction.message
+    .getAccountKeys({ accountKeysFromLookups: tx.meta.loadedAddresses })
+    .keySegments()
+    .flat()
+    .map((key) => key.toBase58());
+
+  const result: BalanceChanges = {
+    slot: tx.slot,
+    fee: tx.meta.fee,
+    feePayer: accountKeys[0],
+    changes: {},
+    postBalances: {},
+  };
+
+  for (const account of accounts) {
+    const index = accountKeys.indexOf(account.toBase58());
+
+    if (index < 0) {
+      continue;
+    }
+
+    result.changes[accountKeys[index]] = tx.meta.postBalances[index] - tx.meta.preBalances[index];
+    result.postBalances[accountKeys[index]] = tx.meta.postBalances[index];
+  }
+
+  return result;
+}
+
+export interface SimulatedAccount {
+  address: string;
+  preLamports: number;
+  postLamports: number;
+  preData?: Buffer;
+  postData?: Buffer;
+}
+
+export interface SimulationOutcome {
+  err: SolanaTransactionError | string | null;
+  logs: string[];
+  unitsConsumed?: number;
+  accounts: SimulatedAccount[];
+}
+
+/**
+ * Simulate a transaction without sending it
+ * 
+ * Signatures are not verified and the blockhash is replaced, so unsigned
+ * transactions can be simulated. Pre-state of the watched accounts is read
+ * just before simulating so callers can derive balance changes.
+ */
+export async function simulateWithAccounts(
+  transaction: Transaction | VersionedTransaction,
+  watchAccounts: PublicKey[]
+): Promise<SimulationOutcome> {
+  const versioned = transaction instanceof VersionedTransaction
+    ? transaction
+    : new VersionedTransaction(transaction.compileMessage());
+
+  const preInfos = await getConnection().getMultipleAccountsInfo(watchAccounts);
+
+  const { value } = await getConnection().simulateTransaction(versioned, {
+    sigVerify: false,
+    replaceRecentBlockhash: true,
+    commitment: confirmationCommitment,
+    accounts: {
+      encoding: 'base64',
+      addresses: watchAccounts.map((account) => account.toBase58()),
+    },
+  });
+
+  return {
+    err: value.err,
+    logs: value.logs || [],
+    unitsConsumed: value.unitsConsumed,
+    accounts: watchAccounts.map((account, i) => {
+      const pre = preInfos[i];
+
+      // Failed simulations return no account state: report them unchanged
+      if (!value.accounts) {
+        return {
+          address: account.toBase58(),
+          preLamports: pre?.lamports ?? 0,
+          postLamports: pre?.lamports ?? 0,
+          preData: pre?.data,
+          postData: pre?.data,
+        };
+      }
+
+      const post = value.accounts[i];
+      return {
+        address: account.toBase58(),
+        preLamports: pre?.lamports ?? 0,
+        postLamports: post?.lamports ?? 0,
+        preData: pre?.data,
+        postData: post ? Buffer.from(post.data[0], 'base64') : undefined,
+      };
+    }),
+  };
+}
+
 // Wait for transaction confirmation
 export async function confirmTransaction(
   signature: string,
@@ -386,10 +1035,16 @@ export function getExplorerUrl(signature: string, cluster: 'mainnet' | 'devnet'
   return `https://solscan.io/tx/${signature}${clusterParam}`;
 }
 
+// Get Solana explorer URL of a wallet or token account
+export function getAccountExplorerUrl(address: string, cluster: 'mainnet' | 'devnet' = 'mainnet'): string {
+  const clusterParam = cluster === 'devnet' ? '?cluster=devnet' : '';
+  return `https://solscan.io/account/${address}${clusterParam}`;
+}
+
 // Check if connection is healthy
 export async function checkConnection(): Promise<boolean> {
   try {
-    const version = await connection.getVersion();
+    const version = await getConnection().getVersion();
     log.debug('Solana RPC connection healthy', { version });
     return true;
   } catch (error) {
@@ -5,14 +5,42 @@ import {
   getSchedulerStatus,
   forceCheck 
 } from '../scheduler';
-import { getSystemStatus } from '../db/queries';
+import {
+  getSystemStatus,
+  getOpenReconciliationFlags,
+  getOutboxNotifications,
+  getAdminAudit,
+} from '../db/queries';
+import { getClaimLockStatus } from '../services/claimLock';
+import { getCircuitBreakerStatus } from '../services/circuitBreaker';
+import { reconcileWithChain } from '../services/reconciliation';
+import { sweepStrandedTokens } from '../services/tokenSweep';
+import {
+  OrchestrationResult,
+  retryFlowRun,
+  retryClaimTreasury,
+  retryBuybackBurn,
+} from '../services/claimOrchestrator';
+import { replayNotification } from '../services/notifiers';
+import { adminKeyId, auditAdminRequests } from '../services/adminAudit';
 import { checkConnection } from '../lib/solana';
+import { getRpcHealth } from '../lib/rpcPool';
 import { adminApiKey } from '../env';
 import { log } from '../lib/logger';
-import { ApiResponse, AdminControlRequest } from '../types';
+import {
+  ApiResponse,
+  AdminControlRequest,
+  ClaimLockedError,
+  NotificationDeliveryStatus,
+  ReconciliationOptions,
+  RetryConflictError,
+} from '../types';
 
 const router = Router();
 
+// Every request, authorized or not, goes to the admin audit log
+router.use(auditAdminRequests);
+
 /**
  * Middleware to verify admin API key
  */
@@ -41,7 +69,7 @@ function verifyAdminKey(req: Request, res: Response, next: Function) {
  */
 router.post('/control', verifyAdminKey, async (req: Request, res: Response) => {
   try {
-    const { action } = req.body as AdminControlRequest;
+    const { action, reason } = req.body as AdminControlRequest;
 
     log.info('[ADMIN] Control action', { action, ip: req.ip });
 
@@ -49,24 +77,26 @@ router.post('/control', verifyAdminKey, async (req: Request, res: Response) => {
 
     switch (action) {
       case 'pause':
-        await pauseMonitoring();
+        await pauseMonitoring(reason, adminKeyId(adminApiKey));
         message = 'System monitoring paused';
         break;
 
       case 'resume':
-        await resumeMonitoring();
+        await resumeMonitoring(adminKeyId(adminApiKey));
         message = 'System monitoring resumed';
         break;
 
       case 'status':
         const systemStatus = await getSystemStatus();
         const schedulerStatus = getSchedulerStatus();
+        const circuitBreaker = await getCircuitBreakerStatus();
         
         return res.json({
           success: true,
           data: {
             systemStatus,
             schedulerStatus,
+            circuitBreaker,
           },
           timestamp: Date.now(),
         });
@@ -104,6 +134,16 @@ router.post('/force-check', verifyAdminKey, async (req: Request, res: Response)
   try {
     log.info('[ADMIN] Force check triggered', { ip: req.ip });
 
+    const lock = await getClaimLockStatus();
+    if (lock.locked) {
+      return res.status(409).json({
+        success: false,
+        error: 'Claim operation already in progress. Please wait for it to complete.',
+        data: lock,
+        timestamp: Date.now(),
+      });
+    }
+
     // Run check asynchronously
     forceCheck().catch(error => {
       log.error('[ADMIN] Force check failed', error);
@@ -135,15 +175,22 @@ router.get('/health', verifyAdminKey, async (req: Request, res: Response) => {
     const solanaConnection = await checkConnection();
     const systemStatus = await getSystemStatus();
     const schedulerStatus = getSchedulerStatus();
+    const claimLock = await getClaimLockStatus();
+    const circuitBreaker = await getCircuitBreakerStatus();
 
     const health = {
       solana: solanaConnection ? 'healthy' : 'unhealthy',
       database: 'healthy', // If we got here, DB is working
       scheduler: schedulerStatus.isRunning ? 'running' : 'stopped',
       systemPaused: systemStatus.is_paused,
+      pauseReason: systemStatus.pause_reason,
+      pausedBy: systemStatus.paused_by,
       lastCheck: systemStatus.last_check_timestamp,
       errorCount: systemStatus.error_count,
       lastError: systemStatus.last_error,
+      claimLock,
+      circuitBreaker,
+      rpcEndpoints: getRpcHealth(),
     };
 
     const response: ApiResponse = {
@@ -164,4 +211,343 @@ router.get('/health', verifyAdminKey, async (req: Request, res: Response) => {
   }
 });
 
+/**
+ * POST /api/admin/reconcile - Backfill and check records against the chain
+ *
+ * Body: { limit?, before?, until?, dryRun? } (see ReconciliationOptions)
+ */
+router.post('/reconcile', verifyAdminKey, async (req: Request, res: Response) => {
+  try {
+    const { limit, before, until, dryRun } = req.body as ReconciliationOptions;
+
+    log.info('[ADMIN] Reconciliation triggered', { limit, before, until, dryRun, ip: req.ip });
+
+    const report = await reconcileWithChain({
+      limit: limit !== undefined ? Number(limit) : undefined,
+      before,
+      until,
+      dryRun: dryRun === true,
+    });
+
+    log.api('POST', '/api/admin/reconcile', report.success ? 200 : 500, {
+      scanned: report.scanned,
+      inserted: report.inserted,
+      flagged: report.flagged,
+    });
+    res.status(report.success ? 200 : 500).json({
+      success: report.success,
+      data: report,
+      error: report.error,
+      timestamp: Date.now(),
+    });
+  } catch (error) {
+    if (error instanceof ClaimLockedError) {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        data: error.details,
+        timestamp: Date.now(),
+      });
+    }
+
+    log.error('[ADMIN] Reconciliation error', error);
+    res.status(500).json({
+      success: false,
+      error: error instanceof Error ? error.message : 'Unknown error',
+      timestamp: Date.now(),
+    });
+  }
+});
+
+/**
+ * POST /api/admin/sweep-tokens - Burn creator wallet tokens above
+ * TOKEN_HOLD_AMOUNT and link the burn to buybacks that were never burned
+ */
+router.post('/sweep-tokens', verifyAdminKey, async (req: Request, res: Response) => {
+  try {
+    log.info('[ADMIN] Stranded token sweep triggered', { ip: req.ip });
+
+    const report = await sweepStrandedTokens();
+
+    log.api('POST', '/api/admin/sweep-tokens', report.success ? 200 : 500, {
+      action: report.action,
+      tokensBurned: report.tokensBurned,
+    });
+    res.status(report.success ? 200 : 500).json({
+      success: report.success,
+      data: report,
+      error: report.error,
+      timestamp: Date.now(),
+    });
+  } catch (error) {
+    if (error instanceof ClaimLockedError) {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        data: error.details,
+        timestamp: Date.now(),
+      });
+    }
+
+    log.error('[ADMIN] Stranded token sweep error', error);
+    res.status(500).json({
+      success: false,
+      error: error instanceof Error ? error.message : 'Unknown error',
+      timestamp: Date.now(),
+    });
+  }
+});
+
+/**
+ * POST /api/admin/runs/:id/retry - Resume a failed flow run from the step
+ * it failed at
+ */
+router.post('/runs/:id/retry', verifyAdminKey, (req: Request, res: Response) =>
+  handleRetry(req, res, 'flow run', retryFlowRun)
+);
+
+/**
+ * POST /api/admin/claims/:id/retry-treasury - Retry only the failed
+ * treasury transfer of a claim
+ */
+router.post('/claims/:id/retry-treasury', verifyAdminKey, (req: Request, res: Response) =>
+  handleRetry(req, res, 'claim', retryClaimTreasury)
+);
+
+/**
+ * POST /api/admin/buybacks/:id/retry-burn - Retry only the failed burn of a
+ * buyback
+ */
+router.post('/buybacks/:id/retry-burn', verifyAdminKey, (req: Request, res: Response) =>
+  handleRetry(req, res, 'buyback', retryBuybackBurn)
+);
+
+/**
+ * Shared by the retry routes: 404 for an unknown record, 409 when the retry
+ * could double-spend or another operation holds the claim lock, 202 while
+ * the retried transaction awaits confirmation
+ */
+async function handleRetry(
+  req: Request,
+  res: Response,
+  target: string,
+  retry: (id: number) => Promise<OrchestrationResult | null>
+) {
+  const path = req.originalUrl.split('?')[0];
+
+  try {
+    const id = parseInt(req.params.id);
+
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid ${target} ID`,
+        timestamp: Date.now(),
+      });
+    }
+
+    log.info(`[ADMIN] Retry of ${target} #${id} triggered`, { ip: req.ip });
+
+    const result = await retry(id);
+
+    if (!result) {
+      log.api('POST', path, 404);
+      return res.status(404).json({
+        success: false,
+        error: `${target[0].toUpperCase()}${target.slice(1)} #${id} not found`,
+        timestamp: Date.now(),
+      });
+    }
+
+    const statusCode = result.success ? 200 : result.pending ? 202 : 500;
+    log.api('POST', path, statusCode, {
+      runId: result.runId,
+      stepsExecuted: result.stepsExecuted,
+    });
+    res.status(statusCode).json({
+      success: result.success,
+      data: result,
+      error: result.error,
+      timestamp: Date.now(),
+    });
+  } catch (error) {
+    if (error instanceof ClaimLockedError || error instanceof RetryConflictError) {
+      log.warn(`[ADMIN] Retry of ${target} rejected`, { error: error.message });
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        data: error.details,
+        timestamp: Date.now(),
+      });
+    }
+
+    log.error(`[ADMIN] Retry of ${target} error`, error);
+    res.status(500).json({
+      success: false,
+      error: error instanceof Error ? error.message : 'Unknown error',
+      timestamp: Date.now(),
+    });
+  }
+}
+
+/**
+ * GET /api/admin/notifications - Notification deliveries, newest first
+ *
+ * Query: status (pending|delivered|dead), limit, offset
+ */
+router.get('/notifications', verifyAdminKey, async (req: Request, res: Response) => {
+  try {
+    const status = req.query.status as string | undefined;
+
+    if (status !== undefined && !['pending', 'delivered', 'dead'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: "status must be 'pending', 'delivered' or 'dead'",
+        timestamp: Date.now(),
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit as string) || 50, 500);
+    const offset = Math.max(parseInt(req.query.offset as string) || 0, 0);
+    const notifications = await getOutboxNotifications(
+      status as NotificationDeliveryStatus | undefined,
+      limit,
+      offset
+    );
+
+    const response: ApiResponse = {
+      success: true,
+      data: notifications,
+      timestamp: Date.now(),
+    };
+
+    log.api('GET', '/api/admin/notifications', 200, { status, count: notifications.length });
+    res.json(response);
+  } catch (error) {
+    log.error('[ADMIN] Notification list error', error);
+    res.status(500).json({
+      success: false,
+      error: error instanceof Error ? error.message : 'Unknown error',
+      timestamp: Date.now(),
+    });
+  }
+});
+
+/**
+ * POST /api/admin/notifications/:id/replay - Deliver a dead notification
+ * again, with a fresh set of retries if this attempt fails
+ */
+router.post('/notifications/:id/replay', verifyAdminKey, async (req: Request, res: Response) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid notification ID',
+        timestamp: Date.now(),
+      });
+    }
+
+    log.info(`[ADMIN] Replay of notification #${id} triggered`, { ip: req.ip });
+
+    const notification = await replayNotification(id);
+
+    if (!notification) {
+      log.api('POST', '/api/admin/notifications/:id/replay', 404);
+      return res.status(404).json({
+        success: false,
+        error: `Notification #${id} not found`,
+        timestamp: Date.now(),
+      });
+    }
+
+    const delivered = notification.status === 'delivered';
+    log.api('POST', '/api/admin/notifications/:id/replay', delivered ? 200 : 502, {
+      id,
+      status: notification.status,
+    });
+    res.status(delivered ? 200 : 502).json({
+      success: delivered,
+      data: notification,
+      error: notification.lastError,
+      timestamp: Date.now(),
+    });
+  } catch (error) {
+    if (error instanceof RetryConflictError) {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        data: error.details,
+        timestamp: Date.now(),
+      });
+    }
+
+    log.error('[ADMIN] Notification replay error', error);
+    res.status(500).json({
+      success: false,
+      error: error instanceof Error ? error.message : 'Unknown error',
+      timestamp: Date.now(),
+    });
+  }
+});
+
+/**
+ * GET /api/admin/audit - Admin audit log, newest first
+ *
+ * Query: action (e.g. 'POST /api/claim'), keyId, limit, offset
+ */
+router.get('/audit', verifyAdminKey, async (req: Request, res: Response) => {
+  try {
+    const action = req.query.action as string | undefined;
+    const keyId = req.query.keyId as string | undefined;
+    const limit = Math.min(parseInt(req.query.limit as string) || 50, 500);
+    const offset = Math.max(parseInt(req.query.offset as string) || 0, 0);
+
+    const entries = await getAdminAudit({ action, keyId }, limit, offset);
+
+    const response: ApiResponse = {
+      success: true,
+      data: entries,
+      timestamp: Date.now(),
+    };
+
+    log.api('GET', '/api/admin/audit', 200, { action, keyId, count: entries.length });
+    res.json(response);
+  } catch (error) {
+    log.error('[ADMIN] Audit log error', error);
+    res.status(500).json({
+      success: false,
+      error: error instanceof Error ? error.message : 'Unknown error',
+      timestamp: Date.now(),
+    });
+  }
+});
+
+/**
+ * GET /api/admin/reconcile/flags - Open reconciliation flags
+ */
+router.get('/reconcile/flags', verifyAdminKey, async (req: Request, res: Response) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit as string) || 100, 1000);
+    const flags = await getOpenReconciliationFlags(limit);
+
+    const response: ApiResponse = {
+      success: true,
+      data: flags,
+      timestamp: Date.now(),
+    };
+
+    log.api('GET', '/api/admin/reconcile/flags', 200, { count: flags.length });
+    res.json(response);
+  } catch (error) {
+    log.error('[ADMIN] Reconciliation flags error', error);
+    res.status(500).json({
+      success: false,
+      error: error instanceof Error ? error.message : 'Unknown error',
+      timestamp: Date.now(),
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -1,13 +1,17 @@
 import { Router, Request, Response } from 'express';
 import { executeClaimFlow } from '../services/claimOrchestrator';
 import { shouldClaimFees } from '../services/feeMonitor';
-import { isClaimInProgress } from '../scheduler'; // ✅ ADDED: Import lock check
+import { withClaimLock } from '../services/claimLock';
+import { auditAdminRequests } from '../services/adminAudit';
 import { adminApiKey, enableManualClaim } from '../env';
 import { log } from '../lib/logger';
-import { ApiResponse, ManualClaimRequest } from '../types';
+import { ApiResponse, ClaimLockedError, ManualClaimRequest } from '../types';
 
 const router = Router();
 
+// Every request, authorized or not, goes to the admin audit log
+router.use(auditAdminRequests);
+
 /**
  * Middleware to verify admin API key
  */
@@ -32,6 +36,7 @@ function verifyAdminKey(req: Request, res: Response, next: Function) {
 
 /**
  * POST /api/claim - Manually trigger claim process
+ * POST /api/claim?dryRun=1 - Simulate every transaction without sending
  */
 router.post('/', verifyAdminKey, async (req: Request, res: Response) => {
   try {
@@ -43,22 +48,15 @@ router.post('/', verifyAdminKey, async (req: Request, res: Response) => {
       });
     }
 
-    // ✅ ADDED: Check if claim already in progress
-    if (isClaimInProgress()) {
-      log.warn('[MANUAL CLAIM] Rejected - claim already in progress', { ip: req.ip });
-      return res.status(409).json({
-        success: false,
-        error: 'Claim operation already in progress. Please wait for it to complete.',
-        timestamp: Date.now(),
-      });
-    }
-
+    const dryRun = req.query.dryRun === '1' || req.query.dryRun === 'true';
     const { force } = req.body as ManualClaimRequest;
 
-    log.info('[MANUAL CLAIM] Triggered via API', { force, ip: req.ip });
+    log.info('[MANUAL CLAIM] Triggered via API', { force, dryRun, ip: req.ip });
 
-    // Execute claim flow
-    const result = await executeClaimFlow(force || false);
+    // Execute claim flow under the claim lock (dry runs send nothing)
+    const result = dryRun
+      ? await executeClaimFlow(force || false, { dryRun })
+      : await withClaimLock('manual-claim', () => executeClaimFlow(force || false));
 
     const response: ApiResponse = {
       success: result.success,
@@ -67,11 +65,25 @@ router.post('/', verifyAdminKey, async (req: Request, res: Response) => {
       timestamp: Date.now(),
     };
 
-    const statusCode = result.success ? 200 : 500;
-    log.api('POST', '/api/claim', statusCode, { force });
+    // A dry run that produced a simulation succeeded even if a step would fail
+    const statusCode = result.success || result.simulation ? 200 : 500;
+    log.api('POST', '/api/claim', statusCode, { force, dryRun });
     
     res.status(statusCode).json(response);
   } catch (error) {
+    if (error instanceof ClaimLockedError) {
+      log.warn('[MANUAL CLAIM] Rejected - claim already in progress', {
+        ip: req.ip,
+        ...error.details,
+      });
+      return res.status(409).json({
+        success: false,
+        error: 'Claim operation already in progress. Please wait for it to complete.',
+        data: error.details,
+        timestamp: Date.now(),
+      });
+    }
+
     log.error('[MANUAL CLAIM] API error', error);
     res.status(500).json({
       success: false,
@@ -0,0 +1,52 @@
+import { Router, Request, Response } from 'express';
+import { getSystemStatus } from '../db/queries';
+import { metricsToken } from '../env';
+import { log } from '../lib/logger';
+import {
+  addCollector,
+  claimsCompleted,
+  monitorChecks,
+  renderMetrics,
+  systemPaused,
+  METRICS_CONTENT_TYPE,
+} from '../lib/metrics';
+
+const router = Router();
+
+// Totals kept in system_status, read at scrape time so they survive restarts
+addCollector(async () => {
+  const systemStatus = await getSystemStatus();
+  monitorChecks.set(Number(systemStatus.total_checks || 0));
+  claimsCompleted.set(Number(systemStatus.total_claims || 0));
+  systemPaused.set(systemStatus.is_paused ? 1 : 0);
+});
+
+/**
+ * Require METRICS_TOKEN as a bearer token when it is set
+ */
+function verifyMetricsToken(req: Request, res: Response, next: Function) {
+  if (!metricsToken) {
+    return next();
+  }
+
+  if (req.headers.authorization !== `Bearer ${metricsToken}`) {
+    log.warn('Unauthorized metrics scrape', { ip: req.ip });
+    return res.status(401).send('Unauthorized\n');
+  }
+
+  next();
+}
+
+/**
+ * GET /metrics - Prometheus metrics in the text exposition format
+ */
+router.get('/', verifyMetricsToken, async (req: Request, res: Response) => {
+  try {
+    res.set('Content-Type', METRICS_CONTENT_TYPE).send(await renderMetrics());
+  } catch (error) {
+    log.error('Metrics error', error);
+    res.status(500).send('Failed to render metrics\n');
+  }
+});
+
+export default router;
@@ -1,13 +1,16 @@
 import { Router, Request, Response } from 'express';
-import { getSystemStats, getTransactionHistory } from '../db/queries';
+import { getSystemStats, getTransactionHistory, getFeeAccrualHistory } from '../db/queries';
 import { getCurrentClaimableFees } from '../services/feeMonitor';
 import { getSchedulerStatus } from '../scheduler';
-import { publicStatsEnabled, checkIntervalMinutes } from '../env';
+import { publicStatsEnabled, checkIntervalMinutes, monitorCheckRetentionDays } from '../env';
 import { log } from '../lib/logger';
 import { ApiResponse, DashboardData } from '../types';
 
 const router = Router();
 
+// Keeps /api/stats/fees responses small
+const MAX_FEE_BUCKETS = 1000;
+
 // Add CORS to all stats routes
 router.use((req, res, next) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -88,7 +91,8 @@ router.get('/dashboard', async (req: Request, res: Response) => {
         timestamp: tx.timestamp,
         cumulativeBurned: arr
           .slice(0, index + 1)
-          .reduce((sum, t) => sum + Number(t.amount), 0),
+          .reduce((sum, t) => sum + BigInt(t.amount), 0n)
+          .toString(),
       }));
 
     const treasuryChartData = transactions
@@ -160,6 +164,55 @@ router.get('/history', async (req: Request, res: Response) => {
   }
 });
 
+/**
+ * GET /api/stats/fees - Claimable fee history and accrual rate
+ *
+ * Query: hours (default 24, at most the retention), bucketMinutes (default 60)
+ */
+router.get('/fees', async (req: Request, res: Response) => {
+  try {
+    if (!publicStatsEnabled) {
+      return res.status(403).json({
+        success: false,
+        error: 'Public stats are disabled',
+        timestamp: Date.now(),
+      });
+    }
+
+    const hours = Math.min(
+      Math.max(parseInt(req.query.hours as string) || 24, 1),
+      monitorCheckRetentionDays * 24
+    );
+    const bucketMinutes = Math.max(parseInt(req.query.bucketMinutes as string) || 60, 1);
+
+    if ((hours * 60) / bucketMinutes > MAX_FEE_BUCKETS) {
+      return res.status(400).json({
+        success: false,
+        error: `At most ${MAX_FEE_BUCKETS} buckets: use a larger bucketMinutes or fewer hours`,
+        timestamp: Date.now(),
+      });
+    }
+
+    const history = await getFeeAccrualHistory(hours, bucketMinutes);
+
+    const response: ApiResponse = {
+      success: true,
+      data: history,
+      timestamp: Date.now(),
+    };
+
+    log.api('GET', '/api/stats/fees', 200, { hours, bucketMinutes });
+    res.json(response);
+  } catch (error) {
+    log.error('Fee history API error', error);
+    res.status(500).json({
+      success: false,
+      error: error instanceof Error ? error.message : 'Unknown error',
+      timestamp: Date.now(),
+    });
+  }
+});
+
 /**
  * GET /api/stats/scheduler - Get scheduler status
  */
@@ -1,10 +1,51 @@
 import cron from 'node-cron';
 import { log } from './lib/logger';
+import { claimsTriggered, monitorCheckDuration } from './lib/metrics';
 import { checkIntervalMinutes, autoClaimEnabled } from './env';
-import { shouldClaimFees } from './services/feeMonitor';
-import { executeClaimFlow } from './services/claimOrchestrator';
-import { getSystemStatus, updateSystemStatus } from './db/queries';
-import { SchedulerStatus } from './types';
+import { shouldClaimFees, pruneMonitorChecks } from './services/feeMonitor';
+import {
+  executeClaimFlow,
+  hasUnfinishedFlowRun,
+  OrchestrationResult,
+} from './services/claimOrchestrator';
+import { processDueTranches, TrancheRunSummary } from './services/buybackTranches';
+import {
+  withClaimLock,
+  getClaimLockStatus,
+  isClaimLockHeldLocally,
+} from './services/claimLock';
+import { probeCircuitBreaker, resetCircuitBreaker } from './services/circuitBreaker';
+import { recoverPendingTransactions, PendingRecoveryReport } from './services/pendingRecovery';
+import { sweepStrandedTokens, TokenSweepReport } from './services/tokenSweep';
+import { checkCreatorBalance } from './services/balanceMonitor';
+import { deliverDueNotifications, notify, OutboxDeliveryReport } from './services/notifiers';
+import { getSystemStatus, updateSystemStatus, pauseSystem, resumeSystem } from './db/queries';
+import { ClaimDecision, ClaimLockedError, SchedulerStatus } from './types';
+
+export interface MonitoringStepReport {
+  success: boolean;
+  action:
+    | 'paused' // system paused, nothing checked
+    | 'busy' // another instance or operation holds the claim lock
+    | 'no_claim' // fees below threshold (due tranches may have run)
+    | 'auto_claim_disabled' // threshold met but auto-claim is off
+    | 'claim_step' // one claim flow step executed
+    | 'error';
+  decision?: ClaimDecision; // fee check, when no run was in progress
+  claim?: OrchestrationResult;
+  recovery?: PendingRecoveryReport;
+  sweep?: TokenSweepReport;
+  tranches?: TrancheRunSummary;
+  notifications?: OutboxDeliveryReport;
+  lockHolder?: string; // set when busy
+  error?: string;
+  durationMs: number;
+  timestamp: number;
+}
+
+// How often rows left pending are looked up on-chain (and stranded tokens
+// swept afterwards)
+const RECOVERY_INTERVAL_MINUTES = 10;
 
 let schedulerStatus: SchedulerStatus = {
   isRunning: false,
@@ -14,16 +55,17 @@ let schedulerStatus: SchedulerStatus = {
 };
 
 let cronTask: cron.ScheduledTask | null = null;
-
-// ========================================
-// CLAIM LOCK - Prevents race conditions
-// ========================================
-let claimInProgress = false;
+let trancheCronTask: cron.ScheduledTask | null = null;
+let recoveryCronTask: cron.ScheduledTask | null = null;
+let notificationCronTask: cron.ScheduledTask | null = null;
+let maintenanceCronTask: cron.ScheduledTask | null = null;
 
 /**
  * Main monitoring task that runs every interval
  */
 async function monitoringTask(): Promise<void> {
+  const endTimer = monitorCheckDuration.startTimer();
+
   try {
     schedulerStatus.lastCheckTime = Date.now();
     schedulerStatus.checksPerformed++;
@@ -32,92 +74,278 @@ async function monitoringTask(): Promise<void> {
 
     // Check if system is paused
     const systemStatus = await getSystemStatus();
-    if (systemStatus.is_paused) {
-      log.warn('[MONITOR] System is paused, skipping check');
-      return;
-    }
-
-    // ✅ Check if claim already in progress
-    if (claimInProgress) {
-      log.info('[MONITOR] Claim already in progress, skipping this check');
+    if (systemStatus.is_paused && !(await probeCircuitBreaker())) {
+      log.warn('[MONITOR] System is paused, skipping check', { reason: systemStatus.pause_reason });
       return;
     }
 
-    // Update database with check timestamp
+    // Update database with check timestamp. The totals are counted on the
+    // database row, so they carry over restarts (and the metrics read them)
     await updateSystemStatus({
       lastCheckTimestamp: new Date(),
-      totalChecks: schedulerStatus.checksPerformed,
+      totalChecks: systemStatus.total_checks + 1,
     });
 
-    // Check if we should claim fees
-    const decision = await shouldClaimFees();
+    await checkCreatorBalance();
 
-    if (!decision.shouldClaim) {
-      log.info(`[MONITOR] No action needed: ${decision.reason}`);
-      return;
-    }
+    // An interrupted run is finished before any new claim is considered,
+    // so SOL already claimed or transferred is never left stranded
+    const resuming = await hasUnfinishedFlowRun();
 
-    if (!autoClaimEnabled) {
-      log.info('[MONITOR] Auto-claim disabled, manual claim required', {
+    if (resuming) {
+      log.info('[MONITOR] Unfinished claim run found, resuming it');
+    } else {
+      // Check if we should claim fees
+      const decision = await shouldClaimFees();
+
+      if (!decision.shouldClaim) {
+        log.info(`[MONITOR] No action needed: ${decision.reason}`);
+        return;
+      }
+
+      if (!autoClaimEnabled) {
+        log.info('[MONITOR] Auto-claim disabled, manual claim required', {
+          claimableFees: decision.claimableFees,
+        });
+        return;
+      }
+
+      log.info('[MONITOR] Threshold met, triggering claim flow', {
         claimableFees: decision.claimableFees,
       });
-      return;
+      schedulerStatus.claimsTriggered++;
+      claimsTriggered.inc();
     }
 
-    // ✅ Set lock before starting claim
-    claimInProgress = true;
-    log.info('[MONITOR] Setting claim lock - preventing concurrent operations');
-
-    // Execute claim flow
-    log.info('[MONITOR] Threshold met, triggering claim flow', {
-      claimableFees: decision.claimableFees,
-    });
-
-    schedulerStatus.claimsTriggered++;
-
-    const result = await executeClaimFlow();
+    // Execute claim flow (resumes the unfinished run if there is one) under
+    // the database claim lock, so no other instance claims at the same time
+    const result = await withClaimLock('monitor', () => executeClaimFlow());
 
-    if (result.success) {
+    if (result.pending) {
+      log.info('[MONITOR] Claim run waiting on transaction confirmation, will resume next check', {
+        runId: result.runId,
+      });
+    } else if (result.success) {
       await updateSystemStatus({
-        totalClaims: schedulerStatus.claimsTriggered,
+        totalClaims: (await getSystemStatus()).total_claims + 1,
       });
       log.info('[MONITOR] Claim flow completed successfully');
     } else {
       throw new Error(result.error || 'Claim flow failed');
     }
   } catch (error) {
-    const errorInfo = {
+    if (error instanceof ClaimLockedError) {
+      log.info('[MONITOR] Claim already in progress, skipping this check', error.details);
+      return;
+    }
+
+    log.error('[MONITOR] Task failed', error);
+    await recordTaskError(error);
+  } finally {
+    endTimer();
+    schedulerStatus.nextCheckTime = Date.now() + checkIntervalMinutes * 60 * 1000;
+    log.info(`[MONITOR] Next check in ${checkIntervalMinutes} minutes`);
+  }
+}
+
+/**
+ * Keep the last errors in memory and count them in the database
+ */
+async function recordTaskError(error: unknown): Promise<void> {
+  const errorInfo = {
+    timestamp: Date.now(),
+    message: error instanceof Error ? error.message : 'Unknown error',
+    stack: error instanceof Error ? error.stack : undefined,
+  };
+
+  schedulerStatus.errors.push(errorInfo);
+
+  // Keep only last 10 errors
+  if (schedulerStatus.errors.length > 10) {
+    schedulerStatus.errors.shift();
+  }
+
+  // Update database with error
+  await updateSystemStatus({
+    errorCount: (await getSystemStatus()).error_count + 1,
+    lastError: errorInfo.message,
+  });
+}
+
+/**
+ * Single bounded pass of the monitoring pipeline, for callers with a time
+ * limit (the serverless cron) instead of the long-running scheduler.
+ *
+ * Runs the pause check, then at most one claim flow step: the next step of
+ * an unfinished run, or - when none is open - the fee check and, if the
+ * threshold is met, the claim itself. Progress lives in `flow_runs`, so the
+ * next call picks up the following step. With no claim to make, due buyback
+ * tranches are processed until `deadline`.
+ *
+ * @param deadline - Timestamp after which no new tranche is started and a
+ *                   sent transaction is left pending for the next call
+ */
+export async function runMonitoringStep(deadline?: number): Promise<MonitoringStepReport> {
+  const startTime = Date.now();
+  let notifications: OutboxDeliveryReport | undefined;
+  const report = (fields: Omit<MonitoringStepReport, 'durationMs' | 'timestamp'>) => {
+    monitorCheckDuration.observe((Date.now() - startTime) / 1000);
+    return {
+      ...fields,
+      notifications,
+      durationMs: Date.now() - startTime,
       timestamp: Date.now(),
-      message: error instanceof Error ? error.message : 'Unknown error',
-      stack: error instanceof Error ? error.stack : undefined,
     };
+  };
 
-    schedulerStatus.errors.push(errorInfo);
+  try {
+    schedulerStatus.lastCheckTime = Date.now();
+    schedulerStatus.checksPerformed++;
 
-    // Keep only last 10 errors
-    if (schedulerStatus.errors.length > 10) {
-      schedulerStatus.errors.shift();
-    }
+    // Before the pause check: a paused system still sends its notifications
+    notifications = await deliverDueNotifications();
 
-    log.error('[MONITOR] Task failed', error);
+    const systemStatus = await getSystemStatus();
+    if (systemStatus.is_paused && !(await probeCircuitBreaker())) {
+      log.warn('[MONITOR] System is paused, skipping step', { reason: systemStatus.pause_reason });
+      return report({ success: true, action: 'paused' });
+    }
 
-    // Update database with error
     await updateSystemStatus({
-      errorCount: (await getSystemStatus()).error_count + 1,
-      lastError: errorInfo.message,
+      lastCheckTimestamp: new Date(),
+      totalChecks: systemStatus.total_checks + 1,
     });
-  } finally {
-    // ✅ Always clear lock in finally block
-    if (claimInProgress) {
-      claimInProgress = false;
-      log.info('[MONITOR] Claim lock released');
+
+    await checkCreatorBalance();
+
+    let decision: ClaimDecision | undefined;
+
+    if (!(await hasUnfinishedFlowRun())) {
+      decision = await shouldClaimFees();
+
+      if (!decision.shouldClaim) {
+        log.info(`[MONITOR] No claim needed: ${decision.reason}`);
+        // Serverless has no recovery or maintenance schedule: settle pending
+        // rows, sweep stranded tokens and prune old fee checks here
+        const recovery = await recoverPendingTransactions(deadline);
+        const tranches = await withClaimLock('tranches', () => processDueTranches(deadline));
+        const sweep = await sweepStrandedTokens(deadline);
+        await pruneMonitorChecks();
+        return report({ success: true, action: 'no_claim', decision, recovery, sweep, tranches });
+      }
+
+      if (!autoClaimEnabled) {
+        return report({ success: true, action: 'auto_claim_disabled', decision });
+      }
+
+      schedulerStatus.claimsTriggered++;
+      claimsTriggered.inc();
     }
 
-    schedulerStatus.nextCheckTime = Date.now() + checkIntervalMinutes * 60 * 1000;
-    log.info(`[MONITOR] Next check in ${checkIntervalMinutes} minutes`);
+    // The deadline keeps a slow confirmation from outliving the invocation:
+    // the step is left 'sent' and settled by the next call
+    const claim = await withClaimLock('monitor', () =>
+      executeClaimFlow(false, { maxSteps: 1, deadline })
+    );
+
+    if (claim.success && !claim.incomplete) {
+      await updateSystemStatus({
+        totalClaims: systemStatus.total_claims + 1,
+      });
+    } else if (!claim.success && !claim.pending) {
+      await recordTaskError(new Error(claim.error || 'Claim flow failed'));
+    }
+
+    log.info('[MONITOR] Claim flow step finished', {
+      runId: claim.runId,
+      steps: claim.stepsExecuted,
+      nextStep: claim.nextStep,
+      pending: claim.pending,
+      success: claim.success,
+    });
+
+    return report({
+      success: claim.success || claim.pending === true,
+      action: 'claim_step',
+      decision,
+      claim,
+      error: claim.error,
+    });
+  } catch (error) {
+    if (error instanceof ClaimLockedError) {
+      log.info('[MONITOR] Claim lock held elsewhere, skipping step', error.details);
+      return report({ success: true, action: 'busy', lockHolder: error.details.holder });
+    }
+
+    log.error('[MONITOR] Step failed', error);
+    await recordTaskError(error);
+
+    return report({
+      success: false,
+      action: 'error',
+      error: error instanceof Error ? error.message : 'Unknown error',
+    });
   }
 }
 
+/**
+ * Buyback tranche task - runs every minute so scheduled tranches execute
+ * close to their planned time regardless of the fee check interval.
+ * Shares the claim lock: tranche buys and claims both move SOL in the
+ * creator wallet and measure it by balance before/after.
+ */
+async function trancheTask(): Promise<void> {
+  // Skip without a database round trip while this process runs a claim
+  if (isClaimLockHeldLocally()) {
+    return;
+  }
+
+  try {
+    const systemStatus = await getSystemStatus();
+    if (systemStatus.is_paused) {
+      return;
+    }
+
+    await withClaimLock('tranches', () => processDueTranches());
+  } catch (error) {
+    if (error instanceof ClaimLockedError) {
+      return;
+    }
+    log.error('[TRANCHES] Task failed', error);
+  }
+}
+
+/**
+ * Settle rows left 'pending' by a crash and requeue the funds they strand,
+ * then burn tokens no flow will burn any more
+ */
+async function recoveryTask(): Promise<void> {
+  try {
+    await recoverPendingTransactions();
+    await sweepStrandedTokens();
+  } catch (error) {
+    if (error instanceof ClaimLockedError) {
+      return;
+    }
+    log.error('[RECOVERY] Task failed', error);
+  }
+}
+
+/**
+ * Notification retry task - runs every minute, paused or not, so failed
+ * deliveries follow their backoff schedule
+ */
+async function notificationTask(): Promise<void> {
+  await deliverDueNotifications();
+}
+
+/**
+ * Daily housekeeping: drop saved fee checks past their retention
+ */
+async function maintenanceTask(): Promise<void> {
+  await pruneMonitorChecks();
+}
+
 /**
  * Start the automated monitoring scheduler
  */
@@ -141,6 +369,28 @@ export function startScheduler(): void {
     timezone: 'UTC',
   });
 
+  // Always scheduled: plans created before tranche mode was turned off
+  // still have to finish
+  trancheCronTask = cron.schedule('* * * * *', trancheTask, {
+    scheduled: true,
+    timezone: 'UTC',
+  });
+
+  recoveryCronTask = cron.schedule(`*/${RECOVERY_INTERVAL_MINUTES} * * * *`, recoveryTask, {
+    scheduled: true,
+    timezone: 'UTC',
+  });
+
+  notificationCronTask = cron.schedule('* * * * *', notificationTask, {
+    scheduled: true,
+    timezone: 'UTC',
+  });
+
+  maintenanceCronTask = cron.schedule('0 4 * * *', maintenanceTask, {
+    scheduled: true,
+    timezone: 'UTC',
+  });
+
   schedulerStatus.isRunning = true;
   schedulerStatus.nextCheckTime = Date.now() + checkIntervalMinutes * 60 * 1000;
 
@@ -148,13 +398,15 @@ export function startScheduler(): void {
     nextCheck: new Date(schedulerStatus.nextCheckTime).toISOString(),
   });
 
-  // Run first check immediately (optional)
-  if (autoClaimEnabled) {
-    log.info('[SCHEDULER] Running initial check...');
-    monitoringTask().catch((error) => {
+  // Settle rows the previous shutdown left pending, then run the first
+  // check - this also resumes any claim run interrupted by the shutdown
+  // (or requeued by recovery), even when auto-claim is off
+  log.info('[SCHEDULER] Recovering pending transactions and running initial check...');
+  recoveryTask()
+    .then(monitoringTask)
+    .catch((error) => {
       log.error('[SCHEDULER] Initial check failed', error);
     });
-  }
 }
 
 /**
@@ -168,25 +420,37 @@ export function stopScheduler(): void {
 
   cronTask.stop();
   cronTask = null;
+  trancheCronTask?.stop();
+  trancheCronTask = null;
+  recoveryCronTask?.stop();
+  recoveryCronTask = null;
+  notificationCronTask?.stop();
+  notificationCronTask = null;
+  maintenanceCronTask?.stop();
+  maintenanceCronTask = null;
   schedulerStatus.isRunning = false;
 
   log.info('[SCHEDULER] Stopped');
 }
 
 /**
- * Pause monitoring (via database flag)
+ * Pause monitoring (via database flag) and send a `paused` notification
+ * naming the admin key that paused
  */
-export async function pauseMonitoring(): Promise<void> {
-  await updateSystemStatus({ isPaused: true });
-  log.info('[SCHEDULER] Monitoring paused');
+export async function pauseMonitoring(reason?: string, keyId?: string): Promise<void> {
+  await pauseSystem(reason, 'admin');
+  log.info('[SCHEDULER] Monitoring paused', { reason, keyId });
+  await notify({ event: 'paused', pausedBy: 'admin', keyId, reason, timestamp: Date.now() });
 }
 
 /**
- * Resume monitoring (via database flag)
+ * Resume monitoring (via database flag); also closes the circuit breaker
  */
-export async function resumeMonitoring(): Promise<void> {
-  await updateSystemStatus({ isPaused: false });
-  log.info('[SCHEDULER] Monitoring resumed');
+export async function resumeMonitoring(keyId?: string): Promise<void> {
+  await resumeSystem();
+  await resetCircuitBreaker();
+  log.info('[SCHEDULER] Monitoring resumed', { keyId });
+  await notify({ event: 'resumed', resumedBy: 'admin', keyId, timestamp: Date.now() });
 }
 
 /**
@@ -195,7 +459,7 @@ export async function resumeMonitoring(): Promise<void> {
 export function getSchedulerStatus(): SchedulerStatus {
   return { 
     ...schedulerStatus,
-    claimInProgress, // ✅ Include lock status
+    claimInProgress: isClaimLockHeldLocally(), // this instance only, see getClaimLockStatus
   };
 }
 
@@ -203,9 +467,13 @@ export function getSchedulerStatus(): SchedulerStatus {
  * Force a manual check (ignores pause state but respects claim lock)
  */
 export async function forceCheck(): Promise<void> {
-  if (claimInProgress) {
-    log.warn('[SCHEDULER] Cannot force check - claim already in progress');
-    throw new Error('Claim operation already in progress');
+  const lock = await getClaimLockStatus();
+  if (lock.locked) {
+    log.warn('[SCHEDULER] Cannot force check - claim already in progress', {
+      holder: lock.holder,
+      operation: lock.operation,
+    });
+    throw new ClaimLockedError(lock);
   }
   
   log.info('[SCHEDULER] Force check triggered');
@@ -213,8 +481,9 @@ export async function forceCheck(): Promise<void> {
 }
 
 /**
- * Get claim lock status (for debugging)
+ * Whether this instance holds the claim lock (for debugging; other
+ * instances are only visible through getClaimLockStatus)
  */
 export function isClaimInProgress(): boolean {
-  return claimInProgress;
+  return isClaimLockHeldLocally();
 }
\ No newline at end of file
@@ -0,0 +1,63 @@
+// backend/src/services/adminAudit.ts
+import { Request, Response, NextFunction } from 'express';
+import { createHash } from 'crypto';
+import { log } from '../lib/logger';
+import { adminApiKey } from '../env';
+import { insertAdminAudit } from '../db/queries';
+import { AdminAuditResult } from '../types';
+
+/**
+ * Identifies an admin key in the audit log without storing it: the first 12
+ * hex characters of its SHA-256. Rows written before a key rotation keep
+ * the old key's ID.
+ */
+export function adminKeyId(key: string): string {
+  return createHash('sha256').update(key).digest('hex').slice(0, 12);
+}
+
+/**
+ * Router middleware writing every request to admin_audit once its response
+ * is sent: who (admin key ID), the route, its params, query and body, the
+ * IP, and the status code with the error the route answered with.
+ *
+ * Mounted ahead of verifyAdminKey, so unauthorized attempts are recorded
+ * too. A failed insert is logged and never affects the response.
+ */
+export function auditAdminRequests(req: Request, res: Response, next: NextFunction) {
+  const presentedKey = req.headers['x-admin-key'] || req.body?.adminApiKey;
+  let responseBody: any;
+
+  const json = res.json.bind(res);
+  res.json = (body: any) => {
+    responseBody = body;
+    return json(body);
+  };
+
+  res.on('finish', () => {
+    const { adminApiKey: _key, ...body } = req.body || {};
+    // req.route is only set once a route matched: record its template, not the IDs
+    const route = req.route?.path ?? req.path;
+    const path = `${req.baseUrl}${route}`.replace(/(.)\/$/, '$1');
+
+    insertAdminAudit({
+      keyId: presentedKey === adminApiKey ? adminKeyId(adminApiKey) : undefined,
+      action: `${req.method} ${path}`,
+      params: { params: req.params, query: req.query, body },
+      ip: req.ip,
+      statusCode: res.statusCode,
+      result: auditResult(res.statusCode),
+      error: typeof responseBody?.error === 'string' ? responseBody.error : undefined,
+    }).catch((error) => {
+      log.error('Failed to write admin audit entry', error, { path, ip: req.ip });
+    });
+  });
+
+  next();
+}
+
+function auditResult(statusCode: number): AdminAuditResult {
+  if (statusCode === 401) return 'unauthorized';
+  if (statusCode >= 500) return 'failed';
+  if (statusCode >= 400) return 'rejected';
+  return 'success';
+}
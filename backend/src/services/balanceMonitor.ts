@@ -0,0 +1,62 @@
+// backend/src/services/balanceMonitor.ts
+import { keypairFromSecret, getBalance } from '../lib/solana';
+import { log } from '../lib/logger';
+import { creatorBalanceSol } from '../lib/metrics';
+import { creatorWalletSecret, lowBalanceAlertSol } from '../env';
+import { getSystemStatus, updateSystemStatus } from '../db/queries';
+import { notify } from './notifiers';
+
+/**
+ * Read the creator wallet balance for the metrics, and send a `low_balance`
+ * notification when the creator wallet, which pays the
+ * fees of every transaction, drops below LOW_BALANCE_ALERT_SOL
+ *
+ * Sent once per drop: the alert is recorded in system_status and re-armed
+ * when the balance is back at or above the threshold.
+ *
+ * Never throws: a failed balance check must not stop the monitoring check.
+ */
+export async function checkCreatorBalance(): Promise<void> {
+  try {
+    const creator = keypairFromSecret(creatorWalletSecret).publicKey;
+    const balance = await getBalance(creator);
+    creatorBalanceSol.set(balance);
+
+    if (lowBalanceAlertSol === 0) {
+      return;
+    }
+
+    const alerted = Boolean((await getSystemStatus()).low_balance_since);
+
+    if (balance >= lowBalanceAlertSol) {
+      if (alerted) {
+        await updateSystemStatus({ lowBalanceSince: null });
+        log.info('Creator wallet balance back above alert threshold', {
+          balance,
+          threshold: lowBalanceAlertSol,
+        });
+      }
+      return;
+    }
+
+    if (alerted) {
+      return;
+    }
+
+    await updateSystemStatus({ lowBalanceSince: new Date() });
+    log.warn('Creator wallet balance below alert threshold', {
+      balance,
+      threshold: lowBalanceAlertSol,
+    });
+
+    await notify({
+      event: 'low_balance',
+      wallet: creator.toBase58(),
+      balance,
+      threshold: lowBalanceAlertSol,
+      timestamp: Date.now(),
+    });
+  } catch (error) {
+    log.error('Creator wallet balance check failed', error);
+  }
+}
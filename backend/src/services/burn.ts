@@ -1,25 +1,30 @@
 import { PublicKey } from '@solana/web3.js';
-import { getMint } from '@solana/spl-token';
-import { burnTokens, keypairFromSecret, getExplorerUrl, connection } from '../lib/solana';
+import {
+  burnTokens,
+  splBurnTokens,
+  keypairFromSecret,
+  getExplorerUrl,
+} from '../lib/solana';
 import { log } from '../lib/logger';
-import { creatorWalletSecret, tokenMint, burnAddress } from '../env';
-import { insertBurn, updateBurnStatus } from '../db/queries';
-import { BurnResult } from '../types';
+import { creatorWalletSecret, tokenMint, burnAddress, burnMode } from '../env';
+import { insertBurn, updateBurnStatus, getBurnBySignature } from '../db/queries';
+import { AutoPumpError, BurnResult, SignatureCallback } from '../types';
 
 /**
- * Burn tokens by sending to incinerator address
+ * Burn purchased tokens using the configured BURN_MODE:
+ * - incinerator: transfer to the incinerator address (tokens stay in supply)
+ * - spl-burn: SPL Token burn instruction (reduces mint supply)
  * 
- * CRITICAL: Token amounts from buyback are in DISPLAY format (with decimals).
- * We must convert to RAW format by multiplying by 10^decimals.
- * 
- * Example:
- * - Display: 194,000 tokens
- * - Decimals: 6
- * - Raw: 194,000,000,000 (194000 × 10^6)
+ * @param buybackId - Buyback the tokens came from; null for a sweep of
+ *                    stranded tokens (see tokenSweep)
+ * @param tokenAmount - Raw token units (BigInt string), as recorded by the buyback
+ * @param deadline - Stop waiting for confirmation at this time (left pending)
  */
 export async function burnPurchasedTokens(
-  buybackId: number,
-  tokenAmount: string
+  buybackId: number | null,
+  tokenAmount: string,
+  onSent?: SignatureCallback,
+  deadline?: number
 ): Promise<BurnResult> {
   const creatorKeypair = keypairFromSecret(creatorWalletSecret);
   const mintPubkey = new PublicKey(tokenMint);
@@ -30,56 +35,37 @@ export async function burnPurchasedTokens(
       buybackId,
       tokenAmount,
       mint: tokenMint,
-      incinerator: burnAddress,
+      burnMode,
+      incinerator: burnMode === 'incinerator' ? burnAddress : undefined,
     });
 
-    // Parse the display amount
-    const displayAmount = parseFloat(tokenAmount);
-    
-    if (isNaN(displayAmount) || displayAmount <= 0) {
+    const amount = parseRawTokenAmount(tokenAmount);
+
+    if (amount <= 0n) {
       throw new Error(`Invalid token amount: ${tokenAmount}`);
     }
 
-    // Get token mint info to determine decimals
-    const mintInfo = await getMint(connection, mintPubkey);
-    const decimals = mintInfo.decimals;
-
-    log.burn('Token mint info retrieved', {
-      mint: tokenMint,
-      decimals,
-      displayAmount,
-    });
-
-    // Convert display amount to raw amount
-    // Example: 194000 display tokens with 6 decimals = 194000000000 raw
-    const rawAmount = Math.floor(displayAmount * Math.pow(10, decimals));
-    const amount = BigInt(rawAmount);
-
-    log.burn('Token amount converted from display to raw', {
-      displayAmount,
-      decimals,
-      rawAmount: rawAmount.toString(),
-      calculation: `${displayAmount} × 10^${decimals} = ${rawAmount}`,
-    });
-
-    // Burn tokens (send to incinerator)
-    const signature = await burnTokens(
+    // Burn tokens (send to incinerator, or reduce supply directly)
+    const burn = burnMode === 'spl-burn' ? splBurnTokens : burnTokens;
+    const signature = await burn(
       creatorKeypair,
       mintPubkey,
-      amount
+      amount,
+      onSent,
+      deadline
     );
 
     const explorerUrl = getExplorerUrl(signature);
 
     log.burn('Burn transaction confirmed', {
       signature,
-      displayAmount,
-      rawAmount: rawAmount.toString(),
+      tokensBurned: amount.toString(),
+      burnMode,
       explorerUrl,
     });
 
-    // Record burn in database (store display amount string for precision)
-    burnId = await insertBurn(buybackId, signature, tokenAmount);
+    // Record burn in database
+    burnId = await insertBurn(buybackId, signature, amount.toString(), burnMode);
 
     // Update status to confirmed
     await updateBurnStatus(burnId, 'confirmed');
@@ -87,15 +73,17 @@ export async function burnPurchasedTokens(
     const result: BurnResult = {
       success: true,
       signature,
-      tokensBurned: displayAmount,
+      burnId,
+      burnMode,
+      tokensBurned: amount.toString(),
       timestamp: Date.now(),
     };
 
     log.burn('Burn recorded in database', { 
       burnId, 
       buybackId, 
-      tokensBurned: displayAmount,
-      rawAmount: rawAmount.toString(),
+      burnMode,
+      tokensBurned: amount.toString(),
     });
 
     return result;
@@ -116,7 +104,56 @@ export async function burnPurchasedTokens(
 
     return {
       success: false,
-      tokensBurned: 0,
+      tokensBurned: '0',
+      error: error instanceof Error ? error.message : 'Unknown error',
+      errorCode: error instanceof AutoPumpError ? error.code : undefined,
+      timestamp: Date.now(),
+    };
+  }
+}
+
+/**
+ * Record a burn transaction that landed on-chain but was never recorded
+ * (e.g. the process stopped while waiting for confirmation)
+ * 
+ * The transaction was built under the current BURN_MODE, so that is what
+ * gets recorded.
+ */
+export async function recoverBurn(
+  buybackId: number,
+  signature: string,
+  tokenAmount: string
+): Promise<BurnResult> {
+  try {
+    const existing: any = await getBurnBySignature(signature);
+    const burnId = existing
+      ? existing.id
+      : await insertBurn(buybackId, signature, tokenAmount, burnMode);
+
+    await updateBurnStatus(burnId, 'confirmed');
+
+    log.burn('Recovered burn recorded in database', {
+      burnId,
+      buybackId,
+      signature,
+      tokenAmount,
+    });
+
+    return {
+      success: true,
+      signature,
+      burnId,
+      burnMode: existing ? existing.burn_mode : burnMode,
+      tokensBurned: existing ? String(existing.tokens_burned) : tokenAmount,
+      timestamp: Date.now(),
+    };
+  } catch (error) {
+    log.error('Burn recovery failed', error, { buybackId, signature });
+
+    return {
+      success: false,
+      signature,
+      tokensBurned: '0',
       error: error instanceof Error ? error.message : 'Unknown error',
       timestamp: Date.now(),
     };
@@ -124,7 +161,7 @@ export async function burnPurchasedTokens(
 }
 
 /**
- * Get total tokens burned (from database)
+ * Get total tokens burned (from database), in raw token units
  */
 export async function getTotalTokensBurned(): Promise<string> {
   try {
@@ -137,6 +174,18 @@ export async function getTotalTokensBurned(): Promise<string> {
   }
 }
 
+/**
+ * Parse a raw token amount; display amounts (with a decimal point) are
+ * refused rather than silently scaled
+ */
+function parseRawTokenAmount(tokenAmount: string): bigint {
+  if (!/^\d+$/.test(tokenAmount)) {
+    throw new Error(`Invalid raw token amount: ${tokenAmount}`);
+  }
+
+  return BigInt(tokenAmount);
+}
+
 /**
  * Verify burn address is the Solana incinerator
  */
@@ -0,0 +1,70 @@
+import { beforeEach, describe, expect, it, jest } from '@jest/globals';
+import { buybackTokens } from './buyback';
+import { pumpFunAPI } from '../lib/pumpfun';
+import { getBalanceChanges } from '../lib/solana';
+import { getBuybackCarryover, insertBuyback, markBuybackCarryoverSpent } from '../db/queries';
+
+jest.mock('../env', () => ({
+  creatorWalletSecret: 'creator',
+  tokenMint: 'Mint111',
+  slippageBps: 100,
+  graduatedPool: 'pump-amm',
+  maxPriceImpactBps: 0,
+  priceImpactAction: 'shrink',
+  rpcEndpoints: [],
+}));
+jest.mock('../lib/logger', () => ({
+  log: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), buyback: jest.fn() },
+}));
+jest.mock('../lib/pumpfun', () => ({
+  pumpFunAPI: { resolveBuyVenue: jest.fn(), buyToken: jest.fn() },
+  calculateBuyQuote: jest.fn(),
+  calculateMaxBuyForImpact: jest.fn(),
+}));
+jest.mock('../lib/solana', () => ({
+  keypairFromSecret: () => ({ publicKey: { toBase58: () => 'Creator111' } }),
+  solToLamports: (sol: number) => Math.round(sol * 1e9),
+  lamportsToSol: (lamports: number) => lamports / 1e9,
+  getExplorerUrl: () => 'https://explorer',
+  getBalanceChanges: jest.fn(),
+}));
+jest.mock('../db/queries');
+
+// A failed tranche plan left 0.25 SOL, a shrunk buy 0.05 SOL
+const carryover = { buybackIds: [3], planIds: [4], amount: 300_000_000 };
+
+describe('buybackTokens carry-over', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.mocked(getBuybackCarryover).mockResolvedValue(carryover);
+    jest.mocked(insertBuyback).mockResolvedValue(21);
+    jest.mocked(pumpFunAPI.resolveBuyVenue).mockResolvedValue('pump-amm');
+    jest.mocked(pumpFunAPI.buyToken).mockResolvedValue({ signature: 'BuySig', tokensPurchased: '5000000' });
+    jest.mocked(getBalanceChanges).mockResolvedValue({
+      slot: 1,
+      feePayer: 'Creator111',
+      fee: 5000,
+      changes: { Creator111: -1_300_005_000 },
+      postBalances: { Creator111: 700_000_000 },
+    });
+  });
+
+  it('adds what earlier buys and failed plans left to the amount and marks it spent', async () => {
+    const result = await buybackTokens(1, 1);
+
+    expect(pumpFunAPI.buyToken).toHaveBeenCalledWith(
+      'Mint111', 1.3, expect.anything(), 100, undefined, undefined, 'pump-amm', undefined
+    );
+    expect(result).toMatchObject({ success: true, amountSol: 1.3, carriedOver: 0.3, unspentAmount: 0 });
+    expect(markBuybackCarryoverSpent).toHaveBeenCalledWith(carryover, 21);
+  });
+
+  it('leaves the carry-over for the next buy when the buy fails', async () => {
+    jest.mocked(pumpFunAPI.buyToken).mockRejectedValue(new Error('slippage exceeded'));
+
+    const result = await buybackTokens(1, 1);
+
+    expect(result.success).toBe(false);
+    expect(markBuybackCarryoverSpent).not.toHaveBeenCalled();
+  });
+});
@@ -1,61 +1,100 @@
-import { pumpFunAPI } from '../lib/pumpfun';
-import { keypairFromSecret, solToLamports, getExplorerUrl } from '../lib/solana';
+import { PublicKey } from '@solana/web3.js';
+import { pumpFunAPI, calculateBuyQuote, calculateMaxBuyForImpact } from '../lib/pumpfun';
+import { keypairFromSecret, solToLamports, lamportsToSol, getExplorerUrl, getBalanceChanges } from '../lib/solana';
 import { log } from '../lib/logger';
-import { creatorWalletSecret, tokenMint, slippageBps } from '../env';
-import { insertBuyback, updateBuybackStatus } from '../db/queries';
-import { BuybackResult } from '../types';
-import { connection } from '../lib/solana';
+import {
+  creatorWalletSecret,
+  tokenMint,
+  slippageBps,
+  graduatedPool,
+  maxPriceImpactBps,
+  priceImpactAction,
+} from '../env';
+import {
+  insertBuyback,
+  updateBuybackStatus,
+  getBuybackBySignature,
+  getBuybackCarryover,
+  markBuybackCarryoverSpent,
+} from '../db/queries';
+import { AutoPumpError, BuybackResult, BuyQuote, PriceImpactError, SignatureCallback } from '../types';
 
 /**
- * Buy tokens from Pump.fun bonding curve
+ * Buy tokens from Pump.fun bonding curve (or the AMM pool once graduated)
  * 
  * This function:
- * 1. Buys tokens with the specified SOL amount
- * 2. Records the buyback in the database
- * 3. Returns the database ID for linking to burn records
+ * 1. Checks whether the token has graduated to pick the venue
+ * 2. Adds what earlier shrunk buys and failed tranche plans left unbought
+ * 3. Quotes curve buys and applies the price-impact limit (may shrink the buy)
+ * 4. Buys tokens with the resulting SOL amount
+ * 5. Records the buyback, its venue, quoted tokens and any unspent amount
+ *    (carried into the next buyback) in the database
+ * 6. Returns the database ID for linking to burn records
  */
 export async function buybackTokens(
   claimId: number,
-  amountSol: number
+  amountSol: number,
+  onSent?: SignatureCallback,
+  deadline?: number
 ): Promise<BuybackResult> {
   const creatorKeypair = keypairFromSecret(creatorWalletSecret);
   let buybackId: number | undefined;
 
   try {
+    // Graduated tokens no longer trade on the bonding curve
+    const venue = await pumpFunAPI.resolveBuyVenue(tokenMint, graduatedPool);
+
+    // SOL a shrunk buy or a failed tranche plan left unbought stayed in the
+    // creator wallet for this one
+    const carryover = await getBuybackCarryover();
+    const carriedOver = lamportsToSol(carryover.amount);
+    const requestedAmount = amountSol + carriedOver;
+
+    // Only the bonding curve can be quoted from on-chain reserves
+    const { amountSol: buyAmount, quote } = venue === 'bonding-curve'
+      ? await planCurveBuy(requestedAmount)
+      : { amountSol: requestedAmount, quote: undefined };
+    const unspentAmount = requestedAmount - buyAmount;
+
     log.buyback('Starting token buyback', {
       claimId,
-      amountSol,
+      amountSol: buyAmount,
+      requestedAmount: amountSol,
+      carriedOver,
+      unspentAmount,
       mint: tokenMint,
       slippage: slippageBps,
+      venue,
+      quotedTokens: quote?.rawTokensOut,
+      priceImpactBps: quote?.priceImpactBps,
     });
 
-    // Get balance BEFORE buyback
-    const balanceBefore = await connection.getBalance(creatorKeypair.publicKey);
-
     // Buy tokens via PumpPortal
     const { signature, tokensPurchased } = await pumpFunAPI.buyToken(
       tokenMint,
-      amountSol,
+      buyAmount,
       creatorKeypair,
-      slippageBps
+      slippageBps,
+      undefined,
+      onSent,
+      venue,
+      deadline
     );
 
-    // Wait for transaction to finalize
-    await new Promise(resolve => setTimeout(resolve, 2000));
-
-    // Get balance AFTER buyback
-    const balanceAfter = await connection.getBalance(creatorKeypair.publicKey);
-
-    // Calculate ACTUAL SOL spent (includes transaction fees)
-    const actualSolSpent = (balanceBefore - balanceAfter) / 1e9;
+    const { solSpent, networkFee } = await readBuySpend(signature, creatorKeypair.publicKey);
 
     const explorerUrl = getExplorerUrl(signature);
 
     log.buyback('Buyback transaction confirmed', {
       signature,
       tokensPurchased,
-      requestedAmount: amountSol,
-      actualSpent: actualSolSpent,
+      quotedTokens: quote?.rawTokensOut,
+      quoteDeviationPercent: quote && Number(quote.rawTokensOut) > 0
+        ? ((Number(tokensPurchased) / Number(quote.rawTokensOut)) - 1) * 100
+        : undefined,
+      requestedAmount: buyAmount,
+      actualSpent: solSpent,
+      networkFee,
       explorerUrl,
     });
 
@@ -64,22 +103,34 @@ export async function buybackTokens(
       claimId,
       signature,
       tokensPurchased,
-      solToLamports(actualSolSpent)  // Use actual spent, not requested
+      solToLamports(solSpent),  // Use actual spent, not requested
+      venue,
+      quote && { quotedTokens: quote.rawTokensOut, priceImpactBps: quote.priceImpactBps },
+      solToLamports(networkFee),
+      solToLamports(unspentAmount)
     );
 
     // Update status to confirmed
     await updateBuybackStatus(buybackId, 'confirmed');
+    await markBuybackCarryoverSpent(carryover, buybackId);
 
     const result: BuybackResult = {
       success: true,
       signature,
       buybackId,  // ✅ CRITICAL: Return database ID for burn record linking
-      tokensPurchased: Number(tokensPurchased),
-      solSpent: actualSolSpent,  // Return actual spent
+      venue,
+      amountSol: buyAmount,
+      carriedOver,
+      unspentAmount,
+      quotedTokens: quote?.rawTokensOut,
+      priceImpactBps: quote?.priceImpactBps,
+      tokensPurchased,
+      solSpent,  // Return actual spent
+      networkFee,
       timestamp: Date.now(),
     };
 
-    log.buyback('Buyback recorded in database', { buybackId, claimId });
+    log.buyback('Buyback recorded in database', { buybackId, claimId, venue });
 
     return result;
   } catch (error) {
@@ -99,28 +150,191 @@ export async function buybackTokens(
 
     return {
       success: false,
-      tokensPurchased: 0,
+      tokensPurchased: '0',
       solSpent: amountSol,
       error: error instanceof Error ? error.message : 'Unknown error',
+      errorCode: error instanceof AutoPumpError ? error.code : undefined,
       timestamp: Date.now(),
     };
   }
 }
 
+/**
+ * Record a buy transaction that landed on-chain but was never recorded
+ * (e.g. the process stopped while waiting for confirmation).
+ *
+ * SOL spent is read from the transaction metadata, like a live buy;
+ * amountSol is only reported back as the requested amount.
+ */
+export async function recoverBuyback(
+  claimId: number,
+  signature: string,
+  amountSol: number
+): Promise<BuybackResult> {
+  try {
+    const existing: any = await getBuybackBySignature(signature);
+
+    if (existing) {
+      log.buyback('Buyback already recorded, reusing database amounts', {
+        buybackId: existing.id,
+        signature,
+      });
+
+      return {
+        success: true,
+        signature,
+        buybackId: existing.id,
+        venue: existing.venue,
+        quotedTokens: existing.quoted_tokens ?? undefined,
+        priceImpactBps: existing.price_impact_bps ?? undefined,
+        tokensPurchased: String(existing.tokens_purchased),
+        solSpent: Number(existing.sol_spent) / 1e9,
+        networkFee: existing.network_fee !== null ? Number(existing.network_fee) / 1e9 : undefined,
+        timestamp: Date.now(),
+      };
+    }
+
+    const buyer = keypairFromSecret(creatorWalletSecret).publicKey;
+    const tokensPurchased = await pumpFunAPI.getTokensPurchased(signature, tokenMint, buyer);
+    const venue = await pumpFunAPI.getBuyVenueFromTransaction(signature);
+    const { solSpent, networkFee } = await readBuySpend(signature, buyer);
+
+    log.buyback('Recovering unrecorded buyback from transaction metadata', {
+      claimId,
+      signature,
+      tokensPurchased,
+      requestedAmount: amountSol,
+      solSpent,
+      networkFee,
+      venue,
+    });
+
+    const buybackId = await insertBuyback(
+      claimId,
+      signature,
+      tokensPurchased,
+      solToLamports(solSpent),
+      venue,
+      undefined,
+      solToLamports(networkFee)
+    );
+    await updateBuybackStatus(buybackId, 'confirmed');
+
+    return {
+      success: true,
+      signature,
+      buybackId,
+      venue,
+      amountSol,
+      tokensPurchased,
+      solSpent,
+      networkFee,
+      timestamp: Date.now(),
+    };
+  } catch (error) {
+    log.error('Buyback recovery failed', error, { claimId, signature });
+
+    return {
+      success: false,
+      signature,
+      tokensPurchased: '0',
+      solSpent: 0,
+      error: error instanceof Error ? error.message : 'Unknown error',
+      timestamp: Date.now(),
+    };
+  }
+}
+
+/**
+ * Read the exact SOL a confirmed buy took from the creator wallet, with the
+ * network fee split out, from the transaction metadata
+ *
+ * @returns Amounts in SOL
+ */
+async function readBuySpend(
+  signature: string,
+  creator: PublicKey
+): Promise<{ solSpent: number; networkFee: number }> {
+  const creatorKey = creator.toBase58();
+  const tx = await getBalanceChanges(signature, [creator]);
+
+  if (tx.changes[creatorKey] === undefined) {
+    throw new Error(`Creator wallet not found in buy transaction ${signature}`);
+  }
+
+  const networkFee = tx.feePayer === creatorKey ? tx.fee : 0;
+
+  return {
+    solSpent: lamportsToSol(-tx.changes[creatorKey] - networkFee),
+    networkFee: lamportsToSol(networkFee),
+  };
+}
+
+/**
+ * Quote a bonding curve buy and apply the MAX_PRICE_IMPACT_BPS limit
+ * 
+ * A buy above the limit is either shrunk to the largest amount within it
+ * (the rest stays in the creator wallet and is recorded on the buyback row,
+ * to be added to the next buyback) or refused with a PriceImpactError,
+ * depending on PRICE_IMPACT_ACTION.
+ * 
+ * @param amountSol - Requested buy amount
+ * @returns SOL amount to actually buy and its quote
+ */
+export async function planCurveBuy(
+  amountSol: number
+): Promise<{ amountSol: number; quote: BuyQuote }> {
+  const curve = await pumpFunAPI.getBondingCurveState(tokenMint);
+  const quote = calculateBuyQuote(curve, amountSol);
+
+  if (maxPriceImpactBps <= 0 || quote.priceImpactBps <= maxPriceImpactBps) {
+    return { amountSol, quote };
+  }
+
+  if (priceImpactAction === 'refuse') {
+    log.warn('Buy refused: price impact above limit', {
+      amountSol,
+      priceImpactBps: quote.priceImpactBps,
+      maxPriceImpactBps,
+    });
+    throw new PriceImpactError(quote.priceImpactBps, maxPriceImpactBps, amountSol);
+  }
+
+  const shrunkAmount = calculateMaxBuyForImpact(curve, maxPriceImpactBps);
+  if (shrunkAmount <= 0) {
+    throw new PriceImpactError(quote.priceImpactBps, maxPriceImpactBps, amountSol);
+  }
+
+  const shrunkQuote = calculateBuyQuote(curve, shrunkAmount);
+
+  log.warn('Buy shrunk to stay within price impact limit, carrying the rest to the next buyback', {
+    requestedAmount: amountSol,
+    shrunkAmount,
+    unspent: amountSol - shrunkAmount,
+    requestedImpactBps: quote.priceImpactBps,
+    priceImpactBps: shrunkQuote.priceImpactBps,
+    maxPriceImpactBps,
+  });
+
+  return { amountSol: shrunkAmount, quote: shrunkQuote };
+}
+
 /**
  * Calculate expected tokens from buyback
- * This is an estimate based on current bonding curve price
+ * Quoted on the bonding curve with the trade fee and curve slippage included
  */
 export async function estimateBuybackTokens(
   amountSol: number
 ): Promise<number> {
   try {
-    const price = await pumpFunAPI.getTokenPrice(tokenMint);
-    const estimatedTokens = amountSol / price;
+    const quote = await pumpFunAPI.quoteBuy(tokenMint, amountSol);
+    const estimatedTokens = Number(quote.tokensOut);
 
     log.debug('Buyback estimate calculated', {
       amountSol,
-      price,
+      spotPrice: quote.spotPrice,
+      effectivePrice: quote.effectivePrice,
+      priceImpactBps: quote.priceImpactBps,
       estimatedTokens,
     });
 
@@ -0,0 +1,96 @@
+import { beforeEach, describe, expect, it, jest } from '@jest/globals';
+import { processDueTranches } from './buybackTranches';
+import { buybackTokens } from './buyback';
+import {
+  getBuybackPlanById,
+  getBuybackTranches,
+  getDueBuybackTranches,
+  spendBuybackPlanBudget,
+  updateBuybackPlanStatus,
+} from '../db/queries';
+import { BuybackPlanRecord, BuybackTrancheRecord } from '../types';
+
+jest.mock('../env', () => ({
+  buybackTranches: 3,
+  buybackWindowMinutes: 60,
+  buybackJitterPercent: 0,
+  maxRetries: 3,
+  rpcEndpoints: [],
+}));
+jest.mock('../lib/logger', () => ({
+  log: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), buyback: jest.fn(), burn: jest.fn() },
+}));
+jest.mock('../lib/solana', () => ({
+  getSentTransactionStatus: jest.fn(),
+  getTransactionFeePaid: jest.fn(),
+  solToLamports: (sol: number) => Math.round(sol * 1e9),
+}));
+jest.mock('../lib/metrics', () => ({ feesPaid: { inc: jest.fn() } }));
+jest.mock('../db/queries');
+jest.mock('./buyback');
+jest.mock('./burn');
+jest.mock('./circuitBreaker');
+
+const plan: BuybackPlanRecord = {
+  id: 4,
+  claimId: 9,
+  totalAmount: 0.3,
+  remainingAmount: 0.1,
+  trancheCount: 3,
+  windowEndsAt: new Date(),
+  status: 'active',
+  createdAt: new Date(),
+  updatedAt: new Date(),
+};
+
+function lastTranche(attempts: number): BuybackTrancheRecord {
+  return {
+    id: 12,
+    planId: plan.id,
+    claimId: plan.claimId,
+    trancheIndex: 2,
+    scheduledAt: new Date(),
+    status: 'scheduled',
+    attempts,
+    updatedAt: new Date(),
+  } as BuybackTrancheRecord;
+}
+
+describe('processDueTranches', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.mocked(getBuybackPlanById).mockResolvedValue({ ...plan });
+    jest.mocked(buybackTokens).mockResolvedValue({
+      success: false,
+      tokensPurchased: '0',
+      solSpent: 0,
+      error: 'RPC unavailable',
+      timestamp: Date.now(),
+    });
+  });
+
+  it('fails the plan once its last tranche runs out of attempts, leaving the budget unspent', async () => {
+    const tranche = lastTranche(2);
+    jest.mocked(getDueBuybackTranches).mockResolvedValue([tranche]);
+    jest.mocked(getBuybackTranches).mockResolvedValue([tranche]);
+
+    const summary = await processDueTranches();
+
+    expect(summary).toMatchObject({ processed: 1, failed: 1 });
+    expect(tranche.status).toBe('failed');
+    expect(spendBuybackPlanBudget).not.toHaveBeenCalled();
+    // A failed plan's remaining budget is what the next buyback carries over
+    expect(updateBuybackPlanStatus).toHaveBeenCalledWith(plan.id, 'failed');
+  });
+
+  it('keeps the plan open while the tranche has attempts left', async () => {
+    const tranche = lastTranche(0);
+    jest.mocked(getDueBuybackTranches).mockResolvedValue([tranche]);
+    jest.mocked(getBuybackTranches).mockResolvedValue([tranche]);
+
+    await processDueTranches();
+
+    expect(tranche.status).toBe('scheduled');
+    expect(updateBuybackPlanStatus).not.toHaveBeenCalled();
+  });
+});
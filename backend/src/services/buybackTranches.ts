@@ -0,0 +1,465 @@
+// backend/src/services/buybackTranches.ts
+import { log } from '../lib/logger';
+import { getSentTransactionStatus, getTransactionFeePaid, solToLamports } from '../lib/solana';
+import { feesPaid } from '../lib/metrics';
+import {
+  buybackTranches,
+  buybackWindowMinutes,
+  buybackJitterPercent,
+  maxRetries,
+} from '../env';
+import {
+  createBuybackPlan,
+  getBuybackPlanByClaim,
+  getBuybackPlanById,
+  getBuybackTranches,
+  getDueBuybackTranches,
+  updateBuybackTranche,
+  spendBuybackPlanBudget,
+  updateBuybackPlanStatus,
+  getBuybackBySignature,
+} from '../db/queries';
+import { buybackTokens, recoverBuyback } from './buyback';
+import { burnPurchasedTokens, recoverBurn } from './burn';
+import { recordStepFailure, recordStepSuccess } from './circuitBreaker';
+import { BuybackPlanRecord, BuybackTrancheRecord, FlowStep } from '../types';
+
+export interface TrancheRunSummary {
+  processed: number;
+  confirmed: number;
+  failed: number;
+  pending: number; // waiting on an unconfirmed transaction or a retry
+}
+
+/**
+ * Whether buybacks are split into tranches instead of a single buy
+ */
+export function isTrancheModeEnabled(): boolean {
+  return buybackTranches > 1;
+}
+
+/**
+ * Schedule a claim's buyback amount as BUYBACK_TRANCHES buys spread over
+ * BUYBACK_WINDOW_MINUTES. Each tranche gets an equal slot of the window and
+ * starts at a random point in the first BUYBACK_JITTER_PERCENT of its slot,
+ * so buys don't land at predictable times.
+ *
+ * Idempotent per claim: a claim that already has a plan gets it back.
+ */
+export async function scheduleBuybackTranches(
+  claimId: number,
+  amountSol: number
+): Promise<BuybackPlanRecord> {
+  const existing = await getBuybackPlanByClaim(claimId);
+  if (existing) {
+    log.buyback('Buyback plan already exists for claim', { claimId, planId: existing.id });
+    return existing;
+  }
+
+  const now = Date.now();
+  const slotMs = (buybackWindowMinutes * 60 * 1000) / buybackTranches;
+  const scheduledTimes = Array.from({ length: buybackTranches }, (_, index) => {
+    const jitterMs = Math.random() * slotMs * (buybackJitterPercent / 100);
+    return new Date(now + index * slotMs + jitterMs);
+  });
+
+  const plan = await createBuybackPlan(claimId, solToLamports(amountSol), scheduledTimes);
+
+  log.buyback('Buyback tranches scheduled', {
+    planId: plan.id,
+    claimId,
+    amountSol,
+    tranches: buybackTranches,
+    windowMinutes: buybackWindowMinutes,
+    schedule: scheduledTimes.map((time) => time.toISOString()),
+  });
+
+  return plan;
+}
+
+/**
+ * Execute every tranche that is due, one plan step at a time
+ *
+ * Each tranche buys its share of the plan's remaining budget and burns what
+ * it bought. Progress is saved after every transaction, so a restart picks
+ * up a tranche where it stopped instead of buying twice.
+ *
+ * @param deadline - Optional timestamp after which no new tranche is started;
+ *                   a tranche transaction unconfirmed by then is left sent
+ */
+export async function processDueTranches(deadline?: number): Promise<TrancheRunSummary> {
+  const summary: TrancheRunSummary = { processed: 0, confirmed: 0, failed: 0, pending: 0 };
+  const tranches = await getDueBuybackTranches();
+
+  for (const tranche of tranches) {
+    if (deadline !== undefined && Date.now() >= deadline) {
+      log.buyback('Tranche time budget used up, leaving the rest for the next run', {
+        remaining: tranches.length - summary.processed,
+      });
+      break;
+    }
+
+    summary.processed++;
+
+    try {
+      const status = await processTranche(tranche, deadline);
+
+      if (status === 'confirmed') {
+        summary.confirmed++;
+      } else if (status === 'failed') {
+        summary.failed++;
+      } else {
+        summary.pending++;
+      }
+    } catch (error) {
+      summary.failed++;
+      log.error('Buyback tranche processing failed', error, {
+        trancheId: tranche.id,
+        planId: tranche.planId,
+      });
+    }
+
+    await settlePlan(tranche.planId);
+  }
+
+  if (summary.processed > 0) {
+    log.buyback('Due buyback tranches processed', summary);
+  }
+
+  return summary;
+}
+
+/**
+ * Advance one tranche as far as it can go
+ *
+ * @returns The tranche's status afterwards
+ */
+async function processTranche(
+  tranche: BuybackTrancheRecord,
+  deadline?: number
+): Promise<BuybackTrancheRecord['status']> {
+  const label = `[TRANCHE ${tranche.trancheIndex + 1} of plan #${tranche.planId}]`;
+
+  if (tranche.status === 'buy_sent' || tranche.status === 'burn_sent') {
+    const settled = await reconcileSentTranche(tranche, label);
+    if (settled === 'pending') {
+      return tranche.status;
+    }
+  }
+
+  if (tranche.status === 'scheduled') {
+    await buyTranche(tranche, label, deadline);
+  }
+
+  if (tranche.status === 'bought') {
+    await burnTranche(tranche, label, deadline);
+  }
+
+  return tranche.status;
+}
+
+async function buyTranche(tranche: BuybackTrancheRecord, label: string, deadline?: number): Promise<void> {
+  const plan = await getBuybackPlanById(tranche.planId);
+  if (!plan) {
+    throw new Error(`Buyback plan #${tranche.planId} not found`);
+  }
+
+  // Split what is left evenly over the tranches still to run, so the budget
+  // of an earlier failed tranche is picked up by the later ones
+  const remainingTranches = (await getBuybackTranches(plan.id)).filter(
+    (t) => t.status !== 'confirmed' && t.status !== 'failed'
+  ).length;
+  const amount = tranche.amount ?? plan.remainingAmount / Math.max(remainingTranches, 1);
+
+  log.buyback(`${label} Buying back tokens`, {
+    claimId: tranche.claimId,
+    amount,
+    remainingBudget: plan.remainingAmount,
+  });
+
+  await saveTranche(tranche, { amount });
+
+  const result = await buybackTokens(
+    tranche.claimId,
+    amount,
+    (signature, lastValidBlockHeight) =>
+      saveTranche(tranche, { status: 'buy_sent', buySignature: signature, lastValidBlockHeight }),
+    deadline
+  );
+
+  if (!result.success || !result.buybackId) {
+    // A sent buy may still land; leave it for reconciliation on the next run
+    if (tranche.status === 'buy_sent') {
+      log.warn(`${label} Buy not confirmed, will check it again next run`, {
+        signature: tranche.buySignature,
+        error: result.error,
+      });
+      return;
+    }
+
+    await recordTrancheFailure(tranche, `Buyback failed: ${result.error}`, 'scheduled');
+    return;
+  }
+
+  // What the price-impact limit left unbought is recorded on the buyback
+  // and carried into the next buy, so the whole share leaves the budget
+  await spendBuybackPlanBudget(tranche.planId, solToLamports(amount));
+  await saveTranche(tranche, {
+    status: 'bought',
+    buySignature: result.signature,
+    buybackId: result.buybackId,
+    errorMessage: null,
+  });
+  await recordStepSuccess('buyback');
+
+  log.buyback(`${label} Tranche buy complete`, {
+    signature: result.signature,
+    tokensPurchased: result.tokensPurchased,
+    buybackId: result.buybackId,
+  });
+}
+
+async function burnTranche(tranche: BuybackTrancheRecord, label: string, deadline?: number): Promise<void> {
+  if (!tranche.buybackId || !tranche.buySignature) {
+    throw new Error('Tranche bought but buyback ID is missing');
+  }
+
+  const tokensPurchased = await getTrancheTokensPurchased(tranche.buySignature);
+
+  log.burn(`${label} Burning tranche tokens`, {
+    buybackId: tranche.buybackId,
+    tokensPurchased,
+  });
+
+  const result = await burnPurchasedTokens(
+    tranche.buybackId,
+    tokensPurchased,
+    (signature, lastValidBlockHeight) =>
+      saveTranche(tranche, { status: 'burn_sent', burnSignature: signature, lastValidBlockHeight }),
+    deadline
+  );
+
+  if (!result.success) {
+    if (tranche.status === 'burn_sent') {
+      log.warn(`${label} Burn not confirmed, will check it again next run`, {
+        signature: tranche.burnSignature,
+        error: result.error,
+      });
+      return;
+    }
+
+    await recordTrancheFailure(tranche, `Burn failed: ${result.error}`, 'bought');
+    return;
+  }
+
+  await saveTranche(tranche, {
+    status: 'confirmed',
+    burnSignature: result.signature,
+    burnId: result.burnId,
+    errorMessage: null,
+  });
+  await recordStepSuccess('burn');
+
+  log.burn(`${label} Tranche burn complete`, {
+    signature: result.signature,
+    tokensBurned: result.tokensBurned,
+  });
+}
+
+/**
+ * Settle a tranche left with a sent but unconfirmed transaction.
+ *
+ * @returns 'pending' while the transaction may still land, otherwise
+ *          'settled' once the tranche was moved on (recorded or retried)
+ */
+async function reconcileSentTranche(
+  tranche: BuybackTrancheRecord,
+  label: string
+): Promise<'pending' | 'settled'> {
+  const isBuy = tranche.status === 'buy_sent';
+  const signature = isBuy ? tranche.buySignature : tranche.burnSignature;
+
+  if (!signature) {
+    await saveTranche(tranche, { status: isBuy ? 'scheduled' : 'bought' });
+    return 'settled';
+  }
+
+  const status = await getSentTransactionStatus(
+    signature,
+    tranche.lastValidBlockHeight,
+    tranche.updatedAt.getTime()
+  );
+
+  if (status === 'pending') {
+    return 'pending';
+  }
+
+  if (status !== 'confirmed') {
+    log.warn(`${label} Earlier ${isBuy ? 'buy' : 'burn'} failed or was dropped, retrying`, {
+      signature,
+      status,
+    });
+    await recordTrancheFailure(
+      tranche,
+      `${isBuy ? 'Buy' : 'Burn'} transaction ${status === 'failed' ? 'failed' : 'expired'}: ${signature}`,
+      isBuy ? 'scheduled' : 'bought'
+    );
+    return 'settled';
+  }
+
+  log.info(`${label} Earlier ${isBuy ? 'buy' : 'burn'} transaction landed, recording it`, {
+    signature,
+  });
+
+  if (isBuy) {
+    const amount = tranche.amount ?? 0;
+    const result = await recoverBuyback(tranche.claimId, signature, amount);
+    if (!result.success || !result.buybackId) {
+      throw new Error(`Buyback recovery failed: ${result.error}`);
+    }
+
+    await spendBuybackPlanBudget(tranche.planId, solToLamports(amount));
+    await saveTranche(tranche, { status: 'bought', buybackId: result.buybackId });
+    await recordStepSuccess('buyback');
+  } else {
+    if (!tranche.buybackId || !tranche.buySignature) {
+      throw new Error('Tranche bought but buyback ID is missing');
+    }
+
+    const result = await recoverBurn(
+      tranche.buybackId,
+      signature,
+      await getTrancheTokensPurchased(tranche.buySignature)
+    );
+    if (!result.success) {
+      throw new Error(`Burn recovery failed: ${result.error}`);
+    }
+
+    await saveTranche(tranche, { status: 'confirmed', burnId: result.burnId });
+    await recordStepSuccess('burn');
+  }
+
+  return 'settled';
+}
+
+/**
+ * Count a failed attempt; the tranche is retried from `retryStatus` on the
+ * next run until MAX_RETRIES attempts have failed
+ */
+async function recordTrancheFailure(
+  tranche: BuybackTrancheRecord,
+  errorMessage: string,
+  retryStatus: 'scheduled' | 'bought'
+): Promise<void> {
+  const attempts = tranche.attempts + 1;
+  const status = attempts >= maxRetries ? 'failed' : retryStatus;
+
+  log.warn('Buyback tranche attempt failed', {
+    trancheId: tranche.id,
+    planId: tranche.planId,
+    attempts,
+    maxRetries,
+    status,
+    error: errorMessage,
+  });
+
+  await saveTranche(tranche, { status, attempts, errorMessage });
+  await recordStepFailure(retryStatus === 'scheduled' ? 'buyback' : 'burn', errorMessage);
+}
+
+/**
+ * Close a plan once all of its tranches are settled. A plan that still has
+ * budget left at that point (its last tranches failed) is marked failed;
+ * the next buyback adds that remaining budget to its amount.
+ */
+async function settlePlan(planId: number): Promise<void> {
+  const tranches = await getBuybackTranches(planId);
+  const open = tranches.filter((t) => t.status !== 'confirmed' && t.status !== 'failed');
+
+  if (open.length > 0) {
+    return;
+  }
+
+  const plan = await getBuybackPlanById(planId);
+  if (!plan || plan.status !== 'active') {
+    return;
+  }
+
+  const failed = tranches.filter((t) => t.status === 'failed').length;
+  const status = failed > 0 ? 'failed' : 'completed';
+
+  await updateBuybackPlanStatus(planId, status);
+
+  log.buyback(`Buyback plan #${planId} ${status}`, {
+    claimId: plan.claimId,
+    tranches: tranches.length,
+    failedTranches: failed,
+    unspentBudget: plan.remainingAmount,
+    carriedToNextBuyback: status === 'failed' && plan.remainingAmount > 0,
+  });
+}
+
+// Tokens bought by a tranche, as recorded on its buybacks row
+async function getTrancheTokensPurchased(buySignature: string): Promise<string> {
+  const buyback: any = await getBuybackBySignature(buySignature);
+  if (!buyback) {
+    throw new Error(`Buyback record not found for ${buySignature}`);
+  }
+  return String(buyback.tokens_purchased);
+}
+
+// Persist tranche changes and keep the in-memory record in sync
+async function saveTranche(
+  tranche: BuybackTrancheRecord,
+  updates: Partial<Pick<
+    BuybackTrancheRecord,
+    | 'status'
+    | 'amount'
+    | 'attempts'
+    | 'buySignature'
+    | 'buybackId'
+    | 'burnSignature'
+    | 'burnId'
+    | 'buyPriorityFee'
+    | 'burnPriorityFee'
+    | 'lastValidBlockHeight'
+  >> & { errorMessage?: string | null }
+): Promise<void> {
+  const { errorMessage, amount, ...rest } = updates;
+
+  // Record what each confirmed transaction paid in priority fees
+  const buySignature = rest.buySignature ?? tranche.buySignature;
+  const burnSignature = rest.burnSignature ?? tranche.burnSignature;
+  if (rest.status === 'bought' && buySignature) {
+    rest.buyPriorityFee = await readPriorityFee('buyback', buySignature);
+  }
+  if (rest.status === 'confirmed' && burnSignature) {
+    rest.burnPriorityFee = await readPriorityFee('burn', burnSignature);
+  }
+
+  await updateBuybackTranche(tranche.id, {
+    ...rest,
+    amount: amount !== undefined ? solToLamports(amount) : undefined,
+    errorMessage,
+  });
+
+  Object.assign(tranche, rest, { updatedAt: new Date() });
+  if (amount !== undefined) {
+    tranche.amount = amount;
+  }
+  if (errorMessage !== undefined) {
+    tranche.errorMessage = errorMessage ?? undefined;
+  }
+}
+
+// Priority fee a confirmed tranche transaction paid; its whole fee counts
+// towards the fees metric
+async function readPriorityFee(step: FlowStep, signature: string): Promise<number | undefined> {
+  const paid = await getTransactionFeePaid(signature);
+
+  if (paid) {
+    feesPaid.inc({ step }, paid.fee);
+  }
+
+  return paid?.priorityFee;
+}
@@ -0,0 +1,132 @@
+import { beforeEach, describe, expect, it, jest } from '@jest/globals';
+import { probeCircuitBreaker, recordStepFailure, recordStepSuccess } from './circuitBreaker';
+import { notify } from './notifiers';
+import {
+  getCircuitBreakers,
+  getSystemStatus,
+  incrementCircuitFailures,
+  pauseSystem,
+  resetCircuitStep,
+  resumeSystem,
+  setCircuitState,
+} from '../db/queries';
+import { CircuitBreakerRecord, FlowStep } from '../types';
+
+jest.mock('../env', () => ({
+  circuitBreakerThreshold: 3,
+  circuitBreakerCooldownMinutes: 10,
+  rpcEndpoints: [],
+}));
+jest.mock('../lib/logger', () => ({
+  log: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+jest.mock('./notifiers', () => ({ notify: jest.fn() }));
+jest.mock('../db/queries');
+
+const COOLDOWN_MS = 10 * 60 * 1000;
+
+// In-memory circuit_breakers and system_status rows behind the query mocks
+let breakers: Map<FlowStep, CircuitBreakerRecord>;
+let systemStatus: { is_paused: boolean; paused_by: string | null };
+let now: number;
+
+function breaker(step: FlowStep): CircuitBreakerRecord {
+  if (!breakers.has(step)) {
+    breakers.set(step, { step, state: 'closed', consecutiveFailures: 0, updatedAt: new Date(now) });
+  }
+  return breakers.get(step)!;
+}
+
+function notifiedEvents(): string[] {
+  return jest.mocked(notify).mock.calls.map(([event]) => event.event);
+}
+
+describe('circuit breaker', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    breakers = new Map();
+    systemStatus = { is_paused: false, paused_by: null };
+    now = 1_700_000_000_000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    jest.mocked(getSystemStatus).mockImplementation(async () => ({ ...systemStatus }));
+    jest.mocked(getCircuitBreakers).mockImplementation(async () => [...breakers.values()]);
+    jest.mocked(incrementCircuitFailures).mockImplementation(async (step) => {
+      breaker(step).consecutiveFailures++;
+      return { ...breaker(step) };
+    });
+    jest.mocked(setCircuitState).mockImplementation(async (steps, state) => {
+      for (const step of steps) {
+        breaker(step).state = state;
+        if (state === 'open') {
+          breaker(step).openedAt = new Date(now);
+        }
+      }
+    });
+    jest.mocked(resetCircuitStep).mockImplementation(async (step) => {
+      const previous = breaker(step).state;
+      breakers.set(step, { step, state: 'closed', consecutiveFailures: 0, updatedAt: new Date(now) });
+      return previous;
+    });
+    jest.mocked(pauseSystem).mockImplementation(async (_reason, pausedBy = 'admin') => {
+      systemStatus = { is_paused: true, paused_by: pausedBy };
+    });
+    jest.mocked(resumeSystem).mockImplementation(async () => {
+      systemStatus = { is_paused: false, paused_by: null };
+    });
+  });
+
+  it('opens after the threshold, probes after the cooldown and closes on success', async () => {
+    await recordStepFailure('buyback', 'slippage exceeded');
+    await recordStepFailure('buyback', 'slippage exceeded');
+    expect(breaker('buyback').state).toBe('closed');
+
+    await recordStepFailure('buyback', 'slippage exceeded');
+    expect(breaker('buyback').state).toBe('open');
+    expect(systemStatus).toEqual({ is_paused: true, paused_by: 'circuit_breaker' });
+
+    // Still cooling down
+    now += COOLDOWN_MS - 1;
+    expect(await probeCircuitBreaker()).toBe(false);
+    expect(systemStatus.is_paused).toBe(true);
+
+    now += 1;
+    expect(await probeCircuitBreaker()).toBe(true);
+    expect(breaker('buyback').state).toBe('half_open');
+    expect(systemStatus.is_paused).toBe(false);
+
+    await recordStepSuccess('buyback');
+    expect(breaker('buyback').state).toBe('closed');
+    expect(notifiedEvents()).toEqual(['paused', 'probing', 'resumed']);
+  });
+
+  it('opens again on a single failure while half-open', async () => {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await recordStepFailure('burn', 'RPC unavailable');
+    }
+    now += COOLDOWN_MS;
+    await probeCircuitBreaker();
+
+    await recordStepFailure('burn', 'RPC unavailable');
+
+    expect(breaker('burn').state).toBe('open');
+    expect(systemStatus).toEqual({ is_paused: true, paused_by: 'circuit_breaker' });
+    expect(jest.mocked(pauseSystem).mock.calls[1][0]).toMatch('failed again after the cooldown');
+  });
+
+  it('never lifts an admin pause', async () => {
+    breakers.set('claim', {
+      step: 'claim',
+      state: 'open',
+      consecutiveFailures: 3,
+      openedAt: new Date(now - 2 * COOLDOWN_MS),
+      updatedAt: new Date(now),
+    });
+    systemStatus = { is_paused: true, paused_by: 'admin' };
+
+    expect(await probeCircuitBreaker()).toBe(false);
+    expect(resumeSystem).not.toHaveBeenCalled();
+    expect(setCircuitState).not.toHaveBeenCalled();
+    expect(breaker('claim').state).toBe('open');
+  });
+});
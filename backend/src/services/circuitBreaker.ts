@@ -0,0 +1,132 @@
+// backend/src/services/circuitBreaker.ts
+import { log } from '../lib/logger';
+import { circuitBreakerThreshold, circuitBreakerCooldownMinutes } from '../env';
+import { notify } from './notifiers';
+import {
+  getCircuitBreakers,
+  getSystemStatus,
+  incrementCircuitFailures,
+  pauseSystem,
+  resetAllCircuits,
+  resetCircuitStep,
+  resumeSystem,
+  setCircuitState,
+} from '../db/queries';
+import { CircuitBreakerStatus, FlowStep } from '../types';
+
+/**
+ * Count a failed attempt at a flow step
+ *
+ * Once a step fails CIRCUIT_BREAKER_THRESHOLD times in a row its breaker
+ * opens: the system is paused with the reason recorded and a `paused`
+ * notification is sent. While half-open (probing after the cooldown) a
+ * single failure opens it again.
+ *
+ * Never throws: a database problem here must not hide the original failure.
+ */
+export async function recordStepFailure(step: FlowStep, error: string): Promise<void> {
+  if (circuitBreakerThreshold === 0) {
+    return;
+  }
+
+  try {
+    const breaker = await incrementCircuitFailures(step, error);
+    const probing = breaker.state === 'half_open';
+
+    if (breaker.state === 'open' || (!probing && breaker.consecutiveFailures < circuitBreakerThreshold)) {
+      return;
+    }
+
+    const reason = probing
+      ? `Circuit breaker: ${step} failed again after the cooldown: ${error}`
+      : `Circuit breaker: ${step} failed ${breaker.consecutiveFailures} times in a row: ${error}`;
+
+    await setCircuitState([step], 'open');
+    await pauseSystem(reason, 'circuit_breaker');
+
+    log.error('Circuit breaker opened, system paused', {
+      step,
+      consecutiveFailures: breaker.consecutiveFailures,
+      probing,
+      retryAfterMinutes: circuitBreakerCooldownMinutes,
+    });
+
+    await notify({
+      event: 'paused',
+      pausedBy: 'circuit_breaker',
+      step,
+      reason,
+      consecutiveFailures: breaker.consecutiveFailures,
+      retryAt: Date.now() + circuitBreakerCooldownMinutes * 60 * 1000,
+      timestamp: Date.now(),
+    });
+  } catch (dbError) {
+    log.error('Failed to record step failure in circuit breaker', dbError, { step });
+  }
+}
+
+/**
+ * Reset a step's failure count after it succeeded; a successful probe
+ * closes a half-open breaker
+ */
+export async function recordStepSuccess(step: FlowStep): Promise<void> {
+  try {
+    const previous = await resetCircuitStep(step);
+
+    if (previous === 'half_open') {
+      log.info('Circuit breaker closed after a successful probe', { step });
+      await notify({ event: 'resumed', resumedBy: 'circuit_breaker', step, timestamp: Date.now() });
+    }
+  } catch (error) {
+    log.error('Failed to reset circuit breaker', error, { step });
+  }
+}
+
+/**
+ * Half-open probe: when the circuit breaker paused the system and every open
+ * step has cooled down, resume so the next check retries once. The probing
+ * steps stay half-open until they succeed or fail.
+ *
+ * @returns true if the system was resumed and the caller may go on
+ */
+export async function probeCircuitBreaker(): Promise<boolean> {
+  const systemStatus = await getSystemStatus();
+
+  // Admin pauses are only lifted by an admin
+  if (!systemStatus.is_paused || systemStatus.paused_by !== 'circuit_breaker') {
+    return false;
+  }
+
+  const cooldownMs = circuitBreakerCooldownMinutes * 60 * 1000;
+  const open = (await getCircuitBreakers()).filter((breaker) => breaker.state === 'open');
+
+  if (open.some((breaker) => breaker.openedAt && Date.now() - breaker.openedAt.getTime() < cooldownMs)) {
+    return false;
+  }
+
+  const steps = open.map((breaker) => breaker.step);
+  await setCircuitState(steps, 'half_open');
+  await resumeSystem();
+
+  log.warn('Circuit breaker half-open, resuming for a probe', { steps });
+  await notify({ event: 'probing', steps, timestamp: Date.now() });
+
+  return true;
+}
+
+/**
+ * Close every breaker, e.g. when an admin resumes the system by hand
+ */
+export async function resetCircuitBreaker(): Promise<void> {
+  await resetAllCircuits();
+  log.info('Circuit breaker reset');
+}
+
+export async function getCircuitBreakerStatus(): Promise<CircuitBreakerStatus> {
+  return {
+    enabled: circuitBreakerThreshold > 0,
+    threshold: circuitBreakerThreshold,
+    cooldownMinutes: circuitBreakerCooldownMinutes,
+    steps: await getCircuitBreakers(),
+  };
+}
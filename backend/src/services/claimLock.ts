@@ -0,0 +1,87 @@
+// backend/src/services/claimLock.ts
+import { randomUUID } from 'crypto';
+import { log } from '../lib/logger';
+import { instanceId, claimLockTtlSeconds } from '../env';
+import {
+  acquireClaimLease,
+  renewClaimLease,
+  releaseClaimLease,
+  getClaimLease,
+} from '../db/queries';
+import { ClaimLockedError, ClaimLockStatus } from '../types';
+
+// Leases held by this process, by lease id (value: operation)
+const heldLeases = new Map<string, string>();
+
+/**
+ * Run a task while holding the database claim lock
+ *
+ * The lock is a lease row with an owner and expiry, shared by every
+ * instance (local scheduler, Vercel cron, API on another host), so claims,
+ * buybacks and burns never run side by side. The lease is renewed while the
+ * task runs; if the process dies it expires after CLAIM_LOCK_TTL_SECONDS.
+ *
+ * @throws ClaimLockedError if another holder has the lease
+ */
+export async function withClaimLock<T>(operation: string, task: () => Promise<T>): Promise<T> {
+  const leaseId = randomUUID();
+
+  if (!(await acquireClaimLease(leaseId, instanceId, operation, claimLockTtlSeconds))) {
+    throw new ClaimLockedError(await getClaimLockStatus());
+  }
+
+  heldLeases.set(leaseId, operation);
+  log.debug('Claim lock acquired', { operation, leaseId, holder: instanceId });
+
+  const renewal = setInterval(() => {
+    renewClaimLease(leaseId, claimLockTtlSeconds)
+      .then((renewed) => {
+        if (!renewed) {
+          log.warn('Claim lock lease lost while still running', { operation, leaseId });
+        }
+      })
+      .catch((error) => log.error('Failed to renew claim lock', error, { operation }));
+  }, (claimLockTtlSeconds * 1000) / 3);
+
+  try {
+    return await task();
+  } finally {
+    clearInterval(renewal);
+    heldLeases.delete(leaseId);
+
+    try {
+      await releaseClaimLease(leaseId);
+      log.debug('Claim lock released', { operation, leaseId });
+    } catch (error) {
+      log.error('Failed to release claim lock, it will expire', error, { operation });
+    }
+  }
+}
+
+/**
+ * Current holder and expiry of the claim lock
+ */
+export async function getClaimLockStatus(): Promise<ClaimLockStatus> {
+  const row: any = await getClaimLease();
+
+  if (!row?.active) {
+    return { locked: false, heldByThisInstance: false, instanceId };
+  }
+
+  return {
+    locked: true,
+    holder: row.holder,
+    operation: row.operation,
+    acquiredAt: row.acquired_at,
+    expiresAt: row.expires_at,
+    heldByThisInstance: heldLeases.has(row.lease_id),
+    instanceId,
+  };
+}
+
+/**
+ * Whether this process currently holds the claim lock (no database read)
+ */
+export function isClaimLockHeldLocally(): boolean {
+  return heldLeases.size > 0;
+}
@@ -1,15 +1,64 @@
 // backend/src/services/claimOrchestrator.ts
 import { log } from '../lib/logger';
 import { validateFeesForClaim } from './feeMonitor';
-import { claimCreatorFees } from './feeClaim';
-import { transferToTreasury } from './treasury';
-import { buybackTokens } from './buyback';
-import { burnPurchasedTokens } from './burn';
-import { webhookUrl } from '../env';
-import axios from 'axios';
+import { claimCreatorFees, recoverClaim } from './feeClaim';
+import { distributeSplit, recordSplitTransfers, getTreasuryPublicKey } from './treasury';
+import { buybackTokens, recoverBuyback } from './buyback';
+import { isTrancheModeEnabled, scheduleBuybackTranches } from './buybackTranches';
+import { burnPurchasedTokens, recoverBurn } from './burn';
+import { simulateClaimFlow } from './dryRun';
+import { recordStepFailure, recordStepSuccess } from './circuitBreaker';
+import { withClaimLock } from './claimLock';
+import { notify } from './notifiers';
+import {
+  getSentTransactionStatus,
+  getTransactionFeePaid,
+  lamportsToSol,
+  solToLamports,
+} from '../lib/solana';
+import { formatTokenAmount } from '../lib/pumpfun';
+import { feesPaid, flowRuns, flowStepDuration, flowStepFailures } from '../lib/metrics';
+import {
+  createFlowRun,
+  getFlowRunById,
+  getUnfinishedFlowRun,
+  getLatestFlowRunForClaim,
+  getLatestFlowRunForBuyback,
+  reopenFlowRun,
+  hasRunningFlowRunForClaim,
+  updateFlowRun,
+  updateFlowRunStep,
+  getClaimById,
+  getSplitTransfersByClaim,
+  getBuybackById,
+  getConfirmedBuybackByClaim,
+  getConfirmedBurnByBuyback,
+  getBuybackPlanByClaim,
+} from '../db/queries';
+import {
+  AutoPumpError,
+  BurnResult,
+  BuybackResult,
+  ClaimResult,
+  FlowRunRecord,
+  FlowSimulation,
+  FlowStep,
+  FlowStepState,
+  RetryConflictError,
+  SplitLegAmount,
+  StepPendingError,
+} from '../types';
 
 export interface OrchestrationResult {
   success: boolean;
+  runId?: number;
+  resumed?: boolean; // Run was picked up from an earlier, interrupted attempt
+  pending?: boolean; // Run is waiting on an unconfirmed transaction, retry later
+  incomplete?: boolean; // Stopped after `maxSteps`, the next call continues the run
+  stepsExecuted?: FlowStep[]; // Steps run (or recovered) by this call
+  nextStep?: FlowStep; // First step still to run when incomplete
+  dryRun?: boolean; // Nothing was sent, see `simulation`
+  simulation?: FlowSimulation;
   claimSignature?: string;
   treasurySignature?: string;
   buybackSignature?: string;
@@ -17,115 +66,156 @@ export interface OrchestrationResult {
   claimedAmount: number;
   treasuryAmount: number;
   buybackAmount: number;
+  split?: SplitLegAmount[]; // every leg of the split policy with its SOL amount
   tokensBurned: string;
   error?: string;
   timestamp: number;
 }
 
+export interface ClaimFlowOptions {
+  dryRun?: boolean; // Build and simulate every transaction without sending
+  maxSteps?: number; // Stop after this many steps, leaving the run to resume
+  deadline?: number; // Stop waiting on a sent transaction at this time, leaving the step pending
+}
+
+// Pipeline steps, in execution order
+export const FLOW_STEPS: FlowStep[] = ['claim', 'treasury', 'buyback', 'burn'];
+
+/**
+ * Check whether a run was interrupted and still needs to be finished
+ */
+export async function hasUnfinishedFlowRun(): Promise<boolean> {
+  return (await getUnfinishedFlowRun()) !== null;
+}
+
 /**
  * Execute complete claim-treasury-buyback-burn flow
- * 
+ *
  * This orchestrates the entire deflationary token cycle:
  * 1. Validate fees meet threshold
  * 2. Claim fees from Pump.fun
- * 3. Transfer 50% to treasury
- * 4. Buy tokens with 50%
+ * 3. Transfer the split policy legs (treasury, marketing, ...) in one tx
+ * 4. Buy tokens with the buyback leg
  * 5. Burn all purchased tokens
+ *
+ * Every run is persisted in `flow_runs` with per-step state. If an earlier
+ * run never finished (e.g. the process crashed mid-flow), it is resumed from
+ * its last confirmed step instead of starting a new claim.
+ *
+ * With `{ dryRun: true }` nothing is sent or persisted: every transaction is
+ * simulated and the projected amounts are returned instead.
+ *
+ * With `{ maxSteps }` the run is left 'running' once that many steps have
+ * been executed, so callers with a time limit (serverless cron) can advance
+ * it one step per call. With `{ deadline }` a step whose transaction has not
+ * confirmed by then is left 'sent' (pending) for the next call to settle.
  */
 export async function executeClaimFlow(
-  force: boolean = false
+  force: boolean = false,
+  options: ClaimFlowOptions = {}
 ): Promise<OrchestrationResult> {
+  if (options.dryRun) {
+    return executeDryRun(force);
+  }
+
   const startTime = Date.now();
+  const stepsExecuted: FlowStep[] = [];
+  let run: FlowRunRecord | null = null;
+  let resumed = false;
 
   try {
     log.info('='.repeat(60));
     log.info('Starting Auto Pump claim orchestration flow');
     log.info('='.repeat(60));
 
-    // Step 1: Validate fees meet threshold
-    log.info('[STEP 1/5] Validating claimable fees...');
-    const estimatedAmount = await validateFeesForClaim(force);
-    log.info(`✓ Fees validated: ${estimatedAmount} SOL (estimated)`, { force });
+    run = await getUnfinishedFlowRun();
 
-    // Step 2: Claim fees from Pump.fun
-    // IMPORTANT: This checks actual balance change, not estimated amount
-    log.info('[STEP 2/5] Claiming creator fees from Pump.fun...');
-    const claimResult = await claimCreatorFees(estimatedAmount);
-    
-    if (!claimResult.success) {
-      throw new Error(`Fee claim failed: ${claimResult.error}`);
+    if (run) {
+      resumed = true;
+      log.info(`Resuming unfinished flow run #${run.id}`, {
+        steps: FLOW_STEPS.map((step) => `${step}:${run!.steps[step].status}`).join(', '),
+      });
+    } else {
+      // Step 1: Validate fees meet threshold
+      log.info('[STEP 1/5] Validating claimable fees...');
+      const estimatedAmount = await validateFeesForClaim(force);
+      log.info(`✓ Fees validated: ${estimatedAmount} SOL (estimated)`, { force });
+
+      run = await createFlowRun(force, solToLamports(estimatedAmount), initialSteps());
+      log.info(`Flow run #${run.id} created`);
     }
-    
-    log.info(`✓ Fees claimed: ${claimResult.claimedAmount} SOL (actual)`, {
-      signature: claimResult.signature,
-      estimated: estimatedAmount,
-      actual: claimResult.claimedAmount,
-    });
 
-    // Step 3: Transfer to treasury
-    log.info('[STEP 3/5] Transferring to treasury wallet...');
-    const treasurySignature = await transferToTreasury(claimResult.treasuryAmount);
-    log.info(`✓ Treasury transfer complete: ${claimResult.treasuryAmount} SOL`, {
-      signature: treasurySignature,
-    });
+    for (const [index, step] of FLOW_STEPS.entries()) {
+      const label = `[STEP ${index + 2}/5]`;
+      const state = run.steps[step];
 
-    // Step 4: Buyback tokens
-    log.info('[STEP 4/5] Buying back tokens...');
-    log.info(`Using EXACTLY ${claimResult.buybackAmount} SOL for buyback (not all wallet balance)`);
-    
-    const buybackResult = await buybackTokens(
-      1, // claimId - this gets set properly in database
-      claimResult.buybackAmount
-    );
-    
-    if (!buybackResult.success) {
-      throw new Error(`Buyback failed: ${buybackResult.error}`);
-    }
-    
-    log.info(`✓ Buyback complete: ${buybackResult.tokensPurchased} tokens purchased`, {
-      signature: buybackResult.signature,
-      solSpent: buybackResult.solSpent,
-      buybackId: buybackResult.buybackId,
-    });
+      if (state.status === 'confirmed') {
+        log.info(`${label} ${step} already confirmed, skipping`, {
+          signature: state.signature,
+        });
+        continue;
+      }
 
-    // ✅ CRITICAL FIX: Use the buybackId from the result, not hardcoded to 1
-    const buybackId = buybackResult.buybackId;
-    
-    if (!buybackId) {
-      throw new Error('Buyback succeeded but database ID is missing');
-    }
+      if (options.maxSteps !== undefined && stepsExecuted.length >= options.maxSteps) {
+        log.info(`Flow run #${run.id} paused before ${step} after ${stepsExecuted.length} step(s)`);
+        const amounts = run.steps.claim.amounts || {};
+        flowRuns.inc({ result: 'incomplete' });
+
+        return {
+          success: true,
+          runId: run.id,
+          resumed,
+          incomplete: true,
+          stepsExecuted,
+          nextStep: step,
+          claimSignature: run.steps.claim.signature,
+          claimedAmount: Number(amounts.claimedAmount || 0),
+          treasuryAmount: Number(amounts.treasuryAmount || 0),
+          buybackAmount: Number(amounts.buybackAmount || 0),
+          split: run.steps.claim.split,
+          tokensBurned: '0',
+          timestamp: Date.now(),
+        };
+      }
 
-    log.info(`Using buyback ID ${buybackId} for burn record linkage`);
+      stepsExecuted.push(step);
+      const endStepTimer = flowStepDuration.startTimer({ step });
 
-    // Step 5: Burn tokens
-    log.info('[STEP 5/5] Burning purchased tokens...');
-    const burnResult = await burnPurchasedTokens(
-      buybackId,  // ✅ Now using the correct ID from this specific buyback
-      buybackResult.tokensPurchased.toString()
-    );
-    
-    if (!burnResult.success) {
-      throw new Error(`Burn failed: ${burnResult.error}`);
+      try {
+        if (!(await reconcileSentStep(run, step, label))) {
+          await STEP_HANDLERS[step](run, label, options.deadline);
+        }
+      } catch (error) {
+        endStepTimer({ result: error instanceof StepPendingError ? 'pending' : 'failed' });
+        throw error;
+      }
+
+      endStepTimer({ result: 'confirmed' });
+      await recordStepSuccess(step);
     }
-    
-    log.info(`✓ Burn complete: ${burnResult.tokensBurned} tokens permanently locked`, {
-      signature: burnResult.signature,
-    });
+
+    await updateFlowRun(run.id, { status: 'completed' });
+    flowRuns.inc({ result: 'completed' });
 
     // Calculate duration
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    const amounts = run.steps.claim.amounts || {};
 
     // Prepare success result
     const result: OrchestrationResult = {
       success: true,
-      claimSignature: claimResult.signature,
-      treasurySignature,
-      buybackSignature: buybackResult.signature,
-      burnSignature: burnResult.signature,
-      claimedAmount: claimResult.claimedAmount,
-      treasuryAmount: claimResult.treasuryAmount,
-      buybackAmount: claimResult.buybackAmount,
-      tokensBurned: burnResult.tokensBurned.toString(),
+      runId: run.id,
+      resumed,
+      stepsExecuted,
+      claimSignature: run.steps.claim.signature,
+      treasurySignature: run.steps.treasury.signature,
+      buybackSignature: run.steps.buyback.signature,
+      burnSignature: run.steps.burn.signature,
+      claimedAmount: Number(amounts.claimedAmount || 0),
+      treasuryAmount: Number(amounts.treasuryAmount || 0),
+      buybackAmount: Number(amounts.buybackAmount || 0),
+      split: getRunSplit(run),
+      tokensBurned: String(run.steps.burn.amounts?.tokensBurned ?? '0'),
       timestamp: Date.now(),
     };
 
@@ -133,51 +223,129 @@ export async function executeClaimFlow(
     log.info(`✅ CLAIM FLOW COMPLETE (${duration}s)`);
     log.info('='.repeat(60));
     log.info('Summary:', {
+      runId: run.id,
+      resumed,
       claimed: `${result.claimedAmount} SOL`,
-      treasury: `${result.treasuryAmount} SOL`,
-      buyback: `${result.buybackAmount} SOL`,
-      burned: `${result.tokensBurned} tokens`,
+      split: Object.fromEntries((result.split || []).map((leg) => [leg.name, `${leg.amount} SOL`])),
+      burned: `${formatTokenAmount(result.tokensBurned)} tokens`,
       duration: `${duration}s`,
     });
     log.info('='.repeat(60));
 
-    // Send webhook notification if configured
-    if (webhookUrl) {
-      try {
-        await axios.post(webhookUrl, {
-          event: 'claim_complete',
-          ...result,
-        });
-        log.info('Webhook notification sent');
-      } catch (error) {
-        log.warn('Failed to send webhook notification', { error });
-      }
-    }
+    await notify({ event: 'claim_complete', ...result });
 
     return result;
   } catch (error) {
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
     const errorMessage = error instanceof Error ? error.message : 'Unknown error';
 
+    // Unconfirmed transaction in flight: leave the run open for the next attempt
+    if (error instanceof StepPendingError) {
+      log.warn(`Flow run #${run?.id} waiting on confirmation, will resume later`, {
+        error: errorMessage,
+      });
+      flowRuns.inc({ result: 'pending' });
+
+      return {
+        success: false,
+        runId: run?.id,
+        resumed,
+        pending: true,
+        stepsExecuted,
+        claimedAmount: 0,
+        treasuryAmount: 0,
+        buybackAmount: 0,
+        tokensBurned: '0',
+        error: errorMessage,
+        timestamp: Date.now(),
+      };
+    }
+
     log.error('='.repeat(60));
-    log.error(`✗ CLAIM FLOW FAILED (${duration}s)`, { error: errorMessage });
+    log.error(`✗ CLAIM FLOW FAILED (${duration}s)`, { error: errorMessage, runId: run?.id });
     log.error('='.repeat(60));
 
-    // Send failure webhook if configured
-    if (webhookUrl) {
-      try {
-        await axios.post(webhookUrl, {
-          event: 'claim_failed',
-          error: errorMessage,
-          timestamp: Date.now(),
-        });
-      } catch (webhookError) {
-        log.warn('Failed to send failure webhook', { error: webhookError });
-      }
+    const failedStep = run
+      ? FLOW_STEPS.find((step) => run!.steps[step].status !== 'confirmed')
+      : undefined;
+
+    if (run) {
+      await markRunFailed(run, errorMessage);
+      flowRuns.inc({ result: 'failed' });
+    }
+
+    // Failures before a run exists (fee validation) are not step failures
+    if (stepsExecuted.length > 0) {
+      const step = stepsExecuted[stepsExecuted.length - 1];
+      flowStepFailures.inc({ step, code: error instanceof AutoPumpError ? error.code : 'UNKNOWN' });
+      await recordStepFailure(step, errorMessage);
+    }
+
+    await notify({
+      event: 'claim_failed',
+      runId: run?.id,
+      step: failedStep,
+      signature: failedStep ? run?.steps[failedStep].signature : undefined,
+      error: errorMessage,
+      timestamp: Date.now(),
+    });
+
+    return {
+      success: false,
+      runId: run?.id,
+      resumed,
+      stepsExecuted,
+      claimedAmount: 0,
+      treasuryAmount: 0,
+      buybackAmount: 0,
+      tokensBurned: '0',
+      error: errorMessage,
+      timestamp: Date.now(),
+    };
+  }
+}
+
+/**
+ * Validate fees and simulate the whole flow without sending anything
+ */
+async function executeDryRun(force: boolean): Promise<OrchestrationResult> {
+  try {
+    log.info('='.repeat(60));
+    log.info('[DRY RUN] Simulating claim flow - no transactions will be sent');
+    log.info('='.repeat(60));
+
+    const estimatedAmount = await validateFeesForClaim(force);
+    const simulation = await simulateClaimFlow(estimatedAmount);
+
+    if (await hasUnfinishedFlowRun()) {
+      simulation.warnings.push(
+        'An unfinished flow run exists; a real claim would resume it instead of claiming'
+      );
     }
 
+    const failedSteps = simulation.steps.filter((step) => !step.success);
+
+    return {
+      success: failedSteps.length === 0,
+      dryRun: true,
+      simulation,
+      claimedAmount: simulation.projectedClaimedAmount,
+      treasuryAmount: simulation.projectedTreasuryAmount,
+      buybackAmount: simulation.projectedBuybackAmount,
+      split: simulation.projectedSplit,
+      tokensBurned: simulation.projectedTokensBurned,
+      error: failedSteps.length
+        ? `Simulation failed for: ${failedSteps.map((step) => step.step).join(', ')}`
+        : undefined,
+      timestamp: Date.now(),
+    };
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+    log.error('[DRY RUN] Simulation failed', { error: errorMessage });
+
     return {
       success: false,
+      dryRun: true,
       claimedAmount: 0,
       treasuryAmount: 0,
       buybackAmount: 0,
@@ -186,4 +354,729 @@ export async function executeClaimFlow(
       timestamp: Date.now(),
     };
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Put a recorded claim's funds back into the pipeline
+ *
+ * For claims whose run was lost (e.g. rows left pending by a crash and
+ * confirmed later by recovery), a new run is started with every step the
+ * database shows as done already confirmed, so only the missing transfer,
+ * buy or burn is executed on the next scheduler check.
+ *
+ * @returns The new run, or null when nothing is left to do or a running
+ *          run already covers the claim
+ */
+export async function requeueClaimFunds(claimId: number): Promise<FlowRunRecord | null> {
+  const claim: any = await getClaimById(claimId);
+
+  if (!claim || claim.status !== 'confirmed') {
+    return null;
+  }
+
+  if (await hasRunningFlowRunForClaim(claim.id, claim.signature)) {
+    return null;
+  }
+
+  const transfers = (await getSplitTransfersByClaim(claim.id)).filter(
+    (transfer) => transfer.status === 'confirmed'
+  );
+  const buyback: any = await getConfirmedBuybackByClaim(claim.id);
+  const plan = await getBuybackPlanByClaim(claim.id);
+  const burn = buyback ? await getConfirmedBurnByBuyback(buyback.id) : null;
+
+  const treasuryDone = transfers.length > 0;
+  const buybackDone = Boolean(buyback || plan) || Number(claim.buyback_amount) === 0;
+  const burnDone = Boolean(burn) || (buybackDone && !buyback);
+
+  if (treasuryDone && buybackDone && burnDone) {
+    return null;
+  }
+
+  // Recorded amounts and split of the claim
+  const claimResult = await recoverClaim(claim.signature);
+  if (!claimResult.success) {
+    throw new Error(`Could not read claim #${claim.id}: ${claimResult.error}`);
+  }
+
+  const steps = initialSteps();
+  steps.claim = {
+    status: 'confirmed',
+    signature: claim.signature,
+    recordId: claim.id,
+    amounts: {
+      claimedAmount: claimResult.claimedAmount,
+      treasuryAmount: claimResult.treasuryAmount,
+      buybackAmount: claimResult.buybackAmount,
+    },
+    split: claimResult.split,
+    updatedAt: Date.now(),
+  };
+
+  if (treasuryDone) {
+    steps.treasury = { status: 'confirmed', signature: transfers[0].signature, updatedAt: Date.now() };
+  }
+
+  if (buyback) {
+    steps.buyback = {
+      status: 'confirmed',
+      signature: buyback.signature,
+      recordId: buyback.id,
+      amounts: {
+        solSpent: lamportsToSol(Number(buyback.sol_spent)),
+        tokensPurchased: String(buyback.tokens_purchased),
+        venue: buyback.venue,
+      },
+      updatedAt: Date.now(),
+    };
+  } else if (buybackDone) {
+    steps.buyback = {
+      status: 'confirmed',
+      amounts: plan ? { planId: plan.id } : { solSpent: 0, tokensPurchased: '0' },
+      updatedAt: Date.now(),
+    };
+  }
+
+  const run = await createFlowRun(false, Number(claim.claimed_amount), steps);
+  await updateFlowRun(run.id, { claimId: claim.id, buybackId: buyback?.id });
+
+  log.info(`Flow run #${run.id} created to finish claim #${claim.id}`, {
+    steps: FLOW_STEPS.map((step) => `${step}:${steps[step].status}`).join(', '),
+  });
+
+  return run;
+}
+
+// ========================================
+// ADMIN RETRY
+// ========================================
+
+/**
+ * Re-run a failed flow run from the step it failed at, with the amounts and
+ * split the run recorded
+ *
+ * Confirmed steps are skipped. A failed step that had already sent a
+ * transaction is reopened as 'sent', so the resume records that transaction
+ * if it landed after all (or waits for it while it still can land) instead
+ * of sending a second one.
+ *
+ * @returns null if the run does not exist
+ * @throws RetryConflictError if the run has not failed, another run is
+ *         unfinished, or a stage still to run was already done for the claim
+ *         another way (requeued run, stage retry, tranches, sweep)
+ */
+export async function retryFlowRun(runId: number): Promise<OrchestrationResult | null> {
+  return withClaimLock('retry', () => reopenAndResume(runId));
+}
+
+/**
+ * Retry only the treasury transfer of a claim whose flow run failed at it.
+ * The run is left 'running', so the scheduler carries on with its buyback
+ * and burn.
+ *
+ * @returns null if the claim does not exist
+ * @throws RetryConflictError if the claim already has a confirmed or pending
+ *         transfer, or its run did not fail at the treasury step
+ */
+export async function retryClaimTreasury(claimId: number): Promise<OrchestrationResult | null> {
+  return withClaimLock('retry', async () => {
+    const claim: any = await getClaimById(claimId);
+
+    if (!claim) {
+      return null;
+    }
+
+    const transfer = (await getSplitTransfersByClaim(claimId)).find(
+      (existing) => existing.status !== 'failed'
+    );
+    if (transfer) {
+      throw new RetryConflictError(
+        `Claim #${claimId} already has a ${transfer.status} treasury transfer`,
+        { signature: transfer.signature }
+      );
+    }
+
+    const run = await getLatestFlowRunForClaim(claimId);
+    if (!run) {
+      throw new RetryConflictError(`No flow run recorded claim #${claimId}`);
+    }
+
+    return reopenAndResume(run.id, 'treasury');
+  });
+}
+
+/**
+ * Retry only the burn of a buyback whose flow run failed at it
+ *
+ * Tranche buys have no flow run; tokens they left unburned are picked up by
+ * the stranded token sweep.
+ *
+ * @returns null if the buyback does not exist
+ * @throws RetryConflictError if the tokens were already burned (by the run or
+ *         a sweep) or the buyback's run did not fail at the burn step
+ */
+export async function retryBuybackBurn(buybackId: number): Promise<OrchestrationResult | null> {
+  return withClaimLock('retry', async () => {
+    const buyback: any = await getBuybackById(buybackId);
+
+    if (!buyback) {
+      return null;
+    }
+
+    if (buyback.status !== 'confirmed') {
+      throw new RetryConflictError(
+        `Buyback #${buybackId} is ${buyback.status}, only confirmed buys have tokens to burn`
+      );
+    }
+
+    const burn: any = await getConfirmedBurnByBuyback(buybackId);
+    if (burn || buyback.sweep_burn_id) {
+      throw new RetryConflictError(`Tokens of buyback #${buybackId} were already burned`, {
+        burnId: burn?.id ?? buyback.sweep_burn_id,
+      });
+    }
+
+    const run = await getLatestFlowRunForBuyback(buybackId);
+    if (!run) {
+      throw new RetryConflictError(
+        `Buyback #${buybackId} was not made by a flow run, use the stranded token sweep`
+      );
+    }
+
+    return reopenAndResume(run.id, 'burn');
+  });
+}
+
+/**
+ * Reopen the first unconfirmed step of a failed run and resume the run. With
+ * `stage`, that step must be the one given and it is the only one executed.
+ */
+async function reopenAndResume(
+  runId: number,
+  stage?: FlowStep
+): Promise<OrchestrationResult | null> {
+  const run = await getFlowRunById(runId);
+
+  if (!run) {
+    return null;
+  }
+
+  if (run.status !== 'failed') {
+    throw new RetryConflictError(
+      `Flow run #${run.id} is ${run.status}, only failed runs can be retried`,
+      { runId: run.id, status: run.status }
+    );
+  }
+
+  const failedStep = FLOW_STEPS.find((step) => run.steps[step].status !== 'confirmed');
+
+  if (!failedStep || (stage && failedStep !== stage)) {
+    throw new RetryConflictError(
+      `Flow run #${run.id} did not fail at ${stage ?? 'any step'}`,
+      { runId: run.id, failedStep }
+    );
+  }
+
+  const unfinished = await getUnfinishedFlowRun();
+  if (unfinished) {
+    throw new RetryConflictError(
+      `Flow run #${unfinished.id} is still running and has to finish first`,
+      { runId: unfinished.id }
+    );
+  }
+
+  const doneElsewhere = await findStageDoneElsewhere(run, failedStep);
+  if (doneElsewhere) {
+    throw new RetryConflictError(
+      `Claim #${run.claimId} ${doneElsewhere.reason}, retrying flow run #${run.id} would repeat it`,
+      { runId: run.id, step: doneElsewhere.step, signature: doneElsewhere.signature }
+    );
+  }
+
+  // Keep updatedAt (saveStep would reset it) so a transaction that can no
+  // longer land is not waited on again
+  const state = run.steps[failedStep];
+  await updateFlowRunStep(run.id, failedStep, {
+    ...state,
+    status: state.signature ? 'sent' : 'pending',
+    error: undefined,
+  });
+  await reopenFlowRun(run.id);
+
+  log.info(`Flow run #${run.id} reopened for retry at ${failedStep}`, {
+    signature: state.signature,
+    stageOnly: Boolean(stage),
+  });
+
+  return executeClaimFlow(false, stage ? { maxSteps: 1 } : {});
+}
+
+/**
+ * First stage from `fromStep` on that the run's claim already completed
+ * (or has in flight) outside this run. Rows of the run's own transactions
+ * don't count: a reopened 'sent' step settles those itself.
+ */
+async function findStageDoneElsewhere(
+  run: FlowRunRecord,
+  fromStep: FlowStep
+): Promise<{ step: FlowStep; reason: string; signature?: string } | null> {
+  if (!run.claimId) {
+    return null;
+  }
+
+  const stepsToRun = FLOW_STEPS.slice(FLOW_STEPS.indexOf(fromStep));
+
+  if (stepsToRun.includes('treasury')) {
+    const transfer = (await getSplitTransfersByClaim(run.claimId)).find(
+      (existing) => existing.status !== 'failed' && existing.signature !== run.steps.treasury.signature
+    );
+    if (transfer) {
+      return {
+        step: 'treasury',
+        reason: `already has a ${transfer.status} treasury transfer`,
+        signature: transfer.signature,
+      };
+    }
+  }
+
+  if (stepsToRun.includes('buyback')) {
+    const buyback: any = await getConfirmedBuybackByClaim(run.claimId);
+    if (buyback && buyback.signature !== run.steps.buyback.signature) {
+      return { step: 'buyback', reason: 'already has a confirmed buyback', signature: buyback.signature };
+    }
+
+    const plan = await getBuybackPlanByClaim(run.claimId);
+    if (plan) {
+      return { step: 'buyback', reason: `already has buyback plan #${plan.id}` };
+    }
+  }
+
+  if (stepsToRun.includes('burn') && run.buybackId) {
+    const buyback: any = await getBuybackById(run.buybackId);
+    const burn: any = await getConfirmedBurnByBuyback(run.buybackId);
+    if (burn && burn.signature !== run.steps.burn.signature) {
+      return { step: 'burn', reason: 'already had its tokens burned', signature: burn.signature };
+    }
+    if (buyback?.sweep_burn_id) {
+      return { step: 'burn', reason: 'already had its tokens burned by the stranded token sweep' };
+    }
+  }
+
+  return null;
+}
+
+// ========================================
+// STEP HANDLERS
+// ========================================
+
+const STEP_HANDLERS: Record<
+  FlowStep,
+  (run: FlowRunRecord, label: string, deadline?: number) => Promise<void>
+> = {
+  claim: runClaimStep,
+  treasury: runTreasuryStep,
+  buyback: runBuybackStep,
+  burn: runBurnStep,
+};
+
+async function runClaimStep(run: FlowRunRecord, label: string, deadline?: number): Promise<void> {
+  // IMPORTANT: This checks actual balance change, not estimated amount
+  log.info(`${label} Claiming creator fees from Pump.fun...`);
+  const claimResult = await claimCreatorFees(
+    run.estimatedAmount,
+    (signature, lastValidBlockHeight) => markStepSent(run, 'claim', signature, lastValidBlockHeight),
+    deadline
+  );
+
+  if (!claimResult.success) {
+    throwIfSentAndPending(run, 'claim', claimResult.errorCode);
+    throw new AutoPumpError(`Fee claim failed: ${claimResult.error}`, claimResult.errorCode ?? 'CLAIM_FAILED');
+  }
+
+  log.info(`✓ Fees claimed: ${claimResult.claimedAmount} SOL (actual)`, {
+    signature: claimResult.signature,
+    estimated: run.estimatedAmount,
+    actual: claimResult.claimedAmount,
+  });
+
+  await confirmClaimStep(run, claimResult);
+}
+
+async function runTreasuryStep(run: FlowRunRecord, label: string, deadline?: number): Promise<void> {
+  const split = getRunSplit(run);
+
+  if (!run.claimId) {
+    throw new Error('Claim step confirmed but database ID is missing');
+  }
+
+  log.info(`${label} Transferring split legs...`);
+  let treasurySignature: string | undefined;
+  try {
+    treasurySignature = await distributeSplit(
+      run.claimId,
+      split,
+      (signature, lastValidBlockHeight) => markStepSent(run, 'treasury', signature, lastValidBlockHeight),
+      deadline
+    );
+  } catch (error) {
+    throwIfSentAndPending(run, 'treasury', error instanceof AutoPumpError ? error.code : undefined);
+    throw error;
+  }
+
+  if (!treasurySignature) {
+    log.info(`${label} No split legs to transfer, skipping`);
+  } else {
+    log.info('✓ Split transfer complete', {
+      signature: treasurySignature,
+      legs: summarizeTransferLegs(split),
+    });
+  }
+
+  await saveStep(run, 'treasury', {
+    status: 'confirmed',
+    signature: treasurySignature,
+    amounts: summarizeTransferLegs(split),
+  });
+}
+
+async function runBuybackStep(run: FlowRunRecord, label: string, deadline?: number): Promise<void> {
+  const amount = Number(run.steps.claim.amounts?.buybackAmount);
+
+  if (!run.claimId) {
+    throw new Error('Claim step confirmed but database ID is missing');
+  }
+
+  // A split policy without (or with a 0 bps) buyback leg has nothing to buy
+  if (!(amount > 0)) {
+    log.info(`${label} No buyback amount in split, skipping buyback`);
+    await saveStep(run, 'buyback', { status: 'confirmed', amounts: { solSpent: 0, tokensPurchased: '0' } });
+    return;
+  }
+
+  // Tranche mode: the buys (and their burns) run later from the scheduler
+  if (isTrancheModeEnabled()) {
+    log.info(`${label} Scheduling buyback tranches...`);
+    const plan = await scheduleBuybackTranches(run.claimId, amount);
+    log.info(`✓ ${plan.trancheCount} buyback tranches scheduled`, {
+      planId: plan.id,
+      windowEndsAt: plan.windowEndsAt,
+    });
+
+    await saveStep(run, 'buyback', {
+      status: 'confirmed',
+      amounts: { planId: plan.id, tranches: plan.trancheCount, budget: amount },
+    });
+    return;
+  }
+
+  log.info(`${label} Buying back tokens...`);
+  log.info(`Using EXACTLY ${amount} SOL for buyback (not all wallet balance)`);
+
+  const buybackResult = await buybackTokens(
+    run.claimId,
+    amount,
+    (signature, lastValidBlockHeight) => markStepSent(run, 'buyback', signature, lastValidBlockHeight),
+    deadline
+  );
+
+  if (!buybackResult.success) {
+    throwIfSentAndPending(run, 'buyback', buybackResult.errorCode);
+    throw new AutoPumpError(`Buyback failed: ${buybackResult.error}`, buybackResult.errorCode ?? 'BUYBACK_FAILED');
+  }
+
+  log.info(`✓ Buyback complete: ${formatTokenAmount(buybackResult.tokensPurchased)} tokens purchased`, {
+    signature: buybackResult.signature,
+    solSpent: buybackResult.solSpent,
+    buybackId: buybackResult.buybackId,
+    venue: buybackResult.venue,
+  });
+
+  await confirmBuybackStep(run, buybackResult);
+}
+
+async function runBurnStep(run: FlowRunRecord, label: string, deadline?: number): Promise<void> {
+  const tokensPurchased = String(run.steps.buyback.amounts?.tokensPurchased ?? '0');
+
+  if (!run.steps.buyback.signature) {
+    log.info(
+      run.steps.buyback.amounts?.planId
+        ? `${label} Buyback tranches burn their own tokens, skipping`
+        : `${label} Buyback was skipped, nothing to burn`
+    );
+    await saveStep(run, 'burn', { status: 'confirmed', amounts: { tokensBurned: '0' } });
+    return;
+  }
+
+  if (!run.buybackId) {
+    throw new Error('Buyback succeeded but database ID is missing');
+  }
+
+  log.info(`Using buyback ID ${run.buybackId} for burn record linkage`);
+
+  log.info(`${label} Burning purchased tokens...`);
+  const burnResult = await burnPurchasedTokens(
+    run.buybackId,
+    tokensPurchased,
+    (signature, lastValidBlockHeight) => markStepSent(run, 'burn', signature, lastValidBlockHeight),
+    deadline
+  );
+
+  if (!burnResult.success) {
+    throwIfSentAndPending(run, 'burn', burnResult.errorCode);
+    throw new AutoPumpError(`Burn failed: ${burnResult.error}`, burnResult.errorCode ?? 'BURN_FAILED');
+  }
+
+  log.info(`✓ Burn complete: ${formatTokenAmount(burnResult.tokensBurned)} tokens permanently locked`, {
+    signature: burnResult.signature,
+  });
+
+  await confirmBurnStep(run, burnResult);
+}
+
+// ========================================
+// RESUME HANDLING
+// ========================================
+
+/**
+ * Settle a step left in 'sent' state by an interrupted run.
+ *
+ * @returns true if the earlier transaction landed and the step is now confirmed,
+ *          false if the step has to be executed again
+ */
+async function reconcileSentStep(
+  run: FlowRunRecord,
+  step: FlowStep,
+  label: string
+): Promise<boolean> {
+  const state = run.steps[step];
+
+  if (state.status !== 'sent' || !state.signature) {
+    return false;
+  }
+
+  const status = await getSentTransactionStatus(
+    state.signature,
+    state.lastValidBlockHeight,
+    state.updatedAt
+  );
+
+  if (status === 'confirmed') {
+    log.info(`${label} Earlier ${step} transaction landed, recording it`, {
+      signature: state.signature,
+    });
+    await STEP_RECOVERY[step](run, state.signature);
+    return true;
+  }
+
+  if (status === 'pending') {
+    throw new StepPendingError(step, state.signature);
+  }
+
+  log.warn(`${label} Earlier ${step} transaction failed or was dropped, retrying step`, {
+    signature: state.signature,
+    status,
+  });
+  return false;
+}
+
+/**
+ * A step whose transaction was sent but whose outcome couldn't be read
+ * (TRANSACTION_PENDING) is not failed: it may still land. Leave the step
+ * 'sent' and the run open, for reconcileSentStep to settle on the next run.
+ */
+function throwIfSentAndPending(run: FlowRunRecord, step: FlowStep, errorCode?: string): void {
+  const { status, signature } = run.steps[step];
+
+  if (errorCode === 'TRANSACTION_PENDING' && status === 'sent' && signature) {
+    throw new StepPendingError(step, signature);
+  }
+}
+
+const STEP_RECOVERY: Record<FlowStep, (run: FlowRunRecord, signature: string) => Promise<void>> = {
+  claim: async (run, signature) => {
+    const claimResult = await recoverClaim(signature);
+    if (!claimResult.success) {
+      throw new Error(`Fee claim recovery failed: ${claimResult.error}`);
+    }
+    await confirmClaimStep(run, claimResult);
+  },
+
+  treasury: async (run, signature) => {
+    if (!run.claimId) {
+      throw new Error('Claim step confirmed but database ID is missing');
+    }
+    const split = getRunSplit(run);
+    await recordSplitTransfers(run.claimId, signature, split);
+    await saveStep(run, 'treasury', {
+      status: 'confirmed',
+      signature,
+      amounts: summarizeTransferLegs(split),
+    });
+  },
+
+  buyback: async (run, signature) => {
+    if (!run.claimId) {
+      throw new Error('Claim step confirmed but database ID is missing');
+    }
+    const buybackResult = await recoverBuyback(
+      run.claimId,
+      signature,
+      Number(run.steps.claim.amounts?.buybackAmount)
+    );
+    if (!buybackResult.success) {
+      throw new Error(`Buyback recovery failed: ${buybackResult.error}`);
+    }
+    await confirmBuybackStep(run, buybackResult);
+  },
+
+  burn: async (run, signature) => {
+    if (!run.buybackId) {
+      throw new Error('Buyback succeeded but database ID is missing');
+    }
+    const burnResult = await recoverBurn(
+      run.buybackId,
+      signature,
+      String(run.steps.buyback.amounts?.tokensPurchased ?? '0')
+    );
+    if (!burnResult.success) {
+      throw new Error(`Burn recovery failed: ${burnResult.error}`);
+    }
+    await confirmBurnStep(run, burnResult);
+  },
+};
+
+// ========================================
+// STEP STATE PERSISTENCE
+// ========================================
+
+function initialSteps(): Record<FlowStep, FlowStepState> {
+  const steps = {} as Record<FlowStep, FlowStepState>;
+  for (const step of FLOW_STEPS) {
+    steps[step] = { status: 'pending', updatedAt: Date.now() };
+  }
+  return steps;
+}
+
+async function saveStep(
+  run: FlowRunRecord,
+  step: FlowStep,
+  state: Omit<FlowStepState, 'updatedAt'>
+): Promise<void> {
+  // Record what the confirmed transaction paid in priority fees
+  if (state.status === 'confirmed' && state.signature && state.priorityFee === undefined) {
+    const paid = await getTransactionFeePaid(state.signature);
+    if (paid) {
+      feesPaid.inc({ step }, paid.fee);
+    }
+    state = { ...state, priorityFee: paid?.priorityFee };
+  }
+
+  run.steps[step] = { ...state, updatedAt: Date.now() };
+  await updateFlowRunStep(run.id, step, run.steps[step]);
+}
+
+async function markStepSent(
+  run: FlowRunRecord,
+  step: FlowStep,
+  signature: string,
+  lastValidBlockHeight: number
+): Promise<void> {
+  await saveStep(run, step, { status: 'sent', signature, lastValidBlockHeight });
+}
+
+async function confirmClaimStep(run: FlowRunRecord, claimResult: ClaimResult): Promise<void> {
+  await saveStep(run, 'claim', {
+    status: 'confirmed',
+    signature: claimResult.signature,
+    recordId: claimResult.claimId,
+    amounts: {
+      claimedAmount: claimResult.claimedAmount,
+      treasuryAmount: claimResult.treasuryAmount,
+      buybackAmount: claimResult.buybackAmount,
+      ...(claimResult.networkFee !== undefined && { networkFee: claimResult.networkFee }),
+    },
+    split: claimResult.split,
+  });
+  run.claimId = claimResult.claimId;
+  await updateFlowRun(run.id, { claimId: claimResult.claimId });
+}
+
+async function confirmBuybackStep(run: FlowRunRecord, buybackResult: BuybackResult): Promise<void> {
+  await saveStep(run, 'buyback', {
+    status: 'confirmed',
+    signature: buybackResult.signature,
+    recordId: buybackResult.buybackId,
+    amounts: {
+      solSpent: buybackResult.solSpent,
+      tokensPurchased: buybackResult.tokensPurchased,
+      venue: buybackResult.venue ?? 'bonding-curve',
+      ...(buybackResult.networkFee !== undefined && { networkFee: buybackResult.networkFee }),
+      ...(buybackResult.quotedTokens !== undefined && {
+        quotedTokens: buybackResult.quotedTokens,
+        priceImpactBps: buybackResult.priceImpactBps ?? 0,
+      }),
+    },
+  });
+  run.buybackId = buybackResult.buybackId;
+  await updateFlowRun(run.id, { buybackId: buybackResult.buybackId });
+}
+
+async function confirmBurnStep(run: FlowRunRecord, burnResult: BurnResult): Promise<void> {
+  await saveStep(run, 'burn', {
+    status: 'confirmed',
+    signature: burnResult.signature,
+    recordId: burnResult.burnId,
+    amounts: { tokensBurned: burnResult.tokensBurned },
+  });
+  run.burnId = burnResult.burnId;
+  await updateFlowRun(run.id, { burnId: burnResult.burnId });
+}
+
+/**
+ * Split planned by the claim step. Runs started before split policies were
+ * introduced only have a treasury amount, which went to the treasury wallet.
+ */
+function getRunSplit(run: FlowRunRecord): SplitLegAmount[] {
+  const claim = run.steps.claim;
+
+  if (claim.split) {
+    return claim.split;
+  }
+
+  return [
+    {
+      name: 'treasury',
+      bps: 0,
+      destination: getTreasuryPublicKey().toBase58(),
+      amount: Number(claim.amounts?.treasuryAmount || 0),
+    },
+  ];
+}
+
+// Per-leg SOL amounts paid by transfer, for the treasury step state
+function summarizeTransferLegs(split: SplitLegAmount[]): Record<string, number> {
+  return Object.fromEntries(
+    split.filter((leg) => leg.destination).map((leg) => [leg.name, leg.amount])
+  );
+}
+
+/**
+ * Mark the first unconfirmed step and the run itself as failed
+ */
+async function markRunFailed(run: FlowRunRecord, errorMessage: string): Promise<void> {
+  try {
+    const failedStep = FLOW_STEPS.find((step) => run.steps[step].status !== 'confirmed');
+
+    if (failedStep) {
+      await saveStep(run, failedStep, {
+        ...run.steps[failedStep],
+        status: 'failed',
+        error: errorMessage,
+      });
+    }
+
+    await updateFlowRun(run.id, { status: 'failed', errorMessage });
+  } catch (error) {
+    log.error('Failed to record flow run failure', error, { runId: run.id });
+  }
+}
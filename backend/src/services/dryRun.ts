@@ -0,0 +1,256 @@
+// backend/src/services/dryRun.ts
+import { PublicKey, Transaction, VersionedTransaction } from '@solana/web3.js';
+import { AccountLayout, getAssociatedTokenAddress } from '@solana/spl-token';
+import { pumpFunAPI } from '../lib/pumpfun';
+import {
+  keypairFromSecret,
+  lamportsToSol,
+  simulateWithAccounts,
+  buildMultiTransferTransaction,
+  buildIncineratorBurnTransaction,
+  buildSplBurnTransaction,
+} from '../lib/solana';
+import { log } from '../lib/logger';
+import {
+  creatorWalletSecret,
+  tokenMint,
+  slippageBps,
+  burnMode,
+  graduatedPool,
+  buybackTranches,
+} from '../env';
+import { getBuybackCarryover } from '../db/queries';
+import { calculateClaimSplit } from './feeClaim';
+import { isTrancheModeEnabled } from './buybackTranches';
+import { planCurveBuy } from './buyback';
+import { BuyQuote, FlowSimulation, FlowStep, StepSimulation } from '../types';
+
+/**
+ * Simulate the full claim flow without sending anything
+ *
+ * Every transaction the real flow would send (PumpPortal claim, split
+ * transfer, PumpPortal buy, burn) is built the same way and run through
+ * `simulateTransaction`. Each simulation runs against the current chain state,
+ * so later steps cannot see the effects of earlier ones - e.g. the split
+ * transfer is simulated before the claimed SOL is in the wallet. Those cases
+ * are reported as warnings rather than hidden.
+ *
+ * @param estimatedAmount - Claimable fees read from the creator vault, in SOL
+ */
+export async function simulateClaimFlow(estimatedAmount: number): Promise<FlowSimulation> {
+  const creator = keypairFromSecret(creatorWalletSecret).publicKey;
+  const mint = new PublicKey(tokenMint);
+  const creatorTokenAccount = await getAssociatedTokenAddress(mint, creator);
+  const warnings: string[] = [];
+
+  log.info('[DRY RUN] Simulating claim transaction...');
+  const claimSim = await simulateStep(
+    'claim',
+    () => pumpFunAPI.buildClaimTransaction(tokenMint, creator),
+    { creator }
+  );
+
+  // Project the claimed amount from the simulated creator balance change,
+  // falling back to the vault estimate when the claim can't be simulated
+  const creatorBalance = claimSim.balanceChanges[0];
+  const walletSolBefore = lamportsToSol(creatorBalance?.preLamports ?? 0);
+  let projectedClaimedAmount = estimatedAmount;
+  let walletSolAfter = walletSolBefore + estimatedAmount;
+
+  if (claimSim.success && creatorBalance) {
+    projectedClaimedAmount = creatorBalance.changeSol;
+    walletSolAfter = lamportsToSol(creatorBalance.postLamports);
+  } else {
+    warnings.push('Claim simulation failed; later steps use the creator vault estimate');
+  }
+
+  const { legs, treasuryAmount, buybackAmount } = calculateClaimSplit(
+    projectedClaimedAmount,
+    walletSolAfter
+  );
+  const transferLegs = legs.filter((leg) => leg.destination && leg.amount > 0);
+  const totalSending = legs.reduce((sum, leg) => sum + leg.amount, 0);
+
+  if (walletSolBefore < totalSending) {
+    warnings.push(
+      'Creator wallet does not hold the claimed SOL yet; treasury and buy ' +
+      'simulations run against the current balance and may fail for that reason'
+    );
+  }
+
+  log.info('[DRY RUN] Simulating split transfer...');
+  const treasurySim = await simulateStep(
+    'treasury',
+    () => buildMultiTransferTransaction(
+      creator,
+      transferLegs.map((leg) => ({ to: new PublicKey(leg.destination!), amountSol: leg.amount }))
+    ),
+    {
+      creator,
+      ...Object.fromEntries(transferLegs.map((leg) => [leg.name, new PublicKey(leg.destination!)])),
+    }
+  );
+
+  if (transferLegs.length === 0) {
+    warnings.push('Split policy has no transfer legs; treasury step would be skipped');
+  }
+
+  if (buybackAmount <= 0) {
+    warnings.push('Split policy has no buyback amount; buyback and burn would be skipped');
+  }
+
+  const buybackVenue = await pumpFunAPI.resolveBuyVenue(tokenMint, graduatedPool);
+
+  // In tranche mode the first buy is only one share of the buyback amount
+  let buyAmount = buybackAmount;
+  if (isTrancheModeEnabled()) {
+    buyAmount = buybackAmount / buybackTranches;
+    warnings.push(
+      `Tranche mode: buy simulated for the first of ${buybackTranches} tranches ` +
+      `(${buyAmount} SOL); projected tokens cover that tranche only`
+    );
+  }
+
+  // Earlier shrunk buys and failed tranche plans left SOL for the next buy to add
+  const carryover = await getBuybackCarryover();
+  if (buyAmount > 0 && carryover.amount > 0) {
+    buyAmount += lamportsToSol(carryover.amount);
+    warnings.push(`Buy includes ${lamportsToSol(carryover.amount)} SOL left unbought by earlier shrunk buys or failed tranche plans`);
+  }
+
+  // Same price-impact guard as the real buy; a refusal fails the step
+  let buybackQuote: BuyQuote | undefined;
+
+  log.info(`[DRY RUN] Simulating buy transaction (${buybackVenue})...`);
+  const buybackSim = await simulateStep(
+    'buyback',
+    async () => {
+      if (buybackVenue === 'bonding-curve') {
+        const planned = await planCurveBuy(buyAmount);
+        buybackQuote = planned.quote;
+        if (planned.amountSol < buyAmount) {
+          warnings.push(
+            `Buy shrunk from ${buyAmount} to ${planned.amountSol} SOL by the price impact limit`
+          );
+        }
+        buyAmount = planned.amountSol;
+      }
+
+      return pumpFunAPI.buildBuyTransaction(
+        tokenMint,
+        buyAmount,
+        creator,
+        slippageBps,
+        undefined,
+        buybackVenue
+      );
+    },
+    { creator, creatorTokenAccount }
+  );
+
+  const projectedTokens = buybackSim.success ? BigInt(buybackSim.tokenChange || '0') : 0n;
+
+  if (projectedTokens <= 0n) {
+    warnings.push('Buy simulation produced no tokens; burn simulated with 0 tokens');
+  } else {
+    warnings.push(
+      'Burn is simulated before the purchased tokens exist; it fails if the ' +
+      'creator wallet does not already hold the projected amount'
+    );
+  }
+
+  log.info(`[DRY RUN] Simulating burn (${burnMode})...`);
+  const buildBurn = burnMode === 'spl-burn' ? buildSplBurnTransaction : buildIncineratorBurnTransaction;
+  const burnSim = await simulateStep(
+    'burn',
+    () => buildBurn(creator, mint, projectedTokens),
+    { creator, creatorTokenAccount }
+  );
+
+  const simulation: FlowSimulation = {
+    estimatedClaimAmount: estimatedAmount,
+    projectedClaimedAmount,
+    projectedTreasuryAmount: treasuryAmount,
+    projectedBuybackAmount: buybackAmount,
+    projectedSplit: legs,
+    projectedTokensBurned: projectedTokens.toString(),
+    buybackVenue,
+    buybackQuote,
+    burnMode,
+    steps: [claimSim, treasurySim, buybackSim, burnSim],
+    warnings,
+  };
+
+  log.info('[DRY RUN] Simulation complete', {
+    projectedClaimedAmount,
+    projectedTreasuryAmount: treasuryAmount,
+    projectedBuybackAmount: buybackAmount,
+    projectedTokensBurned: simulation.projectedTokensBurned,
+    failedSteps: simulation.steps.filter((step) => !step.success).map((step) => step.step),
+  });
+
+  return simulation;
+}
+
+/**
+ * Build and simulate one step's transaction, capturing balance changes of
+ * the watched accounts. Build errors (e.g. PumpPortal rejecting the request)
+ * are reported as a failed step instead of aborting the dry run.
+ */
+async function simulateStep(
+  step: FlowStep,
+  build: () => Promise<Transaction | VersionedTransaction>,
+  watch: Record<string, PublicKey>
+): Promise<StepSimulation> {
+  const labels = Object.keys(watch);
+
+  try {
+    const transaction = await build();
+    const outcome = await simulateWithAccounts(transaction, Object.values(watch));
+
+    const result: StepSimulation = {
+      step,
+      success: outcome.err === null,
+      error: outcome.err === null ? undefined : JSON.stringify(outcome.err),
+      unitsConsumed: outcome.unitsConsumed,
+      logs: outcome.logs,
+      balanceChanges: outcome.accounts.map((account, i) => ({
+        account: account.address,
+        label: labels[i],
+        preLamports: account.preLamports,
+        postLamports: account.postLamports,
+        changeSol: lamportsToSol(account.postLamports - account.preLamports),
+      })),
+    };
+
+    const tokenIndex = labels.indexOf('creatorTokenAccount');
+    if (tokenIndex !== -1) {
+      const account = outcome.accounts[tokenIndex];
+      result.tokenChange = (
+        readTokenAmount(account.postData) - readTokenAmount(account.preData)
+      ).toString();
+    }
+
+    return result;
+  } catch (error) {
+    log.warn(`[DRY RUN] ${step} simulation failed`, {
+      error: error instanceof Error ? error.message : error,
+    });
+
+    return {
+      step,
+      success: false,
+      error: error instanceof Error ? error.message : 'Unknown error',
+      logs: [],
+      balanceChanges: [],
+    };
+  }
+}
+
+// Raw token amount held in an SPL token account (0 if the account doesn't exist)
+function readTokenAmount(data?: Buffer): bigint {
+  if (!data || data.length < AccountLayout.span) {
+    return 0n;
+  }
+  return AccountLayout.decode(data).amount;
+}
@@ -0,0 +1,64 @@
+import { beforeEach, describe, expect, it, jest } from '@jest/globals';
+import { calculateClaimSplit } from './feeClaim';
+import { solToLamports } from '../lib/solana';
+import type { SplitLegConfig } from '../env';
+
+let mockPolicy: SplitLegConfig[] = [];
+
+jest.mock('../env', () => ({
+  get splitPolicy() {
+    return mockPolicy;
+  },
+  rpcEndpoints: [],
+}));
+jest.mock('../lib/logger', () => ({
+  log: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), claim: jest.fn() },
+}));
+jest.mock('../lib/pumpfun', () => ({ pumpFunAPI: {} }));
+jest.mock('../db/queries');
+
+const threeWay: SplitLegConfig[] = [
+  { name: 'treasury', bps: 3333, destination: 'Treasury111' },
+  { name: 'marketing', bps: 3333, destination: 'Marketing111' },
+  { name: 'buyback', bps: 3334 },
+];
+
+// The creator wallet keeps well over the minimum balance unless solAfter says otherwise
+function legLamports(claimedAmount: number, solAfter = claimedAmount + 1): number[] {
+  return calculateClaimSplit(claimedAmount, solAfter).legs.map((leg) => solToLamports(leg.amount));
+}
+
+describe('calculateClaimSplit', () => {
+  beforeEach(() => {
+    mockPolicy = threeWay;
+  });
+
+  it('splits whole lamports that add up to the claimed amount', () => {
+    for (const claimed of [0.001, 0.3, 0.123456789, 1.000000007, 42.5, 1234.567890123]) {
+      const legs = legLamports(claimed);
+
+      expect(legs.every(Number.isInteger)).toBe(true);
+      expect(legs.reduce((sum, amount) => sum + amount, 0)).toBe(solToLamports(claimed));
+    }
+  });
+
+  it('gives the lamports lost to rounding to the largest leg', () => {
+    // 3333 bps of 10 lamports is 3.333: the buyback leg takes the remaining 4
+    expect(legLamports(0.00000001)).toEqual([3, 3, 4]);
+  });
+
+  it('still adds up when the legs are scaled down to keep the minimum balance', () => {
+    const { legs } = calculateClaimSplit(1, 0.5);
+
+    expect(legs.reduce((sum, leg) => sum + solToLamports(leg.amount), 0)).toBe(solToLamports(0.49));
+  });
+
+  it('puts the whole amount on a 10000 bps leg', () => {
+    mockPolicy = [
+      { name: 'treasury', bps: 0, destination: 'Treasury111' },
+      { name: 'buyback', bps: 10000 },
+    ];
+
+    expect(calculateClaimSplit(0.3, 100)).toMatchObject({ treasuryAmount: 0, buybackAmount: 0.3 });
+  });
+});
@@ -1,17 +1,20 @@
 // backend/src/services/feeClaim.ts
 import { Keypair, PublicKey } from '@solana/web3.js';
 import { pumpFunAPI } from '../lib/pumpfun';
-import { keypairFromSecret, lamportsToSol, solToLamports } from '../lib/solana';
-import { connection } from '../lib/solana';
+import { keypairFromSecret, lamportsToSol, solToLamports, getBalanceChanges } from '../lib/solana';
 import { log } from '../lib/logger';
-import { 
-  creatorWalletSecret, 
+import {
+  creatorWalletSecret,
   tokenMint,
-  treasuryPercent,
-  buybackPercent 
+  splitPolicy
 } from '../env';
-import { insertClaim, updateClaimStatus } from '../db/queries';
-import { ClaimResult } from '../types';
+import {
+  insertClaim,
+  updateClaimStatus,
+  getClaimBySignature,
+  getSplitTransfersByClaim,
+} from '../db/queries';
+import { AutoPumpError, ClaimResult, SignatureCallback, SplitLegAmount } from '../types';
 
 // Minimum SOL to keep in wallet for gas fees
 // This is a safety check, not a deduction from rewards
@@ -19,14 +22,16 @@ const MIN_WALLET_BALANCE_SOL = 0.01;
 
 /**
  * Claim creator fees from Pump.fun
- * 
- * IMPORTANT: 
+ *
+ * IMPORTANT:
  * - Splits ALL claimed rewards (doesn't deduct gas from rewards)
  * - Verifies wallet will maintain minimum balance for future gas
  * - Only adjusts if wallet would drop below minimum (rare)
  */
 export async function claimCreatorFees(
-  estimatedAmount?: number
+  estimatedAmount?: number,
+  onSent?: SignatureCallback,
+  deadline?: number
 ): Promise<ClaimResult> {
   const creatorKeypair = keypairFromSecret(creatorWalletSecret);
   let claimId: number | undefined;
@@ -38,61 +43,209 @@ export async function claimCreatorFees(
       estimatedAmount,
     });
 
-    // Get balance BEFORE claim
-    const balanceBefore = await connection.getBalance(creatorKeypair.publicKey);
-    const solBefore = balanceBefore / 1e9;
-
-    log.claim('Wallet balance before claim', {
-      lamports: balanceBefore,
-      sol: solBefore,
-    });
-
     // Claim fees from Pump.fun (claims ALL accumulated fees)
     const signature = await pumpFunAPI.claimFees(
       tokenMint,
       creatorKeypair,
-      estimatedAmount
+      estimatedAmount,
+      onSent,
+      deadline
     );
 
-    // Wait a moment for balance to update
-    await new Promise(resolve => setTimeout(resolve, 2000));
+    const { claimedAmount, networkFee, solAfter } = await readClaimAmounts(
+      signature,
+      creatorKeypair.publicKey
+    );
 
-    // Get balance AFTER claim
-    const balanceAfter = await connection.getBalance(creatorKeypair.publicKey);
-    const solAfter = balanceAfter / 1e9;
+    const split = await recordClaimSplit(signature, claimedAmount, networkFee, solAfter, estimatedAmount);
+    claimId = split.claimId;
 
-    log.claim('Wallet balance after claim', {
-      lamports: balanceAfter,
-      sol: solAfter,
-    });
+    return {
+      success: true,
+      signature,
+      claimId,
+      claimedAmount,
+      networkFee,
+      treasuryAmount: split.treasuryAmount,
+      buybackAmount: split.buybackAmount,
+      split: split.legs,
+      timestamp: Date.now(),
+    };
+  } catch (error) {
+    log.error('Fee claim failed', error, { mint: tokenMint });
 
-    // Calculate ACTUAL claimed amount from balance change
-    const claimedAmount = solAfter - solBefore;
+    if (claimId) {
+      await updateClaimStatus(
+        claimId,
+        'failed',
+        undefined,
+        error instanceof Error ? error.message : 'Unknown error'
+      );
+    }
 
-// ✅ SAFETY CHECK: Must receive at least 0.001 SOL to continue
-// This prevents wasting gas on claims when there are no actual fees
-  if (claimedAmount < 0.001) {
-    const gasCost = Math.abs(claimedAmount);
-    throw new Error(
-      `No meaningful fees received from claim. ` +
-      `Balance change: ${claimedAmount.toFixed(9)} SOL. ` +
-      `This indicates there were no actual fees to claim (dashboard likely shows $0.00). ` +
-      `Gas wasted: ${gasCost.toFixed(9)} SOL`
+    return {
+      success: false,
+      claimedAmount: 0,
+      treasuryAmount: 0,
+      buybackAmount: 0,
+      error: error instanceof Error ? error.message : 'Unknown error',
+      errorCode: error instanceof AutoPumpError ? error.code : undefined,
+      timestamp: Date.now(),
+    };
+  }
+}
+
+/**
+ * Rebuild the result of a claim transaction that landed on-chain but was
+ * never recorded (e.g. the process stopped while waiting for confirmation).
+ *
+ * The amounts are read from the transaction metadata, the same way a live
+ * claim reads them.
+ */
+export async function recoverClaim(signature: string): Promise<ClaimResult> {
+  const creatorKeypair = keypairFromSecret(creatorWalletSecret);
+
+  try {
+    const existing: any = await getClaimBySignature(signature);
+
+    if (existing) {
+      log.claim('Claim already recorded, reusing database amounts', {
+        claimId: existing.id,
+        signature,
+      });
+
+      const claimedAmount = lamportsToSol(Number(existing.claimed_amount));
+      const networkFee = existing.network_fee !== null ? lamportsToSol(Number(existing.network_fee)) : undefined;
+      const treasuryAmount = lamportsToSol(Number(existing.treasury_amount));
+      const buybackAmount = lamportsToSol(Number(existing.buyback_amount));
+
+      return {
+        success: true,
+        signature,
+        claimId: existing.id,
+        claimedAmount,
+        networkFee,
+        treasuryAmount,
+        buybackAmount,
+        split: await rebuildRecordedSplit(existing.id, treasuryAmount, buybackAmount),
+        timestamp: Date.now(),
+      };
+    }
+
+    const { claimedAmount, networkFee, solAfter } = await readClaimAmounts(
+      signature,
+      creatorKeypair.publicKey
     );
+
+    log.claim('Recovering unrecorded claim from transaction metadata', {
+      signature,
+      claimedAmount,
+      networkFee,
+    });
+
+    const split = await recordClaimSplit(signature, claimedAmount, networkFee, solAfter);
+
+    return {
+      success: true,
+      signature,
+      claimId: split.claimId,
+      claimedAmount,
+      networkFee,
+      treasuryAmount: split.treasuryAmount,
+      buybackAmount: split.buybackAmount,
+      split: split.legs,
+      timestamp: Date.now(),
+    };
+  } catch (error) {
+    log.error('Claim recovery failed', error, { signature });
+
+    return {
+      success: false,
+      signature,
+      claimedAmount: 0,
+      treasuryAmount: 0,
+      buybackAmount: 0,
+      error: error instanceof Error ? error.message : 'Unknown error',
+      timestamp: Date.now(),
+    };
   }
+}
 
-  log.claim('Actual claimed amount determined', {
-    estimatedAmount,
-    actualAmount: claimedAmount,
-    difference: claimedAmount - (estimatedAmount || 0),
+/**
+ * Read the exact amounts of a confirmed claim from its transaction metadata
+ *
+ * The claimed amount is what left the creator vault, so the network fee the
+ * creator paid for the claim is not taken out of it. Claims of graduated
+ * tokens are paid from the PumpSwap vault, which is not the bonding curve
+ * vault; they fall back to the creator's balance change with the fee added
+ * back.
+ *
+ * @returns Amounts in SOL, solAfter being the creator balance once it landed
+ */
+async function readClaimAmounts(
+  signature: string,
+  creator: PublicKey
+): Promise<{ claimedAmount: number; networkFee: number; solAfter: number }> {
+  const creatorKey = creator.toBase58();
+  const vault = await pumpFunAPI.getCreatorVaultPDA(creator);
+  const tx = await getBalanceChanges(signature, [creator, vault]);
+
+  if (tx.changes[creatorKey] === undefined) {
+    throw new Error(`Creator wallet not found in claim transaction ${signature}`);
+  }
+
+  const networkFee = tx.feePayer === creatorKey ? tx.fee : 0;
+  const vaultChange = tx.changes[vault.toBase58()];
+  const claimedLamports = vaultChange !== undefined
+    ? -vaultChange
+    : tx.changes[creatorKey] + networkFee;
+
+  log.claim('Claim amounts read from transaction metadata', {
+    signature,
+    slot: tx.slot,
+    claimedLamports,
+    networkFee,
+    source: vaultChange !== undefined ? 'creator_vault' : 'creator_wallet',
   });
 
+  return {
+    claimedAmount: lamportsToSol(claimedLamports),
+    networkFee: lamportsToSol(networkFee),
+    solAfter: lamportsToSol(tx.postBalances[creatorKey]),
+  };
+}
+
+/**
+ * Calculate the split of a claimed amount across the configured split policy
+ * 
+ * Splits the FULL claimed amount by each leg's bps, only scaling every leg
+ * down when the transfers would leave the creator wallet below the minimum
+ * balance kept for gas. The buyback leg is spent from the creator wallet, so
+ * it counts towards the total sent.
+ * 
+ * @param claimedAmount - SOL received from the claim
+ * @param solAfter - Creator wallet balance once the claim has landed
+ */
+export function calculateClaimSplit(
+  claimedAmount: number,
+  solAfter: number
+): { legs: SplitLegAmount[]; treasuryAmount: number; buybackAmount: number } {
+  // Legs are whole lamports; what rounding down leaves goes to the largest
+  // leg, so the legs always add up to the amount split
+  const splitFrom = (amount: number): SplitLegAmount[] => {
+    const total = BigInt(solToLamports(amount));
+    const lamports = splitPolicy.map((leg) => (total * BigInt(leg.bps)) / 10000n);
+    const largest = splitPolicy.reduce((max, leg, index) => (leg.bps > splitPolicy[max].bps ? index : max), 0);
+    lamports[largest] += total - lamports.reduce((sum, value) => sum + value, 0n);
+
+    return splitPolicy.map((leg, index) => ({ ...leg, amount: lamportsToSol(Number(lamports[index])) }));
+  };
+
   // Calculate splits from FULL claimed amount
-  let treasuryAmount = (claimedAmount * treasuryPercent) / 100;
-  let buybackAmount = (claimedAmount * buybackPercent) / 100;
+  let legs = splitFrom(claimedAmount);
 
   // Safety check: Verify wallet will maintain minimum balance after transfers
-  const totalToSend = treasuryAmount + buybackAmount;
+  const totalToSend = legs.reduce((sum, leg) => sum + leg.amount, 0);
   const willRemain = solAfter - totalToSend;
 
   if (willRemain < MIN_WALLET_BALANCE_SOL) {
@@ -105,80 +258,115 @@ export async function claimCreatorFees(
 
     // Adjust: Keep minimum balance, split the rest
     const availableToSend = Math.max(0, solAfter - MIN_WALLET_BALANCE_SOL);
-    treasuryAmount = (availableToSend * treasuryPercent) / 100;
-    buybackAmount = (availableToSend * buybackPercent) / 100;
+    legs = splitFrom(availableToSend);
 
     log.claim('Amounts adjusted to maintain minimum balance', {
-      adjustedTreasury: treasuryAmount,
-      adjustedBuyback: buybackAmount,
-      willNowRemain: solAfter - treasuryAmount - buybackAmount,
+      adjusted: Object.fromEntries(legs.map((leg) => [leg.name, leg.amount])),
+      willNowRemain: solAfter - availableToSend,
     });
   }
 
-    log.claim('Split calculation (from full claimed amount)', {
-      claimedAmount,
-      treasuryAmount,
-      buybackAmount,
-      totalSending: treasuryAmount + buybackAmount,
-      willRemainInWallet: solAfter - treasuryAmount - buybackAmount,
-      minBalanceCheck: willRemain >= MIN_WALLET_BALANCE_SOL ? 'PASS' : 'ADJUSTED',
-    });
+  const treasuryAmount = legs.find((leg) => leg.name === 'treasury')?.amount ?? 0;
+  const buybackAmount = legs.find((leg) => leg.name === 'buyback')?.amount ?? 0;
+  const totalSending = legs.reduce((sum, leg) => sum + leg.amount, 0);
 
-    // Verify split totals are valid
-    if (treasuryAmount <= 0 || buybackAmount <= 0) {
-      throw new Error(
-        `Invalid split amounts: treasury=${treasuryAmount}, buyback=${buybackAmount}`
-      );
+  log.claim('Split calculation (from full claimed amount)', {
+    claimedAmount,
+    legs: Object.fromEntries(legs.map((leg) => [leg.name, leg.amount])),
+    totalSending,
+    willRemainInWallet: solAfter - totalSending,
+    minBalanceCheck: willRemain >= MIN_WALLET_BALANCE_SOL ? 'PASS' : 'ADJUSTED',
+  });
+
+  return { legs, treasuryAmount, buybackAmount };
+}
+
+/**
+ * Rebuild the split of an already recorded claim. Legs that were transferred
+ * use their recorded amounts; the rest fall back to the claim's treasury and
+ * buyback columns, or 0 for legs that were never sent.
+ */
+async function rebuildRecordedSplit(
+  claimId: number,
+  treasuryAmount: number,
+  buybackAmount: number
+): Promise<SplitLegAmount[]> {
+  const transfers: any[] = await getSplitTransfersByClaim(claimId);
+
+  return splitPolicy.map((leg) => {
+    const transfer = transfers.find((row) => row.leg === leg.name);
+    let amount = 0;
+
+    if (transfer) {
+      amount = lamportsToSol(Number(transfer.amount));
+    } else if (leg.name === 'treasury') {
+      amount = treasuryAmount;
+    } else if (leg.name === 'buyback') {
+      amount = buybackAmount;
     }
 
-    // Record claim in database
-    claimId = await insertClaim(
-      signature,
-      solToLamports(claimedAmount),
-      solToLamports(treasuryAmount),
-      solToLamports(buybackAmount)
+    return { ...leg, amount };
+  });
+}
+
+/**
+ * Split a claimed amount across the split policy and record the claim
+ */
+async function recordClaimSplit(
+  signature: string,
+  claimedAmount: number,
+  networkFee: number,
+  solAfter: number,
+  estimatedAmount?: number
+): Promise<{ claimId: number; legs: SplitLegAmount[]; treasuryAmount: number; buybackAmount: number }> {
+  // ✅ SAFETY CHECK: Must receive at least 0.001 SOL to continue
+  // This prevents wasting gas on claims when there are no actual fees
+  if (claimedAmount < 0.001) {
+    throw new Error(
+      `No meaningful fees received from claim. ` +
+      `Claimed: ${claimedAmount.toFixed(9)} SOL. ` +
+      `This indicates there were no actual fees to claim (dashboard likely shows $0.00). ` +
+      `Gas wasted: ${networkFee.toFixed(9)} SOL`
     );
+  }
 
-    // Update status to confirmed
-    await updateClaimStatus(claimId, 'confirmed');
+  log.claim('Actual claimed amount determined', {
+    estimatedAmount,
+    actualAmount: claimedAmount,
+    difference: claimedAmount - (estimatedAmount || 0),
+    networkFee,
+  });
 
-    const result: ClaimResult = {
-      success: true,
-      signature,
-      claimedAmount,
-      treasuryAmount,
-      buybackAmount,
-      timestamp: Date.now(),
-    };
+  const { legs, treasuryAmount, buybackAmount } = calculateClaimSplit(claimedAmount, solAfter);
 
-    log.claim('Claim recorded in database', { 
-      claimId, 
-      signature,
-      claimedAmount,
-      treasuryAmount,
-      buybackAmount,
-    });
+  // Verify split totals are valid (individual legs may be 0 bps)
+  if (legs.reduce((sum, leg) => sum + leg.amount, 0) <= 0) {
+    throw new Error(
+      `Invalid split amounts: ${legs.map((leg) => `${leg.name}=${leg.amount}`).join(', ')}`
+    );
+  }
 
-    return result;
-  } catch (error) {
-    log.error('Fee claim failed', error, { mint: tokenMint });
+  // Record claim in database
+  const claimId = await insertClaim(
+    signature,
+    solToLamports(claimedAmount),
+    solToLamports(treasuryAmount),
+    solToLamports(buybackAmount),
+    solToLamports(networkFee)
+  );
 
-    if (claimId) {
-      await updateClaimStatus(
-        claimId,
-        'failed',
-        undefined,
-        error instanceof Error ? error.message : 'Unknown error'
-      );
-    }
+  // Update status to confirmed
+  await updateClaimStatus(claimId, 'confirmed');
 
-    return {
-      success: false,
-      claimedAmount: 0,
-      treasuryAmount: 0,
-      buybackAmount: 0,
-      error: error instanceof Error ? error.message : 'Unknown error',
-      timestamp: Date.now(),
-    };
-  }
-}
\ No newline at end of file
+  log.claim('Claim recorded in database', {
+    claimId,
+    signature,
+    claimedAmount,
+    networkFee,
+    treasuryAmount,
+    buybackAmount,
+    split: Object.fromEntries(legs.map((leg) => [leg.name, leg.amount])),
+  });
+
+  return { claimId, legs, treasuryAmount, buybackAmount };
+}
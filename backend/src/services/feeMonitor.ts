@@ -1,29 +1,49 @@
 import { pumpFunAPI } from '../lib/pumpfun';
 import { log } from '../lib/logger';
-import { tokenMint, claimThresholdSol } from '../env';
-import { insertMonitorCheck } from '../db/queries';
-import { ClaimableFeesResponse, InsufficientFeesError } from '../types';
+import { claimableFeesSol } from '../lib/metrics';
+import {
+  tokenMint,
+  claimThresholdSol,
+  claimThresholdMode,
+  claimCostMultiple,
+  monitorCheckSampleMinutes,
+  monitorCheckRetentionDays,
+} from '../env';
+import { cleanupOldMonitorChecks, insertMonitorCheck } from '../db/queries';
+import { estimateFlowCost } from './flowCost';
+import {
+  ClaimableFeesResponse,
+  ClaimDecision,
+  FlowCostEstimate,
+  InsufficientFeesError,
+} from '../types';
 
 /**
  * Check claimable fees from Pump.fun bonding curve
+ *
+ * @param threshold - Threshold (in SOL) recorded with the check
  */
-export async function checkClaimableFees(): Promise<ClaimableFeesResponse> {
+export async function checkClaimableFees(
+  threshold: number = claimThresholdSol
+): Promise<ClaimableFeesResponse> {
   try {
     log.monitor('Checking claimable fees', { mint: tokenMint });
 
     const feesResponse = await pumpFunAPI.getClaimableFees(tokenMint);
+    claimableFeesSol.set(feesResponse.claimableFees);
 
-    // Log the check to database
+    // Log the check to database (sampled, see MONITOR_CHECK_SAMPLE_MINUTES)
     await insertMonitorCheck(
       Math.floor(feesResponse.claimableFees * 1e9), // Convert to lamports
-      Math.floor(claimThresholdSol * 1e9),
-      feesResponse.claimableFees >= claimThresholdSol,
+      Math.floor(threshold * 1e9),
+      feesResponse.claimableFees >= threshold,
+      monitorCheckSampleMinutes
     );
 
     log.monitor('Fee check complete', {
       claimableFees: feesResponse.claimableFees,
-      threshold: claimThresholdSol,
-      meetsThreshold: feesResponse.claimableFees >= claimThresholdSol,
+      threshold,
+      meetsThreshold: feesResponse.claimableFees >= threshold,
     });
 
     return feesResponse;
@@ -34,43 +54,72 @@ export async function checkClaimableFees(): Promise<ClaimableFeesResponse> {
 }
 
 /**
- * Check if fees meet threshold for claiming
+ * Work out the claim threshold for the configured CLAIM_THRESHOLD_MODE
+ *
+ * fixed: CLAIM_THRESHOLD_SOL
+ * gas-aware: CLAIM_COST_MULTIPLE x the estimated cost of the whole flow
  */
-export async function shouldClaimFees(force: boolean = false): Promise<{
-  shouldClaim: boolean;
-  claimableFees: number;
-  reason: string;
+export async function getClaimThreshold(): Promise<{
+  threshold: number;
+  costEstimate?: FlowCostEstimate;
 }> {
+  if (claimThresholdMode === 'fixed') {
+    return { threshold: claimThresholdSol };
+  }
+
+  const costEstimate = await estimateFlowCost();
+  return {
+    threshold: costEstimate.totalSol * claimCostMultiple,
+    costEstimate,
+  };
+}
+
+/**
+ * Check if fees meet threshold for claiming
+ */
+export async function shouldClaimFees(force: boolean = false): Promise<ClaimDecision> {
   try {
-    const feesResponse = await checkClaimableFees();
+    const { threshold, costEstimate } = await getClaimThreshold();
+    const feesResponse = await checkClaimableFees(threshold);
     const { claimableFees } = feesResponse;
 
+    const decision: ClaimDecision = {
+      shouldClaim: true,
+      claimableFees,
+      threshold,
+      thresholdMode: claimThresholdMode,
+      reason: '',
+    };
+
+    let thresholdReason = `threshold (${threshold} SOL)`;
+    if (costEstimate) {
+      decision.costEstimate = costEstimate;
+      decision.costMultiple = claimCostMultiple;
+      thresholdReason =
+        `threshold (${threshold} SOL = ${claimCostMultiple}x estimated ` +
+        `flow cost of ${costEstimate.totalSol} SOL)`;
+    }
+
     if (force) {
-      return {
-        shouldClaim: true,
-        claimableFees,
-        reason: 'Manual force claim triggered',
-      };
+      decision.reason = 'Manual force claim triggered';
+      return decision;
     }
 
-    if (claimableFees < claimThresholdSol) {
-      return {
-        shouldClaim: false,
-        claimableFees,
-        reason: `Fees (${claimableFees} SOL) below threshold (${claimThresholdSol} SOL)`,
-      };
+    if (claimableFees < threshold) {
+      decision.shouldClaim = false;
+      decision.reason = `Fees (${claimableFees} SOL) below ${thresholdReason}`;
+      return decision;
     }
 
-    return {
-      shouldClaim: true,
-      claimableFees,
-      reason: `Fees (${claimableFees} SOL) meet threshold (${claimThresholdSol} SOL)`,
-    };
+    decision.reason = `Fees (${claimableFees} SOL) meet ${thresholdReason}`;
+    return decision;
   } catch (error) {
     log.error('Error checking if should claim fees', error);
     return {
       shouldClaim: false,
       claimableFees: 0,
+      threshold: claimThresholdSol,
+      thresholdMode: claimThresholdMode,
       reason: `Error: ${error instanceof Error ? error.message : 'Unknown error'}`,
     };
   }
@@ -82,6 +131,7 @@ export async function shouldClaimFees(force: boolean = false): Promise<{
 export async function getCurrentClaimableFees(): Promise<number> {
   try {
     const feesResponse = await pumpFunAPI.getClaimableFees(tokenMint);
+    claimableFeesSol.set(feesResponse.claimableFees);
     return feesResponse.claimableFees;
   } catch (error) {
     log.error('Error getting current claimable fees', error);
@@ -98,7 +148,7 @@ export async function validateFeesForClaim(force: boolean = false): Promise<numb
   if (!decision.shouldClaim) {
     throw new InsufficientFeesError(
       decision.claimableFees,
-      claimThresholdSol
+      decision.threshold
     );
   }
 
@@ -108,4 +158,18 @@ export async function validateFeesForClaim(force: boolean = false): Promise<numb
   });
 
   return decision.claimableFees;
-}
\ No newline at end of file
+}
+
+/**
+ * Delete saved fee checks older than MONITOR_CHECK_RETENTION_DAYS
+ *
+ * Never throws: pruning is housekeeping and retried on the next run.
+ */
+export async function pruneMonitorChecks(): Promise<number> {
+  try {
+    return await cleanupOldMonitorChecks(monitorCheckRetentionDays);
+  } catch (error) {
+    log.error('Failed to prune monitor checks', error);
+    return 0;
+  }
+}
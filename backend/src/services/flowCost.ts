@@ -0,0 +1,106 @@
+// backend/src/services/flowCost.ts
+import { PublicKey } from '@solana/web3.js';
+import { AccountLayout, getAssociatedTokenAddress } from '@solana/spl-token';
+import {
+  getConnection,
+  keypairFromSecret,
+  lamportsToSol,
+  getPriorityFee,
+  LAMPORTS_PER_SIGNATURE,
+} from '../lib/solana';
+import { log } from '../lib/logger';
+import {
+  creatorWalletSecret,
+  tokenMint,
+  splitPolicy,
+  burnMode,
+  burnAddress,
+  buybackTranches,
+} from '../env';
+import { isTrancheModeEnabled } from './buybackTranches';
+import { FlowCostEstimate, FlowStep, FlowStepCost } from '../types';
+
+/**
+ * Estimate what one claim flow costs in SOL before claiming
+ *
+ * Covers every transaction the flow sends: the claim, the split transfer,
+ * each buy and each burn (one per tranche in tranche mode). Each gets the
+ * base signature fee (every flow transaction has one signer) plus the
+ * priority fee current network fees would give it. Token accounts
+ * the flow would have to create (the creator's token account for the buy,
+ * the incinerator's for incinerator burns) add their rent.
+ */
+export async function estimateFlowCost(): Promise<FlowCostEstimate> {
+  const creator = keypairFromSecret(creatorWalletSecret).publicKey;
+  const mint = new PublicKey(tokenMint);
+
+  const hasTransferLegs = splitPolicy.some((leg) => leg.destination && leg.bps > 0);
+  const hasBuyback = splitPolicy.some((leg) => leg.name === 'buyback' && leg.bps > 0);
+  const buys = hasBuyback ? (isTrancheModeEnabled() ? buybackTranches : 1) : 0;
+
+  const tokenAccountRent = await getConnection().getMinimumBalanceForRentExemption(AccountLayout.span);
+  const creatorTokenAccount = await getAssociatedTokenAddress(mint, creator);
+  const creatorAtaMissing = hasBuyback && !(await accountExists(creatorTokenAccount));
+  const incineratorAtaMissing = hasBuyback && burnMode === 'incinerator' && !(await accountExists(
+    await getAssociatedTokenAddress(mint, new PublicKey(burnAddress), true)
+  ));
+
+  const priorityFeeSol = async (step: FlowStep, accounts: PublicKey[]) =>
+    lamportsToSol((await getPriorityFee(step, accounts)).lamports);
+
+  const steps: FlowStepCost[] = [
+    stepCost('claim', 1, await priorityFeeSol('claim', [creator]), 0),
+    stepCost('treasury', hasTransferLegs ? 1 : 0, await priorityFeeSol('treasury', [creator]), 0),
+    stepCost(
+      'buyback',
+      buys,
+      await priorityFeeSol('buyback', [creator]),
+      creatorAtaMissing ? tokenAccountRent : 0
+    ),
+    stepCost(
+      'burn',
+      buys,
+      await priorityFeeSol('burn', [creatorTokenAccount]),
+      incineratorAtaMissing ? tokenAccountRent : 0
+    ),
+  ];
+
+  const estimate: FlowCostEstimate = {
+    steps,
+    totalSol: steps.reduce((sum, step) => sum + step.totalSol, 0),
+    timestamp: Date.now(),
+  };
+
+  log.monitor('Claim flow cost estimated', {
+    totalSol: estimate.totalSol,
+    transactions: steps.reduce((sum, step) => sum + step.transactions, 0),
+    creatorAtaMissing,
+    incineratorAtaMissing,
+  });
+
+  return estimate;
+}
+
+function stepCost(
+  step: FlowStep,
+  transactions: number,
+  priorityFeePerTxSol: number,
+  rentLamports: number
+): FlowStepCost {
+  const networkFeeSol = lamportsToSol(transactions * LAMPORTS_PER_SIGNATURE);
+  const priorityFeeSol = transactions * priorityFeePerTxSol;
+  const rentSol = lamportsToSol(rentLamports);
+
+  return {
+    step,
+    transactions,
+    networkFeeSol,
+    priorityFeeSol,
+    rentSol,
+    totalSol: networkFeeSol + priorityFeeSol + rentSol,
+  };
+}
+
+async function accountExists(address: PublicKey): Promise<boolean> {
+  return (await getConnection().getAccountInfo(address)) !== null;
+}
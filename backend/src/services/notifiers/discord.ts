@@ -0,0 +1,44 @@
+// backend/src/services/notifiers/discord.ts
+import { NotificationChannelConfig } from '../../env';
+import { NotificationEvent } from '../../types';
+import { formatNotification, NotificationMessage, NotificationRequest } from './format';
+
+const EMBED_COLORS: Record<NotificationMessage['level'], number> = {
+  success: 0x2ecc71,
+  error: 0xe74c3c,
+  warning: 0xf39c12,
+  info: 0x3498db,
+};
+
+// Longer values get a row of their own instead of sharing it
+const MAX_INLINE_LENGTH = 40;
+
+/**
+ * Discord webhook: one embed, colored by outcome, amounts as fields and
+ * explorer links in the description
+ */
+export function buildDiscordRequest(
+  channel: NotificationChannelConfig,
+  event: NotificationEvent
+): NotificationRequest {
+  const message = formatNotification(event);
+
+  return {
+    url: channel.url,
+    body: {
+      embeds: [
+        {
+          title: message.title,
+          color: EMBED_COLORS[message.level],
+          description: message.links.map((link) => `[${link.label}](${link.url})`).join(' · ') || undefined,
+          fields: message.fields.map((field) => ({
+            name: field.label,
+            value: field.value,
+            inline: field.value.length <= MAX_INLINE_LENGTH,
+          })),
+          timestamp: new Date(event.timestamp).toISOString(),
+        },
+      ],
+    },
+  };
+}
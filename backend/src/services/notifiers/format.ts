@@ -0,0 +1,152 @@
+// backend/src/services/notifiers/format.ts
+import { getAccountExplorerUrl, getExplorerUrl } from '../../lib/solana';
+import { formatTokenAmount } from '../../lib/pumpfun';
+import { tokenSymbol } from '../../env';
+import { NotificationEvent } from '../../types';
+
+export interface NotificationMessage {
+  title: string;
+  level: 'success' | 'error' | 'warning' | 'info';
+  fields: Array<{ label: string; value: string }>;
+  links: Array<{ label: string; url: string }>;
+}
+
+// HTTP POST an adapter turns an event into
+export interface NotificationRequest {
+  url: string;
+  body: Record<string, unknown>;
+}
+
+// Title prefix for channels without colored messages
+export const LEVEL_EMOJI: Record<NotificationMessage['level'], string> = {
+  success: '✅',
+  error: '❌',
+  warning: '⚠️',
+  info: 'ℹ️',
+};
+
+// Error messages can carry whole program logs; chat fields have size limits
+const MAX_ERROR_LENGTH = 500;
+
+/**
+ * Channel-independent content of a notification: a title, the amounts as
+ * labelled fields, and explorer links of every transaction involved
+ */
+export function formatNotification(event: NotificationEvent): NotificationMessage {
+  switch (event.event) {
+    case 'claim_complete':
+      return {
+        title: `Claimed ${formatSol(event.claimedAmount)}`,
+        level: 'success',
+        fields: [
+          ...(event.runId !== undefined ? [{ label: 'Run', value: `#${event.runId}` }] : []),
+          { label: 'Claimed', value: formatSol(event.claimedAmount) },
+          ...(event.split || [])
+            .filter((leg) => leg.destination && leg.amount > 0)
+            .map((leg) => ({ label: capitalize(leg.name), value: formatSol(leg.amount) })),
+          { label: 'Buyback', value: formatSol(event.buybackAmount) },
+          { label: 'Burned', value: `${formatTokenAmount(event.tokensBurned)} ${tokenSymbol}` },
+        ],
+        links: transactionLinks([
+          ['Claim', event.claimSignature],
+          ['Treasury', event.treasurySignature],
+          ['Buyback', event.buybackSignature],
+          ['Burn', event.burnSignature],
+        ]),
+      };
+
+    case 'claim_failed':
+      return {
+        title: event.step ? `Claim flow failed at ${event.step}` : 'Claim flow failed',
+        level: 'error',
+        fields: [
+          ...(event.runId !== undefined ? [{ label: 'Run', value: `#${event.runId}` }] : []),
+          { label: 'Error', value: truncate(event.error) },
+        ],
+        links: transactionLinks([['Transaction', event.signature]]),
+      };
+
+    case 'paused':
+      if (event.pausedBy === 'admin') {
+        return {
+          title: 'System paused by an admin',
+          level: 'warning',
+          fields: [
+            ...(event.keyId ? [{ label: 'Admin key', value: event.keyId }] : []),
+            ...(event.reason ? [{ label: 'Reason', value: truncate(event.reason) }] : []),
+          ],
+          links: [],
+        };
+      }
+
+      return {
+        title: `System paused: ${event.step} keeps failing`,
+        level: 'error',
+        fields: [
+          { label: 'Step', value: String(event.step) },
+          { label: 'Consecutive failures', value: String(event.consecutiveFailures) },
+          { label: 'Reason', value: truncate(event.reason ?? '') },
+          ...(event.retryAt !== undefined
+            ? [{ label: 'Probe after', value: new Date(event.retryAt).toISOString() }]
+            : []),
+        ],
+        links: [],
+      };
+
+    case 'resumed':
+      if (event.resumedBy === 'admin') {
+        return {
+          title: 'System resumed by an admin',
+          level: 'success',
+          fields: event.keyId ? [{ label: 'Admin key', value: event.keyId }] : [],
+          links: [],
+        };
+      }
+
+      return {
+        title: `Circuit breaker closed: ${event.step} succeeded`,
+        level: 'success',
+        fields: [{ label: 'Step', value: String(event.step) }],
+        links: [],
+      };
+
+    case 'probing':
+      return {
+        title: 'Circuit breaker cooled down, resuming for a probe',
+        level: 'info',
+        fields: [{ label: 'Steps', value: event.steps.join(', ') }],
+        links: [],
+      };
+
+    case 'low_balance':
+      return {
+        title: `Creator wallet balance low: ${formatSol(event.balance)}`,
+        level: 'warning',
+        fields: [
+          { label: 'Balance', value: formatSol(event.balance) },
+          { label: 'Alert below', value: formatSol(event.threshold) },
+        ],
+        links: [{ label: 'Wallet', url: getAccountExplorerUrl(event.wallet) }],
+      };
+  }
+}
+
+function transactionLinks(
+  signatures: Array<[string, string | undefined]>
+): NotificationMessage['links'] {
+  return signatures
+    .filter((entry): entry is [string, string] => Boolean(entry[1]))
+    .map(([label, signature]) => ({ label, url: getExplorerUrl(signature) }));
+}
+
+function formatSol(amount: number): string {
+  return `${Number(amount.toFixed(6))} SOL`;
+}
+
+function capitalize(name: string): string {
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+function truncate(text: string): string {
+  return text.length > MAX_ERROR_LENGTH ? `${text.slice(0, MAX_ERROR_LENGTH)}…` : text;
+}
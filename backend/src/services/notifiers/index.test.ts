@@ -0,0 +1,114 @@
+import { beforeEach, describe, expect, it, jest } from '@jest/globals';
+import axios from 'axios';
+import { deliverDueNotifications, notify } from './index';
+import { insertOutboxNotifications, leaseDueNotifications, markNotificationFailed } from '../../db/queries';
+import { ClaimFailedNotification, NotificationChannelType, NotificationOutboxRecord } from '../../types';
+
+jest.mock('../../env', () => ({
+  notificationChannels: [
+    { type: 'webhook', url: 'https://hooks.example/autopump', events: ['claim_failed'] },
+    { type: 'discord', url: 'https://discord.example/api/webhooks/1/token', events: ['claim_failed'] },
+  ],
+  webhookSecret: 'test-secret',
+  tokenSymbol: 'PUMP',
+  rpcEndpoints: [],
+}));
+jest.mock('../../lib/logger', () => ({
+  log: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+jest.mock('../../lib/solana', () => ({
+  getExplorerUrl: (signature: string) => `https://explorer.example/tx/${signature}`,
+  getAccountExplorerUrl: (address: string) => `https://explorer.example/account/${address}`,
+}));
+jest.mock('../../lib/pumpfun', () => ({ formatTokenAmount: (amount: string) => amount }));
+jest.mock('../../db/queries');
+jest.mock('axios');
+
+const event: ClaimFailedNotification = {
+  event: 'claim_failed',
+  runId: 7,
+  error: 'RPC unavailable',
+  timestamp: 1_700_000_000_000,
+};
+
+function outboxRecord(channel: NotificationChannelType, attempts = 0): NotificationOutboxRecord {
+  return {
+    id: channel === 'webhook' ? 1 : 2,
+    event: event.event,
+    channel,
+    payload: event,
+    status: 'pending',
+    attempts,
+    nextAttemptAt: new Date(),
+    createdAt: new Date(),
+  };
+}
+
+// Headers of the POST sent to a URL
+function headersSentTo(url: string): Record<string, string> {
+  const call = jest.mocked(axios.post).mock.calls.find(([sentTo]) => sentTo === url);
+  return call?.[2]?.headers as Record<string, string>;
+}
+
+describe('notify', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(Date, 'now').mockReturnValue(event.timestamp);
+    jest.mocked(axios.post).mockResolvedValue({ status: 200 });
+    jest.mocked(insertOutboxNotifications).mockResolvedValue([outboxRecord('webhook'), outboxRecord('discord')]);
+  });
+
+  it('signs webhook deliveries with an HMAC of the timestamp and body', async () => {
+    await notify(event);
+
+    const body = '{"event":"claim_failed","runId":7,"error":"RPC unavailable","timestamp":1700000000000,"explorerLinks":{}}';
+    expect(axios.post).toHaveBeenCalledWith('https://hooks.example/autopump', body, expect.anything());
+    expect(headersSentTo('https://hooks.example/autopump')).toMatchObject({
+      'X-AutoPump-Delivery': '1',
+      'X-AutoPump-Event': 'claim_failed',
+      'X-AutoPump-Timestamp': '1700000000',
+      // HMAC-SHA256 of `1700000000.${body}` with 'test-secret'
+      'X-AutoPump-Signature': 'sha256=181147fc405a20a7ed59bcaef13f414657936b32b446af1f996ed82673ca66b7',
+    });
+  });
+
+  it('does not sign chat adapters', async () => {
+    await notify(event);
+
+    const headers = headersSentTo('https://discord.example/api/webhooks/1/token');
+    expect(headers).toMatchObject({ 'X-AutoPump-Delivery': '2' });
+    expect(headers).not.toHaveProperty('X-AutoPump-Timestamp');
+    expect(headers).not.toHaveProperty('X-AutoPump-Signature');
+  });
+});
+
+describe('deliverDueNotifications', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(Date, 'now').mockReturnValue(event.timestamp);
+    jest.mocked(axios.post).mockRejectedValue(new Error('Request failed with status code 502'));
+  });
+
+  it('schedules another attempt with backoff', async () => {
+    jest.mocked(leaseDueNotifications).mockResolvedValue([outboxRecord('webhook', 2)]);
+
+    const report = await deliverDueNotifications();
+
+    expect(report).toMatchObject({ attempted: 1, retrying: 1, dead: 0 });
+    // Third attempt failed: 30s * 2^2
+    expect(markNotificationFailed).toHaveBeenCalledWith(
+      1,
+      'Request failed with status code 502',
+      new Date(event.timestamp + 120_000)
+    );
+  });
+
+  it('dead-letters a notification after its last attempt', async () => {
+    jest.mocked(leaseDueNotifications).mockResolvedValue([outboxRecord('webhook', 11)]);
+
+    const report = await deliverDueNotifications();
+
+    expect(report).toMatchObject({ attempted: 1, retrying: 0, dead: 1 });
+    expect(markNotificationFailed).toHaveBeenCalledWith(1, 'Request failed with status code 502', null);
+  });
+});
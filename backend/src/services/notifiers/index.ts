@@ -0,0 +1,243 @@
+// backend/src/services/notifiers/index.ts
+import axios from 'axios';
+import { createHmac } from 'crypto';
+import { log } from '../../lib/logger';
+import { notificationChannels, webhookSecret, NotificationChannelConfig } from '../../env';
+import {
+  getOutboxNotificationById,
+  insertOutboxNotifications,
+  leaseDueNotifications,
+  markNotificationDelivered,
+  markNotificationFailed,
+  requeueDeadNotification,
+} from '../../db/queries';
+import {
+  NotificationChannelType,
+  NotificationEvent,
+  NotificationOutboxRecord,
+  RetryConflictError,
+} from '../../types';
+import { NotificationRequest } from './format';
+import { buildWebhookRequest } from './webhook';
+import { buildDiscordRequest } from './discord';
+import { buildSlackRequest } from './slack';
+import { buildTelegramRequest } from './telegram';
+
+// A slow chat API must not hold up the claim flow
+const NOTIFICATION_TIMEOUT_MS = 10_000;
+
+// Failed deliveries are retried 30s, 1m, 2m, ... and at most an hour apart,
+// then dead-lettered after the last attempt (about 5 hours in)
+const RETRY_BASE_SECONDS = 30;
+const RETRY_MAX_SECONDS = 60 * 60;
+const MAX_ATTEMPTS = 12;
+
+// A notification being delivered is leased this long, so a process that
+// dies mid-delivery leaves it to the retry job afterwards. Well above
+// NOTIFICATION_TIMEOUT_MS: a lease running out mid-send means a double send
+const DELIVERY_LEASE_SECONDS = 120;
+
+// Notifications attempted per retry pass, delivered concurrently so the
+// whole batch finishes within one NOTIFICATION_TIMEOUT_MS of its lease
+const RETRY_BATCH_SIZE = 50;
+
+const ADAPTERS: Record<
+  NotificationChannelType,
+  (channel: NotificationChannelConfig, event: NotificationEvent) => NotificationRequest
+> = {
+  webhook: buildWebhookRequest,
+  discord: buildDiscordRequest,
+  slack: buildSlackRequest,
+  telegram: buildTelegramRequest,
+};
+
+export interface OutboxDeliveryReport {
+  success: boolean;
+  attempted: number;
+  delivered: number;
+  retrying: number; // failed, another attempt is scheduled
+  dead: number; // failed for the last time
+  error?: string;
+  durationMs: number;
+  timestamp: number;
+}
+
+type DeliveryOutcome = 'delivered' | 'retrying' | 'dead';
+
+/**
+ * Send an event to every channel it is routed to (WEBHOOK_EVENTS,
+ * DISCORD_EVENTS, SLACK_EVENTS, TELEGRAM_EVENTS)
+ *
+ * The event is written to the notification outbox, one row per channel,
+ * and delivered right away. Channels that fail are retried later by
+ * deliverDueNotifications. Never throws.
+ */
+export async function notify(event: NotificationEvent): Promise<void> {
+  const channels = notificationChannels
+    .filter((channel) => channel.events.includes(event.event))
+    .map((channel) => channel.type);
+
+  if (channels.length === 0) {
+    return;
+  }
+
+  try {
+    const records = await insertOutboxNotifications(event, channels, DELIVERY_LEASE_SECONDS);
+    await Promise.all(records.map(deliver));
+  } catch (error) {
+    log.error(`Failed to queue ${event.event} notification`, error, { channels });
+  }
+}
+
+/**
+ * Retry pending notifications whose backoff has elapsed
+ *
+ * Rows are leased with FOR UPDATE SKIP LOCKED, so instances running this at
+ * the same time never send one twice.
+ */
+export async function deliverDueNotifications(): Promise<OutboxDeliveryReport> {
+  const startTime = Date.now();
+  const report: OutboxDeliveryReport = {
+    success: true,
+    attempted: 0,
+    delivered: 0,
+    retrying: 0,
+    dead: 0,
+    durationMs: 0,
+    timestamp: 0,
+  };
+
+  try {
+    const records = await leaseDueNotifications(RETRY_BATCH_SIZE, DELIVERY_LEASE_SECONDS);
+    const outcomes = await Promise.all(records.map(deliver));
+
+    for (const outcome of outcomes) {
+      report.attempted++;
+      report[outcome]++;
+    }
+
+    if (report.attempted > 0) {
+      log.info('Notification retries processed', {
+        attempted: report.attempted,
+        delivered: report.delivered,
+        retrying: report.retrying,
+        dead: report.dead,
+      });
+    }
+  } catch (error) {
+    log.error('Notification retry pass failed', error);
+    report.success = false;
+    report.error = error instanceof Error ? error.message : 'Unknown error';
+  }
+
+  report.durationMs = Date.now() - startTime;
+  report.timestamp = Date.now();
+  return report;
+}
+
+/**
+ * Give a dead notification a fresh set of attempts and deliver it now
+ *
+ * @returns The notification after the attempt, or null if it does not exist
+ * @throws RetryConflictError if it is not dead (delivered or still retrying)
+ */
+export async function replayNotification(id: number): Promise<NotificationOutboxRecord | null> {
+  const existing = await getOutboxNotificationById(id);
+
+  if (!existing) {
+    return null;
+  }
+
+  const record = await requeueDeadNotification(id, DELIVERY_LEASE_SECONDS);
+
+  if (!record) {
+    throw new RetryConflictError(
+      `Notification #${id} is ${existing.status}, only dead notifications can be replayed`,
+      { id, status: existing.status }
+    );
+  }
+
+  log.info(`Replaying ${record.event} notification #${id}`, { channel: record.channel });
+  await deliver(record);
+
+  return getOutboxNotificationById(id);
+}
+
+/**
+ * One delivery attempt, recorded on the outbox row
+ */
+async function deliver(record: NotificationOutboxRecord): Promise<DeliveryOutcome> {
+  const channel = notificationChannels.find((configured) => configured.type === record.channel);
+  const attempt = record.attempts + 1;
+
+  try {
+    if (!channel) {
+      throw new Error(`No ${record.channel} channel is configured`);
+    }
+
+    const request = ADAPTERS[channel.type](channel, record.payload);
+    const body = JSON.stringify(request.body);
+
+    await axios.post(request.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'X-AutoPump-Delivery': String(record.id),
+        'X-AutoPump-Event': record.event,
+        // WEBHOOK_SECRET signs generic webhooks only, never the chat APIs
+        ...(channel.type === 'webhook' && signatureHeaders(body)),
+      },
+      timeout: NOTIFICATION_TIMEOUT_MS,
+    });
+
+    await markNotificationDelivered(record.id);
+    log.debug('Notification delivered', { id: record.id, event: record.event, channel: record.channel });
+    return 'delivered';
+  } catch (error) {
+    // Only the message: the request URL holds webhook secrets and the bot token
+    const message = error instanceof Error ? error.message : String(error);
+    const dead = !channel || attempt >= MAX_ATTEMPTS;
+    const nextAttemptAt = dead ? null : new Date(Date.now() + retryDelaySeconds(attempt) * 1000);
+
+    try {
+      await markNotificationFailed(record.id, message, nextAttemptAt);
+    } catch (dbError) {
+      log.error('Failed to record notification failure', dbError, { id: record.id });
+    }
+
+    log.warn(`Failed to send ${record.event} notification`, {
+      id: record.id,
+      channel: record.channel,
+      attempt,
+      error: message,
+      nextAttemptAt: nextAttemptAt?.toISOString() ?? 'none, dead-lettered',
+    });
+    return dead ? 'dead' : 'retrying';
+  }
+}
+
+function retryDelaySeconds(attempt: number): number {
+  return Math.min(RETRY_BASE_SECONDS * 2 ** (attempt - 1), RETRY_MAX_SECONDS);
+}
+
+/**
+ * Signature of generic webhook deliveries.
+ * With WEBHOOK_SECRET set: X-AutoPump-Timestamp (unix seconds) and
+ * X-AutoPump-Signature, `sha256=` + hex HMAC-SHA256 of `<timestamp>.<body>`.
+ * Receivers recompute it over the raw body and reject old timestamps, so a
+ * captured request cannot be replayed later.
+ */
+function signatureHeaders(body: string): Record<string, string> {
+  if (!webhookSecret) {
+    return {};
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const signature = createHmac('sha256', webhookSecret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+
+  return {
+    'X-AutoPump-Timestamp': timestamp,
+    'X-AutoPump-Signature': `sha256=${signature}`,
+  };
+}
@@ -0,0 +1,51 @@
+// backend/src/services/notifiers/slack.ts
+import { NotificationChannelConfig } from '../../env';
+import { NotificationEvent } from '../../types';
+import { formatNotification, LEVEL_EMOJI, NotificationRequest } from './format';
+
+// Slack allows at most this many fields in a section block
+const MAX_SECTION_FIELDS = 10;
+
+/**
+ * Slack incoming webhook: header, amounts as section fields and explorer
+ * links as context, with a plain `text` fallback for notifications
+ */
+export function buildSlackRequest(
+  channel: NotificationChannelConfig,
+  event: NotificationEvent
+): NotificationRequest {
+  const message = formatNotification(event);
+  const title = `${LEVEL_EMOJI[message.level]} ${message.title}`;
+  const blocks: Record<string, unknown>[] = [
+    { type: 'header', text: { type: 'plain_text', text: title } },
+  ];
+
+  for (let i = 0; i < message.fields.length; i += MAX_SECTION_FIELDS) {
+    blocks.push({
+      type: 'section',
+      fields: message.fields.slice(i, i + MAX_SECTION_FIELDS).map((field) => ({
+        type: 'mrkdwn',
+        text: `*${escapeMrkdwn(field.label)}*\n${escapeMrkdwn(field.value)}`,
+      })),
+    });
+  }
+
+  if (message.links.length > 0) {
+    blocks.push({
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: message.links.map((link) => `<${link.url}|${escapeMrkdwn(link.label)}>`).join(' · '),
+        },
+      ],
+    });
+  }
+
+  return { url: channel.url, body: { text: title, blocks } };
+}
+
+// The only characters Slack wants escaped in mrkdwn text
+function escapeMrkdwn(text: string): string {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
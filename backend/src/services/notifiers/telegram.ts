@@ -0,0 +1,40 @@
+// backend/src/services/notifiers/telegram.ts
+import { NotificationChannelConfig } from '../../env';
+import { NotificationEvent } from '../../types';
+import { formatNotification, LEVEL_EMOJI, NotificationRequest } from './format';
+
+/**
+ * Telegram bot: sendMessage to TELEGRAM_CHAT_ID, formatted as HTML
+ */
+export function buildTelegramRequest(
+  channel: NotificationChannelConfig,
+  event: NotificationEvent
+): NotificationRequest {
+  const message = formatNotification(event);
+  const lines = [
+    `${LEVEL_EMOJI[message.level]} <b>${escapeHtml(message.title)}</b>`,
+    '',
+    ...message.fields.map((field) => `<b>${escapeHtml(field.label)}:</b> ${escapeHtml(field.value)}`),
+  ];
+
+  if (message.links.length > 0) {
+    lines.push(
+      '',
+      message.links.map((link) => `<a href="${escapeHtml(link.url)}">${escapeHtml(link.label)}</a>`).join(' · ')
+    );
+  }
+
+  return {
+    url: `${channel.url}/sendMessage`,
+    body: {
+      chat_id: channel.chatId,
+      text: lines.join('\n'),
+      parse_mode: 'HTML',
+      disable_web_page_preview: true,
+    },
+  };
+}
+
+function escapeHtml(text: string): string {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
@@ -0,0 +1,23 @@
+// backend/src/services/notifiers/webhook.ts
+import { NotificationChannelConfig } from '../../env';
+import { NotificationEvent } from '../../types';
+import { formatNotification, NotificationRequest } from './format';
+
+/**
+ * Generic JSON webhook: the event as is, with the explorer links keyed by
+ * lowercase label (claim, treasury, buyback, burn, transaction, wallet)
+ */
+export function buildWebhookRequest(
+  channel: NotificationChannelConfig,
+  event: NotificationEvent
+): NotificationRequest {
+  const { links } = formatNotification(event);
+
+  return {
+    url: channel.url,
+    body: {
+      ...event,
+      explorerLinks: Object.fromEntries(links.map((link) => [link.label.toLowerCase(), link.url])),
+    },
+  };
+}
@@ -0,0 +1,240 @@
+// backend/src/services/pendingRecovery.ts
+import { SignatureStatus, TransactionError } from '@solana/web3.js';
+import { getConnection, meetsConfirmationCommitment } from '../lib/solana';
+import { log } from '../lib/logger';
+import { withClaimLock } from './claimLock';
+import { requeueClaimFunds } from './claimOrchestrator';
+import {
+  getPendingRecords,
+  updateClaimStatus,
+  updateSplitTransferStatus,
+  updateBuybackStatus,
+  updateBurnStatus,
+  upsertReconciliationFlag,
+  PendingRecord,
+} from '../db/queries';
+
+// Rows are inserted once their transaction is confirmed and updated right
+// after; younger pending rows may belong to a flow that is still running
+const PENDING_MIN_AGE_SECONDS = 5 * 60;
+
+// A signature the RPC node has no record of is only known to be dropped
+// while the node still keeps history back to when it was sent; past this a
+// pruned ledger looks the same as a dropped transaction
+const NOT_FOUND_MAX_AGE_SECONDS = 60 * 60;
+
+// getSignatureStatuses accepts at most this many signatures per call
+const STATUS_BATCH_SIZE = 256;
+
+export interface PendingRecoveryReport {
+  success: boolean;
+  checked: number;
+  confirmed: number;
+  failed: number;
+  stillPending: number; // seen by the cluster but not confirmed yet
+  flagged: number; // too old to tell dropped from pruned, left for a human
+  requeuedRuns: number[]; // flow runs started for orphaned funds
+  error?: string;
+  durationMs: number;
+  timestamp: number;
+}
+
+interface ChainResult {
+  status: 'confirmed' | 'failed' | 'pending' | 'unknown';
+  slot?: number;
+  error?: string;
+}
+
+/**
+ * Settle claims, transfers, buybacks and burns left 'pending' (e.g. the
+ * process stopped between recording a transaction and confirming it)
+ *
+ * Each signature is looked up with getSignatureStatuses, falling back to
+ * getTransaction for ones outside the status cache. Rows are set to
+ * confirmed or failed with the slot and error. A signature the cluster has
+ * never seen is older than any blockhash and can no longer land, so its row
+ * is failed - unless the row is older than the RPC history can be relied on
+ * (NOT_FOUND_MAX_AGE_SECONDS). Those stay pending and are raised as
+ * reconciliation flags to be settled by hand.
+ *
+ * Funds the settled rows leave stranded (claimed SOL never split or spent,
+ * tokens bought but never burned) are put back into the pipeline as a new
+ * flow run, see requeueClaimFunds.
+ *
+ * Runs under the claim lock so a running flow never sees its rows change.
+ *
+ * @param deadline - Optional timestamp after which no further rows are
+ *                   checked; the rest are left for the next pass
+ */
+export async function recoverPendingTransactions(deadline?: number): Promise<PendingRecoveryReport> {
+  return withClaimLock('recovery', () => runRecovery(deadline));
+}
+
+async function runRecovery(deadline?: number): Promise<PendingRecoveryReport> {
+  const startTime = Date.now();
+  const report: PendingRecoveryReport = {
+    success: true,
+    checked: 0,
+    confirmed: 0,
+    failed: 0,
+    stillPending: 0,
+    flagged: 0,
+    requeuedRuns: [],
+    durationMs: 0,
+    timestamp: 0,
+  };
+
+  try {
+    const records = await getPendingRecords(PENDING_MIN_AGE_SECONDS);
+
+    if (records.length > 0) {
+      log.info('Recovering pending transactions', { count: records.length });
+    }
+
+    const settledClaims = new Set<number>();
+
+    batches: for (let i = 0; i < records.length; i += STATUS_BATCH_SIZE) {
+      const batch = records.slice(i, i + STATUS_BATCH_SIZE);
+      const { value: statuses } = await getConnection().getSignatureStatuses(
+        batch.map((record) => record.signature),
+        { searchTransactionHistory: true }
+      );
+
+      for (const [index, record] of batch.entries()) {
+        if (deadline !== undefined && Date.now() >= deadline) {
+          log.info('Pending transaction recovery out of time, continuing next pass', {
+            unchecked: records.length - report.checked,
+          });
+          break batches;
+        }
+
+        report.checked++;
+
+        const result = await resolveStatus(record, statuses[index]);
+
+        if (result.status === 'pending') {
+          report.stillPending++;
+          continue;
+        }
+
+        if (result.status === 'unknown') {
+          await flagRecord(record);
+          report.flagged++;
+          continue;
+        }
+
+        await settleRecord(record, result);
+        report[result.status]++;
+
+        if (record.claimId) {
+          settledClaims.add(record.claimId);
+        }
+      }
+    }
+
+    for (const claimId of settledClaims) {
+      const run = await requeueClaimFunds(claimId);
+      if (run) {
+        report.requeuedRuns.push(run.id);
+      }
+    }
+
+    if (report.checked > 0) {
+      log.info('Pending transaction recovery complete', {
+        checked: report.checked,
+        confirmed: report.confirmed,
+        failed: report.failed,
+        stillPending: report.stillPending,
+        flagged: report.flagged,
+        requeuedRuns: report.requeuedRuns,
+      });
+    }
+  } catch (error) {
+    log.error('Pending transaction recovery failed', error);
+    report.success = false;
+    report.error = error instanceof Error ? error.message : 'Unknown error';
+  }
+
+  report.durationMs = Date.now() - startTime;
+  report.timestamp = Date.now();
+  return report;
+}
+
+async function resolveStatus(
+  record: PendingRecord,
+  status: SignatureStatus | null
+): Promise<ChainResult> {
+  if (status) {
+    if (status.err) {
+      return { status: 'failed', slot: status.slot, error: describeError(status.err) };
+    }
+
+    return meetsConfirmationCommitment(status)
+      ? { status: 'confirmed', slot: status.slot }
+      : { status: 'pending' };
+  }
+
+  const tx = await getConnection().getTransaction(record.signature, {
+    maxSupportedTransactionVersion: 0,
+  });
+
+  if (!tx) {
+    const ageSeconds = (Date.now() - new Date(record.timestamp).getTime()) / 1000;
+    return ageSeconds <= NOT_FOUND_MAX_AGE_SECONDS
+      ? { status: 'failed', error: 'Transaction not found on-chain (dropped or expired)' }
+      : { status: 'unknown' };
+  }
+
+  if (tx.meta?.err) {
+    return { status: 'failed', slot: tx.slot, error: describeError(tx.meta.err) };
+  }
+
+  return { status: 'confirmed', slot: tx.slot };
+}
+
+async function settleRecord(record: PendingRecord, result: ChainResult): Promise<void> {
+  const status = result.status as 'confirmed' | 'failed';
+
+  switch (record.recordType) {
+    case 'claim':
+      await updateClaimStatus(record.id, status, result.slot, result.error);
+      break;
+    case 'split_transfer':
+      await updateSplitTransferStatus(record.signature, status, result.error);
+      break;
+    case 'buyback':
+      await updateBuybackStatus(record.id, status, result.error, result.slot);
+      break;
+    case 'burn':
+      await updateBurnStatus(record.id, status, result.error, result.slot);
+      break;
+  }
+
+  log.info(`Pending ${record.recordType} #${record.id} settled as ${status}`, {
+    signature: record.signature,
+    slot: result.slot,
+    error: result.error,
+  });
+}
+
+// Not found, but maybe only pruned from the node's history: leave the row
+// pending and flag it, so nobody's funds are requeued on a guess
+async function flagRecord(record: PendingRecord): Promise<void> {
+  await upsertReconciliationFlag({
+    recordType: record.recordType,
+    recordId: record.id,
+    signature: record.signature,
+    issue: 'not_found',
+    recordedValue: 'pending',
+    onChainValue: 'not found',
+  });
+
+  log.warn(`Pending ${record.recordType} #${record.id} not found on-chain, flagged for review`, {
+    signature: record.signature,
+    recordedAt: record.timestamp,
+  });
+}
+
+function describeError(error: TransactionError): string {
+  return `Transaction failed: ${typeof error === 'string' ? error : JSON.stringify(error)}`;
+}
@@ -0,0 +1,606 @@
+// backend/src/services/reconciliation.ts
+import { ConfirmedSignatureInfo, PublicKey } from '@solana/web3.js';
+import { getAssociatedTokenAddress, TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } from '@solana/spl-token';
+import bs58 from 'bs58';
+import { pumpFunAPI } from '../lib/pumpfun';
+import { getConnection, keypairFromSecret, lamportsToSol } from '../lib/solana';
+import { log } from '../lib/logger';
+import { creatorWalletSecret, tokenMint, burnAddress, splitPolicy } from '../env';
+import { calculateClaimSplit } from './feeClaim';
+import { withClaimLock } from './claimLock';
+import {
+  insertClaim,
+  updateClaimStatus,
+  getClaimBySignature,
+  insertSplitTransfers,
+  updateSplitTransferStatus,
+  getSplitTransfersBySignature,
+  insertBuyback,
+  updateBuybackStatus,
+  getBuybackBySignature,
+  insertBurn,
+  updateBurnStatus,
+  getBurnBySignature,
+  getLatestClaimIdBefore,
+  getLatestBuybackIdBefore,
+  setRecordTimestamp,
+  getConfirmedRecordsBetween,
+  upsertReconciliationFlag,
+  resolveReconciliationFlags,
+} from '../db/queries';
+import {
+  BurnMode,
+  ReconciledRecordType,
+  ReconciledTxKind,
+  ReconciliationFinding,
+  ReconciliationIssue,
+  ReconciliationOptions,
+  ReconciliationReport,
+  SplitLegAmount,
+} from '../types';
+
+const DEFAULT_SCAN_LIMIT = 500;
+
+// getSignaturesForAddress returns at most this many per page
+const SIGNATURE_PAGE_SIZE = 1000;
+
+// Anchor log lines of the Pump.fun (bonding curve) and PumpSwap creator fee
+// collection instructions
+const CLAIM_INSTRUCTION_LOGS = ['Instruction: CollectCreatorFee', 'Instruction: CollectCoinCreatorFee'];
+
+const TOKEN_PROGRAM_IDS = [TOKEN_PROGRAM_ID.toBase58(), TOKEN_2022_PROGRAM_ID.toBase58()];
+
+// SPL Token instruction discriminators (first data byte)
+const TOKEN_TRANSFER = 3; // accounts: source, destination, owner
+const TOKEN_BURN = 8; // accounts: account, mint, owner
+const TOKEN_TRANSFER_CHECKED = 12; // accounts: source, mint, destination, owner
+const TOKEN_BURN_CHECKED = 15; // accounts: account, mint, owner
+
+// Rows are written a little after their transaction lands, so rows from
+// just before the oldest scanned transaction can be dated inside the range.
+// The missing-on-chain check skips this much of its start.
+const RECORDING_DELAY_MARGIN_MS = 10 * 60 * 1000;
+
+const RECORD_TYPES: Record<Exclude<ReconciledTxKind, 'unknown'>, ReconciledRecordType> = {
+  claim: 'claim',
+  treasury: 'split_transfer',
+  buyback: 'buyback',
+  burn: 'burn',
+};
+
+// What a transaction did to the creator wallet, read from its metadata
+interface TransactionEffects {
+  signature: string;
+  slot: number;
+  blockTime?: Date;
+  failed: boolean;
+  fee: number; // lamports
+  lamportChange: number; // creator wallet, network fee included
+  claimedLamports: number; // out of the creator vault, or lamportChange + fee without it
+  postLamports: number;
+  tokenChange: bigint; // creator token balance change, raw token units
+  burnsMint: boolean; // has an SPL Burn instruction for the mint
+  incineratorReceived: boolean; // has a token transfer to the incinerator's ATA
+  splitPayments: Map<string, number>; // split destination -> lamports received
+  collectsCreatorFee: boolean;
+}
+
+interface RecordCheck {
+  recordType: ReconciledRecordType;
+  recordId?: number;
+  issues: { issue: ReconciliationIssue; recorded: string; onChain: string }[];
+}
+
+/**
+ * Reconcile the database with the creator wallet's on-chain history
+ *
+ * Walks the wallet's signatures (newest first, `limit` of them) and
+ * classifies each transaction as a claim, treasury transfer, buy or burn
+ * from its balance changes. Transactions with no database row are recorded
+ * (oldest first, so backfilled buys link to the claim before them), and
+ * rows whose status or amounts disagree with the chain are flagged in
+ * reconciliation_flags. Confirmed rows inside the scanned time range that
+ * never appear in the history are flagged too.
+ *
+ * Runs under the claim lock unless `dryRun` is set, so it never races a
+ * claim flow recording the same transactions.
+ */
+export async function reconcileWithChain(
+  options: ReconciliationOptions = {}
+): Promise<ReconciliationReport> {
+  const dryRun = options.dryRun ?? false;
+
+  if (dryRun) {
+    return runReconciliation(options);
+  }
+
+  return withClaimLock('reconcile', () => runReconciliation(options));
+}
+
+async function runReconciliation(options: ReconciliationOptions): Promise<ReconciliationReport> {
+  const startTime = Date.now();
+  const dryRun = options.dryRun ?? false;
+  const findings: ReconciliationFinding[] = [];
+  const classified: Record<ReconciledTxKind, number> = {
+    claim: 0,
+    treasury: 0,
+    buyback: 0,
+    burn: 0,
+    unknown: 0,
+  };
+
+  const report = (fields: Partial<ReconciliationReport>): ReconciliationReport => ({
+    success: true,
+    dryRun,
+    scanned: 0,
+    classified,
+    inserted: findings.filter((finding) => finding.action === 'inserted').length,
+    flagged: findings.filter((finding) => finding.action === 'flagged').length,
+    findings,
+    ...fields,
+    durationMs: Date.now() - startTime,
+    timestamp: Date.now(),
+  });
+
+  try {
+    const creator = keypairFromSecret(creatorWalletSecret).publicKey;
+    const signatures = await fetchSignatures(creator, options);
+
+    log.info('Reconciling creator wallet history', {
+      wallet: creator.toBase58(),
+      signatures: signatures.length,
+      dryRun,
+    });
+
+    const seen = new Set<string>();
+    const blockTimes: number[] = [];
+
+    // Oldest first, so a backfilled buy finds the claim it was funded by
+    for (const info of [...signatures].reverse()) {
+      seen.add(info.signature);
+
+      const effects = await readEffects(info.signature, creator);
+      if (!effects) {
+        log.debug('Transaction not available, skipping', { signature: info.signature });
+        classified.unknown++;
+        continue;
+      }
+
+      if (effects.blockTime) {
+        blockTimes.push(effects.blockTime.getTime());
+      }
+
+      const kind = classify(effects);
+      classified[kind]++;
+
+      if (kind === 'unknown') {
+        // Tokens left the wallet without a burn: worth a look by hand
+        if (effects.tokenChange < 0n && !effects.failed) {
+          const check: RecordCheck = {
+            recordType: 'burn',
+            issues: [{ issue: 'unknown_outflow', recorded: 'none', onChain: String(-effects.tokenChange) }],
+          };
+
+          findings.push({
+            signature: effects.signature,
+            kind,
+            action: 'flagged',
+            recordType: check.recordType,
+            ...check.issues[0],
+            blockTime: effects.blockTime?.getTime(),
+          });
+
+          if (!dryRun) {
+            await saveFlags(effects.signature, check);
+          }
+        }
+        continue;
+      }
+
+      const check = await checkRecord(kind, effects);
+
+      if (!check) {
+        // Nothing to record: the transaction failed, or claimed an empty vault
+        if (effects.failed || (kind === 'claim' && effects.claimedLamports <= 0)) {
+          continue;
+        }
+
+        const recordId = dryRun ? undefined : await insertMissingRecord(kind, effects);
+        findings.push({
+          signature: effects.signature,
+          kind,
+          action: 'inserted',
+          recordType: RECORD_TYPES[kind],
+          recordId,
+          blockTime: effects.blockTime?.getTime(),
+        });
+        continue;
+      }
+
+      for (const { issue, recorded, onChain } of check.issues) {
+        findings.push({
+          signature: effects.signature,
+          kind,
+          action: 'flagged',
+          recordType: check.recordType,
+          recordId: check.recordId,
+          issue,
+          recorded,
+          onChain,
+          blockTime: effects.blockTime?.getTime(),
+        });
+      }
+
+      if (!dryRun) {
+        await saveFlags(effects.signature, check);
+      }
+    }
+
+    if (blockTimes.length > 0) {
+      const recorded = await getConfirmedRecordsBetween(
+        new Date(Math.min(...blockTimes) + RECORDING_DELAY_MARGIN_MS),
+        new Date(Math.max(...blockTimes))
+      );
+
+      for (const record of recorded.filter((r) => !seen.has(r.signature))) {
+        const check: RecordCheck = {
+          recordType: record.recordType,
+          recordId: record.id,
+          issues: [{ issue: 'missing_on_chain', recorded: 'confirmed', onChain: 'not found' }],
+        };
+
+        findings.push({
+          signature: record.signature,
+          kind: 'unknown',
+          action: 'flagged',
+          recordType: record.recordType,
+          recordId: record.id,
+          ...check.issues[0],
+        });
+
+        if (!dryRun) {
+          await saveFlags(record.signature, check);
+        }
+      }
+    }
+
+    const result = report({
+      scanned: signatures.length,
+      oldestSignature: signatures[signatures.length - 1]?.signature,
+    });
+
+    log.info('Reconciliation complete', {
+      scanned: result.scanned,
+      classified,
+      inserted: result.inserted,
+      flagged: result.flagged,
+      dryRun,
+    });
+
+    return result;
+  } catch (error) {
+    log.error('Reconciliation failed', error);
+
+    return report({
+      success: false,
+      error: error instanceof Error ? error.message : 'Unknown error',
+    });
+  }
+}
+
+async function fetchSignatures(
+  wallet: PublicKey,
+  options: ReconciliationOptions
+): Promise<ConfirmedSignatureInfo[]> {
+  const limit = options.limit ?? DEFAULT_SCAN_LIMIT;
+  const signatures: ConfirmedSignatureInfo[] = [];
+  let before = options.before;
+
+  while (signatures.length < limit) {
+    const pageSize = Math.min(SIGNATURE_PAGE_SIZE, limit - signatures.length);
+    const page = await getConnection().getSignaturesForAddress(
+      wallet,
+      { before, until: options.until, limit: pageSize },
+      'confirmed'
+    );
+
+    signatures.push(...page);
+
+    if (page.length < pageSize) {
+      break;
+    }
+    before = page[page.length - 1].signature;
+  }
+
+  return signatures;
+}
+
+async function readEffects(signature: string, creator: PublicKey): Promise<TransactionEffects | null> {
+  const tx = await getConnection().getTransaction(signature, {
+    maxSupportedTransactionVersion: 0,
+  });
+
+  if (!tx?.meta) {
+    return null;
+  }
+
+  const meta = tx.meta;
+  const accountKeys = tx.transaction.message
+    .getAccountKeys({ accountKeysFromLookups: meta.loadedAddresses })
+    .keySegments()
+    .flat()
+    .map((key) => key.toBase58());
+
+  const creatorIndex = accountKeys.indexOf(creator.toBase58());
+  const lamportChange =
+    creatorIndex >= 0 ? meta.postBalances[creatorIndex] - meta.preBalances[creatorIndex] : 0;
+
+  // Graduated tokens' fees come from the PumpSwap vault, not the curve vault
+  const vaultIndex = accountKeys.indexOf((await pumpFunAPI.getCreatorVaultPDA(creator)).toBase58());
+  const claimedLamports = vaultIndex >= 0
+    ? meta.preBalances[vaultIndex] - meta.postBalances[vaultIndex]
+    : lamportChange + (creatorIndex === 0 ? meta.fee : 0);
+
+  const splitPayments = new Map<string, number>();
+  for (const leg of splitPolicy) {
+    const index = leg.destination ? accountKeys.indexOf(leg.destination) : -1;
+    const received = index >= 0 ? meta.postBalances[index] - meta.preBalances[index] : 0;
+
+    if (received > 0) {
+      splitPayments.set(leg.destination!, received);
+    }
+  }
+
+  // Token balance changes of the mint, summed per owner
+  const tokenChanges = new Map<string, bigint>();
+  const addTokenBalance = (balance: any, sign: bigint) => {
+    if (balance.mint !== tokenMint || !balance.owner) {
+      return;
+    }
+    const amount = BigInt(balance.uiTokenAmount.amount);
+    tokenChanges.set(balance.owner, (tokenChanges.get(balance.owner) ?? 0n) + sign * amount);
+  };
+  (meta.preTokenBalances ?? []).forEach((balance) => addTokenBalance(balance, -1n));
+  (meta.postTokenBalances ?? []).forEach((balance) => addTokenBalance(balance, 1n));
+
+  // Burns are told by their instructions, top-level and inner: a token
+  // balance drop alone may as well be a sale or a transfer out
+  const incineratorAta = (
+    await getAssociatedTokenAddress(new PublicKey(tokenMint), new PublicKey(burnAddress), true)
+  ).toBase58();
+  const instructions = [
+    ...tx.transaction.message.compiledInstructions.map((ix) => ({
+      programIdIndex: ix.programIdIndex,
+      accounts: ix.accountKeyIndexes,
+      data: ix.data,
+    })),
+    ...(meta.innerInstructions ?? []).flatMap((inner) =>
+      inner.instructions.map((ix) => ({
+        programIdIndex: ix.programIdIndex,
+        accounts: ix.accounts,
+        data: bs58.decode(ix.data),
+      }))
+    ),
+  ].filter((ix) => TOKEN_PROGRAM_IDS.includes(accountKeys[ix.programIdIndex]));
+
+  const accountAt = (ix: { accounts: number[] }, position: number) => accountKeys[ix.accounts[position]];
+  const burnsMint = instructions.some(
+    (ix) => (ix.data[0] === TOKEN_BURN || ix.data[0] === TOKEN_BURN_CHECKED) && accountAt(ix, 1) === tokenMint
+  );
+  const incineratorReceived = instructions.some(
+    (ix) =>
+      (ix.data[0] === TOKEN_TRANSFER && accountAt(ix, 1) === incineratorAta) ||
+      (ix.data[0] === TOKEN_TRANSFER_CHECKED && accountAt(ix, 2) === incineratorAta)
+  );
+
+  return {
+    signature,
+    slot: tx.slot,
+    blockTime: tx.blockTime ? new Date(tx.blockTime * 1000) : undefined,
+    failed: meta.err !== null,
+    fee: meta.fee,
+    lamportChange,
+    claimedLamports,
+    postLamports: creatorIndex >= 0 ? meta.postBalances[creatorIndex] : 0,
+    tokenChange: tokenChanges.get(creator.toBase58()) ?? 0n,
+    burnsMint,
+    incineratorReceived,
+    splitPayments,
+    collectsCreatorFee: (meta.logMessages ?? []).some((line) =>
+      CLAIM_INSTRUCTION_LOGS.some((instruction) => line.includes(instruction))
+    ),
+  };
+}
+
+// A failed transaction has no balance changes beyond its fee, so those are
+// only told apart by their instructions (creator fee log, burn); the rest
+// stay unknown. A burn needs an SPL Burn of the mint or a transfer to the
+// incinerator's ATA - any other token outflow is unknown
+function classify(effects: TransactionEffects): ReconciledTxKind {
+  if (effects.collectsCreatorFee) {
+    return 'claim';
+  }
+  if (effects.tokenChange > 0n) {
+    return 'buyback';
+  }
+  if (effects.burnsMint || effects.incineratorReceived) {
+    return 'burn';
+  }
+  if (effects.tokenChange < 0n) {
+    return 'unknown';
+  }
+  if (effects.splitPayments.size > 0) {
+    return 'treasury';
+  }
+  return 'unknown';
+}
+
+/**
+ * Compare the recorded row(s) of a transaction with its effects
+ *
+ * @returns null when the transaction was never recorded
+ */
+async function checkRecord(
+  kind: Exclude<ReconciledTxKind, 'unknown'>,
+  effects: TransactionEffects
+): Promise<RecordCheck | null> {
+  const onChainStatus = effects.failed ? 'failed' : 'confirmed';
+  const issues: RecordCheck['issues'] = [];
+  let row: any;
+
+  switch (kind) {
+    case 'claim': {
+      row = await getClaimBySignature(effects.signature);
+      if (row && !effects.failed && Number(row.claimed_amount) !== effects.claimedLamports) {
+        issues.push({
+          issue: 'amount',
+          recorded: String(row.claimed_amount),
+          onChain: String(effects.claimedLamports),
+        });
+      }
+      break;
+    }
+
+    case 'treasury': {
+      const rows: any[] = await getSplitTransfersBySignature(effects.signature);
+      row = rows[0];
+      if (row && !effects.failed) {
+        const recorded = rows.map((r) => `${r.destination}:${r.amount}`).sort().join(',');
+        const onChain = [...effects.splitPayments].map(([to, amount]) => `${to}:${amount}`).sort().join(',');
+        if (recorded !== onChain) {
+          issues.push({ issue: 'amount', recorded, onChain });
+        }
+      }
+      break;
+    }
+
+    case 'buyback': {
+      row = await getBuybackBySignature(effects.signature);
+      if (row && !effects.failed && BigInt(row.tokens_purchased) !== effects.tokenChange) {
+        issues.push({
+          issue: 'amount',
+          recorded: String(row.tokens_purchased),
+          onChain: String(effects.tokenChange),
+        });
+      }
+      break;
+    }
+
+    case 'burn': {
+      row = await getBurnBySignature(effects.signature);
+      if (row && !effects.failed && BigInt(row.tokens_burned) !== -effects.tokenChange) {
+        issues.push({
+          issue: 'amount',
+          recorded: String(row.tokens_burned),
+          onChain: String(-effects.tokenChange),
+        });
+      }
+      break;
+    }
+  }
+
+  if (!row) {
+    return null;
+  }
+
+  if (row.status !== onChainStatus) {
+    issues.push({ issue: 'status', recorded: row.status, onChain: onChainStatus });
+  }
+
+  return { recordType: RECORD_TYPES[kind], recordId: row.id, issues };
+}
+
+async function saveFlags(signature: string, check: RecordCheck): Promise<void> {
+  for (const { issue, recorded, onChain } of check.issues) {
+    await upsertReconciliationFlag({
+      recordType: check.recordType,
+      recordId: check.recordId,
+      signature,
+      issue,
+      recordedValue: recorded,
+      onChainValue: onChain,
+    });
+  }
+
+  await resolveReconciliationFlags(
+    check.recordType,
+    signature,
+    check.issues.map(({ issue }) => issue)
+  );
+}
+
+/**
+ * Record a confirmed transaction that has no database row, dated at its
+ * block time and linked to the latest claim (or buy) before it
+ */
+async function insertMissingRecord(
+  kind: Exclude<ReconciledTxKind, 'unknown'>,
+  effects: TransactionEffects
+): Promise<number | undefined> {
+  const { signature } = effects;
+  const timestamp = effects.blockTime ?? new Date();
+  let recordId: number | undefined;
+
+  switch (kind) {
+    case 'claim': {
+      const claimedAmount = lamportsToSol(effects.claimedLamports);
+      const split = calculateClaimSplit(claimedAmount, lamportsToSol(effects.postLamports));
+
+      recordId = await insertClaim(
+        signature,
+        effects.claimedLamports,
+        Math.round(split.treasuryAmount * 1e9),
+        Math.round(split.buybackAmount * 1e9),
+        effects.fee
+      );
+      await updateClaimStatus(recordId, 'confirmed', effects.slot);
+      break;
+    }
+
+    case 'treasury': {
+      const legs: SplitLegAmount[] = [];
+      for (const [destination, lamports] of effects.splitPayments) {
+        const leg = splitPolicy.find((l) => l.destination === destination)!;
+        legs.push({ name: leg.name, bps: leg.bps, destination, amount: lamportsToSol(lamports) });
+      }
+
+      await insertSplitTransfers(await getLatestClaimIdBefore(timestamp), signature, legs);
+      await updateSplitTransferStatus(signature, 'confirmed');
+      break;
+    }
+
+    case 'buyback': {
+      const venue = await pumpFunAPI.getBuyVenueFromTransaction(signature);
+
+      recordId = await insertBuyback(
+        await getLatestClaimIdBefore(timestamp),
+        signature,
+        effects.tokenChange.toString(),
+        -effects.lamportChange - effects.fee,
+        venue,
+        undefined,
+        effects.fee
+      );
+      await updateBuybackStatus(recordId, 'confirmed');
+      break;
+    }
+
+    case 'burn': {
+      const burnMode: BurnMode = effects.incineratorReceived ? 'incinerator' : 'spl-burn';
+
+      recordId = await insertBurn(
+        await getLatestBuybackIdBefore(timestamp),
+        signature,
+        (-effects.tokenChange).toString(),
+        burnMode
+      );
+      await updateBurnStatus(recordId, 'confirmed');
+      break;
+    }
+  }
+
+  await setRecordTimestamp(RECORD_TYPES[kind], signature, timestamp);
+
+  log.info('Backfilled unrecorded transaction', { kind, signature, recordId, timestamp });
+  return recordId;
+}
@@ -0,0 +1,160 @@
+// backend/src/services/tokenSweep.ts
+import { PublicKey } from '@solana/web3.js';
+import { keypairFromSecret, getTokenBalance } from '../lib/solana';
+import { formatTokenAmount, parseTokenAmount } from '../lib/pumpfun';
+import { log } from '../lib/logger';
+import { creatorWalletSecret, tokenMint, tokenHoldAmount } from '../env';
+import { withClaimLock } from './claimLock';
+import { burnPurchasedTokens } from './burn';
+import { recordStepFailure, recordStepSuccess } from './circuitBreaker';
+import {
+  getStrandedBuybacks,
+  getSystemStatus,
+  hasBurnInFlight,
+  linkSweepBurn,
+} from '../db/queries';
+
+// With a deadline, the sweep only sends its burn if at least this much time
+// is left for it to confirm
+const MIN_BURN_BUDGET_MS = 15_000;
+
+export interface TokenSweepReport {
+  success: boolean;
+  action: 'disabled' | 'skipped' | 'nothing_to_burn' | 'burned' | 'pending' | 'failed';
+  reason?: string;
+  balance?: string; // raw token units in the creator wallet
+  holdAmount?: string; // raw token units kept
+  tokensBurned?: string; // raw token units
+  strandedBuybacks: number[]; // buybacks the sweep burn is linked to
+  signature?: string;
+  burnId?: number;
+  error?: string;
+  durationMs: number;
+  timestamp: number;
+}
+
+/**
+ * Burn tokens stranded in the creator wallet, e.g. by a burn that failed
+ * after its buy confirmed
+ *
+ * Everything above TOKEN_HOLD_AMOUNT is burned in one transaction through
+ * the regular burn path (BURN_MODE). Buybacks whose tokens were never burned
+ * are linked to that burn. Does nothing while TOKEN_HOLD_AMOUNT is unset,
+ * the system is paused, or a flow run or tranche is between its buy and its
+ * burn (those tokens are about to be burned anyway).
+ *
+ * Runs under the claim lock so no flow starts buying mid-sweep.
+ *
+ * @param deadline - Optional timestamp the burn must be settled by: the sweep
+ *                   is skipped when too little time is left, and a burn still
+ *                   unconfirmed then is left pending (the next sweep reads
+ *                   the balance again, so it is never burned twice)
+ */
+export async function sweepStrandedTokens(deadline?: number): Promise<TokenSweepReport> {
+  return withClaimLock('sweep', () => runSweep(deadline));
+}
+
+async function runSweep(deadline?: number): Promise<TokenSweepReport> {
+  const startTime = Date.now();
+  const report: TokenSweepReport = {
+    success: true,
+    action: 'nothing_to_burn',
+    strandedBuybacks: [],
+    durationMs: 0,
+    timestamp: 0,
+  };
+
+  const finish = (): TokenSweepReport => {
+    report.durationMs = Date.now() - startTime;
+    report.timestamp = Date.now();
+    return report;
+  };
+
+  if (tokenHoldAmount === undefined) {
+    report.action = 'disabled';
+    report.reason = 'TOKEN_HOLD_AMOUNT is not set';
+    return finish();
+  }
+
+  try {
+    const systemStatus = await getSystemStatus();
+    if (systemStatus.is_paused) {
+      report.action = 'skipped';
+      report.reason = 'System is paused';
+      return finish();
+    }
+
+    if (await hasBurnInFlight()) {
+      report.action = 'skipped';
+      report.reason = 'A flow run or tranche still has a burn to make';
+      return finish();
+    }
+
+    const creator = keypairFromSecret(creatorWalletSecret).publicKey;
+    const balance = BigInt(await getTokenBalance(creator, new PublicKey(tokenMint)));
+    const hold = parseTokenAmount(tokenHoldAmount);
+    const excess = balance - hold;
+
+    report.balance = balance.toString();
+    report.holdAmount = hold.toString();
+
+    if (excess <= 0n) {
+      return finish();
+    }
+
+    if (deadline !== undefined && Date.now() + MIN_BURN_BUDGET_MS > deadline) {
+      report.action = 'skipped';
+      report.reason = 'Not enough time left to confirm a burn';
+      return finish();
+    }
+
+    const stranded = await getStrandedBuybacks();
+    report.strandedBuybacks = stranded.map((buyback) => buyback.id);
+
+    log.burn('Sweeping stranded tokens', {
+      balance: formatTokenAmount(balance),
+      hold: formatTokenAmount(hold),
+      excess: formatTokenAmount(excess),
+      strandedBuybacks: report.strandedBuybacks,
+    });
+
+    const result = await burnPurchasedTokens(null, excess.toString(), undefined, deadline);
+
+    if (result.errorCode === 'TRANSACTION_PENDING') {
+      log.warn('Sweep burn not confirmed in time, leaving it pending', { error: result.error });
+      report.action = 'pending';
+      report.reason = result.error;
+      return finish();
+    }
+
+    if (!result.success || !result.burnId) {
+      await recordStepFailure('burn', result.error ?? 'Unknown error');
+      throw new Error(`Sweep burn failed: ${result.error}`);
+    }
+
+    if (report.strandedBuybacks.length > 0) {
+      await linkSweepBurn(result.burnId, report.strandedBuybacks);
+    }
+    await recordStepSuccess('burn');
+
+    report.action = 'burned';
+    report.tokensBurned = result.tokensBurned;
+    report.signature = result.signature;
+    report.burnId = result.burnId;
+
+    log.burn('Stranded tokens burned', {
+      signature: result.signature,
+      burnId: result.burnId,
+      tokensBurned: formatTokenAmount(result.tokensBurned),
+      strandedBuybacks: report.strandedBuybacks,
+    });
+  } catch (error) {
+    log.error('Stranded token sweep failed', error);
+
+    report.success = false;
+    report.action = 'failed';
+    report.error = error instanceof Error ? error.message : 'Unknown error';
+  }
+
+  return finish();
+}
@@ -1,44 +1,91 @@
 import { PublicKey } from '@solana/web3.js';
-import { keypairFromSecret, transferSol, getExplorerUrl } from '../lib/solana';
+import { keypairFromSecret, transferSolMulti, getExplorerUrl } from '../lib/solana';
 import { log } from '../lib/logger';
 import { creatorWalletSecret, treasuryWalletSecret } from '../env';
+import { insertSplitTransfers, updateSplitTransferStatus, getSplitTransfersByClaim } from '../db/queries';
+import { AutoPumpError, SignatureCallback, SplitLegAmount } from '../types';
 
 /**
- * Transfer SOL to treasury wallet
+ * Pay every split leg that has a destination (treasury, marketing, dev, ...)
+ * in a single transaction, so a claim is never left half-distributed.
+ * The buyback leg stays in the creator wallet and legs with no amount are
+ * skipped. Returns undefined when there is nothing to send.
+ *
+ * @throws AutoPumpError (SPLIT_ALREADY_SENT) if the claim already has a
+ *         confirmed or pending transfer: paying it twice is never right
  */
-export async function transferToTreasury(amountSol: number): Promise<string> {
+export async function distributeSplit(
+  claimId: number,
+  legs: SplitLegAmount[],
+  onSent?: SignatureCallback,
+  deadline?: number
+): Promise<string | undefined> {
+  const payable = getPayableLegs(legs);
+
+  if (payable.length === 0) {
+    log.treasury('No split legs to transfer', { claimId });
+    return undefined;
+  }
+
+  const existing = (await getSplitTransfersByClaim(claimId)).find(
+    (transfer) => transfer.status !== 'failed'
+  );
+  if (existing) {
+    throw new AutoPumpError(
+      `Claim #${claimId} already has a ${existing.status} split transfer`,
+      'SPLIT_ALREADY_SENT',
+      { claimId, signature: existing.signature }
+    );
+  }
+
   try {
     const creatorKeypair = keypairFromSecret(creatorWalletSecret);
-    const treasuryKeypair = keypairFromSecret(treasuryWalletSecret);
-    const treasuryPubkey = treasuryKeypair.publicKey;
 
-    log.treasury('Initiating treasury transfer', {
+    log.treasury('Initiating split transfer', {
+      claimId,
       from: creatorKeypair.publicKey.toBase58(),
-      to: treasuryPubkey.toBase58(),
-      amount: amountSol,
+      legs: payable.map((leg) => ({ leg: leg.name, to: leg.destination, amount: leg.amount })),
     });
 
-    const signature = await transferSol(
+    const signature = await transferSolMulti(
       creatorKeypair,
-      treasuryPubkey,
-      amountSol
+      payable.map((leg) => ({ to: new PublicKey(leg.destination!), amountSol: leg.amount })),
+      onSent,
+      deadline
     );
 
-    const explorerUrl = getExplorerUrl(signature);
+    await recordSplitTransfers(claimId, signature, legs);
 
-    log.treasury('Treasury transfer complete', {
+    log.treasury('Split transfer complete', {
       signature,
-      amount: amountSol,
-      explorerUrl,
+      total: payable.reduce((sum, leg) => sum + leg.amount, 0),
+      explorerUrl: getExplorerUrl(signature),
     });
 
     return signature;
   } catch (error) {
-    log.error('Treasury transfer failed', error, { amount: amountSol });
+    log.error('Split transfer failed', error, { claimId });
     throw error;
   }
 }
 
+/**
+ * Record the per-leg rows of a split transfer that has landed on-chain
+ */
+export async function recordSplitTransfers(
+  claimId: number,
+  signature: string,
+  legs: SplitLegAmount[]
+): Promise<void> {
+  await insertSplitTransfers(claimId, signature, getPayableLegs(legs));
+  await updateSplitTransferStatus(signature, 'confirmed');
+}
+
+// Legs paid out by transfer rather than spent on the buyback
+function getPayableLegs(legs: SplitLegAmount[]): SplitLegAmount[] {
+  return legs.filter((leg) => leg.destination && leg.amount > 0);
+}
+
 /**
  * Get treasury wallet public key
  */
@@ -10,31 +10,284 @@ export interface ClaimableFeesResponse {
   bondingCurveAddress: string;
 }
 
+export type ClaimThresholdMode = 'fixed' | 'gas-aware';
+
+export interface FlowStepCost {
+  step: FlowStep;
+  transactions: number;
+  networkFeeSol: number; // base signature fees
+  priorityFeeSol: number;
+  rentSol: number; // one-time token account creation
+  totalSol: number;
+}
+
+export interface FlowCostEstimate {
+  steps: FlowStepCost[];
+  totalSol: number;
+  timestamp: number;
+}
+
+export interface ClaimDecision {
+  shouldClaim: boolean;
+  claimableFees: number; // in SOL
+  threshold: number; // effective threshold in SOL
+  thresholdMode: ClaimThresholdMode;
+  costEstimate?: FlowCostEstimate; // gas-aware mode only
+  costMultiple?: number; // gas-aware mode only
+  reason: string;
+}
+
+export interface SplitLegAmount {
+  name: string; // leg name from the split policy
+  bps: number;
+  destination?: string; // unset for the buyback leg
+  amount: number; // in SOL
+}
+
 export interface ClaimResult {
   success: boolean;
   signature?: string;
-  claimedAmount: number; // in SOL
+  claimId?: number; // Database ID for linking buyback records
+  claimedAmount: number; // in SOL, taken out of the creator vault
+  networkFee?: number; // in SOL, paid by the creator wallet on top
   treasuryAmount: number; // in SOL
   buybackAmount: number; // in SOL
+  split?: SplitLegAmount[]; // every leg of the split policy, incl. treasury and buyback
   error?: string;
+  errorCode?: string; // code of the AutoPumpError it failed with
   timestamp: number;
 }
 
+// Where a buyback was executed: the Pump.fun bonding curve, or the
+// constant-product pool the token migrated to after graduating
+export type AmmPool = 'pump-amm' | 'raydium';
+export type BuybackVenue = 'bonding-curve' | AmmPool;
+
 export interface BuybackResult {
   success: boolean;
   signature?: string;
   buybackId?: number; // ✅ ADDED: Database ID for linking burn records
-  tokensPurchased: number; // in token units
-  solSpent: number;
+  venue?: BuybackVenue;
+  amountSol?: number; // SOL sent to the buy, after any price-impact shrink
+  carriedOver?: number; // SOL left by earlier shrunk buys and failed plans, included in amountSol
+  unspentAmount?: number; // SOL the price-impact limit left unbought, carried into the next buy
+  quotedTokens?: string; // curve quote before the buy, raw token units
+  priceImpactBps?: number; // quoted curve price impact
+  tokensPurchased: string; // raw token units (BigInt string)
+  solSpent: number; // SOL into the buy, network fee excluded
+  networkFee?: number; // in SOL
   error?: string;
+  errorCode?: string; // code of the AutoPumpError it failed with
   timestamp: number;
 }
 
+export type BurnMode = 'incinerator' | 'spl-burn';
+
 export interface BurnResult {
   success: boolean;
   signature?: string;
-  tokensBurned: number; // in token units
+  burnId?: number; // Database ID for linking flow runs
+  burnMode?: BurnMode;
+  tokensBurned: string; // raw token units (BigInt string)
   error?: string;
+  errorCode?: string; // code of the AutoPumpError it failed with
+  timestamp: number;
+}
+
+// ========================================
+// CLAIM FLOW RUNS
+// ========================================
+
+export type FlowStep = 'claim' | 'treasury' | 'buyback' | 'burn';
+
+export type FlowStepStatus = 'pending' | 'sent' | 'confirmed' | 'failed';
+
+export type FlowRunStatus = 'running' | 'completed' | 'failed';
+
+export interface FlowStepState {
+  status: FlowStepStatus;
+  signature?: string;
+  lastValidBlockHeight?: number; // blockhash expiry of the sent transaction
+  recordId?: number; // claims/buybacks/burns row written by this step
+  amounts?: Record<string, number | string>;
+  split?: SplitLegAmount[]; // planned split, set on the claim step
+  priorityFee?: number; // lamports paid above the base fee, set once confirmed
+  error?: string;
+  updatedAt: number;
+}
+
+export interface FlowRunRecord {
+  id: number;
+  status: FlowRunStatus;
+  forced: boolean;
+  estimatedAmount: number; // in SOL
+  steps: Record<FlowStep, FlowStepState>;
+  claimId?: number;
+  buybackId?: number;
+  burnId?: number;
+  errorMessage?: string;
+  createdAt: Date;
+  updatedAt: Date;
+  completedAt?: Date;
+}
+
+// ========================================
+// TRANCHE BUYBACKS
+// ========================================
+
+export type BuybackPlanStatus = 'active' | 'completed' | 'failed';
+
+// scheduled -> buy_sent -> bought -> burn_sent -> confirmed (or failed)
+export type BuybackTrancheStatus =
+  | 'scheduled'
+  | 'buy_sent'
+  | 'bought'
+  | 'burn_sent'
+  | 'confirmed'
+  | 'failed';
+
+export interface BuybackPlanRecord {
+  id: number;
+  claimId: number; // claim whose buyback amount funds the plan
+  totalAmount: number; // in SOL
+  remainingAmount: number; // unspent budget, in SOL
+  trancheCount: number;
+  windowEndsAt: Date;
+  status: BuybackPlanStatus;
+  createdAt: Date;
+  updatedAt: Date;
+  completedAt?: Date;
+  carriedInto?: number; // buyback that spent a failed plan's remaining budget
+}
+
+// SOL left for a later buy, and the rows it comes from
+export interface BuybackCarryover {
+  buybackIds: number[]; // shrunk buys (unspent_amount)
+  planIds: number[]; // failed tranche plans (remaining_amount)
+  amount: number; // in lamports
+}
+
+export interface BuybackTrancheRecord {
+  id: number;
+  planId: number;
+  claimId: number;
+  trancheIndex: number; // 0-based position in the plan
+  scheduledAt: Date;
+  amount?: number; // in SOL, set when the tranche is executed
+  status: BuybackTrancheStatus;
+  attempts: number;
+  buySignature?: string;
+  buybackId?: number;
+  burnSignature?: string;
+  burnId?: number;
+  buyPriorityFee?: number; // lamports paid above the base fee
+  burnPriorityFee?: number;
+  lastValidBlockHeight?: number; // blockhash expiry of the buy or burn in flight
+  errorMessage?: string;
+  updatedAt: Date;
+}
+
+// ========================================
+// DRY RUN / SIMULATION
+// ========================================
+
+export interface SimulatedBalanceChange {
+  account: string;
+  label: string; // e.g. 'creator', 'treasury', 'creatorTokenAccount'
+  preLamports: number;
+  postLamports: number;
+  changeSol: number;
+}
+
+export interface StepSimulation {
+  step: FlowStep;
+  success: boolean;
+  error?: string;
+  unitsConsumed?: number;
+  logs: string[];
+  balanceChanges: SimulatedBalanceChange[];
+  tokenChange?: string; // raw token units, for buy and burn steps
+}
+
+export interface FlowSimulation {
+  estimatedClaimAmount: number; // in SOL, from the creator vault
+  projectedClaimedAmount: number; // in SOL, from the simulated claim
+  projectedTreasuryAmount: number; // in SOL
+  projectedBuybackAmount: number; // in SOL
+  projectedSplit: SplitLegAmount[];
+  projectedTokensBurned: string; // raw token units, from the simulated buy
+  buybackVenue: BuybackVenue;
+  buybackQuote?: BuyQuote; // bonding curve quote of the (possibly shrunk) buy
+  burnMode: BurnMode;
+  steps: StepSimulation[];
+  warnings: string[];
+}
+
+/**
+ * Invoked with a transaction signature once it is signed and about to be
+ * broadcast, so callers can persist it before waiting on confirmation.
+ */
+// Called before each broadcast with the signature and the block height its
+// blockhash is valid until, so a restart can tell whether it may still land
+export type SignatureCallback = (signature: string, lastValidBlockHeight: number) => Promise<void>;
+
+// ========================================
+// ON-CHAIN RECONCILIATION
+// ========================================
+
+// What a creator wallet transaction was, judged from its on-chain effects
+export type ReconciledTxKind = 'claim' | 'treasury' | 'buyback' | 'burn' | 'unknown';
+
+export type ReconciledRecordType = 'claim' | 'split_transfer' | 'buyback' | 'burn';
+
+export interface ReconciliationOptions {
+  limit?: number; // signatures to scan, newest first (default 500)
+  before?: string; // start below this signature (continue an earlier scan)
+  until?: string; // stop at this signature
+  dryRun?: boolean; // classify and compare only, write nothing
+}
+
+export interface ReconciliationFinding {
+  signature: string;
+  kind: ReconciledTxKind;
+  action: 'inserted' | 'flagged';
+  recordType: ReconciledRecordType;
+  recordId?: number;
+  issue?: ReconciliationIssue; // set when flagged
+  recorded?: string;
+  onChain?: string;
+  blockTime?: number;
+}
+
+// status: recorded status differs from the transaction result
+// amount: recorded SOL or token amount differs from the balance changes
+// missing_on_chain: confirmed in the database, absent from wallet history
+// unknown_outflow: creator tokens left the wallet in neither a burn nor a known flow
+// not_found: pending row whose transaction the RPC node no longer (or never) had
+export type ReconciliationIssue = 'status' | 'amount' | 'missing_on_chain' | 'unknown_outflow' | 'not_found';
+
+export interface ReconciliationFlag {
+  id: number;
+  recordType: ReconciledRecordType;
+  recordId?: number;
+  signature: string;
+  issue: ReconciliationIssue;
+  recordedValue?: string;
+  onChainValue?: string;
+  detectedAt: Date;
+}
+
+export interface ReconciliationReport {
+  success: boolean;
+  dryRun: boolean;
+  scanned: number;
+  classified: Record<ReconciledTxKind, number>;
+  inserted: number;
+  flagged: number;
+  findings: ReconciliationFinding[];
+  oldestSignature?: string; // pass as `before` to continue further back
+  error?: string;
+  durationMs: number;
   timestamp: number;
 }
 
@@ -51,6 +304,16 @@ export interface PumpFunBondingCurve {
   complete: boolean;
 }
 
+export interface BuyQuote {
+  amountSol: number; // SOL spent, fee included
+  feeSol: number; // Pump.fun trade fee part of amountSol
+  rawTokensOut: string; // raw token units
+  tokensOut: string; // token units (raw / 10^decimals)
+  spotPrice: number; // SOL per token before the buy
+  effectivePrice: number; // SOL per token paid, fee included
+  priceImpactBps: number; // how far the buy moves the curve price
+}
+
 export interface PumpFunTokenData {
   mint: string;
   name: string;
@@ -92,6 +355,7 @@ export interface ClaimRecord {
   claimedAmount: number; // in lamports
   treasuryAmount: number; // in lamports
   buybackAmount: number; // in lamports
+  networkFee?: number; // in lamports
   timestamp: Date;
   blockNumber?: number;
   status: 'pending' | 'confirmed' | 'failed';
@@ -101,9 +365,16 @@ export interface BuybackRecord {
   id: number;
   claimId: number; // foreign key to ClaimRecord
   signature: string;
-  tokensPurchased: string; // store as string to avoid precision loss
+  tokensPurchased: string; // raw token units (BigInt string)
   solSpent: number; // in lamports
+  networkFee?: number; // in lamports
+  venue: BuybackVenue;
+  quotedTokens?: string; // curve quote before the buy, raw token units
+  priceImpactBps?: number;
+  unspentAmount?: number; // in lamports, left unbought by the price impact limit
+  carriedInto?: number; // later buyback that spent unspentAmount
   timestamp: Date;
+  blockNumber?: number;
   status: 'pending' | 'confirmed' | 'failed';
 }
 
@@ -111,7 +382,21 @@ export interface BurnRecord {
   id: number;
   buybackId: number; // foreign key to BuybackRecord
   signature: string;
-  tokensBurned: string; // store as string to avoid precision loss
+  tokensBurned: string; // raw token units (BigInt string)
+  burnMode: BurnMode;
+  timestamp: Date;
+  blockNumber?: number;
+  status: 'pending' | 'confirmed' | 'failed';
+}
+
+export interface SplitTransferRecord {
+  id: number;
+  claimId: number; // foreign key to ClaimRecord
+  leg: string;
+  destination: string;
+  bps: number;
+  amount: number; // in lamports
+  signature: string; // shared by every leg sent in the same transaction
   timestamp: Date;
   status: 'pending' | 'confirmed' | 'failed';
 }
@@ -132,23 +417,52 @@ export interface SystemStats {
   totalClaimedFees: number; // in SOL
   totalTreasuryTransferred: number; // in SOL
   totalBuybackSpent: number; // in SOL
-  totalTokensBurned: string; // as string for precision
+  totalTokensBurned: string; // raw token units (BigInt string)
+  tokenDecimals?: number; // to turn raw token units into display amounts; unset until recorded from the mint
   totalClaims: number;
   totalBuybacks: number;
   totalBurns: number;
+  burnsByMode: Record<BurnMode, number>;
+  pendingBuybackBudget: number; // in SOL, unspent by active tranche plans
+  splitTransfers: Array<{
+    leg: string;
+    bps: number; // currently configured share
+    totalTransferred: number; // in SOL
+    transfers: number;
+  }>;
   lastClaimTimestamp?: number;
   nextCheckTimestamp: number;
   currentClaimableFees: number; // in SOL
   systemStatus: 'active' | 'paused' | 'error';
 }
 
+export interface FeeAccrualBucket {
+  timestamp: number; // bucket start
+  checks: number; // saved checks in the bucket
+  claimableFees: number; // in SOL, at the last check of the bucket
+  minClaimableFees: number; // in SOL
+  maxClaimableFees: number; // in SOL
+  accrued: number; // in SOL, fee increases between checks (claims are skipped)
+}
+
+export interface FeeAccrualHistory {
+  hours: number;
+  bucketMinutes: number;
+  buckets: FeeAccrualBucket[];
+  accrued: number; // in SOL over the whole range
+  spanHours: number; // from the first to the last saved check
+  accrualRatePerHour: number; // in SOL; 0 with fewer than two checks
+}
+
 export interface TransactionHistoryItem {
   type: 'claim' | 'buyback' | 'burn';
   signature: string;
-  amount: number | string;
+  amount: number | string; // burns: raw token units (BigInt string)
   timestamp: number;
   status: 'pending' | 'confirmed' | 'failed';
   sol_spent?: number; // ✅ ADDED: For displaying SOL used in burn feed
+  burn_mode?: BurnMode; // How the burn was performed (incinerator transfer or SPL burn)
+  buyback_venue?: BuybackVenue; // Where the burned tokens were bought
   explorerUrl: string;
 }
 
@@ -157,7 +471,7 @@ export interface DashboardData {
   recentTransactions: TransactionHistoryItem[];
   burnChartData: Array<{
     timestamp: number;
-    cumulativeBurned: number;
+    cumulativeBurned: string; // raw token units
   }>;
   treasuryChartData: Array<{
     timestamp: number;
@@ -169,6 +483,35 @@ export interface DashboardData {
 // SCHEDULER & MONITORING
 // ========================================
 
+export interface ClaimLockStatus {
+  locked: boolean; // an unexpired lease is held
+  holder?: string; // instance id of the lease holder
+  operation?: string; // what the holder is doing (monitor, manual-claim, tranches)
+  acquiredAt?: Date;
+  expiresAt?: Date;
+  heldByThisInstance: boolean;
+  instanceId: string;
+}
+
+export type CircuitState = 'closed' | 'open' | 'half_open';
+
+export interface CircuitBreakerRecord {
+  step: FlowStep;
+  state: CircuitState; // half_open: the system resumed for one probe
+  consecutiveFailures: number;
+  lastError?: string;
+  lastFailureAt?: Date;
+  openedAt?: Date;
+  updatedAt: Date;
+}
+
+export interface CircuitBreakerStatus {
+  enabled: boolean;
+  threshold: number;
+  cooldownMinutes: number;
+  steps: CircuitBreakerRecord[];
+}
+
 export interface SchedulerStatus {
   isRunning: boolean;
   lastCheckTime?: number;
@@ -190,6 +533,128 @@ export interface MonitorConfig {
   maxRetries: number;
 }
 
+// ========================================
+// NOTIFICATIONS
+// ========================================
+
+export const NOTIFICATION_EVENTS = [
+  'claim_complete',
+  'claim_failed',
+  'paused',
+  'resumed',
+  'probing',
+  'low_balance',
+] as const;
+
+export type NotificationEventType = typeof NOTIFICATION_EVENTS[number];
+
+export type NotificationChannelType = 'webhook' | 'discord' | 'slack' | 'telegram';
+
+export interface ClaimCompleteNotification {
+  event: 'claim_complete';
+  runId?: number;
+  claimSignature?: string;
+  treasurySignature?: string;
+  buybackSignature?: string;
+  burnSignature?: string;
+  claimedAmount: number; // in SOL
+  treasuryAmount: number; // in SOL
+  buybackAmount: number; // in SOL
+  split?: SplitLegAmount[];
+  tokensBurned: string; // raw token units
+  timestamp: number;
+}
+
+export interface ClaimFailedNotification {
+  event: 'claim_failed';
+  runId?: number;
+  step?: FlowStep; // step the run failed at
+  signature?: string; // transaction of that step, if one was sent
+  error: string;
+  timestamp: number;
+}
+
+// Step, failure count and probe time are set when the circuit breaker paused
+export interface PausedNotification {
+  event: 'paused';
+  pausedBy: 'admin' | 'circuit_breaker';
+  keyId?: string; // admin key that paused, as in the admin audit log
+  step?: FlowStep;
+  reason?: string;
+  consecutiveFailures?: number;
+  retryAt?: number;
+  timestamp: number;
+}
+
+// step: the probe that closed the circuit breaker; keyId: the admin key that resumed
+export interface ResumedNotification {
+  event: 'resumed';
+  resumedBy: 'admin' | 'circuit_breaker';
+  keyId?: string;
+  step?: FlowStep;
+  timestamp: number;
+}
+
+export interface ProbingNotification {
+  event: 'probing';
+  steps: FlowStep[];
+  timestamp: number;
+}
+
+export interface LowBalanceNotification {
+  event: 'low_balance';
+  wallet: string;
+  balance: number; // in SOL
+  threshold: number; // in SOL
+  timestamp: number;
+}
+
+export type NotificationEvent =
+  | ClaimCompleteNotification
+  | ClaimFailedNotification
+  | PausedNotification
+  | ResumedNotification
+  | ProbingNotification
+  | LowBalanceNotification;
+
+// ========================================
+// ADMIN AUDIT
+// ========================================
+
+// success: 2xx, rejected: other 4xx, unauthorized: 401, failed: 5xx
+export type AdminAuditResult = 'success' | 'rejected' | 'unauthorized' | 'failed';
+
+export interface AdminAuditEntry {
+  id: number;
+  keyId?: string; // fingerprint of the admin key; unset for unauthorized requests
+  action: string; // method and route, e.g. 'POST /api/admin/runs/:id/retry'
+  params: {
+    params?: Record<string, string>;
+    query?: Record<string, unknown>;
+    body?: Record<string, unknown>;
+  };
+  ip?: string;
+  statusCode: number;
+  result: AdminAuditResult;
+  error?: string;
+  createdAt: Date;
+}
+
+export type NotificationDeliveryStatus = 'pending' | 'delivered' | 'dead';
+
+export interface NotificationOutboxRecord {
+  id: number; // sent as X-AutoPump-Delivery, the same on every retry
+  event: NotificationEventType;
+  channel: NotificationChannelType;
+  payload: NotificationEvent;
+  status: NotificationDeliveryStatus; // dead: out of attempts, replay by hand
+  attempts: number;
+  nextAttemptAt: Date;
+  lastError?: string;
+  createdAt: Date;
+  deliveredAt?: Date;
+}
+
 // ========================================
 // API REQUEST/RESPONSE TYPES
 // ========================================
@@ -209,6 +674,7 @@ export interface ManualClaimRequest {
 export interface AdminControlRequest {
   adminApiKey: string;
   action: 'pause' | 'resume' | 'status';
+  reason?: string; // recorded with a pause
 }
 
 export interface StatsRequest {
@@ -233,6 +699,32 @@ export interface SendTransactionOptions {
   maxRetries?: number;
   skipPreflight?: boolean;
   preflightCommitment?: 'processed' | 'confirmed' | 'finalized';
+  onSent?: SignatureCallback;
+  deadline?: number; // stop waiting for confirmation at this time and leave the transaction pending
+}
+
+export interface RpcEndpointHealth {
+  endpoint: string; // origin only, API keys in the path or query are hidden
+  active: boolean; // currently serving reads
+  healthy: boolean;
+  score: number; // lower is better
+  latencyMs: number; // rolling average
+  errorRate: number; // rolling, 0-1
+  requests: number;
+  errors: number;
+  slot?: number;
+  slotLag: number; // slots behind the most up-to-date endpoint
+  lastError?: string;
+  lastCheckedAt?: number;
+}
+
+export interface PriorityFeeEstimate {
+  microLamports: number; // compute unit price
+  computeUnits: number; // compute units budgeted for the transaction
+  lamports: number; // total priority fee: price * units
+  sampleSize: number; // recent slots the percentile was taken over
+  capped: boolean; // percentile was above PRIORITY_FEE_MAX_MICROLAMPORTS
+  fallback: boolean; // fee data unavailable, default price used
 }
 
 // ========================================
@@ -270,6 +762,31 @@ export class TransactionError extends AutoPumpError {
   }
 }
 
+export class TransactionExpiredError extends AutoPumpError {
+  constructor(public signature: string, attempts: number, lastValidBlockHeight: number) {
+    super(
+      `Transaction expired unconfirmed after ${attempts} attempt(s): blockhash ` +
+      `valid until block height ${lastValidBlockHeight} passed`,
+      'TRANSACTION_EXPIRED',
+      { signature, attempts, lastValidBlockHeight }
+    );
+    this.name = 'TransactionExpiredError';
+  }
+}
+
+// Sent, but whether it landed can't be told yet: the flow step stays 'sent'
+// and is settled from the chain on the next run (see StepPendingError)
+export class TransactionPendingError extends AutoPumpError {
+  constructor(public signature: string, reason: string) {
+    super(
+      `Transaction ${signature} sent but not confirmed: ${reason}`,
+      'TRANSACTION_PENDING',
+      { signature, reason }
+    );
+    this.name = 'TransactionPendingError';
+  }
+}
+
 export class PumpFunError extends AutoPumpError {
   constructor(message: string, details?: any) {
     super(message, 'PUMPFUN_ERROR', details);
@@ -286,4 +803,45 @@ export class InsufficientFeesError extends AutoPumpError {
     );
     this.name = 'InsufficientFeesError';
   }
-}
\ No newline at end of file
+}
+
+export class PriceImpactError extends AutoPumpError {
+  constructor(priceImpactBps: number, maxPriceImpactBps: number, amountSol: number) {
+    super(
+      `Buy of ${amountSol} SOL would move the price ${priceImpactBps} bps ` +
+      `(limit ${maxPriceImpactBps} bps)`,
+      'PRICE_IMPACT_TOO_HIGH',
+      { priceImpactBps, maxPriceImpactBps, amountSol }
+    );
+    this.name = 'PriceImpactError';
+  }
+}
+
+export class ClaimLockedError extends AutoPumpError {
+  constructor(lock: ClaimLockStatus) {
+    super(
+      `Claim operation already in progress (${lock.operation || 'unknown'} ` +
+      `on ${lock.holder || 'unknown instance'})`,
+      'CLAIM_LOCKED',
+      { holder: lock.holder, operation: lock.operation, expiresAt: lock.expiresAt }
+    );
+    this.name = 'ClaimLockedError';
+  }
+}
+
+export class StepPendingError extends AutoPumpError {
+  constructor(step: string, signature: string) {
+    super(
+      `Flow step '${step}' is still awaiting confirmation of ${signature}`,
+      'STEP_PENDING',
+      { step, signature }
+    );
+    this.name = 'StepPendingError';
+  }
+}
+export class RetryConflictError extends AutoPumpError {
+  constructor(message: string, details?: any) {
+    super(message, 'RETRY_CONFLICT', details);
+    this.name = 'RetryConflictError';
+  }
+}
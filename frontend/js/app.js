@@ -22,6 +22,8 @@ let currentTimeframe = '24h';
 let refreshTimer = CONFIG.REFRESH_INTERVAL / 1000;
 let allBurns = [];
 let displayedBurns = CONFIG.DISPLAY?.BURNS_PER_PAGE || 10;
+// Token amounts come from the API in raw base units; set from stats.tokenDecimals
+let tokenDecimals = 6;
 
 // ✅ NEW: Store previous values to prevent unnecessary animations
 let previousValues = {
@@ -306,16 +308,20 @@ function updateStats(stats) {
     try {
         console.log('Updating stats display:', stats);
         
+        if (stats.tokenDecimals !== undefined) {
+            tokenDecimals = stats.tokenDecimals;
+        }
+
         // Total Burned
         const totalBurnedEl = document.getElementById('totalBurned');
         if (totalBurnedEl) {
-            totalBurnedEl.textContent = formatNumber(stats.totalTokensBurned);
+            totalBurnedEl.textContent = formatNumber(toTokenUnits(stats.totalTokensBurned));
         }
         
         // Burned Percent
         const burnedPercentEl = document.getElementById('burnedPercent');
         if (burnedPercentEl && CONFIG.TOTAL_SUPPLY) {
-            const percent = (Number(stats.totalTokensBurned) / CONFIG.TOTAL_SUPPLY) * 100;
+            const percent = (toTokenUnits(stats.totalTokensBurned) / CONFIG.TOTAL_SUPPLY) * 100;
             burnedPercentEl.textContent = percent.toFixed(2);
         }
         
@@ -365,7 +371,8 @@ async function fetchAndUpdateAllData() {
 // MOCK DATA (for testing)
 function useMockData() {
     const mockStats = {
-        totalTokensBurned: '1234567',
+        totalTokensBurned: '1234567000000',
+        tokenDecimals: 6,
         totalBuybackSpent: 45.67,
         totalBurns: 156,
         totalClaims: 52,
@@ -375,7 +382,7 @@ function useMockData() {
         mockTransactions.push({
             type: 'burn',
             signature: `mock${i}${Math.random().toString(36).substring(7)}...`,
-            amount: Math.floor(Math.random() * 200000) + 50000,
+            amount: String((Math.floor(Math.random() * 200000) + 50000) * 1e6),
             timestamp: new Date(Date.now() - i * 600000).toISOString(),
             status: 'confirmed',
             sol_spent: (Math.random() * 0.02 + 0.001).toFixed(4),
@@ -387,7 +394,7 @@ function useMockData() {
         cumulative += Math.floor(Math.random() * 50000) + 10000;
         mockChartData.push({
             timestamp: new Date(Date.now() - (29 - i) * 86400000).toISOString(),
-            cumulativeBurned: cumulative,
+            cumulativeBurned: String(cumulative * 1e6),
         });
     }
     updateMetrics(mockStats, mockTransactions);
@@ -399,7 +406,7 @@ function useMockData() {
 
 // ✅ UPDATED: UPDATE METRICS - Only animate if values changed
 function updateMetrics(stats, transactions) {
-    const totalBurned = Number(stats.totalTokensBurned || 0);
+    const totalBurned = toTokenUnits(stats.totalTokensBurned || 0);
     const burnedPercent = parseFloat(((totalBurned / CONFIG.TOTAL_SUPPLY) * 100).toFixed(2));
     
     // Calculate total SOL spent from actual burn transactions
@@ -437,10 +444,10 @@ function update24HourStats(transactions) {
         return tx.type === 'burn' && tx.status === 'confirmed' && new Date(tx.timestamp).getTime() > oneDayAgo;
     });
     
-    const totalBurned = burns24h.reduce((sum, tx) => sum + Number(tx.amount), 0);
+    const totalBurned = burns24h.reduce((sum, tx) => sum + toTokenUnits(tx.amount), 0);
     const burnCount = burns24h.length;
     const avgBurn = burnCount > 0 ? Math.floor(totalBurned / burnCount) : 0;
-    const largestBurn = burnCount > 0 ? Math.max(...burns24h.map(tx => Number(tx.amount))) : 0;
+    const largestBurn = burnCount > 0 ? Math.max(...burns24h.map(tx => toTokenUnits(tx.amount))) : 0;
     
     // ✅ Only update if value changed
     if (totalBurned !== previousValues.burned24h) {
@@ -536,7 +543,7 @@ function initializeBurnChart() {
 function updateChart(chartData) {
     if (!burnChart || !chartData || chartData.length === 0) return;
     const labels = chartData.map(d => formatChartDate(d.timestamp));
-    const data = chartData.map(d => Number(d.cumulativeBurned));
+    const data = chartData.map(d => toTokenUnits(d.cumulativeBurned));
     burnChart.data.labels = labels;
     burnChart.data.datasets[0].data = data;
     burnChart.update('none');
@@ -573,7 +580,7 @@ function updateBurnsFeed(transactions) {
 
 function createBurnCard(burn, isNew = false) {
     const timeAgo = getTimeAgo(burn.timestamp);
-    const tokensAmount = formatNumber(burn.amount);
+    const tokensAmount = formatNumber(toTokenUnits(burn.amount));
     let solAmount = burn.sol_spent || burn.solSpent || burn.sol_amount || 0;
     if (typeof solAmount === 'number') {
         solAmount = solAmount.toFixed(6);
@@ -585,6 +592,9 @@ function createBurnCard(burn, isNew = false) {
     }
     const shortSig = `${burn.signature.slice(0, 8)}...${burn.signature.slice(-6)}`;
     const solscanUrl = `https://solscan.io/tx/${burn.signature}`;
+    const burnMode = burn.burn_mode === 'spl-burn' ? 'SPL burn (supply reduced)' : 'Sent to incinerator';
+    const venueNames = { 'pump-amm': 'PumpSwap', raydium: 'Raydium', 'bonding-curve': 'bonding curve' };
+    const buybackVenue = venueNames[burn.buyback_venue] || venueNames['bonding-curve'];
     return `
         <div class="burn-card ${isNew ? 'new' : ''}">
             <div class="burn-header">
@@ -599,6 +609,14 @@ function createBurnCard(burn, isNew = false) {
                     <span class="burn-detail-icon">💰</span>
                     <span class="burn-detail-text">${solAmount} SOL used</span>
                 </div>
+                <div class="burn-detail">
+                    <span class="burn-detail-icon">⚙️</span>
+                    <span class="burn-detail-text">${burnMode}</span>
+                </div>
+                <div class="burn-detail">
+                    <span class="burn-detail-icon">🔁</span>
+                    <span class="burn-detail-text">Bought on ${buybackVenue}</span>
+                </div>
                 <div class="burn-detail">
                     <a href="${solscanUrl}" target="_blank" rel="noopener" class="burn-link">
                         🔗 ${shortSig} →
@@ -616,9 +634,9 @@ function loadMoreBurns() {
 
 // UPDATE SHARE TEXT
 function updateShareText(stats, transactions) {
-    const totalBurned = formatNumber(stats.totalTokensBurned || 0);
+    const totalBurned = formatNumber(toTokenUnits(stats.totalTokensBurned || 0));
     const lastBurn = transactions.find(tx => tx.type === 'burn' && tx.status === 'confirmed');
-    const lastBurnAmount = lastBurn ? formatNumber(lastBurn.amount) : '0';
+    const lastBurnAmount = lastBurn ? formatNumber(toTokenUnits(lastBurn.amount)) : '0';
     
     document.getElementById('shareLastBurn').textContent = lastBurnAmount;
     document.getElementById('shareTotalBurned').textContent = totalBurned;
@@ -646,6 +664,11 @@ function startAutoRefresh() {
 }
 
 // UTILITY FUNCTIONS
+// Raw base units (BigInt string) to display tokens
+function toTokenUnits(raw) {
+    return Number(raw || 0) / Math.pow(10, tokenDecimals);
+}
+
 function formatNumber(num) {
     return Math.floor(Number(num)).toLocaleString('en-US');
 }